@@ -1,25 +1,40 @@
 // bot/commands/addcourse.js
-import { addCourse } from '../utils/database.js';
+import { addCourse, getUserLanguage } from '../utils/database.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
 
+export const ADD_COURSE_ARGS = {
+  command: 'addcourse',
+  args: [
+    { name: 'name', label: { ar: 'اسم_الكورس', en: 'course_name' }, min: 2, max: 100 },
+    { name: 'description', label: { ar: 'الوصف', en: 'description' }, type: 'text' }
+  ],
+  examples: ['/addcourse "رياضيات 101" مقدمة في الرياضيات']
+};
+
 export async function handleAddCourse(ctx) {
   try {
-    const args = ctx.message.text.split(' ').slice(1);
-    
-    if (args.length < 2) {
-      await ctx.reply(
-        `❌ *${escapeMarkdownV2('صيغة خاطئة')}*\n\n` +
-        `${escapeMarkdownV2('الصيغة:')} \`/addcourse <اسم_الكورس> <الوصف>\`\n` +
-        `${escapeMarkdownV2('مثال:')} \`/addcourse "رياضيات 101" "مقدمة في الرياضيات"\``,
-        { parse_mode: 'MarkdownV2' }
-      );
+    const parsed = parseCommandArgs(ctx.message.text, ADD_COURSE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إنشاء كورس'), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    const courseName = args[0];
-    const description = args.slice(1).join(' ');
+    await createCourse(ctx, parsed.values);
+
+  } catch (error) {
+    console.error('خطأ في أمر /addcourse:', error);
+    await ctx.reply(
+      `❌ ${escapeMarkdownV2('حدث خطأ، حاول مرة أخرى أو تواصل مع')} ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
 
+// Create a course and report it, shared by /addcourse and its wizard
+export async function createCourse(ctx, { name: courseName, description }) {
+  try {
     // Add course to database
     const result = await addCourse(courseName, description);
     
@@ -31,18 +46,21 @@ export async function handleAddCourse(ctx) {
         `🆔 ${escapeMarkdownV2('معرف الكورس:')} ${result.courseId}`,
         { parse_mode: 'MarkdownV2' }
       );
-    } else {
-      await ctx.reply(
-        `❌ ${escapeMarkdownV2('فشل في إنشاء الكورس:')} ${escapeMarkdownV2(result.message || 'خطأ غير معروف')}`,
-        { parse_mode: 'MarkdownV2' }
-      );
+      return true;
     }
 
+    await ctx.reply(
+      `❌ ${escapeMarkdownV2('فشل في إنشاء الكورس:')} ${escapeMarkdownV2(result.message || 'خطأ غير معروف')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+
   } catch (error) {
-    console.error('خطأ في أمر /addcourse:', error);
+    console.error('خطأ في إنشاء الكورس:', error);
     await ctx.reply(
       `❌ ${escapeMarkdownV2('حدث خطأ، حاول مرة أخرى أو تواصل مع')} ${escapeMarkdownV2(config.admin.supportChannel)}`,
       { parse_mode: 'MarkdownV2' }
     );
+    return false;
   }
 }
\ No newline at end of file
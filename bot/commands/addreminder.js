@@ -1,6 +1,18 @@
-import { addReminder, getCustomReminders } from '../utils/database.js';
+import { addReminder, getUserLanguage, getUserTimezone } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { addCustomReminderJob } from '../utils/reminders.js';
+import { getReminderTime } from '../utils/timezone.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+export const ADD_REMINDER_ARGS = {
+  command: 'addreminder',
+  args: [
+    { name: 'remindAt', label: { ar: 'التاريخ_الوقت', en: 'date_time' }, type: 'datetime' },
+    { name: 'message', label: { ar: 'الرسالة', en: 'message' }, type: 'text' }
+  ],
+  examples: ['/addreminder 2024-01-15 19:00 مراجعة الدرس']
+};
 
 export async function handleAddReminder(ctx) {
   try {
@@ -8,133 +20,93 @@ export async function handleAddReminder(ctx) {
     const messageText = ctx.message.text;
 
     // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 3) {
-      // Show user's existing reminders
-      const reminders = await getCustomReminders(userId);
-      
-      let message = `🔔 *إضافة تذكير مخصص*\n` +
-        `📝 *الصيغة الصحيحة:*\n` +
-        `\`/addreminder التاريخ_الوقت الرسالة\`\n` +
-        `📅 *تنسيق التاريخ والوقت:*\n` +
-        `\`YYYY-MM-DD HH:MM\` (مثال: 2024-01-15 19:00)\n`;
-
-      if (reminders.length > 0) {
-        message += `📋 *تذكيراتك الحالية:*\n`;
-        
-        reminders.forEach((reminder, index) => {
-          const escapedDateTime = escapeMarkdownV2(reminder.reminder_datetime);
-          const escapedMessage = escapeMarkdownV2(reminder.message);
-          const status = reminder.is_sent ? '✅ تم الإرسال' : '⏰ في الانتظار';
-          
-          message += `${index + 1}\\. *${escapedDateTime}*\n` +
-            `   💬 ${escapedMessage}\n` +
-            `   ${status}\n`;
-        });
-      } else {
-        message += `📋 لا توجد تذكيرات مخصصة حالياً\\.\n`;
-      }
-
-      message += `💡 *أمثلة:*\n` +
-        `• \`/addreminder 2024-01-15 19:00 مراجعة الدرس\`\n` +
-        `• \`/addreminder 2024-01-20 14:30 تسليم الواجب\`\n` +
-        `• \`/addreminder 2024-01-25 09:00 اجتماع مع المدرب\`\n` +
-        `⚠️ *ملاحظة:* التذكيرات تُرسل قبل 5 دقائق من الوقت المحدد\\.`;
-
-      await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+    const parsed = parseCommandArgs(messageText, ADD_REMINDER_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إضافة تذكير مخصص'), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    // Extract date/time and message
-    const dateTimeStr = args[1] + ' ' + args[2];
-    const message = args.slice(3).join(' ');
+    await createReminder(ctx, parsed.values);
 
-    // Validate date/time format
-    const dateTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/;
-    if (!dateTimeRegex.test(dateTimeStr)) {
-      await ctx.reply(
-        `❌ *تنسيق التاريخ والوقت غير صحيح*\n` +
-        `📅 *التنسيق المطلوب:* \`YYYY-MM-DD HH:MM\`\n` +
-        `💡 *أمثلة:*\n` +
-        `• \`2024-01-15 19:00\`\n` +
-        `• \`2024-12-25 14:30\`\n` +
-        `استخدم \`/addreminder\` لعرض المساعدة\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
-      return;
-    }
+  } catch (error) {
+    console.error('خطأ في أمر /addreminder:', error);
+    await ctx.reply(
+      `❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel.replace(/@/g, '\\@')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
 
-    // Parse and validate date/time
-    const reminderDateTime = new Date(dateTimeStr);
-    const now = new Date();
+// Reminders can only be set for a future time, typed in the user's timezone
+export function isFutureReminderTime(dateTimeStr, timeZone, now = new Date()) {
+  return getReminderTime({ reminder_datetime: dateTimeStr, timezone: timeZone }) > now;
+}
 
-    if (isNaN(reminderDateTime.getTime())) {
-      await ctx.reply(
-        `❌ *تاريخ أو وقت غير صحيح*\n` +
-        `يرجى التأكد من صحة التاريخ والوقت\\.\n` +
-        `💡 مثال: \`2024-01-15 19:00\``,
-        { parse_mode: 'MarkdownV2' }
-      );
-      return;
-    }
+// Save a reminder and schedule it, shared by /addreminder and its wizard
+export async function createReminder(ctx, { remindAt: dateTimeStr, message }) {
+  try {
+    const userId = ctx.from.id;
+    // Date and time are validated by the parser and normalized to YYYY-MM-DD HH:MM, in the user's timezone
+    const timeZone = await getUserTimezone(userId);
+    const reminderDateTime = getReminderTime({ reminder_datetime: dateTimeStr, timezone: timeZone });
 
-    if (reminderDateTime <= now) {
+    if (!isFutureReminderTime(dateTimeStr, timeZone)) {
       await ctx.reply(
         `❌ *التاريخ في الماضي*\n` +
         `لا يمكن إضافة تذكير لوقت في الماضي\\.\n` +
         `يرجى اختيار تاريخ ووقت في المستقبل\\.`,
         { parse_mode: 'MarkdownV2' }
       );
-      return;
-    }
-
-    // Check if message is not empty
-    if (!message || message.trim().length === 0) {
-      await ctx.reply(
-        `❌ *الرسالة فارغة*\n` +
-        `يرجى إضافة رسالة للتذكير\\.\n` +
-        `💡 مثال: \`/addreminder 2024-01-15 19:00 مراجعة الدرس\``,
-        { parse_mode: 'MarkdownV2' }
-      );
-      return;
+      return false;
     }
 
     // Add reminder to database
-    const reminderId = await addReminder(userId, dateTimeStr, message);
+    const reminderId = await addReminder(userId, dateTimeStr, message, timeZone);
     
     if (reminderId) {
-      const escapedDateTime = escapeMarkdownV2(dateTimeStr);
+      addCustomReminderJob({
+        reminder_id: reminderId,
+        user_id: userId,
+        reminder_datetime: dateTimeStr,
+        timezone: timeZone,
+        message
+      });
+
       const escapedMessage = escapeMarkdownV2(message);
-      const formattedDate = reminderDateTime.toLocaleDateString('ar-SA');
+      const formattedDate = reminderDateTime.toLocaleDateString('ar-SA', { timeZone });
       const formattedTime = reminderDateTime.toLocaleTimeString('ar-SA', { 
         hour: '2-digit', 
-        minute: '2-digit' 
+        minute: '2-digit',
+        timeZone
       });
       
       await ctx.reply(
         `✅ *تم إضافة التذكير بنجاح*\n` +
         `🆔 *رقم التذكير:* ${escapeMarkdownV2(reminderId.toString())}\n` +
         `📅 *التاريخ:* ${escapeMarkdownV2(formattedDate)}\n` +
-        `⏰ *الوقت:* ${escapeMarkdownV2(formattedTime)}\n` +
+        `⏰ *الوقت:* ${escapeMarkdownV2(formattedTime)} \\(${escapeMarkdownV2(timeZone)}\\)\n` +
         `💬 *الرسالة:* ${escapedMessage}\n` +
         `🔔 سيتم إرسال التذكير قبل 5 دقائق من الوقت المحدد\\.\n` +
-        `📋 استخدم \`/addreminder\` لعرض جميع تذكيراتك\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
-    } else {
-      await ctx.reply(
-        `❌ *فشل في إضافة التذكير*\n` +
-        `حدث خطأ تقني أثناء إضافة التذكير\\.\n` +
-        `حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel.replace(/@/g, '\\@')}`,
+        `📋 استخدم \`/listreminders\` لعرض جميع تذكيراتك\\.`,
         { parse_mode: 'MarkdownV2' }
       );
+      return true;
     }
 
+    await ctx.reply(
+      `❌ *فشل في إضافة التذكير*\n` +
+      `حدث خطأ تقني أثناء إضافة التذكير\\.\n` +
+      `حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel.replace(/@/g, '\\@')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+
   } catch (error) {
-    console.error('خطأ في أمر /addreminder:', error);
+    console.error('خطأ في إضافة التذكير:', error);
     await ctx.reply(
       `❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel.replace(/@/g, '\\@')}`,
       { parse_mode: 'MarkdownV2' }
     );
+    return false;
   }
 }
\ No newline at end of file
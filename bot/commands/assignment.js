@@ -1,5 +1,56 @@
-import { addAssignment, updateAssignment, deleteAssignment, getAssignment, submitAnswer } from '../utils/database.js';
+import { addAssignment, updateAssignment, deleteAssignment, getAssignment, submitAnswer, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
+import { MATCH_MODES, isMatchMode, validateExpectedAnswer } from '../utils/answerMatching.js';
+import { REVEAL_POLICIES, LATE_POLICIES, SCORING_RULES, SCORING_RULE_NAMES } from '../utils/assignmentPolicy.js';
+import { scheduleAnswerReveal, cancelAnswerReveal } from '../utils/answerReveal.js';
+import { addAssignmentReminder, removeAssignmentReminder } from '../utils/reminders.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { sendCodeSubmission } from './codeassignment.js';
+
+const ASSIGNMENT_ID_ARG = { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 };
+
+export const ADD_ASSIGNMENT_ARGS = {
+  command: 'addassignment',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, min: 3, max: 100 },
+    { name: 'question', label: { ar: 'السؤال', en: 'question' }, min: 10, max: 500 },
+    { name: 'correctAnswer', label: { ar: 'الإجابة_الصحيحة', en: 'correct_answer' }, min: 2, max: 200 },
+    { name: 'deadline', label: { ar: 'الموعد_النهائي', en: 'deadline' }, type: 'date' },
+    { name: 'matchMode', label: { ar: 'طريقة_التصحيح', en: 'match_mode' }, type: 'enum', values: Object.keys(MATCH_MODES), required: false, default: 'exact' }
+  ],
+  examples: ['/addassignment 1 "اختبار الوحدة الأولى" "ما هو تعريف البرمجة؟" "البرمجة هي عملية كتابة التعليمات" 2024-01-20']
+};
+
+const ASSIGNMENT_FIELDS = [
+  'title', 'question', 'correct_answer', 'deadline', 'match_mode', 'match_tolerance',
+  'grading', 'max_score', 'reveal_policy', 'allow_resubmit', 'late_policy', 'late_penalty', 'grace_hours',
+  'max_attempts', 'scoring_rule'
+];
+
+const UPDATE_ASSIGNMENT_ARGS = {
+  command: 'updateassignment',
+  args: [
+    ASSIGNMENT_ID_ARG,
+    { name: 'field', label: { ar: 'الحقل', en: 'field' }, type: 'enum', values: ASSIGNMENT_FIELDS },
+    { name: 'value', label: { ar: 'القيمة_الجديدة', en: 'new_value' }, type: 'text' }
+  ]
+};
+
+const DELETE_ASSIGNMENT_ARGS = {
+  command: 'deleteassignment',
+  args: [ASSIGNMENT_ID_ARG],
+  examples: ['/deleteassignment 1']
+};
+
+export const SUBMIT_ARGS = {
+  command: 'submit',
+  args: [
+    ASSIGNMENT_ID_ARG,
+    { name: 'answer', label: { ar: 'الإجابة', en: 'answer' }, type: 'text' }
+  ],
+  examples: ['/submit 1 البرمجة هي عملية كتابة التعليمات']
+};
 
 // Handle add assignment command (admin only)
 export async function handleAddAssignment(ctx) {
@@ -18,101 +69,66 @@ export async function handleAddAssignment(ctx) {
       return;
     }
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 6) {
-      await ctx.reply(
-        `📝 *كيفية إضافة واجب*\n` +
-        `الصيغة الصحيحة:\n` +
-        `\`/addassignment رقم_الكورس العنوان السؤال الإجابة_الصحيحة الموعد_النهائي\`\n` +
-        `مثال:\n` +
-        `\`/addassignment 1 "اختبار الوحدة الأولى" "ما هو تعريف البرمجة؟" "البرمجة هي عملية كتابة التعليمات" "2024-01-20"\``,
-        { parse_mode: 'Markdown' }
-      );
+    // Parse and validate command arguments (quoted titles, questions and answers may contain spaces)
+    const parsed = parseCommandArgs(messageText, ADD_ASSIGNMENT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'كيفية إضافة واجب'), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    const courseId = parseInt(args[1]);
-    const title = args[2];
-    const question = args[3];
-    const correctAnswer = args[4];
-    const deadline = args[5];
-
-    // Validate course ID
-    if (isNaN(courseId) || courseId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الكورس غير صحيح*\n` +
-        `يرجى إدخال رقم صحيح للكورس.`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
+    await createAssignment(ctx, parsed.values);
 
-    // Validate title length
-    if (!title || title.length < 3 || title.length > 100) {
-      await ctx.reply(
-        `❌ *عنوان الواجب غير صحيح*\n` +
-        `يجب أن يكون العنوان بين 3 و 100 حرف.\n` +
-        `العنوان الحالي: ${title?.length || 0} حرف`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
+  } catch (error) {
+    console.error('خطأ في أمر /addassignment:', error);
+    await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
+  }
+}
 
-    // Validate question length
-    if (!question || question.length < 10 || question.length > 500) {
-      await ctx.reply(
-        `❌ *سؤال الواجب غير صحيح*\n` +
-        `يجب أن يكون السؤال بين 10 و 500 حرف.\n` +
-        `السؤال الحالي: ${question?.length || 0} حرف`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
+// Deadlines before today are rejected, returns the error text or null
+export function getPastDeadlineError(deadline) {
+  const deadlineDate = new Date(deadline);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return deadlineDate < today
+    ? `يجب أن يكون الموعد النهائي في المستقبل.\n` +
+      `التاريخ المحدد: ${deadline}\n` +
+      `التاريخ الحالي: ${today.toISOString().split('T')[0]}`
+    : null;
+}
 
-    // Validate correct answer length
-    if (!correctAnswer || correctAnswer.length < 2 || correctAnswer.length > 200) {
+// Create an assignment from checked values and report it, shared by /addassignment and its wizard
+export async function createAssignment(ctx, { courseId, title, question, correctAnswer, deadline, matchMode }) {
+  try {
+    // Validate that deadline is in the future
+    const deadlineError = getPastDeadlineError(deadline);
+    if (deadlineError) {
       await ctx.reply(
-        `❌ *الإجابة الصحيحة غير صحيحة*\n` +
-        `يجب أن تكون الإجابة بين 2 و 200 حرف.\n` +
-        `الإجابة الحالية: ${correctAnswer?.length || 0} حرف`,
+        `❌ *الموعد النهائي في الماضي*\n` +
+        deadlineError,
         { parse_mode: 'Markdown' }
       );
-      return;
+      return false;
     }
 
-    // Validate deadline format (YYYY-MM-DD)
-    const deadlineRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!deadline || !deadlineRegex.test(deadline)) {
+    // Validate grading mode against the correct answer (regex syntax, numbers...)
+    const matchError = validateExpectedAnswer(matchMode, correctAnswer);
+    if (matchError) {
       await ctx.reply(
-        `❌ *تاريخ الموعد النهائي غير صحيح*\n` +
-        `يجب أن يكون التاريخ بصيغة: YYYY-MM-DD\n` +
-        `مثال: 2024-12-31`,
+        `❌ *طريقة التصحيح غير صالحة*\n` +
+        `${matchError}\n` +
+        `الطرق المتاحة: ${Object.keys(MATCH_MODES).join(', ')}`,
         { parse_mode: 'Markdown' }
       );
-      return;
-    }
-
-    // Validate that deadline is in the future
-    const deadlineDate = new Date(deadline);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (deadlineDate < today) {
-      await ctx.reply(
-        `❌ *الموعد النهائي في الماضي*\n` +
-        `يجب أن يكون الموعد النهائي في المستقبل.\n` +
-        `التاريخ المحدد: ${deadline}\n` +
-        `التاريخ الحالي: ${today.toISOString().split('T')[0]}`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
+      return false;
     }
 
     // Add assignment to database
-    const assignmentId = await addAssignment(courseId, title, question, correctAnswer, deadline);
+    const assignmentId = await addAssignment(courseId, title, question, correctAnswer, deadline, matchMode);
     
     if (assignmentId) {
+      await scheduleAnswerReveal(assignmentId);
+      addAssignmentReminder(await getAssignment(assignmentId));
       await ctx.reply(
         `✅ *تم إضافة الواجب بنجاح*\n` +
         `🆔 *رقم الواجب:* ${assignmentId}\n` +
@@ -120,20 +136,24 @@ export async function handleAddAssignment(ctx) {
         `📝 *العنوان:* ${title}\n` +
         `❓ *السؤال:* ${question}\n` +
         `✅ *الإجابة الصحيحة:* ${correctAnswer}\n` +
-        `📅 *الموعد النهائي:* ${deadline}`,
-        { parse_mode: 'Markdown' }
-      );
-    } else {
-      await ctx.reply(
-        `❌ *فشل في إضافة الواجب*\n` +
-        `حدث خطأ تقني، حاول مرة أخرى.`,
+        `📅 *الموعد النهائي:* ${deadline}\n` +
+        `⚖️ *طريقة التصحيح:* ${matchMode}`,
         { parse_mode: 'Markdown' }
       );
+      return true;
     }
 
+    await ctx.reply(
+      `❌ *فشل في إضافة الواجب*\n` +
+      `حدث خطأ تقني، حاول مرة أخرى.`,
+      { parse_mode: 'Markdown' }
+    );
+    return false;
+
   } catch (error) {
-    console.error('خطأ في أمر /addassignment:', error);
+    console.error('خطأ في إضافة الواجب:', error);
     await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
+    return false;
   }
 }
 
@@ -155,34 +175,36 @@ export async function handleUpdateAssignment(ctx) {
     }
 
     // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 4) {
+    const parsed = parseCommandArgs(messageText, UPDATE_ASSIGNMENT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `🔄 *كيفية تحديث واجب*\n` +
         `الصيغة الصحيحة:\n` +
         `\`/updateassignment رقم_الواجب الحقل القيمة_الجديدة\`\n` +
-        `الحقول المتاحة: title, question, correct_answer, deadline\n` +
+        `الحقول المتاحة: \`title, question, correct_answer, deadline, match_mode, match_tolerance, grading, max_score, reveal_policy, allow_resubmit, late_policy, late_penalty, grace_hours, max_attempts, scoring_rule\`\n` +
+        `طرق التصحيح: \`${Object.keys(MATCH_MODES).join(', ')}\`\n` +
+        `التصحيح اليدوي: \`grading manual\` مع \`max_score\` للدرجة القصوى\n` +
+        `إظهار الإجابة: \`${REVEAL_POLICIES.join(', ')}\`، إعادة الإرسال: \`allow_resubmit yes/no\`\n` +
+        `التأخير: \`${LATE_POLICIES.join(', ')}\` مع \`late_penalty\` (نسبة الخصم لكل يوم) أو \`grace_hours\` (ساعات السماح)\n` +
+        `المحاولات: \`max_attempts\` (0 بلا حد) مع \`scoring_rule\`: \`${SCORING_RULES.join(', ')}\`\n` +
         `مثال:\n` +
-        `\`/updateassignment 1 title "عنوان جديد"\``,
+        `\`/updateassignment 1 title "عنوان جديد"\`\n` +
+        `\`/updateassignment 1 match_mode normalized\`\n` +
+        `\`/updateassignment 1 grading manual\`\n` +
+        `\`/updateassignment 1 late_policy penalty\`\n` +
+        `\`/updateassignment 1 max_attempts 3\``,
         { parse_mode: 'Markdown' }
       );
       return;
     }
-
-    const assignmentId = parseInt(args[1]);
-    const field = args[2];
-    const newValue = args.slice(3).join(' ');
-
-    // Validate assignment ID
-    if (isNaN(assignmentId) || assignmentId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الواجب غير صحيح*\n` +
-        `يرجى إدخال رقم صحيح للواجب.`,
-        { parse_mode: 'Markdown' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const { assignmentId, field } = parsed.values;
+    let newValue = parsed.values.value;
+
     // Check if assignment exists
     const assignment = await getAssignment(assignmentId);
     if (!assignment) {
@@ -194,15 +216,142 @@ export async function handleUpdateAssignment(ctx) {
       return;
     }
 
+    // Validate grading settings so a bad pattern or number does not fail every submission
+    if (field === 'match_mode' && !isMatchMode(newValue)) {
+      await ctx.reply(
+        `❌ *طريقة التصحيح غير معروفة*\n` +
+        `الطرق المتاحة: ${Object.keys(MATCH_MODES).join(', ')}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'match_tolerance' && (newValue === '' || isNaN(Number(newValue)) || Number(newValue) < 0)) {
+      await ctx.reply(
+        `❌ *هامش الخطأ غير صحيح*\n` +
+        `يجب أن يكون رقماً موجباً، مثال: 0.5`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'grading' && !['auto', 'manual'].includes(newValue)) {
+      await ctx.reply(
+        `❌ *نوع التصحيح غير معروف*\n` +
+        `القيم المتاحة: auto, manual`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'max_score' && !(Number.isInteger(Number(newValue)) && Number(newValue) > 0)) {
+      await ctx.reply(
+        `❌ *الدرجة القصوى غير صحيحة*\n` +
+        `يجب أن تكون عدداً صحيحاً أكبر من صفر، مثال: 10`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'reveal_policy' && !REVEAL_POLICIES.includes(newValue)) {
+      await ctx.reply(
+        `❌ *سياسة إظهار الإجابة غير معروفة*\n` +
+        `القيم المتاحة: ${REVEAL_POLICIES.join(', ')}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'allow_resubmit') {
+      const resubmitValues = { yes: '1', no: '0', 1: '1', 0: '0' };
+      if (!resubmitValues[newValue]) {
+        await ctx.reply(
+          `❌ *قيمة غير صحيحة*\n` +
+          `القيم المتاحة: yes, no`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      newValue = resubmitValues[newValue];
+    }
+
+    if (field === 'late_policy' && !LATE_POLICIES.includes(newValue)) {
+      await ctx.reply(
+        `❌ *سياسة التأخير غير معروفة*\n` +
+        `القيم المتاحة: ${LATE_POLICIES.join(', ')}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'late_penalty' && !(Number(newValue) > 0 && Number(newValue) <= 100)) {
+      await ctx.reply(
+        `❌ *نسبة الخصم غير صحيحة*\n` +
+        `يجب أن تكون نسبة مئوية لكل يوم تأخير بين 0 و 100، مثال: 10`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'grace_hours' && !(Number.isInteger(Number(newValue)) && Number(newValue) > 0)) {
+      await ctx.reply(
+        `❌ *ساعات السماح غير صحيحة*\n` +
+        `يجب أن تكون عدداً صحيحاً أكبر من صفر، مثال: 24`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'max_attempts' && !(Number.isInteger(Number(newValue)) && Number(newValue) >= 0 && newValue !== '')) {
+      await ctx.reply(
+        `❌ *عدد المحاولات غير صحيح*\n` +
+        `يجب أن يكون عدداً صحيحاً، أو 0 لعدد غير محدود، مثال: 3`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (field === 'scoring_rule' && !SCORING_RULES.includes(newValue)) {
+      await ctx.reply(
+        `❌ *طريقة احتساب الدرجة غير معروفة*\n` +
+        `القيم المتاحة: ${SCORING_RULES.join(', ')}`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Quizzes have no assignment-level answer, their short answers are checked in /addquestion
+    if (field === 'correct_answer' || (field === 'match_mode' && assignment.correct_answer)) {
+      const matchMode = field === 'match_mode' ? newValue : assignment.match_mode || 'exact';
+      const correctAnswer = field === 'correct_answer' ? newValue : assignment.correct_answer;
+      const matchError = validateExpectedAnswer(matchMode, correctAnswer);
+      if (matchError) {
+        await ctx.reply(
+          `❌ *الإجابة الصحيحة لا تناسب طريقة التصحيح (${matchMode})*\n` +
+          `${matchError}`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+    }
+
     // Update assignment
     const updateSuccess = await updateAssignment(assignmentId, field, newValue);
     
     if (updateSuccess) {
+      // A new deadline or policy moves (or cancels) the release of the answers
+      if (['deadline', 'reveal_policy', 'late_policy', 'late_penalty', 'grace_hours'].includes(field)) {
+        await scheduleAnswerReveal(assignmentId);
+      }
+      if (field === 'deadline') {
+        addAssignmentReminder(await getAssignment(assignmentId));
+      }
+
       await ctx.reply(
         `✅ *تم تحديث الواجب بنجاح*\n` +
         `🆔 *رقم الواجب:* ${assignmentId}\n` +
-        `🔄 *الحقل المحدث:* ${field}\n` +
-        `📝 *القيمة الجديدة:* ${newValue}`,
+        `🔄 *الحقل المحدث:* \`${field}\`\n` +
+        `📝 *القيمة الجديدة:* \`${newValue.replace(/`/g, "'")}\``,
         { parse_mode: 'Markdown' }
       );
     } else {
@@ -237,28 +386,13 @@ export async function handleDeleteAssignment(ctx) {
     }
 
     // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 2) {
-      await ctx.reply(
-        `🗑️ *كيفية حذف واجب*\n` +
-        `الصيغة الصحيحة: \`/deleteassignment رقم_الواجب\`\n` +
-        `مثال: \`/deleteassignment 1\``,
-        { parse_mode: 'Markdown' }
-      );
+    const parsed = parseCommandArgs(messageText, DELETE_ASSIGNMENT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'كيفية حذف واجب'), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    const assignmentId = parseInt(args[1]);
-
-    // Validate assignment ID
-    if (isNaN(assignmentId) || assignmentId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الواجب غير صحيح*\n` +
-        `يرجى إدخال رقم صحيح للواجب.`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
+    const { assignmentId } = parsed.values;
 
     // Check if assignment exists
     const assignment = await getAssignment(assignmentId);
@@ -273,6 +407,10 @@ export async function handleDeleteAssignment(ctx) {
 
     // Delete assignment
     const deleteResult = await deleteAssignment(assignmentId);
+    if (deleteResult.success) {
+      cancelAnswerReveal(assignmentId);
+      removeAssignmentReminder(assignmentId);
+    }
     
     if (deleteResult.success) {
       await ctx.reply(
@@ -301,54 +439,91 @@ export async function handleSubmit(ctx) {
     const userId = ctx.from.id;
     const messageText = ctx.message.text;
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 3) {
-      await ctx.reply(
-        `📋 *كيفية إرسال إجابة واجب*\n` +
-        `الصيغة الصحيحة: \`/submit رقم_الواجب الإجابة\`\n` +
-        `مثال: \`/submit 1 البرمجة هي عملية كتابة التعليمات\``,
-        { parse_mode: 'Markdown' }
-      );
+    // Parse command arguments, the answer is the rest of the message as typed
+    const parsed = parseCommandArgs(messageText, SUBMIT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'كيفية إرسال إجابة واجب'), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    const assignmentId = parseInt(args[1]);
-    const answer = args.slice(2).join(' ');
-
-    // Validate assignment ID
-    if (isNaN(assignmentId) || assignmentId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الواجب غير صحيح*\n` +
-        `يرجى إدخال رقم صحيح للواجب.`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
-
-    // Submit answer
-    const result = await submitAnswer(userId, assignmentId, answer);
-    
-    if (result.success) {
-      await ctx.reply(
-        `📝 *تم إرسال إجابتك بنجاح*\n` +
-        `${result.message}\n` +
-        `✅ *الإجابة الصحيحة:* ${result.correctAnswer}\n` +
-        `📊 *نقاطك:* ${result.score}/1\n` +
-        `شكراً لك على المشاركة! 🎉`,
-        { parse_mode: 'Markdown' }
-      );
-    } else {
-      await ctx.reply(
-        `❌ *فشل في إرسال الإجابة*\n` +
-        `${result.message}\n` +
-        `تأكد من رقم الواجب أو تواصل مع ${config.admin.supportChannel}`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+    await sendSubmission(ctx, parsed.values);
 
   } catch (error) {
     console.error('خطأ في أمر /submit:', error);
     await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Submit the user's answer and reply with the result, shared by /submit and its wizard
+ * @param {Object} ctx - Telegraf context
+ * @param {{assignmentId: number, answer: string}} values - Checked arguments
+ * @returns {Promise<boolean>} - True if the answer was accepted
+ */
+export async function sendSubmission(ctx, { assignmentId, answer }) {
+  // Code is run against the assignment's tests before anything is recorded
+  const assignment = await getAssignment(assignmentId);
+  if (assignment?.assignment_type === 'code') {
+    return sendCodeSubmission(ctx, assignment, answer);
+  }
+
+  const result = await submitAnswer(ctx.from.id, assignmentId, answer);
+
+  const attemptsLeft = result.maxAttempts ? result.maxAttempts - result.attemptNumber : null;
+  const resubmitNote = result.canResubmit
+    ? `✏️ يمكنك تعديل إجابتك بإرسالها من جديد قبل الموعد النهائي` +
+      (attemptsLeft !== null ? ` (متبقي ${attemptsLeft} من ${result.maxAttempts} محاولات).\n` : `.\n`)
+    : '';
+  const recordedNote = result.attemptNumber > 1 && result.recordedScore !== undefined && result.recordedScore !== result.score
+    ? `📈 *الدرجة المعتمدة:* ${result.recordedScore}/${result.maxScore} (${SCORING_RULE_NAMES[result.scoringRule] || SCORING_RULE_NAMES.last})\n`
+    : '';
+  const lateNote = result.late
+    ? `⏰ إجابة متأخرة ${result.late.daysLate} يوم` +
+      (result.late.penaltyPercent > 0 ? ` (خصم ${result.late.penaltyPercent}% من الدرجة)` : '') + `.\n`
+    : '';
+
+  if (result.success && result.pending) {
+    await ctx.reply(
+      `📝 *تم إرسال إجابتك بنجاح*\n` +
+      `${result.message}\n` +
+      lateNote +
+      `📊 *الدرجة القصوى:* ${result.maxScore}\n` +
+      resubmitNote +
+      `شكراً لك على المشاركة! 🎉`,
+      { parse_mode: 'Markdown' }
+    );
+  } else if (result.success && result.hidden) {
+    await ctx.reply(
+      `📝 *تم إرسال إجابتك بنجاح*\n` +
+      `${result.message}\n` +
+      lateNote +
+      (result.revealPolicy === 'never'
+        ? `📊 ستصلك نتيجتك بعد انتهاء الموعد النهائي.\n`
+        : `🔒 ستصلك نتيجتك والإجابة الصحيحة بعد انتهاء الموعد النهائي.\n`) +
+      resubmitNote +
+      `شكراً لك على المشاركة! 🎉`,
+      { parse_mode: 'Markdown' }
+    );
+  } else if (result.success) {
+    await ctx.reply(
+      `📝 *تم إرسال إجابتك بنجاح*\n` +
+      `${result.message}\n` +
+      lateNote +
+      (result.correctAnswer !== null ? `✅ *الإجابة الصحيحة:* ${result.correctAnswer}\n` : '') +
+      `📊 *نقاطك:* ${result.score}/${result.maxScore}\n` +
+      recordedNote +
+      resubmitNote +
+      `شكراً لك على المشاركة! 🎉`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    await ctx.reply(
+      `❌ *فشل في إرسال الإجابة*\n` +
+      `${result.message}\n` +
+      `تأكد من رقم الواجب أو تواصل مع ${config.admin.supportChannel}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  return result.success;
+}
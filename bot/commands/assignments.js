@@ -1,55 +1,230 @@
-import { getAssignments } from '../utils/database.js';
+// bot/commands/assignments.js
+import { Markup } from 'telegraf';
+import {
+  getStudentAssignments,
+  getAssignment,
+  getSubmission,
+  getCourse,
+  getQuizQuestionCount,
+  getUserLanguage
+} from '../utils/database.js';
 import { config } from '../../config.js';
-import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import {
+  DASHBOARD_STATUS_NAMES,
+  DASHBOARD_STATUSES,
+  buildDashboard,
+  paginate,
+  formatTimeLeft
+} from '../utils/assignmentDashboard.js';
+import { getSubmissionBlocker } from '../utils/assignmentPolicy.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { startWizard } from './wizard.js';
+import { openQuiz } from './quiz.js';
 
+const ASSIGNMENTS_ARGS = {
+  command: 'assignments',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1, required: false, pattern: /^\d+$/ },
+    { name: 'status', label: { ar: 'الحالة', en: 'status' }, type: 'enum', values: DASHBOARD_STATUSES, required: false }
+  ],
+  examples: ['/assignments', '/assignments 2', '/assignments pending', '/assignments 2 overdue']
+};
+
+const STATUS_ICONS = {
+  pending: '🟡',
+  overdue: '🔴',
+  submitted: '📥',
+  graded: '✅'
+};
+
+// Keep button labels short enough to read on a phone
+const MAX_BUTTON_TITLE = 30;
+
+function formatStatusLine(entry) {
+  const { assignment, submission, status, deadline } = entry;
+  if (status === 'graded') {
+    return `📊 الدرجة: ${submission.score}/${submission.max_score}`;
+  }
+  if (status === 'submitted') {
+    return submission.status === 'pending'
+      ? '📥 أُرسلت، بانتظار التصحيح'
+      : '📥 أُرسلت، تظهر الدرجة بعد الموعد النهائي';
+  }
+  if (status === 'overdue') {
+    return entry.blocker ? '⏰ انتهى الموعد دون إرسال' : '⏰ انتهى الموعد، ما زال الإرسال المتأخر متاحاً';
+  }
+  const timeLeft = deadline ? formatTimeLeft(deadline) : null;
+  return timeLeft ? `⏳ المتبقي: ${timeLeft}` : `⏳ ${assignment.question_count > 0 ? 'لم تبدأ بعد' : 'لم تُرسل بعد'}`;
+}
+
+function formatEntry(entry) {
+  const { assignment } = entry;
+  const deadline = assignment.deadline || assignment.due_date;
+  return `${STATUS_ICONS[entry.status]} ${bold(assignment.title)} \\(${assignment.assignment_id}\\)\n` +
+    `   📚 ${escapeMarkdownV2(assignment.course_name || `كورس ${assignment.course_id}`)}` +
+    (assignment.question_count > 0 ? ` · 🧩 ${escapeMarkdownV2(`اختبار من ${assignment.question_count} أسئلة`)}` : '') +
+    (assignment.assignment_type === 'code' ? ` · 💻 ${escapeMarkdownV2('تمرين برمجي')}` : '') + '\n' +
+    (deadline ? `   📅 ${escapeMarkdownV2(`الموعد النهائي: ${deadline}`)}\n` : '') +
+    `   ${escapeMarkdownV2(formatStatusLine(entry))}`;
+}
+
+function shorten(text) {
+  return text.length > MAX_BUTTON_TITLE ? `${text.slice(0, MAX_BUTTON_TITLE)}…` : text;
+}
+
+/**
+ * Build one page of a student's assignments
+ * @param {number} userId - The student
+ * @param {{courseId: number|null, status: string|null}} filter - Course and status to show
+ * @param {number} page - Zero-based page
+ * @returns {Promise<{message: string, keyboard: Object}>} - Message text, Submit, filter and paging buttons
+ */
+async function buildDashboardPage(userId, filter, page) {
+  const data = await getStudentAssignments(userId);
+  const { entries, counts } = buildDashboard(data, filter, new Date(), config.schedule.defaultTimezone);
+  const current = paginate(entries, page);
+
+  const course = filter.courseId ? await getCourse(filter.courseId) : null;
+  let message = `📝 ${bold('واجباتي')}`;
+  if (filter.courseId) {
+    message += ` \\- ${escapeMarkdownV2(course?.name || `كورس ${filter.courseId}`)}`;
+  }
+  if (filter.status) {
+    message += ` \\- ${escapeMarkdownV2(DASHBOARD_STATUS_NAMES[filter.status])}`;
+  }
+  message += `\n━━━━━━━━━━━━━━━━━━━━\n`;
+  message += DASHBOARD_STATUSES
+    .map(status => `${STATUS_ICONS[status]} ${escapeMarkdownV2(`${DASHBOARD_STATUS_NAMES[status]}: ${counts[status]}`)}`)
+    .join(' \\| ') + '\n\n';
+
+  if (entries.length === 0) {
+    message += filter.status || filter.courseId
+      ? escapeMarkdownV2('لا توجد واجبات تطابق هذا الاختيار.')
+      : escapeMarkdownV2('لا توجد واجبات حالياً.');
+  } else {
+    message += current.items.map(formatEntry).join('\n\n');
+    if (current.pageCount > 1) {
+      message += `\n\n📄 ${escapeMarkdownV2(`صفحة ${current.page + 1} من ${current.pageCount}`)}`;
+    }
+  }
+  message += `\n\n💡 ${escapeMarkdownV2('للتصفية:')} ${code('/assignments [رقم_الكورس] [الحالة]')}`;
+
+  const courseFilter = filter.courseId || 0;
+  const rows = current.items
+    .filter(entry => !entry.blocker)
+    .map(entry => {
+      const { assignment } = entry;
+      let label = `📤 إرسال: ${shorten(assignment.title)}`;
+      if (assignment.question_count > 0) {
+        label = `🧩 حل: ${shorten(assignment.title)}`;
+      } else if (entry.submission) {
+        label = `✏️ تعديل: ${shorten(assignment.title)}`;
+      }
+      return [Markup.button.callback(label, `assignments_submit:${assignment.assignment_id}`)];
+    });
+
+  // Status filters on two rows: the chosen one is marked, "all" clears it
+  const statusButtons = ['all', ...DASHBOARD_STATUSES].map(status => {
+    const chosen = (filter.status || 'all') === status;
+    const label = status === 'all' ? 'الكل' : DASHBOARD_STATUS_NAMES[status];
+    return Markup.button.callback(`${chosen ? '• ' : ''}${label}`, `assignments:0:${courseFilter}:${status}`);
+  });
+  rows.push(statusButtons.slice(0, 3), statusButtons.slice(3));
+
+  const paging = [];
+  if (current.page > 0) {
+    paging.push(Markup.button.callback('◀️ السابق', `assignments:${current.page - 1}:${courseFilter}:${filter.status || 'all'}`));
+  }
+  if (current.page < current.pageCount - 1) {
+    paging.push(Markup.button.callback('التالي ▶️', `assignments:${current.page + 1}:${courseFilter}:${filter.status || 'all'}`));
+  }
+  if (paging.length > 0) rows.push(paging);
+
+  return { message, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+async function replyWithError(ctx, error) {
+  console.error('خطأ في أمر /assignments:', error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// Handle assignments command: the user's assignments with their status, optionally one course and/or status
 export async function handleAssignments(ctx) {
   try {
-    const result = await getAssignments();
-    if (!result.success || !result.data || result.data.length === 0) {
-      await ctx.reply(
-        `📝 *${escapeMarkdownV2('قائمة الواجبات')}*\n━━━━━━━━━━━━━━━━━━━━\n${escapeMarkdownV2('لا توجد واجبات حالياً.')}\n💡 ${escapeMarkdownV2('للمساعدة:')} ${escapeMarkdownV2(config.admin.supportChannel)}`,
-        { parse_mode: 'MarkdownV2' }
-      );
+    const userId = ctx.from.id;
+    // Also opened from the main menu button, which has no message text
+    const parsed = parseCommandArgs(ctx.message?.text || '/assignments', ASSIGNMENTS_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok && !parsed.empty) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
-    const assignments = result.data;
-    const now = new Date();
-    let active = [], past = [];
-    assignments.forEach(assignment => {
-      const deadline = new Date(assignment.deadline || assignment.due_date);
-      const formattedDeadline = deadline.toLocaleDateString('ar-SA') + ' - ' + deadline.toLocaleTimeString('ar-SA', { hour: '2-digit', minute: '2-digit' });
-      const daysLeft = Math.ceil((deadline - now) / (1000 * 60 * 60 * 24));
-      const status = deadline > now ? `⏳ ${escapeMarkdownV2('المتبقي:')} ${daysLeft} ${escapeMarkdownV2('أيام')}` : '⏰ ' + escapeMarkdownV2('انتهى');
-      const item = `*🆔 ${escapeMarkdownV2('الواجب رقم')} ${assignment.assignment_id}*\n` +
-        `📋 ${escapeMarkdownV2('العنوان:')} ${escapeMarkdownV2(assignment.title)}\n` +
-        `❓ ${escapeMarkdownV2('السؤال:')} ${escapeMarkdownV2(assignment.question)}\n` +
-        `⏰ ${escapeMarkdownV2('الموعد النهائي:')} ${escapeMarkdownV2(formattedDeadline)}\n` +
-        `${status}\n` +
-        `✅ ${escapeMarkdownV2('للإجابة:')} /submit ${assignment.assignment_id} إجابتك`;
-      if (deadline > now) active.push(item);
-      else past.push(item);
-    });
-    let message = `📝 *${escapeMarkdownV2('قائمة الواجبات المتاحة')}*\n━━━━━━━━━━━━━━━━━━━━`;
-    if (active.length > 0) {
-      message += `\n🟢 *${escapeMarkdownV2('الواجبات النشطة:')}*\n${active.join('\n')}\n`;
+
+    const filter = {
+      courseId: parsed.values?.courseId ?? null,
+      status: parsed.values?.status ?? null
+    };
+    const { message, keyboard } = await buildDashboardPage(userId, filter, 0);
+    await ctx.reply(message, { parse_mode: 'MarkdownV2', disable_web_page_preview: true, ...keyboard });
+
+  } catch (error) {
+    await replyWithError(ctx, error);
+  }
+}
+
+// Handle the filter and paging buttons (callback data assignments:<page>:<course_id or 0>:<status or all>)
+export async function handleAssignmentsPage(ctx) {
+  try {
+    const filter = {
+      courseId: parseInt(ctx.match[2]) || null,
+      status: DASHBOARD_STATUSES.includes(ctx.match[3]) ? ctx.match[3] : null
+    };
+    const { message, keyboard } = await buildDashboardPage(ctx.from.id, filter, parseInt(ctx.match[1]));
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(message, { parse_mode: 'MarkdownV2', disable_web_page_preview: true, ...keyboard });
+  } catch (error) {
+    console.error('خطأ في التنقل في قائمة الواجبات:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
+
+// Handle the Submit buttons (callback data assignments_submit:<assignment_id>): quizzes start, others ask for the answer
+export async function handleAssignmentSubmitButton(ctx) {
+  try {
+    const assignmentId = parseInt(ctx.match[1]);
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await ctx.answerCbQuery('⚠️ هذا الواجب لم يعد موجوداً');
+      return;
+    }
+
+    if (await getQuizQuestionCount(assignmentId) > 0) {
+      await ctx.answerCbQuery();
+      await openQuiz(ctx, assignmentId);
+      return;
     }
-    if (past.length > 0) {
-      message += `\n🔴 *${escapeMarkdownV2('الواجبات المنتهية:')}*\n${past.join('\n')}\n`;
+
+    // The dashboard may be older than the last submission or the deadline
+    const blocker = getSubmissionBlocker(
+      assignment,
+      await getSubmission(ctx.from.id, assignmentId),
+      new Date(),
+      config.schedule.defaultTimezone
+    );
+    if (blocker) {
+      await ctx.answerCbQuery(`🔒 ${blocker}`, { show_alert: true });
+      return;
     }
-    message += `━━━━━━━━━━━━━━━━━━━━\n`;
-    message += `📊 ${escapeMarkdownV2('إجمالي الواجبات:')} ${assignments.length}\n`;
-    message += `🟢 ${escapeMarkdownV2('النشطة:')} ${active.length}\n`;
-    message += `🔴 ${escapeMarkdownV2('المنتهية:')} ${past.length}\n`;
-    message += `💡 ${escapeMarkdownV2('للمساعدة:')} ${escapeMarkdownV2(config.admin.supportChannel)}`;
-    await ctx.reply(message, {
-      parse_mode: 'MarkdownV2',
-      disable_web_page_preview: true
-    });
+
+    await ctx.answerCbQuery();
+    await startWizard(ctx, 'submit', { assignmentId });
   } catch (error) {
-    try {
-      const fs = await import('fs');
-      fs.appendFileSync('./data/error.log', `[ASSIGNMENTS] ${new Date().toISOString()}\n${error.stack || error}\n`);
-    } catch (e) {}
-    await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`, { parse_mode: 'MarkdownV2' });
+    console.error('خطأ في زر إرسال الواجب:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
   }
 }
@@ -1,74 +1,110 @@
-import { addAttendance, getLesson } from '../utils/database.js';
+import { addAttendance, getLesson, getAttendanceRecord, getOpenCheckinWindowByCode, getUserLanguage } from '../utils/database.js';
+import { getCheckinStatus, normalizeCheckinCode } from '../utils/checkinWindow.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
 
+const ATTENDANCE_ARGS = {
+  command: 'attendance',
+  args: [{ name: 'code', label: { ar: 'كود_الحضور', en: 'checkin_code' }, type: 'text' }],
+  examples: ['/attendance K7M2QX']
+};
+
 export async function handleAttendance(ctx) {
   try {
-    const userId = ctx.from.id;
-    const messageText = ctx.message.text;
-
-    // Extract lesson ID from command
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, ATTENDANCE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `📋 *كيفية تسجيل الحضور*\n` +
-        `الصيغة الصحيحة: \`/attendance رقم_الدرس\`\n` +
-        `مثال: \`/attendance 1\`\n` +
-        `💡 يمكنك الحصول على أرقام الدروس من المدرب أو من الإعلانات.`,
+        `الصيغة الصحيحة: \`/attendance كود_الحضور\`\n` +
+        `مثال: \`/attendance K7M2QX\`\n` +
+        `💡 يعلن المدرب الكود أو رابط الحضور أثناء الدرس، ويُقبل التسجيل خلال مدة محددة فقط.`,
         { parse_mode: 'Markdown' }
       );
       return;
     }
 
-    const lessonIdInput = args[1];
-    const lessonId = parseInt(lessonIdInput);
-
-    // Validate lesson ID
-    if (isNaN(lessonId) || lessonId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الدرس غير صحيح*\n` +
-        `يرجى إدخال رقم صحيح للدرس.\n` +
-        `مثال: \`/attendance 1\``,
-        { parse_mode: 'Markdown' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    // Check if lesson exists
-    const lesson = await getLesson(lessonId);
-    if (!lesson) {
-      await ctx.reply(
-        `❌ *الدرس غير موجود*\n` +
-        `لم يتم العثور على درس برقم ${lessonId}.\n` +
-        `تأكد من رقم الدرس أو تواصل مع ${config.admin.supportChannel}`,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
-
-    // Mark attendance
-    const attendanceSuccess = await addAttendance(userId, lessonId);
-    
-    if (attendanceSuccess) {
-      await ctx.reply(
-        `✅ *تم تسجيل حضورك بنجاح!*\n` +
-        `📚 *الدرس:* ${lesson.title}\n` +
-        `📅 *التاريخ:* ${lesson.date}\n` +
-        `⏰ *الوقت:* ${lesson.time}\n` +
-        `🎉 شكراً لك على الحضور والمتابعة!\n` +
-        `استخدم /profile لعرض إجمالي حضورك.`,
-        { parse_mode: 'Markdown' }
-      );
-    } else {
-      await ctx.reply(
-        `❌ *فشل في تسجيل الحضور*\n` +
-        `حدث خطأ تقني، حاول مرة أخرى.\n` +
-        `إذا استمر الخطأ، تواصل مع ${config.admin.supportChannel}`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+    await recordCheckin(ctx, parsed.values.code);
 
   } catch (error) {
     console.error('خطأ في أمر /attendance:', error);
     await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
   }
-}
\ No newline at end of file
+}
+
+// Record a check-in from a code (shared with the /start deep link)
+export async function recordCheckin(ctx, rawCode) {
+  const userId = ctx.from.id;
+  const checkinCode = normalizeCheckinCode(rawCode);
+
+  const window = checkinCode ? await getOpenCheckinWindowByCode(checkinCode) : null;
+  const status = window ? getCheckinStatus(window) : null;
+  if (!status) {
+    await ctx.reply(
+      `❌ *كود الحضور غير صالح أو انتهت مدته*\n` +
+      `تأكد من الكود الذي أعلنه المدرب.\n` +
+      `يُقبل تسجيل الحضور فقط أثناء فترة التسجيل المفتوحة.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  const lessonId = window.lesson_id;
+  const lesson = await getLesson(lessonId);
+  if (!lesson) {
+    await ctx.reply(
+      `❌ *الدرس غير موجود*\n` +
+      `تواصل مع ${config.admin.supportChannel}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  if (lesson.status === 'cancelled') {
+    await ctx.reply(
+      `🚫 *هذا الدرس ملغى*\n` +
+      `لا يمكن تسجيل الحضور في درس ملغى.\n` +
+      `استخدم /courses لعرض المواعيد المحدثة.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  // A second check-in must not turn an on-time record into a late one
+  const existing = await getAttendanceRecord(userId, lessonId);
+  if (existing && existing.status !== 'absent') {
+    await ctx.reply(
+      `ℹ️ *حضورك مسجل بالفعل*\n` +
+      `📚 *الدرس:* ${lesson.title}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  // Mark attendance
+  const attendanceSuccess = await addAttendance(userId, lessonId, status);
+
+  if (attendanceSuccess) {
+    await ctx.reply(
+      `✅ *تم تسجيل حضورك بنجاح!*\n` +
+      `📚 *الدرس:* ${lesson.title}\n` +
+      `📅 *التاريخ:* ${lesson.date}\n` +
+      `⏰ *الوقت:* ${lesson.time}\n` +
+      (status === 'late' ? `⚠️ *الحالة:* متأخر\n` : `🟢 *الحالة:* في الوقت\n`) +
+      `🎉 شكراً لك على الحضور والمتابعة!\n` +
+      `استخدم /profile لعرض إجمالي حضورك.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    await ctx.reply(
+      `❌ *فشل في تسجيل الحضور*\n` +
+      `حدث خطأ تقني، حاول مرة أخرى.\n` +
+      `إذا استمر الخطأ، تواصل مع ${config.admin.supportChannel}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
@@ -1,8 +1,17 @@
 // bot/commands/broadcast.js
-import { getAllVerifiedUsers } from '../utils/database.js';
+import { getAllVerifiedUsers, getUserLanguage } from '../utils/database.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
 
+const BROADCAST_ARGS = {
+  command: 'broadcast',
+  args: [
+    { name: 'target', label: { ar: 'الجهة', en: 'target' }, type: 'enum', values: ['group', 'users'] },
+    { name: 'message', label: { ar: 'الرسالة', en: 'message' }, type: 'text' }
+  ]
+};
+
 export async function handleBroadcast(ctx) {
   try {
     const userId = ctx.from.id;
@@ -19,9 +28,9 @@ export async function handleBroadcast(ctx) {
       return;
     }
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 3) {
+    // Parse command arguments, the message keeps its line breaks and spacing
+    const parsed = parseCommandArgs(messageText, BROADCAST_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `📢 ${bold('كيفية استخدام البث')}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -38,27 +47,12 @@ export async function handleBroadcast(ctx) {
       return;
     }
 
-    const target = args[1].toLowerCase();
-    const message = args.slice(2).join(' ');
-
-    if (!['group', 'users'].includes(target)) {
-      await ctx.reply(
-        `❌ ${bold('خيار غير صحيح')}\n\n` +
-        `الخيارات المتاحة: ${code('group')} أو ${code('users')}\n\n` +
-        `استخدم ${code('/broadcast')} بدون معاملات لمعرفة التفاصيل\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    if (message.trim().length === 0) {
-      await ctx.reply(
-        `❌ ${bold('الرسالة فارغة')}\n\n` +
-        `يرجى كتابة الرسالة المراد إرسالها\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
-      return;
-    }
+    const { target, message } = parsed.values;
 
     let successCount = 0;
     let failCount = 0;
@@ -0,0 +1,97 @@
+// bot/commands/calendar.js
+import { getLessons, getCalendarToken, regenerateCalendarToken, getUserLanguage } from '../utils/database.js';
+import { buildLessonsCalendar } from '../utils/calendar.js';
+import { getLessonStart } from '../utils/timezone.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+const CALENDAR_NAME = 'دروس معين المجتهدين';
+
+const CALENDAR_ARGS = {
+  command: 'calendar',
+  args: [{ name: 'action', label: { ar: 'reset', en: 'reset' }, type: 'enum', values: ['reset'], required: false, description: 'يجدد رابط الاشتراك' }],
+  examples: ['/calendar', '/calendar reset']
+};
+
+// Build the .ics content shared by /calendar and the subscribable feed
+export function buildScheduleCalendar(lessons) {
+  return buildLessonsCalendar(lessons, {
+    name: CALENDAR_NAME,
+    durationMinutes: config.calendar.lessonDurationMinutes,
+    defaultLink: config.zoom.fullLink,
+    defaultTimezone: config.schedule.defaultTimezone
+  });
+}
+
+export function getCalendarFeedUrl(token) {
+  return config.server.publicUrl ? `${config.server.publicUrl}/calendar/${token}.ics` : null;
+}
+
+// Handle calendar command: send upcoming lessons as an .ics file and the personal feed link
+export async function handleCalendar(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const parsed = parseCommandArgs(ctx.message.text, CALENDAR_ARGS, await getUserLanguage(userId) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const isReset = parsed.values.action === 'reset';
+
+    const token = isReset ? await regenerateCalendarToken(userId) : await getCalendarToken(userId);
+    const feedUrl = token ? getCalendarFeedUrl(token) : null;
+
+    if (isReset) {
+      await ctx.reply(
+        `🔄 ${bold('تم تجديد رابط التقويم')}\n\n` +
+        `⚠️ الرابط القديم لم يعد يعمل، أعد الاشتراك في تطبيق التقويم بالرابط الجديد\\.\n\n` +
+        (feedUrl ? `🔗 ${escapeMarkdownV2(feedUrl)}` : `📴 رابط الاشتراك غير مفعل على هذا الخادم\\.`),
+        { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+      );
+      return;
+    }
+
+    const lessonsResult = await getLessons();
+    const now = new Date();
+    const upcomingLessons = lessonsResult.data.filter(lesson =>
+      lesson.status !== 'cancelled' && getLessonStart(lesson, config.schedule.defaultTimezone) > now
+    );
+
+    if (upcomingLessons.length === 0) {
+      await ctx.reply(
+        `📅 ${bold('تقويم الدروس')}\n\n` +
+        `📭 لا توجد دروس قادمة لإضافتها إلى التقويم\\.` +
+        (feedUrl ? `\n\n🔗 ${bold('رابط الاشتراك:')}\n${escapeMarkdownV2(feedUrl)}` : ''),
+        { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+      );
+      return;
+    }
+
+    const buffer = Buffer.from(buildScheduleCalendar(upcomingLessons), 'utf8');
+
+    let caption = `📅 ${bold('تقويم الدروس القادمة')}\n\n` +
+      `📚 ${bold('عدد الدروس:')} ${upcomingLessons.length}\n` +
+      `📲 افتح الملف لإضافة الدروس إلى تقويم هاتفك\\.`;
+
+    if (feedUrl) {
+      caption += `\n\n🔗 ${bold('رابط الاشتراك:')}\n${escapeMarkdownV2(feedUrl)}\n` +
+        `💡 أضفه في تطبيق التقويم ليتحدث تلقائياً عند تغيير مواعيد الدروس\\.\n` +
+        `🔒 الرابط خاص بك، استخدم ${code('/calendar reset')} لتجديده\\.`;
+    }
+
+    await ctx.replyWithDocument(
+      { source: buffer, filename: 'lessons.ics' },
+      { caption, parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /calendar:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
@@ -0,0 +1,212 @@
+// bot/commands/checkin.js
+import {
+  getLesson,
+  openCheckinWindow,
+  getOpenCheckinWindowByCode,
+  getOpenCheckinWindowForLesson,
+  getUserLanguage
+} from '../utils/database.js';
+import { addCheckinCloseJob, closeCheckin, buildCheckinSummaryMessage } from '../utils/checkins.js';
+import { parseDurationMinutes, generateCheckinCode, CHECKIN_START_PREFIX } from '../utils/checkinWindow.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+// Retries before giving up on finding a code not used by another open window
+const MAX_CODE_ATTEMPTS = 5;
+
+const LESSON_ID_ARG = { name: 'lessonId', label: { ar: 'رقم_الدرس', en: 'lesson_id' }, type: 'int', min: 1 };
+
+const OPEN_CHECKIN_ARGS = {
+  command: 'opencheckin',
+  args: [
+    LESSON_ID_ARG,
+    { name: 'duration', label: { ar: 'المدة', en: 'duration' }, description: 'بالدقائق أو مثل 15m أو 1h' },
+    { name: 'lateAfter', label: { ar: 'التأخير', en: 'late_after' }, required: false, description: 'بعدها يُعتبر الطالب متأخراً' }
+  ],
+  examples: ['/opencheckin 12 15m 5m']
+};
+
+const CLOSE_CHECKIN_ARGS = {
+  command: 'closecheckin',
+  args: [LESSON_ID_ARG],
+  examples: ['/closecheckin 12']
+};
+
+// Handle open check-in command (admin only)
+export async function handleOpenCheckin(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, OPEN_CHECKIN_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🟢 ${bold('فتح تسجيل الحضور')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/opencheckin رقم_الدرس المدة [التأخير]')}\n` +
+        `⏱️ المدة بالدقائق أو بصيغة ${code('15m')} أو ${code('1h')}\n` +
+        `⏰ يُعتبر الطالب متأخراً بعد ${config.checkin.lateAfterMinutes} دقائق من الفتح ما لم تحدد التأخير\n\n` +
+        `💡 ${bold('مثال:')} ${code('/opencheckin 12 15m 5m')}\n\n` +
+        `🔒 عند انتهاء المدة يُسجل من لم يحضر كغائب تلقائياً\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId, duration, lateAfter } = parsed.values;
+    const durationMinutes = parseDurationMinutes(duration);
+    const lateAfterMinutes = lateAfter ? parseDurationMinutes(lateAfter) : config.checkin.lateAfterMinutes;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (lesson.status === 'cancelled') {
+      await ctx.reply(
+        `🚫 ${bold('هذا الدرس ملغى')}\n\n` +
+        `لا يمكن فتح تسجيل الحضور لدرس ملغى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!durationMinutes || lateAfterMinutes === null) {
+      await ctx.reply(
+        `❌ ${bold('مدة غير صحيحة')}\n\n` +
+        `استخدم عدد الدقائق أو صيغة مثل ${code('15m')} أو ${code('1h')}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const openWindow = await getOpenCheckinWindowForLesson(lessonId);
+    if (openWindow) {
+      await ctx.reply(
+        `⚠️ ${bold('تسجيل الحضور مفتوح بالفعل لهذا الدرس')}\n\n` +
+        `🔑 ${bold('الكود:')} ${code(openWindow.code)}\n` +
+        `💡 لإغلاقه استخدم ${code(`/closecheckin ${lessonId}`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    let checkinCode = null;
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS && !checkinCode; attempt++) {
+      const candidate = generateCheckinCode();
+      if (!(await getOpenCheckinWindowByCode(candidate))) {
+        checkinCode = candidate;
+      }
+    }
+
+    const openedAt = new Date();
+    const lateAt = new Date(openedAt.getTime() + Math.min(lateAfterMinutes, durationMinutes) * 60 * 1000);
+    const closesAt = new Date(openedAt.getTime() + durationMinutes * 60 * 1000);
+    const windowId = checkinCode
+      ? await openCheckinWindow(
+        lessonId,
+        checkinCode,
+        openedAt.toISOString(),
+        lateAt.toISOString(),
+        closesAt.toISOString(),
+        ctx.from.id
+      )
+      : null;
+
+    if (!windowId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في فتح تسجيل الحضور')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    addCheckinCloseJob({ window_id: windowId, closes_at: closesAt.toISOString() });
+
+    const botUsername = ctx.botInfo?.username;
+    const deepLink = botUsername ? `https://t.me/${botUsername}?start=${CHECKIN_START_PREFIX}${checkinCode}` : null;
+
+    await ctx.reply(
+      `🟢 ${bold('تم فتح تسجيل الحضور')}\n\n` +
+      `📚 ${bold('الدرس:')} ${escapeMarkdownV2(lesson.title)} \\(${lessonId}\\)\n` +
+      `🔑 ${bold('الكود:')} ${code(checkinCode)}\n` +
+      `⏱️ ${bold('المدة:')} ${durationMinutes} دقيقة\n` +
+      `⏰ ${bold('متأخر بعد:')} ${Math.min(lateAfterMinutes, durationMinutes)} دقيقة\n` +
+      (deepLink ? `🔗 ${bold('رابط الحضور:')} ${escapeMarkdownV2(deepLink)}\n` : '') +
+      `\n📋 يسجل الطلاب حضورهم بـ ${code(`/attendance ${checkinCode}`)}` +
+      (deepLink ? ` أو بفتح الرابط\\.` : '\\.'),
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /opencheckin:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle close check-in command (admin only), closes the window before its time
+export async function handleCloseCheckin(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, CLOSE_CHECKIN_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔒 ${bold('إغلاق تسجيل الحضور')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/closecheckin رقم_الدرس')}\n` +
+        `💡 ${bold('مثال:')} ${code('/closecheckin 12')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId } = parsed.values;
+    const openWindow = await getOpenCheckinWindowForLesson(lessonId);
+    if (!openWindow) {
+      await ctx.reply(
+        `⚠️ ${bold('لا يوجد تسجيل حضور مفتوح')}\n\n` +
+        `لا توجد نافذة حضور مفتوحة للدرس ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const result = await closeCheckin(openWindow.window_id, false);
+    if (!result.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إغلاق تسجيل الحضور')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const lesson = await getLesson(lessonId);
+    await ctx.reply(buildCheckinSummaryMessage(lesson, lessonId, result.summary), { parse_mode: 'MarkdownV2' });
+
+  } catch (error) {
+    console.error('خطأ في أمر /closecheckin:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
@@ -0,0 +1,489 @@
+// bot/commands/codeassignment.js
+import {
+  addCodeAssignment,
+  getAssignment,
+  getCourse,
+  getSubmission,
+  submitAnswer,
+  addCodeTest,
+  getCodeTests,
+  getCodeTest,
+  deleteCodeTest,
+  getUserLanguage
+} from '../utils/database.js';
+import {
+  SANDBOX_LIMITS,
+  TEST_STATUS_NAMES,
+  parseTestSpec,
+  checkTestSyntax,
+  scoreCodeResults,
+  runCodeTests
+} from '../utils/codeSandbox.js';
+import { getSubmissionBlocker, SCORING_RULE_NAMES } from '../utils/assignmentPolicy.js';
+import { scheduleAnswerReveal } from '../utils/answerReveal.js';
+import { addAssignmentReminder } from '../utils/reminders.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { config } from '../../config.js';
+
+const ASSIGNMENT_ID_ARG = { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 };
+
+const ADD_CODE_ARGS = {
+  command: 'addcode',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'deadline', label: { ar: 'الموعد_النهائي', en: 'deadline' }, type: 'date' },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, min: 3, max: 100 },
+    { name: 'task', label: { ar: 'المطلوب', en: 'task' }, type: 'text', min: 10, max: 2000 }
+  ],
+  examples: ['/addcode 1 2026-11-20 "مجموع عددين" اكتب دالة sum(a, b) ترجع مجموع العددين']
+};
+
+// The test is the rest of the message as typed, so strings in it keep their quotes and spaces
+const ADD_TEST_ARGS = {
+  command: 'addtest',
+  args: [
+    ASSIGNMENT_ID_ARG,
+    { name: 'spec', label: { ar: 'الاختبار', en: 'test' }, type: 'text', max: 1000 }
+  ],
+  examples: ['/addtest 7 sum(2, 3) => 5', '/addtest 7 points=2 sum(-1, 1) => 0']
+};
+
+const CODE_TESTS_ARGS = {
+  command: 'codetests',
+  args: [ASSIGNMENT_ID_ARG],
+  examples: ['/codetests 7']
+};
+
+const DELETE_TEST_ARGS = {
+  command: 'deletetest',
+  args: [{ name: 'testId', label: { ar: 'رقم_الاختبار', en: 'test_id' }, type: 'int', min: 1 }],
+  examples: ['/deletetest 3']
+};
+
+const SUBMIT_FILE_ARGS = {
+  command: 'submit',
+  args: [ASSIGNMENT_ID_ARG],
+  examples: ['/submit 7']
+};
+
+// Solutions sent as a file, well above the longest code that is run
+const MAX_CODE_FILE_BYTES = 64 * 1024;
+
+const RESULT_ICONS = {
+  passed: '✅',
+  failed: '❌',
+  error: '💥',
+  timeout: '⏱️',
+  memory: '🧠',
+  invalid_test: '⚠️'
+};
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+async function replyAssignmentNotFound(ctx, assignmentId) {
+  await ctx.reply(
+    `❌ ${bold('الواجب غير موجود')}\n\n` +
+    `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+async function replyNotCodeAssignment(ctx, assignmentId) {
+  await ctx.reply(
+    `❌ ${bold('هذا الواجب ليس تمريناً برمجياً')}\n\n` +
+    `أنشئ التمارين البرمجية بـ ${code('/addcode')}، ثم أضف اختباراتها إلى ${code(`/addtest ${assignmentId}`)}\\.`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// Tests, results and errors are code, which may hold backslashes that code() leaves as they are
+function inlineCode(text) {
+  return code(String(text).replace(/\\/g, '\\\\'));
+}
+
+// One line per test: the student sees how each hidden test went, not the test itself
+function formatTestResult(result, index) {
+  let line = `${RESULT_ICONS[result.status] || '❔'} ${escapeMarkdownV2(`الاختبار ${index + 1}: ${TEST_STATUS_NAMES[result.status] || result.status}`)}`;
+  if (result.status === 'failed') {
+    line += ` \\- ${escapeMarkdownV2('الناتج:')} ${inlineCode(result.actual)}`;
+  } else if (result.error) {
+    line += `\n   ${inlineCode(result.error)}`;
+  }
+  return line;
+}
+
+// Handle add code assignment command (admin only)
+export async function handleAddCode(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_CODE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إنشاء تمرين برمجي'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, deadline, title, task } = parsed.values;
+    const course = await getCourse(courseId);
+    if (!course) {
+      await ctx.reply(
+        `❌ ${bold('الكورس غير موجود')}\n\n` +
+        `لا يوجد كورس برقم ${courseId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (new Date(deadline) < today) {
+      await ctx.reply(
+        `❌ ${bold('الموعد النهائي في الماضي')}\n\n` +
+        `يجب أن يكون الموعد النهائي في المستقبل\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const assignmentId = await addCodeAssignment(courseId, title, task, deadline);
+    if (!assignmentId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إنشاء التمرين')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+    await scheduleAnswerReveal(assignmentId);
+    addAssignmentReminder(await getAssignment(assignmentId));
+
+    await ctx.reply(
+      `✅ ${bold('تم إنشاء التمرين البرمجي')}\n\n` +
+      `🆔 ${bold('رقم الواجب:')} ${assignmentId}\n` +
+      `📚 ${bold('الكورس:')} ${escapeMarkdownV2(course.name)}\n` +
+      `📝 ${bold('العنوان:')} ${escapeMarkdownV2(title)}\n` +
+      `💻 ${bold('المطلوب:')} ${escapeMarkdownV2(task)}\n` +
+      `📅 ${bold('الموعد النهائي:')} ${escapeMarkdownV2(deadline)}\n\n` +
+      `🧪 ${bold('أضف الاختبارات المخفية:')}\n` +
+      `${code(`/addtest ${assignmentId} sum(2, 3) => 5`)}\n` +
+      `${code(`/addtest ${assignmentId} points=2 sum(-1, 1) => 0`)}\n\n` +
+      `💡 ${escapeMarkdownV2('يُقيَّم التعبير بعد تشغيل كود الطالب ويُقارن بالنتيجة المتوقعة، ويحصل الطالب على نقاط الاختبارات التي نجح فيها.')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'addcode', error);
+  }
+}
+
+// Handle add test command (admin only)
+export async function handleAddTest(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_TEST_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إضافة اختبار لتمرين برمجي'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+    const pointsMatch = parsed.values.spec.match(/^points=(\d+)\s+/i);
+    const points = pointsMatch ? parseInt(pointsMatch[1]) : 1;
+    const spec = pointsMatch ? parsed.values.spec.slice(pointsMatch[0].length) : parsed.values.spec;
+
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await replyAssignmentNotFound(ctx, assignmentId);
+      return;
+    }
+    if (assignment.assignment_type !== 'code') {
+      await replyNotCodeAssignment(ctx, assignmentId);
+      return;
+    }
+
+    if (points <= 0) {
+      await ctx.reply(
+        `❌ ${bold('عدد النقاط يجب أن يكون أكبر من صفر')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const test = parseTestSpec(spec);
+    const syntaxError = test ? checkTestSyntax(test) : null;
+    if (!test || syntaxError) {
+      await ctx.reply(
+        `❌ ${bold('اختبار غير صحيح')}\n\n` +
+        (syntaxError ? `${inlineCode(syntaxError)}\n` : '') +
+        `💡 افصل التعبير عن النتيجة المتوقعة بـ ${code(' => ')}، مثال: ${code(`/addtest ${assignmentId} sum(2, 3) => 5`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const testId = await addCodeTest(assignmentId, test.expression, test.expected, points);
+    if (!testId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إضافة الاختبار')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const tests = await getCodeTests(assignmentId);
+    await ctx.reply(
+      `✅ ${bold('تمت إضافة الاختبار')}\n\n` +
+      `🆔 ${bold('رقم الاختبار:')} ${testId}\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment.title)} \\(${assignmentId}\\)\n` +
+      `🧪 ${inlineCode(test.expression)} ⟶ ${inlineCode(test.expected)}\n` +
+      `⭐ ${bold('النقاط:')} ${points}\n\n` +
+      `📋 عدد اختبارات التمرين الآن: ${tests.length}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'addtest', error);
+  }
+}
+
+// Handle code tests command (admin only), lists the hidden tests of a code assignment
+export async function handleListCodeTests(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, CODE_TESTS_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'اختبارات تمرين برمجي'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await replyAssignmentNotFound(ctx, assignmentId);
+      return;
+    }
+    if (assignment.assignment_type !== 'code') {
+      await replyNotCodeAssignment(ctx, assignmentId);
+      return;
+    }
+
+    const tests = await getCodeTests(assignmentId);
+    if (tests.length === 0) {
+      await ctx.reply(
+        `📭 ${bold('لا توجد اختبارات لهذا التمرين')}\n\n` +
+        `➕ أضف اختباراً بـ ${code(`/addtest ${assignmentId} sum(2, 3) => 5`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const totalPoints = tests.reduce((sum, test) => sum + test.points, 0);
+    let message = `🧪 ${bold(`اختبارات: ${assignment.title}`)}\n\n`;
+    tests.forEach((test, index) => {
+      message += `${index + 1}\\. ${inlineCode(test.expression)} ⟶ ${inlineCode(test.expected)}\n` +
+        `   🆔 ${test.test_id} \\| ⭐ ${test.points}\n\n`;
+    });
+    message += `⭐ ${bold('مجموع النقاط:')} ${totalPoints}\n` +
+      `🗑️ لحذف اختبار: ${code('/deletetest رقم_الاختبار')}`;
+
+    await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+
+  } catch (error) {
+    await replyWithError(ctx, 'codetests', error);
+  }
+}
+
+// Handle delete test command (admin only)
+export async function handleDeleteTest(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_TEST_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'حذف اختبار'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { testId } = parsed.values;
+    const test = await getCodeTest(testId);
+    if (!test) {
+      await ctx.reply(
+        `❌ ${bold('الاختبار غير موجود')}\n\n` +
+        `لم يتم العثور على اختبار برقم ${testId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const result = await deleteCodeTest(testId);
+    if (!result.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حذف الاختبار')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم حذف الاختبار')}\n\n` +
+      `🧪 ${inlineCode(test.expression)} ⟶ ${inlineCode(test.expected)}\n` +
+      `📝 ${bold('الواجب:')} ${test.assignment_id}\n\n` +
+      `💡 ${escapeMarkdownV2('الدرجات المسجلة سابقاً لا تتغير، وتُحتسب المحاولات الجديدة على الاختبارات المتبقية.')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'deletetest', error);
+  }
+}
+
+/**
+ * Run a student's code against the assignment's tests, record the score and reply with the results
+ * Shared by /submit, its wizard and .js files sent with /submit in the caption.
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} assignment - A code assignment
+ * @param {string} source - The student's JavaScript
+ * @returns {Promise<boolean>} - True if the attempt was recorded
+ */
+export async function sendCodeSubmission(ctx, assignment, source) {
+  const userId = ctx.from.id;
+  const assignmentId = assignment.assignment_id;
+
+  if (source.length > SANDBOX_LIMITS.maxCodeLength) {
+    await ctx.reply(
+      `❌ ${bold('الكود أطول من المسموح')}\n\n` +
+      escapeMarkdownV2(`الحد الأقصى ${SANDBOX_LIMITS.maxCodeLength} حرف (الحالي: ${source.length}).`),
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+  }
+
+  // Checked before running, so closed assignments do not take a turn in the sandbox
+  const blocker = getSubmissionBlocker(assignment, await getSubmission(userId, assignmentId), new Date(), config.schedule.defaultTimezone);
+  if (blocker) {
+    await ctx.reply(`🔒 ${bold('لا يمكن الإرسال')}\n\n${escapeMarkdownV2(blocker)}`, { parse_mode: 'MarkdownV2' });
+    return false;
+  }
+
+  const tests = await getCodeTests(assignmentId);
+  if (tests.length === 0) {
+    await ctx.reply(
+      `⏳ ${bold('التمرين غير جاهز بعد')}\n\n` +
+      `لم يضف المدرس اختبارات لهذا التمرين، حاول لاحقاً\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+  }
+
+  await ctx.reply(`⏳ ${escapeMarkdownV2(`جارٍ تشغيل الكود على ${tests.length} اختبارات...`)}`, { parse_mode: 'MarkdownV2' });
+  const run = await runCodeTests(source, tests);
+
+  // Code that does not parse is not an attempt
+  if (run.syntaxError) {
+    await ctx.reply(
+      `❌ ${bold('خطأ في صياغة الكود')}\n\n` +
+      `${inlineCode(run.syntaxError)}\n\n` +
+      `لم تُحتسب هذه المحاولة، صحح الخطأ وأرسل الكود من جديد\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+  }
+
+  const score = scoreCodeResults(tests, run.results);
+  const result = await submitAnswer(userId, assignmentId, source, { earned: score.earned, total: score.totalPoints });
+  if (!result.success) {
+    await ctx.reply(
+      `❌ ${bold('فشل في إرسال الكود')}\n\n` +
+      `${escapeMarkdownV2(result.message)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+  }
+
+  const attemptsLeft = result.maxAttempts ? result.maxAttempts - result.attemptNumber : null;
+  const notes = [];
+  if (result.late) {
+    notes.push(`⏰ إجابة متأخرة ${result.late.daysLate} يوم` +
+      (result.late.penaltyPercent > 0 ? ` (خصم ${result.late.penaltyPercent}% من الدرجة).` : '.'));
+  }
+  if (result.attemptNumber > 1 && result.recordedScore !== undefined && result.recordedScore !== result.score) {
+    notes.push(`📈 الدرجة المعتمدة: ${result.recordedScore}/${result.maxScore} (${SCORING_RULE_NAMES[result.scoringRule] || SCORING_RULE_NAMES.last})`);
+  }
+  if (result.canResubmit) {
+    notes.push(`✏️ يمكنك تحسين حلك وإرساله من جديد قبل الموعد النهائي` +
+      (attemptsLeft !== null ? ` (متبقي ${attemptsLeft} من ${result.maxAttempts} محاولات).` : '.'));
+  }
+  const footer = notes.length > 0 ? `\n\n${notes.map(escapeMarkdownV2).join('\n')}` : '';
+
+  if (result.pending || result.hidden) {
+    await ctx.reply(
+      `📝 ${bold('تم استلام الكود')}\n\n` +
+      (result.pending
+        ? escapeMarkdownV2(result.message)
+        : escapeMarkdownV2('📊 ستصلك نتيجة الاختبارات بعد انتهاء الموعد النهائي.')) +
+      footer,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return true;
+  }
+
+  await ctx.reply(
+    `🧪 ${bold(`نتائج الاختبارات: ${score.passed}/${score.total}`)}\n\n` +
+    `${run.results.map(formatTestResult).join('\n')}\n\n` +
+    `📊 ${bold('نقاطك:')} ${escapeMarkdownV2(`${result.score}/${result.maxScore}`)}` +
+    footer,
+    { parse_mode: 'MarkdownV2' }
+  );
+  return true;
+}
+
+// Handle a .js file sent with /submit <assignment_id> in its caption
+export async function handleSubmitCodeFile(ctx) {
+  try {
+    const document = ctx.message.document;
+    const parsed = parseCommandArgs(ctx.message.caption, SUBMIT_FILE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إرسال حل برمجي كملف'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await replyAssignmentNotFound(ctx, assignmentId);
+      return;
+    }
+    if (assignment.assignment_type !== 'code') {
+      await ctx.reply(
+        `❌ ${bold('الملفات مقبولة في التمارين البرمجية فقط')}\n\n` +
+        `أرسل إجابتك نصاً: ${code(`/submit ${assignmentId} الإجابة`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!/\.(js|mjs|txt)$/i.test(document.file_name || '') || (document.file_size || 0) > MAX_CODE_FILE_BYTES) {
+      await ctx.reply(
+        `❌ ${bold('ملف غير مدعوم')}\n\n` +
+        `أرسل حلك في ملف ${code('.js')} \\(حتى 64 كيلوبايت\\)\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(fileLink);
+    if (!response.ok) {
+      throw new Error(`فشل تحميل الملف: ${response.status}`);
+    }
+
+    await sendCodeSubmission(ctx, assignment, await response.text());
+
+  } catch (error) {
+    await replyWithError(ctx, 'submit', error);
+  }
+}
@@ -1,9 +1,12 @@
-import { getLessons } from '../utils/database.js';
+import { getLessons, getUserTimezone, getLessonChanges } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { getLessonStart, formatInTimezone } from '../utils/timezone.js';
 
 export async function handleCourses(ctx) {
   try {
+    const userTimezone = await getUserTimezone(ctx.from.id);
+
     // Get all lessons from database and config
     const lessonsResult = await getLessons();
     const dbLessons = lessonsResult.success ? lessonsResult.data : [];
@@ -44,26 +47,48 @@ export async function handleCourses(ctx) {
 
     // Sort lessons by date and time
     allLessons.sort((a, b) => {
-      const dateA = new Date(`${a.date} ${a.time}`);
-      const dateB = new Date(`${b.date} ${b.time}`);
+      const dateA = getLessonStart(a, config.schedule.defaultTimezone);
+      const dateB = getLessonStart(b, config.schedule.defaultTimezone);
       return dateA - dateB;
     });
 
+    // Group the cancellation/rescheduling history by lesson
+    const changesByLesson = new Map();
+    for (const change of await getLessonChanges()) {
+      if (!changesByLesson.has(change.lesson_id)) changesByLesson.set(change.lesson_id, []);
+      changesByLesson.get(change.lesson_id).push(change);
+    }
+
     // Build courses message
-    let message = `📚 *${escapeMarkdownV2('قائمة الدروس المجدولة')}*\n\n`;
+    let message = `📚 *${escapeMarkdownV2('قائمة الدروس المجدولة')}*\n`;
+    message += `🌍 ${escapeMarkdownV2(`الأوقات بتوقيت ${userTimezone}`)}\n\n`;
     
     let upcomingLessons = [];
     let pastLessons = [];
     const now = new Date();
 
     allLessons.forEach((lesson, index) => {
-      const lessonDate = new Date(`${lesson.date} ${lesson.time}`);
-      const formattedDate = new Date(lesson.date).toLocaleDateString('ar-SA');
-      const formattedTime = lesson.time;
+      const lessonDate = getLessonStart(lesson, config.schedule.defaultTimezone);
+      const formattedDate = lessonDate.toLocaleDateString('ar-SA', { timeZone: userTimezone });
+      const formattedTime = formatInTimezone(lessonDate, userTimezone).time;
       
-      const lessonInfo = `${index + 1}\\. *${escapeMarkdownV2(lesson.title)}*\n` +
+      let lessonInfo = `${index + 1}\\. *${escapeMarkdownV2(lesson.title)}*\n` +
         `   📅 ${escapeMarkdownV2('التاريخ:')} ${escapeMarkdownV2(formattedDate)}\n` +
         `   ⏰ ${escapeMarkdownV2('الوقت:')} ${escapeMarkdownV2(formattedTime)}\n`;
+
+      if (lesson.status === 'cancelled') {
+        lessonInfo += `   🚫 ${escapeMarkdownV2('ملغى')}\n`;
+      }
+
+      // Config lessons are not stored, so they have no history
+      const lessonChanges = dbLessons.includes(lesson) ? changesByLesson.get(lesson.lesson_id) || [] : [];
+      for (const change of lessonChanges) {
+        const oldStart = getLessonStart({ ...lesson, date: change.old_date, time: change.old_time }, config.schedule.defaultTimezone);
+        const oldLocal = formatInTimezone(oldStart, userTimezone);
+        const label = change.change_type === 'cancelled' ? 'أُلغي موعد' : 'نُقل من';
+        lessonInfo += `   🔁 ${escapeMarkdownV2(`${label} ${oldLocal.date} ${oldLocal.time}`)}` +
+          (change.reason ? ` ${escapeMarkdownV2(`(${change.reason})`)}` : '') + `\n`;
+      }
         
       if (lessonDate > now) {
         upcomingLessons.push(lessonInfo);
@@ -1,11 +1,17 @@
-import { deleteCourse, getCourses } from '../utils/database.js';
+import { deleteCourse, getCourses, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+const DELETE_COURSE_ARGS = {
+  command: 'deletecourse',
+  args: [{ name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 }],
+  examples: ['/deletecourse 1']
+};
 
 export async function handleDeleteCourse(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
 
     // Check if user is admin
     if (!config.admin.userIds.includes(userId)) {
@@ -18,9 +24,8 @@ export async function handleDeleteCourse(ctx) {
       return;
     }
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_COURSE_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       // Show available courses
       const coursesResult = await getCourses();
       const courses = coursesResult.success ? coursesResult.data : [];
@@ -56,18 +61,13 @@ export async function handleDeleteCourse(ctx) {
       return;
     }
 
-    const courseId = parseInt(args[1]);
-
-    // Validate course ID
-    if (isNaN(courseId) || courseId <= 0) {
-      await ctx.reply(
-        `❌ *رقم الكورس غير صحيح*\nn\nn` +
-        `يرجى إدخال رقم صحيح للكورس\n.`,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const { courseId } = parsed.values;
+
     // Check if course exists
     const courses = await getCourses();
     const courseExists = courses.some(course => course.course_id === courseId);
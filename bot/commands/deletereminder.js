@@ -1,15 +1,22 @@
 // bot/commands/deletereminder.js
-import { deleteReminder } from '../utils/database.js';
+import { deleteReminder, getUserLanguage } from '../utils/database.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
+import { removeCustomReminderJob } from '../utils/reminders.js';
+
+const DELETE_REMINDER_ARGS = {
+  command: 'deletereminder',
+  args: [{ name: 'reminderId', label: { ar: 'رقم_ID', en: 'reminder_id' }, type: 'int', min: 1, description: 'من /listreminders' }],
+  examples: ['/deletereminder 3']
+};
 
 export async function handleDeletereminder(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
-    const args = messageText.split(' ');
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_REMINDER_ARGS, await getUserLanguage(userId) || 'ar');
 
-    if (args.length < 2) {
+    if (parsed.empty) {
       await ctx.reply(
         `🗑️ ${bold('حذف تذكير')}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -23,22 +30,19 @@ export async function handleDeletereminder(ctx) {
       return;
     }
 
-    const reminderId = parseInt(args[1]);
-    
-    if (isNaN(reminderId) || reminderId <= 0) {
-      await ctx.reply(
-        `❌ ${bold('رقم ID غير صحيح')}\n\n` +
-        `يجب أن يكون رقم ID عدداً صحيحاً موجباً\\.\n\n` +
-        `💡 استخدم ${code('/listreminders')} لعرض الأرقام الصحيحة\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const { reminderId } = parsed.values;
+
     // Attempt to delete the reminder
-    const result = await deleteReminder(userId, reminderId);
+    const deleted = await deleteReminder(userId, reminderId);
+
+    if (deleted) {
+      removeCustomReminderJob(reminderId);
 
-    if (result && result.changes > 0) {
       await ctx.reply(
         `✅ ${bold('تم حذف التذكير بنجاح')}\n\n` +
         `🗑️ تم حذف التذكير رقم ${code(reminderId.toString())}\n\n` +
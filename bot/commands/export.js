@@ -1,11 +1,21 @@
-import { exportAttendanceData, exportAssignmentsData } from '../utils/database.js';
+import { exportAttendanceData, exportAssignmentsData, getGradebookData, getAllVerifiedUsers, getUserLanguage } from '../utils/database.js';
+import { computeCourseGrade, getCourseWeights } from '../utils/gradebook.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+const EXPORT_ARGS = {
+  command: 'export',
+  args: [
+    { name: 'exportType', label: { ar: 'نوع_البيانات', en: 'type' }, type: 'enum', values: ['attendance', 'assignments', 'grades'] },
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1, required: false, description: 'مطلوب مع grades' }
+  ],
+  examples: ['/export attendance', '/export assignments', '/export grades 1']
+};
 
 export async function handleExport(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
 
     // Check if user is admin
     if (!config.admin.userIds.includes(userId)) {
@@ -18,9 +28,8 @@ export async function handleExport(ctx) {
       return;
     }
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, EXPORT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `📊 *تصدير البيانات*\n` +
         `📝 *الصيغة الصحيحة:*\n` +
@@ -28,30 +37,24 @@ export async function handleExport(ctx) {
         `📋 *الأنواع المتاحة:*\n` +
         `• \`attendance\` \n- بيانات الحضور\n` +
         `• \`assignments\` \n- بيانات الواجبات\n` +
+        `• \`grades رقم_الكورس\` \n- سجل درجات الكورس\n` +
         `💡 *أمثلة:*\n` +
         `• \`/export attendance\`\n` +
         `• \`/export assignments\`\n` +
+        `• \`/export grades 1\`\n` +
         `📄 سيتم إرسال البيانات بتنسيق CSV\n.`,
         { parse_mode: 'MarkdownV2' }
       );
       return;
     }
 
-    const exportType = args[1].toLowerCase();
-
-    // Validate export type
-    if (!['attendance', 'assignments'].includes(exportType)) {
-      await ctx.reply(
-        `❌ *نوع البيانات غير صحيح*\n` +
-        `📋 *الأنواع المتاحة:*\n` +
-        `• \`attendance\` \n- بيانات الحضور\n` +
-        `• \`assignments\` \n- بيانات الواجبات\n` +
-        `💡 مثال: \`/export attendance\``,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const { exportType, courseId } = parsed.values;
+
     // Get data based on type
     let data, filename, csvContent;
 
@@ -60,7 +63,7 @@ export async function handleExport(ctx) {
       filename = `attendance_${new Date().toISOString().split('T')[0]}.csv`;
       
       // Create CSV content for attendance
-      csvContent = 'User ID,Username,First Name,Lesson Title,Date,Time,Attended At\n';
+      csvContent = 'User ID,Username,First Name,Lesson Title,Date,Time,Status,Attended At\n';
       data.forEach(record => {
         const row = [
           record.user_id || '',
@@ -69,6 +72,7 @@ export async function handleExport(ctx) {
           `"${(record.lesson_title || '').replace(/"/g, '""')}"`,
           record.date || '',
           record.time || '',
+          record.status || '',
           record.attended_at || ''
         ].join(',');
         csvContent += row + '\n';
@@ -78,7 +82,7 @@ export async function handleExport(ctx) {
       filename = `assignments_${new Date().toISOString().split('T')[0]}.csv`;
       
       // Create CSV content for assignments
-      csvContent = 'User ID,Username,First Name,Assignment Title,Answer,Submitted At,Score\n';
+      csvContent = 'User ID,Username,First Name,Assignment Title,Answer,Submitted At,Score,Max Score,Status,Feedback,Late,Days Late,Late Penalty %\n';
       data.forEach(record => {
         const row = [
           record.user_id || '',
@@ -87,7 +91,56 @@ export async function handleExport(ctx) {
           `"${(record.assignment_title || '').replace(/"/g, '""')}"`,
           `"${(record.answer || '').replace(/"/g, '""')}"`,
           record.submitted_at || '',
-          record.score || ''
+          record.score ?? '',
+          record.max_score ?? '',
+          record.status || '',
+          `"${(record.feedback || '').replace(/"/g, '""')}"`,
+          record.is_late == null ? '' : (record.is_late ? 'late' : 'on_time'),
+          record.days_late ?? '',
+          record.late_penalty ?? ''
+        ].join(',');
+        csvContent += row + '\n';
+      });
+    } else if (exportType === 'grades') {
+      const gradebook = courseId ? await getGradebookData(courseId) : null;
+      if (!gradebook) {
+        await ctx.reply(
+          `❌ *الكورس غير موجود*\n` +
+          `💡 مثال: \`/export grades 1\``,
+          { parse_mode: 'MarkdownV2' }
+        );
+        return;
+      }
+
+      data = await getAllVerifiedUsers();
+      filename = `grades_course_${courseId}_${new Date().toISOString().split('T')[0]}.csv`;
+      const weights = getCourseWeights(gradebook.course);
+      const now = new Date();
+
+      // One row per student: a percentage column per assignment, then the category and weighted totals
+      const assignmentColumns = gradebook.assignments
+        .map(assignment => `"${`${assignment.assignment_id} ${assignment.title}`.replace(/"/g, '""')}"`);
+      csvContent = ['User ID', 'Username', 'First Name', ...assignmentColumns,
+        `Assignments % (weight ${weights.assignments})`, `Quizzes % (weight ${weights.quizzes})`,
+        `Attendance % (weight ${weights.attendance})`, 'Lessons Attended', 'Final %'].join(',') + '\n';
+      data.forEach(user => {
+        const grade = computeCourseGrade({
+          assignments: gradebook.assignments,
+          lessons: gradebook.lessons,
+          submissions: gradebook.submissions.filter(submission => submission.user_id === user.user_id),
+          attendance: gradebook.attendance.filter(record => record.user_id === user.user_id)
+        }, weights, now, config.schedule.defaultTimezone);
+
+        const row = [
+          user.user_id || '',
+          `"${(user.username || '').replace(/"/g, '""')}"`,
+          `"${(user.first_name || '').replace(/"/g, '""')}"`,
+          ...grade.items.map(item => item.status === 'graded' || item.status === 'missing' ? item.percent : item.status),
+          grade.categories.assignments ?? '',
+          grade.categories.quizzes ?? '',
+          grade.categories.attendance ?? '',
+          `${grade.attendance.attended}/${grade.attendance.held}`,
+          grade.total ?? ''
         ].join(',');
         csvContent += row + '\n';
       });
@@ -12,7 +12,7 @@ export async function handleFaq(ctx) {
       },
       {
         question: 'كيف أسجل الحضور؟',
-        answer: 'استخدم /attendance رقم_الدرس \\(مثال: /attendance 1\\)\\.',
+        answer: 'استخدم /attendance كود_الحضور الذي يعلنه المدرب \\(مثال: /attendance K7M2QX\\)\\.',
       },
       {
         question: 'كيف أرى ملفي؟',
@@ -1,15 +1,20 @@
-import { addFeedback, getFeedback } from '../utils/database.js';
+import { addFeedback, getFeedback, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+const FEEDBACK_ARGS = {
+  command: 'feedback',
+  args: [{ name: 'message', label: { ar: 'رسالتك', en: 'message' }, type: 'text', min: 5, max: 500 }],
+  examples: ['/feedback البوت يعمل بشكل ممتاز']
+};
 
 export async function handleFeedback(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
 
-    // Parse command arguments
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, FEEDBACK_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `💬 *إرسال تغذية راجعة*\n` +
         `📝 *الصيغة الصحيحة:*\n` +
@@ -25,29 +30,12 @@ export async function handleFeedback(ctx) {
       return;
     }
 
-    // Extract feedback message
-    const feedbackMessage = args.slice(1).join(' ');
-
-    // Validate message length
-    if (feedbackMessage.length < 5) {
-      await ctx.reply(
-        `❌ *الرسالة قصيرة جداً*\n` +
-        `يرجى كتابة رسالة أطول من 5 أحرف\\.\n` +
-        `💡 مثال: \`/feedback البوت يعمل بشكل ممتاز\``,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
-    if (feedbackMessage.length > 500) {
-      await ctx.reply(
-        `❌ *الرسالة طويلة جداً*\n` +
-        `يرجى تقصير الرسالة إلى أقل من 500 حرف\\.\n` +
-        `📝 الرسالة الحالية: ${escapeMarkdownV2(feedbackMessage.length.toString())} حرف`,
-        { parse_mode: 'MarkdownV2' }
-      );
-      return;
-    }
+    const feedbackMessage = parsed.values.message;
 
     // Add feedback to database
     const feedbackId = await addFeedback(userId, feedbackMessage);
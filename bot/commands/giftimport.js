@@ -0,0 +1,256 @@
+// bot/commands/giftimport.js
+import { Markup } from 'telegraf';
+import {
+  getCourse,
+  getAssignment,
+  createGiftImport,
+  getGiftImport,
+  completeGiftImport,
+  cancelGiftImport,
+  getUserLanguage
+} from '../utils/database.js';
+import { parseGift } from '../utils/gift.js';
+import { formatExpectedAnswer } from '../utils/quiz.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { scheduleAnswerReveal } from '../utils/answerReveal.js';
+import { addAssignmentReminder } from '../utils/reminders.js';
+import { validateDate } from '../utils/security.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { TYPE_NAMES } from './quiz.js';
+import { config } from '../../config.js';
+
+const IMPORT_GIFT_ARGS = {
+  command: 'importgift',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'deadline', label: { ar: 'الموعد_النهائي', en: 'deadline' }, type: 'date' },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, type: 'text', max: 200 }
+  ],
+  examples: ['/importgift 1 2026-11-20 اختبار الوحدة الأولى']
+};
+
+// Question files exported from Moodle are a few KB, anything much bigger is the wrong file
+const MAX_GIFT_BYTES = 512 * 1024;
+// Questions and unparsed blocks listed in the preview, Telegram messages are limited to 4096 characters
+const MAX_PREVIEW_QUESTIONS = 15;
+const MAX_PREVIEW_ERRORS = 10;
+const MAX_PREVIEW_TEXT = 70;
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+function truncate(text) {
+  const line = text.replace(/\n/g, ' ');
+  return line.length > MAX_PREVIEW_TEXT ? `${line.slice(0, MAX_PREVIEW_TEXT)}…` : line;
+}
+
+function formatErrors(errors) {
+  let message = errors.slice(0, MAX_PREVIEW_ERRORS)
+    .map(error => `• ${escapeMarkdownV2(`السطر ${error.line}: ${truncate(error.source)}`)}\n   ${escapeMarkdownV2(`↳ ${error.error}`)}`)
+    .join('\n');
+  if (errors.length > MAX_PREVIEW_ERRORS) {
+    message += `\n${escapeMarkdownV2(`… و ${errors.length - MAX_PREVIEW_ERRORS} أخرى`)}`;
+  }
+  return message;
+}
+
+// Parsed questions use the stored row's field names so the quiz helpers can display them
+function formatPreviewQuestion(question, index) {
+  const answer = formatExpectedAnswer({
+    type: question.type,
+    options: question.options ? JSON.stringify(question.options) : null,
+    correct_answer: question.correctAnswer,
+    accepted_answers: JSON.stringify(question.acceptedAnswers),
+    tolerance: question.tolerance
+  });
+  return `${index + 1}\\. ${escapeMarkdownV2(truncate(question.text))}\n` +
+    `   ${escapeMarkdownV2(TYPE_NAMES[question.type])} \\| ✅ ${escapeMarkdownV2(truncate(answer))}`;
+}
+
+async function removeButtons(ctx) {
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (editError) {
+    // The preview stays readable even if its buttons could not be removed
+    console.error('خطأ في إزالة أزرار الاستيراد:', editError);
+  }
+}
+
+// Handle GIFT import (admin only): a .gift file sent with the command as caption, or the command sent as a reply to it
+export async function handleImportGift(ctx) {
+  try {
+    const text = ctx.message.text ?? ctx.message.caption ?? '';
+    const document = ctx.message.document || ctx.message.reply_to_message?.document;
+    const parsed = parseCommandArgs(text, IMPORT_GIFT_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (!document && (parsed.ok || parsed.empty)) {
+      await ctx.reply(
+        `📥 ${bold('استيراد اختبار من Moodle')}\n\n` +
+        `📎 أرسل ملف الأسئلة بصيغة ${code('GIFT')} \\(${code('.gift')} أو ${code('.txt')}\\) مع التعليق:\n` +
+        `${code('/importgift رقم_الكورس الموعد_النهائي العنوان')}\n` +
+        `أو أرسل الأمر رداً على الملف\\.\n\n` +
+        `🔤 ${bold('الأسئلة المدعومة:')} اختيار من متعدد، صح أو خطأ، إجابة قصيرة، إجابة رقمية\n` +
+        `👀 يعرض البوت معاينة للأسئلة قبل إنشاء الاختبار\\.\n\n` +
+        `💡 ${bold('مثال:')} ${code('/importgift 1 2026-11-20 اختبار الوحدة الأولى')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'استيراد اختبار من Moodle'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, deadline, title } = parsed.values;
+    const course = await getCourse(courseId);
+    if (!course) {
+      await ctx.reply(
+        `❌ ${bold('الكورس غير موجود')}\n\n` +
+        `لا يوجد كورس برقم ${courseId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (validateDate(deadline) < today) {
+      await ctx.reply(
+        `❌ ${bold('الموعد النهائي في الماضي')}\n\n` +
+        `يجب أن يكون الموعد النهائي في المستقبل\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const fileName = document.file_name || 'questions.gift';
+    if (!/\.(gift|txt)$/i.test(fileName) || (document.file_size || 0) > MAX_GIFT_BYTES) {
+      await ctx.reply(
+        `❌ ${bold('ملف غير مدعوم')}\n\n` +
+        `أرسل ملف أسئلة بصيغة ${code('GIFT')} بامتداد ${code('.gift')} أو ${code('.txt')} \\(حتى 512 كيلوبايت\\)\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(fileLink);
+    if (!response.ok) {
+      throw new Error(`فشل تحميل الملف: ${response.status}`);
+    }
+
+    const { questions, errors } = parseGift(await response.text());
+    if (questions.length === 0) {
+      await ctx.reply(
+        `❌ ${bold('لم يتم العثور على أسئلة قابلة للاستيراد')}\n\n` +
+        (errors.length > 0
+          ? `${formatErrors(errors)}\n\n`
+          : `الملف فارغ\\.\n\n`) +
+        `💡 تأكد أن الملف بصيغة ${code('GIFT')} وأن الأسئلة مفصولة بسطر فارغ\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const importId = await createGiftImport(courseId, title, deadline, fileName, questions, ctx.from.id);
+    if (!importId) {
+      throw new Error('فشل في إنشاء سجل الاستيراد');
+    }
+
+    const counts = Object.keys(TYPE_NAMES)
+      .map(type => [TYPE_NAMES[type], questions.filter(question => question.type === type).length])
+      .filter(([, count]) => count > 0)
+      .map(([name, count]) => `${name}: ${count}`);
+
+    let message = `👀 ${bold('معاينة الاستيراد')}\n\n` +
+      `📝 ${bold('الاختبار:')} ${escapeMarkdownV2(title)}\n` +
+      `📚 ${bold('الكورس:')} ${escapeMarkdownV2(course.name)}\n` +
+      `📅 ${bold('الموعد النهائي:')} ${escapeMarkdownV2(deadline)}\n` +
+      `📄 ${bold('الملف:')} ${escapeMarkdownV2(fileName)}\n\n` +
+      `✅ ${bold(`${questions.length} سؤال جاهز للاستيراد`)} ${escapeMarkdownV2(`(${counts.join('، ')})`)}\n\n` +
+      questions.slice(0, MAX_PREVIEW_QUESTIONS).map(formatPreviewQuestion).join('\n');
+    if (questions.length > MAX_PREVIEW_QUESTIONS) {
+      message += `\n${escapeMarkdownV2(`… و ${questions.length - MAX_PREVIEW_QUESTIONS} أسئلة أخرى`)}`;
+    }
+    if (errors.length > 0) {
+      message += `\n\n⚠️ ${bold(`${errors.length} أجزاء لم تُفهم ولن تُستورد:`)}\n${formatErrors(errors)}`;
+    }
+    message += `\n\n⭐ كل سؤال مستورد بنقطة واحدة\\. هل تريد إنشاء الاختبار؟`;
+
+    await ctx.reply(message, {
+      parse_mode: 'MarkdownV2',
+      ...Markup.inlineKeyboard([[
+        Markup.button.callback(`✅ استيراد ${questions.length} سؤال`, `gift:import:${importId}`),
+        Markup.button.callback('❌ إلغاء', `gift:cancel:${importId}`)
+      ]])
+    });
+
+  } catch (error) {
+    await replyWithError(ctx, 'importgift', error);
+  }
+}
+
+// Handle the import and cancel buttons of a GIFT preview (admin only)
+export async function handleGiftImportAction(ctx) {
+  try {
+    const action = ctx.match[1];
+    const importId = parseInt(ctx.match[2]);
+    const giftImport = await getGiftImport(importId);
+
+    if (!giftImport || giftImport.status !== 'pending') {
+      await ctx.answerCbQuery(giftImport?.status === 'imported' ? 'تم استيراد هذا الملف مسبقاً' : 'انتهت صلاحية هذه المعاينة');
+      await removeButtons(ctx);
+      return;
+    }
+
+    if (action === 'cancel') {
+      await cancelGiftImport(importId);
+      await ctx.answerCbQuery('تم الإلغاء');
+      await removeButtons(ctx);
+      await ctx.reply(
+        `🚫 ${bold('تم إلغاء الاستيراد')}\n\n` +
+        `لم يتم إنشاء أي اختبار\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const assignmentId = await completeGiftImport(importId);
+    if (!assignmentId) {
+      await ctx.answerCbQuery('❌ فشل الاستيراد');
+      await ctx.reply(
+        `❌ ${bold('فشل في إنشاء الاختبار')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+    await scheduleAnswerReveal(assignmentId);
+    addAssignmentReminder(await getAssignment(assignmentId));
+
+    const count = JSON.parse(giftImport.questions).length;
+    await ctx.answerCbQuery('✅ تم الاستيراد');
+    await removeButtons(ctx);
+    await ctx.reply(
+      `✅ ${bold('تم إنشاء الاختبار من ملف GIFT')}\n\n` +
+      `🆔 ${bold('رقم الواجب:')} ${assignmentId}\n` +
+      `📝 ${bold('العنوان:')} ${escapeMarkdownV2(giftImport.title)}\n` +
+      `❓ ${bold('عدد الأسئلة:')} ${count}\n` +
+      `📅 ${bold('الموعد النهائي:')} ${escapeMarkdownV2(giftImport.deadline)}\n\n` +
+      `📋 راجع الأسئلة بـ ${code(`/questions ${assignmentId}`)}\n` +
+      `⚙️ غيّر إعدادات التصحيح بـ ${code(`/updateassignment ${assignmentId}`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أزرار استيراد GIFT:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
@@ -0,0 +1,235 @@
+// bot/commands/grade.js
+import { Markup } from 'telegraf';
+import {
+  getAssignment,
+  getPendingSubmissions,
+  getSubmission,
+  gradeSubmission,
+  getUserTimezone,
+  getUserLanguage
+} from '../utils/database.js';
+import { formatSqliteTimestamp } from '../utils/timezone.js';
+import { applyLatePenalty, SCORING_RULE_NAMES } from '../utils/assignmentPolicy.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+// Keep long answers within Telegram's 4096 character message limit
+const MAX_ANSWER_LENGTH = 3000;
+
+// Every argument is optional: none shows the queue, an assignment id filters it, the rest grades a submission
+const GRADE_ARGS = {
+  command: 'grade',
+  args: [
+    { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1, required: false },
+    { name: 'userId', label: { ar: 'رقم_الطالب', en: 'user_id' }, type: 'int', min: 1, required: false },
+    { name: 'score', label: { ar: 'الدرجة', en: 'score' }, required: false, description: 'رقم مثل 8 أو 8,5' },
+    { name: 'feedback', label: { ar: 'تعليق', en: 'feedback' }, type: 'text', required: false }
+  ],
+  examples: ['/grade', '/grade 3', '/grade 3 123456789 8 شرح جيد، ينقصه مثال']
+};
+
+function formatLateNote(submission) {
+  if (!submission.is_late) return '';
+  return `⏰ ${bold('متأخرة:')} ${escapeMarkdownV2(`${submission.days_late} يوم`)}` +
+    (submission.late_penalty > 0 ? ` \\(${escapeMarkdownV2(`خصم ${submission.late_penalty}%`)}\\)` : '') + '\n';
+}
+
+/**
+ * Build one page of the grading queue
+ * @param {number} index - Position in the queue
+ * @param {number|null} assignmentId - Only show this assignment's submissions
+ * @param {string} timezone - Timezone to show submission times in
+ * @returns {Promise<{message: string, keyboard: Object|null}>} - Message text and paging buttons
+ */
+async function buildQueuePage(index, assignmentId, timezone) {
+  const queue = await getPendingSubmissions(assignmentId);
+  if (queue.length === 0) {
+    return {
+      message: `✅ ${bold('لا توجد إجابات بانتظار التصحيح')}\n\n` +
+        (assignmentId
+          ? `تم تصحيح جميع إجابات الواجب ${assignmentId}\\.`
+          : `تم تصحيح جميع الإجابات\\.`),
+      keyboard: null
+    };
+  }
+
+  const position = Math.min(Math.max(index, 0), queue.length - 1);
+  const submission = queue[position];
+  const student = submission.first_name || submission.username || String(submission.user_id);
+  const answer = submission.answer.length > MAX_ANSWER_LENGTH
+    ? `${submission.answer.slice(0, MAX_ANSWER_LENGTH)}…`
+    : submission.answer;
+
+  const message =
+    `📥 ${bold(`قائمة التصحيح (${position + 1} من ${queue.length})`)}\n\n` +
+    `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)} \\(${submission.assignment_id}\\)\n` +
+    `❓ ${bold('السؤال:')} ${escapeMarkdownV2(submission.question)}\n` +
+    `👤 ${bold('الطالب:')} ${escapeMarkdownV2(student)}` +
+    (submission.username ? ` \\(@${escapeMarkdownV2(submission.username)}\\)` : '') + '\n' +
+    `🕐 ${bold('وقت الإرسال:')} ${escapeMarkdownV2(formatSqliteTimestamp(submission.submitted_at, timezone))}\n` +
+    formatLateNote(submission) + '\n' +
+    `✍️ ${bold('الإجابة:')}\n${escapeMarkdownV2(answer)}\n\n` +
+    (submission.rubric_id
+      ? `📋 ${bold('للتصحيح بسلم التقييم:')}\n` +
+        `${code(`/rubricgrade ${submission.assignment_id} ${submission.user_id}`)}`
+      : `📊 ${bold(`للتصحيح (من ${submission.max_score}):`)}\n` +
+        `${code(`/grade ${submission.assignment_id} ${submission.user_id} الدرجة تعليق`)}`);
+
+  const filter = assignmentId || 0;
+  const buttons = [];
+  if (position > 0) {
+    buttons.push(Markup.button.callback('◀️ السابق', `grade_page:${position - 1}:${filter}`));
+  }
+  if (position < queue.length - 1) {
+    buttons.push(Markup.button.callback('التالي ▶️', `grade_page:${position + 1}:${filter}`));
+  }
+  const rows = buttons.length > 0 ? [buttons] : [];
+  if (submission.rubric_id) {
+    rows.push([Markup.button.callback('📋 التصحيح بسلم التقييم', `rubric_pick:${submission.assignment_id}:${submission.user_id}:`)]);
+  }
+
+  return {
+    message,
+    keyboard: rows.length > 0 ? Markup.inlineKeyboard(rows) : null
+  };
+}
+
+// Handle grade command (admin only): queue, queue of one assignment, or grading a submission
+export async function handleGrade(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, GRADE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId, userId, feedback } = parsed.values;
+
+    if (userId !== null && parsed.values.score === null) {
+      await ctx.reply(
+        `📊 ${bold('تصحيح الإجابات')}\n\n` +
+        `• ${code('/grade')} \\- عرض قائمة الإجابات المنتظرة\n` +
+        `• ${code('/grade رقم_الواجب')} \\- قائمة واجب واحد\n` +
+        `• ${code('/grade رقم_الواجب رقم_الطالب الدرجة [تعليق]')} \\- حفظ الدرجة وإشعار الطالب\n\n` +
+        `💡 ${bold('مثال:')} ${code('/grade 3 123456789 8 شرح جيد، ينقصه مثال')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (userId === null) {
+      if (assignmentId !== null && !(await getAssignment(assignmentId))) {
+        await ctx.reply(
+          `❌ ${bold('الواجب غير موجود')}\n\n` +
+          `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+          { parse_mode: 'MarkdownV2' }
+        );
+        return;
+      }
+
+      const timezone = await getUserTimezone(ctx.from.id);
+      const { message, keyboard } = await buildQueuePage(0, assignmentId, timezone);
+      await ctx.reply(message, { parse_mode: 'MarkdownV2', ...(keyboard || {}) });
+      return;
+    }
+
+    // A decimal comma is accepted as typed on Arabic keyboards
+    const score = Number(parsed.values.score.replace(',', '.'));
+
+    const submission = await getSubmission(userId, assignmentId);
+    if (!submission) {
+      await ctx.reply(
+        `❌ ${bold('الإجابة غير موجودة')}\n\n` +
+        `لا توجد إجابة للطالب ${userId} على الواجب ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const maxScore = submission.max_score ?? 1;
+    if (isNaN(score) || score < 0 || score > maxScore) {
+      await ctx.reply(
+        `❌ ${bold('الدرجة غير صحيحة')}\n\n` +
+        `يجب أن تكون الدرجة رقماً بين 0 و ${maxScore}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // The late penalty recorded at submission time is taken off the instructor's score
+    const finalScore = applyLatePenalty(score, submission.late_penalty);
+    const scoreText = escapeMarkdownV2(`${finalScore}/${maxScore}`) +
+      (submission.late_penalty > 0 ? ` \\(${escapeMarkdownV2(`بعد خصم ${submission.late_penalty}% للتأخير`)}\\)` : '');
+
+    const saved = await gradeSubmission(userId, assignmentId, finalScore, feedback, ctx.from.id);
+    if (!saved.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حفظ الدرجة')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // With several graded attempts the recorded grade follows the scoring rule
+    const recordedNote = saved.recordedScore !== finalScore
+      ? `📈 ${bold('الدرجة المعتمدة:')} ${escapeMarkdownV2(`${saved.recordedScore}/${maxScore} (${SCORING_RULE_NAMES[saved.scoringRule] || SCORING_RULE_NAMES.last})`)}\n`
+      : '';
+
+    // The grade is saved even if the student blocked the bot
+    let notified = true;
+    try {
+      await ctx.telegram.sendMessage(
+        userId,
+        `📬 ${bold('تم تصحيح واجبك')}\n\n` +
+        `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)}\n` +
+        `📊 ${bold('الدرجة:')} ${scoreText}\n` +
+        recordedNote +
+        (feedback ? `\n💬 ${bold('ملاحظات المدرس:')}\n${escapeMarkdownV2(feedback)}\n` : ''),
+        { parse_mode: 'MarkdownV2' }
+      );
+    } catch (notifyError) {
+      notified = false;
+      console.error(`خطأ في إرسال الدرجة للمستخدم ${userId}:`, notifyError);
+    }
+
+    const remaining = (await getPendingSubmissions()).length;
+    await ctx.reply(
+      `✅ ${bold('تم حفظ الدرجة')}\n\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)}\n` +
+      `👤 ${bold('الطالب:')} ${escapeMarkdownV2(submission.first_name || submission.username || String(userId))}\n` +
+      `📊 ${bold('الدرجة:')} ${scoreText}\n` +
+      recordedNote +
+      (notified ? `🔔 تم إشعار الطالب\n` : `⚠️ تعذر إرسال الإشعار للطالب\n`) +
+      `\n📥 ${bold('المتبقي في القائمة:')} ${remaining}` +
+      (remaining > 0 ? `\n➡️ التالي: ${code('/grade')}` : ''),
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /grade:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle the queue paging buttons (callback data grade_page:<index>:<assignment_id or 0>)
+export async function handleGradePage(ctx) {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const assignmentId = parseInt(ctx.match[2]) || null;
+    const timezone = await getUserTimezone(ctx.from.id);
+    const { message, keyboard } = await buildQueuePage(index, assignmentId, timezone);
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(message, { parse_mode: 'MarkdownV2', ...(keyboard || {}) });
+  } catch (error) {
+    console.error('خطأ في التنقل في قائمة التصحيح:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
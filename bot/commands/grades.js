@@ -0,0 +1,128 @@
+// bot/commands/grades.js
+import { getCourses, getGradebookData, getUserLanguage } from '../utils/database.js';
+import { computeCourseGrade, getCourseWeights, GRADE_CATEGORY_NAMES } from '../utils/gradebook.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+const GRADES_ARGS = {
+  command: 'grades',
+  args: [{ name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1, required: false }],
+  examples: ['/grades', '/grades 1']
+};
+
+const CATEGORY_ICONS = { assignments: '📝', quizzes: '🧩', attendance: '🙋' };
+
+const ITEM_STATUS_TEXT = {
+  missing: 'لم تسلم (0%)',
+  pending: '⏳ بانتظار التصحيح',
+  hidden: '🔒 تظهر بعد الموعد النهائي',
+  open: 'لم تسلم بعد'
+};
+
+function formatPercent(percent) {
+  return percent === null ? '—' : `${percent}%`;
+}
+
+function formatCategories(grade, weights) {
+  let text = '';
+  for (const [category, name] of Object.entries(GRADE_CATEGORY_NAMES)) {
+    const percent = category === 'attendance' && grade.attendance.held > 0
+      ? `${grade.attendance.attended}/${grade.attendance.held} (${formatPercent(grade.categories.attendance)})`
+      : formatPercent(grade.categories[category]);
+    text += `   ${CATEGORY_ICONS[category]} ${escapeMarkdownV2(`${name}: ${percent} - الوزن ${weights[category]}`)}\n`;
+  }
+  text += `   🎯 ${bold('المعدل:')} ${escapeMarkdownV2(formatPercent(grade.total))}\n`;
+  return text;
+}
+
+async function getStudentGrade(courseId, userId) {
+  const data = await getGradebookData(courseId, userId);
+  if (!data) return null;
+
+  const weights = getCourseWeights(data.course);
+  return { data, weights, grade: computeCourseGrade(data, weights, new Date(), config.schedule.defaultTimezone) };
+}
+
+async function replyWithSummary(ctx, userId) {
+  const coursesResult = await getCourses();
+  const courses = (coursesResult.success ? coursesResult.data : [])
+    .filter(course => course.lesson_count > 0 || course.assignment_count > 0);
+
+  if (courses.length === 0) {
+    await ctx.reply(
+      `📭 ${bold('لا توجد درجات بعد')}\n\n` +
+      `${escapeMarkdownV2('لا توجد كورسات بها واجبات أو دروس حالياً.')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  let message = `📊 ${bold('سجل درجاتي')}\n\n`;
+  for (const course of courses) {
+    const result = await getStudentGrade(course.course_id, userId);
+    if (!result) continue;
+
+    message += `📚 ${bold(course.name)} \\(${course.course_id}\\)\n` +
+      formatCategories(result.grade, result.weights) + '\n';
+  }
+  message += `💡 ${bold('للتفاصيل:')} ${code('/grades رقم_الكورس')}`;
+
+  await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+}
+
+async function replyWithCourse(ctx, userId, courseId) {
+  const result = await getStudentGrade(courseId, userId);
+  if (!result) {
+    await ctx.reply(
+      `❌ ${bold('الكورس غير موجود')}\n\n` +
+      `لا يوجد كورس برقم ${courseId}\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const { data, weights, grade } = result;
+  let message = `📊 ${bold(`سجل درجاتي: ${data.course.name}`)}\n\n`;
+
+  for (const category of ['assignments', 'quizzes']) {
+    const items = grade.items.filter(item => item.category === category);
+    if (items.length === 0) continue;
+
+    message += `${CATEGORY_ICONS[category]} ${bold(GRADE_CATEGORY_NAMES[category])}\n`;
+    for (const item of items) {
+      const status = item.status === 'graded' ? `${item.percent}%` : ITEM_STATUS_TEXT[item.status];
+      message += `   • ${escapeMarkdownV2(`${item.assignment.title} (${item.assignment.assignment_id}): ${status}`)}\n`;
+    }
+    message += '\n';
+  }
+
+  message += `${bold('الملخص')}\n` + formatCategories(grade, weights) + '\n' +
+    `💡 ${escapeMarkdownV2('تحسب الواجبات بعد ظهور نتيجتها، والواجب غير المسلم يحسب 0 بعد انتهاء موعده.')}`;
+
+  await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+}
+
+// Handle grades command: the student's standing in every course, or the details of one course
+export async function handleGrades(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const parsed = parseCommandArgs(ctx.message.text, GRADES_ARGS, await getUserLanguage(userId) || 'ar');
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+    } else if (parsed.values.courseId === null) {
+      await replyWithSummary(ctx, userId);
+    } else {
+      await replyWithCourse(ctx, userId, parsed.values.courseId);
+    }
+
+  } catch (error) {
+    console.error('خطأ في أمر /grades:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
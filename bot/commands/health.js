@@ -1,6 +1,6 @@
 import { escapeMarkdownV2, bold } from '../utils/escapeMarkdownV2.js';
 import { config } from '../../config.js';
-import { getStats } from '../utils/database.js';
+import { getStats, getSchemaInfo } from '../utils/database.js';
 
 export async function handleHealth(ctx) {
   try {
@@ -8,6 +8,7 @@ export async function handleHealth(ctx) {
     
     // Get system statistics
     const stats = await getStats();
+    const schemaInfo = await getSchemaInfo();
     
     // Calculate uptime (simplified)
     const uptime = process.uptime();
@@ -34,7 +35,8 @@ export async function handleHealth(ctx) {
       `🔧 ${bold('حالة النظام:')}\n` +
       `⏱️ ${escapeMarkdownV2('وقت التشغيل:')} ${uptimeHours}${escapeMarkdownV2(' ساعة')} ${uptimeMinutes}${escapeMarkdownV2(' دقيقة')}\n` +
       `💾 ${escapeMarkdownV2('استخدام الذاكرة:')} ${memUsageMB}${escapeMarkdownV2(' ميجابايت من')} ${memTotalMB}${escapeMarkdownV2(' ميجابايت')}\n` +
-      `🏥 ${escapeMarkdownV2('الحالة:')} ${healthStatus}\n\n` +
+      `🏥 ${escapeMarkdownV2('الحالة:')} ${healthStatus}\n` +
+      `🗄️ ${escapeMarkdownV2('إصدار قاعدة البيانات:')} ${schemaInfo.version}/${schemaInfo.latestVersion}\n\n` +
       `📈 ${bold('النشاط الأخير:')}\n` +
       `📅 ${escapeMarkdownV2('آخر تسجيل حضور:')} ${stats.lastAttendance || escapeMarkdownV2('لا يوجد')}\n` +
       `📝 ${escapeMarkdownV2('آخر واجب مضاف:')} ${stats.lastAssignment || escapeMarkdownV2('لا يوجد')}\n` +
@@ -30,17 +30,22 @@ export async function handleHelp(ctx) {
     if (isVerified) {
       message += `✅ ${bold('أوامر المستخدمين المفعلين:')}\n\n`;
       message += `• ${code('/courses')} \\- عرض الدورات المتاحة\n`;
-      message += `• ${code('/assignments')} \\- عرض الواجبات\n`;
+      message += `• ${code('/assignments')} \\- واجباتك وحالة كل واجب مع أزرار الإرسال\n`;
       message += `• ${code('/submit')} \\- إرسال إجابة واجب\n`;
+      message += `• ${code('/quiz')} \\- حل اختبار متعدد الأسئلة\n`;
+      message += `• ${code('/myattempts')} \\- محاولاتك السابقة ودرجاتها\n`;
+      message += `• ${code('/grades')} \\- سجل درجاتك في كل كورس\n`;
       message += `• ${code('/attendance')} \\- تسجيل الحضور\n`;
       message += `• ${code('/stats')} \\- إحصائياتك الشخصية\n`;
       message += `• ${code('/settings')} \\- إعدادات الحساب\n\n`;
 
       message += `⏰ ${bold('أوامر التذكيرات:')}\n\n`;
       message += `• ${code('/addreminder')} \\- إضافة تذكير شخصي\n`;
+      message += `• ${code('/cancel')} \\- إيقاف الإضافة خطوة بخطوة\n`;
       message += `• ${code('/listreminders')} \\- عرض تذكيراتك\n`;
       message += `• ${code('/deletereminder')} \\- حذف تذكير\n`;
-      message += `• ${code('/upcominglessons')} \\- الدروس القادمة\n\n`;
+      message += `• ${code('/upcominglessons')} \\- الدروس القادمة\n`;
+      message += `• ${code('/calendar')} \\- إضافة الدروس إلى تقويم هاتفك\n\n`;
     }
 
     // Admin commands
@@ -48,6 +53,41 @@ export async function handleHelp(ctx) {
       message += `👑 ${bold('أوامر الإدارة:')}\n\n`;
       message += `• ${code('/broadcast')} \\- إرسال رسالة جماعية\n`;
       message += `• ${code('/courseadmin')} \\- إدارة الدورات\n`;
+      message += `• ${code('/addquiz')} \\- إنشاء اختبار متعدد الأسئلة\n`;
+      message += `• ${code('/addquestion')} \\- إضافة سؤال إلى اختبار\n`;
+      message += `• ${code('/questions')} \\- عرض أسئلة اختبار\n`;
+      message += `• ${code('/deletequestion')} \\- حذف سؤال من اختبار\n`;
+      message += `• ${code('/importgift')} \\- استيراد اختبار من ملف أسئلة Moodle \\(GIFT\\)\n`;
+      message += `• ${code('/bankadd')} \\- إضافة سؤال إلى بنك أسئلة الكورس\n`;
+      message += `• ${code('/bank')} \\- عرض بنك الأسئلة حسب الوسوم والصعوبة\n`;
+      message += `• ${code('/bankdelete')} \\- حذف سؤال من بنك الأسئلة\n`;
+      message += `• ${code('/drawquiz')} \\- سحب أسئلة عشوائية مختلفة لكل طالب\n`;
+      message += `• ${code('/addcode')} \\- إنشاء تمرين برمجي يُصحح تلقائياً\n`;
+      message += `• ${code('/addtest')} \\- إضافة اختبار مخفي لتمرين برمجي\n`;
+      message += `• ${code('/codetests')} \\- عرض اختبارات تمرين برمجي\n`;
+      message += `• ${code('/deletetest')} \\- حذف اختبار من تمرين برمجي\n`;
+      message += `• ${code('/grade')} \\- تصحيح الإجابات المنتظرة وإرسال الدرجة للطالب\n`;
+      message += `• ${code('/addrubric')} \\- إنشاء سلم تقييم بمعايير ومستويات\n`;
+      message += `• ${code('/rubrics')} \\- عرض سلالم التقييم\n`;
+      message += `• ${code('/attachrubric')} \\- ربط سلم تقييم بواجب\n`;
+      message += `• ${code('/rubricgrade')} \\- تصحيح إجابة بسلم التقييم مع ملاحظات للطالب\n`;
+      message += `• ${code('/deleterubric')} \\- حذف سلم تقييم غير مستخدم\n`;
+      message += `• ${code('/livepoll')} \\- نشر سؤال اختبار مباشر في المجموعة\n`;
+      message += `• ${code('/closepoll')} \\- إغلاق السؤال المباشر وعرض من أجاب\n`;
+      message += `• ${code('/addlesson')} \\- إضافة درس\n`;
+      message += `• ${code('/updatelesson')} \\- تعديل درس\n`;
+      message += `• ${code('/deletelesson')} \\- حذف درس\n`;
+      message += `• ${code('/cancellesson')} \\- إلغاء درس وإشعار الطلاب\n`;
+      message += `• ${code('/reschedulelesson')} \\- تغيير موعد درس وإشعار الطلاب\n`;
+      message += `• ${code('/opencheckin')} \\- فتح تسجيل الحضور بكود لمدة محددة\n`;
+      message += `• ${code('/closecheckin')} \\- إغلاق تسجيل الحضور وتسجيل الغائبين\n`;
+      message += `• ${code('/importzoom')} \\- استيراد الحضور من تقرير مشاركي Zoom\n`;
+      message += `• ${code('/zoomreview')} \\- مراجعة المشاركين غير المعروفين\n`;
+      message += `• ${code('/zoommatch')} \\- ربط مشارك Zoom بطالب\n`;
+      message += `• ${code('/addseries')} \\- إنشاء سلسلة دروس متكررة\n`;
+      message += `• ${code('/listseries')} \\- عرض سلاسل الدروس\n`;
+      message += `• ${code('/updateseries')} \\- تعديل سلسلة دروس\n`;
+      message += `• ${code('/cancelseries')} \\- إلغاء سلسلة دروس\n`;
       message += `• ${code('/export')} \\- تصدير البيانات\n`;
       message += `• ${code('/publish')} \\- نشر إعلان\n\n`;
     }
@@ -67,6 +107,8 @@ export async function handleHelp(ctx) {
 
     message += `💡 ${bold('نصائح مهمة:')}\n`;
     message += `• استخدم الأوامر بالصيغة الصحيحة\n`;
+    message += `• أرسل ${code('/addreminder')} أو أوامر الإضافة بدون قيم ليسألك البوت عن كل قيمة خطوة بخطوة\n`;
+    message += `• أرسل الأمر بدون قيم لعرض صيغته، وضع النص المكون من عدة كلمات بين علامتي تنصيص ${code('"..."')}\n`;
     message += `• تأكد من تفعيل التذكيرات في الإعدادات\n`;
     message += `• راجع الأسئلة الشائعة للمساعدة السريعة\n\n`;
 
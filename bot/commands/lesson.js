@@ -0,0 +1,478 @@
+// bot/commands/lesson.js
+import {
+  addLesson,
+  updateLesson,
+  deleteLesson,
+  getLesson,
+  getCourse,
+  cancelLesson,
+  rescheduleLesson,
+  getUserLanguage
+} from '../utils/database.js';
+import { addLessonReminder, removeLessonReminder, sendLessonChangeNotice } from '../utils/reminders.js';
+import { validateDate, validateTime } from '../utils/security.js';
+import { getLessonStart, isValidTimezone } from '../utils/timezone.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+const LINK_REGEX = /^https?:\/\/\S+$/;
+
+export const ADD_LESSON_ARGS = {
+  command: 'addlesson',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'date', label: { ar: 'التاريخ', en: 'date' }, type: 'date' },
+    { name: 'time', label: { ar: 'الوقت', en: 'time' }, type: 'time', description: 'بتوقيت الكورس' },
+    { name: 'zoomLink', label: { ar: 'الرابط', en: 'link' }, required: false, pattern: LINK_REGEX, description: 'يُستخدم رابط Zoom الافتراضي عند حذفه' },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, type: 'text', min: 3, max: 100 }
+  ],
+  examples: ['/addlesson 1 2026-11-01 19:00 https://zoom.us/j/123 مقدمة في البرمجة']
+};
+
+const LESSON_ID_ARG = { name: 'lessonId', label: { ar: 'رقم_الدرس', en: 'lesson_id' }, type: 'int', min: 1 };
+const REASON_ARG = { name: 'reason', label: { ar: 'السبب', en: 'reason' }, type: 'text', required: false };
+
+const UPDATE_LESSON_ARGS = {
+  command: 'updatelesson',
+  args: [
+    LESSON_ID_ARG,
+    { name: 'field', label: { ar: 'الحقل', en: 'field' }, type: 'enum', values: ['title', 'date', 'time', 'zoom_link', 'course_id', 'timezone'] },
+    { name: 'value', label: { ar: 'القيمة_الجديدة', en: 'new_value' }, type: 'text' }
+  ],
+  examples: ['/updatelesson 3 time 20:30']
+};
+
+const DELETE_LESSON_ARGS = {
+  command: 'deletelesson',
+  args: [LESSON_ID_ARG],
+  examples: ['/deletelesson 3']
+};
+
+const CANCEL_LESSON_ARGS = {
+  command: 'cancellesson',
+  args: [LESSON_ID_ARG, REASON_ARG],
+  examples: ['/cancellesson 3 ظرف طارئ للمدرب']
+};
+
+const RESCHEDULE_LESSON_ARGS = {
+  command: 'reschedulelesson',
+  args: [
+    LESSON_ID_ARG,
+    { name: 'date', label: { ar: 'التاريخ', en: 'date' }, type: 'date' },
+    { name: 'time', label: { ar: 'الوقت', en: 'time' }, type: 'time', description: 'بتوقيت الدرس' },
+    REASON_ARG
+  ],
+  examples: ['/reschedulelesson 3 2026-11-05 20:00 تعارض مع عطلة']
+};
+
+// Format lesson details for confirmation messages
+function formatLessonDetails(lesson) {
+  return `🆔 ${bold('رقم الدرس:')} ${lesson.lesson_id}\n` +
+    `📚 ${bold('رقم الكورس:')} ${lesson.course_id}\n` +
+    `📝 ${bold('العنوان:')} ${escapeMarkdownV2(lesson.title)}\n` +
+    `📅 ${bold('التاريخ:')} ${escapeMarkdownV2(lesson.date)}\n` +
+    `⏰ ${bold('الوقت:')} ${escapeMarkdownV2(lesson.time)}\n` +
+    `🌍 ${bold('المنطقة الزمنية:')} ${escapeMarkdownV2(lesson.timezone || config.schedule.defaultTimezone)}\n` +
+    `🔗 ${bold('الرابط:')} ${escapeMarkdownV2(lesson.zoom_link || config.zoom.fullLink)}` +
+    (lesson.status === 'cancelled' ? `\n🚫 ${bold('الحالة:')} ملغى` : '');
+}
+
+// Handle add lesson command (admin only)
+export async function handleAddLesson(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_LESSON_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إضافة درس جديد'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    await createLesson(ctx, parsed.values);
+
+  } catch (error) {
+    console.error('خطأ في أمر /addlesson:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Create a lesson, schedule its reminders and report it, shared by /addlesson and its wizard
+export async function createLesson(ctx, { courseId, date, time, zoomLink, title }) {
+  try {
+    const course = await getCourse(courseId);
+    if (!course) {
+      await ctx.reply(
+        `❌ ${bold('الكورس غير موجود')}\n\n` +
+        `لا يوجد كورس برقم ${courseId}\\.\n` +
+        `استخدم ${code('/addcourse')} لإنشاء الكورس أولاً\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return false;
+    }
+
+    const lessonId = await addLesson(courseId, title, date, time, zoomLink);
+    if (!lessonId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إضافة الدرس')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return false;
+    }
+
+    const lesson = await getLesson(lessonId);
+    addLessonReminder(lesson);
+
+    const isUpcoming = getLessonStart(lesson, config.schedule.defaultTimezone) > new Date();
+    const reminderNote = isUpcoming
+      ? `🔔 تمت جدولة تذكيرات الدرس قبل 24 ساعة وقبل ساعة واحدة\\.`
+      : `⚠️ موعد الدرس في الماضي، لن تُرسل له تذكيرات\\.`;
+
+    await ctx.reply(
+      `✅ ${bold('تم إضافة الدرس بنجاح')}\n\n` +
+      `${formatLessonDetails(lesson)}\n\n` +
+      reminderNote,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+    return true;
+
+  } catch (error) {
+    console.error('خطأ في إضافة الدرس:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return false;
+  }
+}
+
+// Handle update lesson command (admin only)
+export async function handleUpdateLesson(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, UPDATE_LESSON_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔄 ${bold('تحديث درس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `${code('/updatelesson رقم_الدرس الحقل القيمة_الجديدة')}\n\n` +
+        `📋 ${bold('الحقول المتاحة:')} ${code('title')}، ${code('date')}، ${code('time')}، ${code('zoom_link')}، ${code('course_id')}، ${code('timezone')}\n\n` +
+        `💡 ${bold('مثال:')}\n` +
+        `${code('/updatelesson 3 time 20:30')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId, field, value } = parsed.values;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Validate the new value for the chosen field
+    let validationError = null;
+    if (field === 'date' && !validateDate(value)) {
+      validationError = `يجب أن يكون التاريخ بصيغة ${code('YYYY-MM-DD')}`;
+    } else if (field === 'time' && !validateTime(value)) {
+      validationError = `يجب أن يكون الوقت بصيغة ${code('HH:MM')}`;
+    } else if (field === 'zoom_link' && !LINK_REGEX.test(value)) {
+      validationError = `يجب أن يبدأ الرابط بـ ${code('https://')}`;
+    } else if (field === 'timezone' && !isValidTimezone(value)) {
+      validationError = `منطقة زمنية غير معروفة، استخدم اسماً مثل ${code('Africa/Algiers')}`;
+    } else if (field === 'title' && (value.length < 3 || value.length > 100)) {
+      validationError = 'يجب أن يكون العنوان بين 3 و 100 حرف\\.';
+    } else if (field === 'course_id') {
+      const courseId = parseInt(value);
+      if (isNaN(courseId) || !(await getCourse(courseId))) {
+        validationError = `لا يوجد كورس برقم ${escapeMarkdownV2(value)}\\.`;
+      }
+    }
+
+    if (validationError) {
+      await ctx.reply(
+        `❌ ${bold('قيمة غير صحيحة')}\n\n${validationError}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const updateSuccess = await updateLesson(lessonId, field, field === 'course_id' ? parseInt(value) : value);
+    if (!updateSuccess) {
+      await ctx.reply(
+        `❌ ${bold('فشل في تحديث الدرس')}\n\n` +
+        `تأكد من صحة اسم الحقل أو حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Re-schedule reminders so they follow the new date/time
+    const updatedLesson = await getLesson(lessonId);
+    removeLessonReminder(lessonId);
+    addLessonReminder(updatedLesson);
+
+    await ctx.reply(
+      `✅ ${bold('تم تحديث الدرس بنجاح')}\n\n` +
+      `${formatLessonDetails(updatedLesson)}`,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /updatelesson:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle delete lesson command (admin only)
+export async function handleDeleteLesson(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_LESSON_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🗑️ ${bold('حذف درس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/deletelesson رقم_الدرس')}\n` +
+        `💡 ${bold('مثال:')} ${code('/deletelesson 3')}\n\n` +
+        `⚠️ سيتم حذف سجلات الحضور المرتبطة بالدرس أيضاً\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId } = parsed.values;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const deleteResult = await deleteLesson(lessonId);
+    if (!deleteResult.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حذف الدرس')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    removeLessonReminder(lessonId);
+
+    await ctx.reply(
+      `✅ ${bold('تم حذف الدرس بنجاح')}\n\n` +
+      `🆔 ${bold('رقم الدرس المحذوف:')} ${lessonId}\n` +
+      `📝 ${bold('عنوان الدرس:')} ${escapeMarkdownV2(lesson.title)}\n\n` +
+      `🔕 تم إلغاء تذكيرات الدرس\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /deletelesson:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle cancel lesson command (admin only), the lesson is kept in history as cancelled
+export async function handleCancelLesson(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, CANCEL_LESSON_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🚫 ${bold('إلغاء درس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/cancellesson رقم_الدرس [السبب]')}\n` +
+        `💡 ${bold('مثال:')} ${code('/cancellesson 3 ظرف طارئ للمدرب')}\n\n` +
+        `📣 سيتم إشعار الطلاب والمجموعة تلقائياً وإلغاء التذكيرات\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId, reason } = parsed.values;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (lesson.status === 'cancelled') {
+      await ctx.reply(
+        `⚠️ ${bold('الدرس ملغى بالفعل')}\n\n` +
+        `💡 لإعادته استخدم ${code(`/reschedulelesson ${lessonId} التاريخ الوقت`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const cancelResult = await cancelLesson(lessonId, reason, ctx.from.id);
+    if (!cancelResult.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إلغاء الدرس')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    removeLessonReminder(lessonId);
+
+    const cancelledLesson = await getLesson(lessonId);
+    const notice = await sendLessonChangeNotice(cancelledLesson, {
+      type: 'cancelled',
+      oldDate: lesson.date,
+      oldTime: lesson.time,
+      reason
+    });
+
+    await ctx.reply(
+      `✅ ${bold('تم إلغاء الدرس')}\n\n` +
+      `${formatLessonDetails(cancelledLesson)}\n\n` +
+      `🔕 تم إلغاء تذكيرات الدرس\\.\n` +
+      `📣 ${bold('الإشعارات:')} نجح ${notice.successCount}، فشل ${notice.failCount}`,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /cancellesson:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle reschedule lesson command (admin only), also reinstates a cancelled lesson
+export async function handleRescheduleLesson(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, RESCHEDULE_LESSON_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔁 ${bold('تغيير موعد درس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `${code('/reschedulelesson رقم_الدرس التاريخ الوقت [السبب]')}\n\n` +
+        `💡 ${bold('مثال:')} ${code('/reschedulelesson 3 2026-11-05 20:00 تعارض مع عطلة')}\n\n` +
+        `📣 سيتم إشعار الطلاب والمجموعة تلقائياً وإعادة جدولة التذكيرات\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId, date: newDate, time: newTime, reason } = parsed.values;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    let validationError = null;
+    if (getLessonStart({ ...lesson, date: newDate, time: newTime }, config.schedule.defaultTimezone) <= new Date()) {
+      validationError = 'الموعد الجديد يجب أن يكون في المستقبل\\.';
+    } else if (lesson.status !== 'cancelled' && lesson.date === newDate && lesson.time === newTime) {
+      validationError = 'الموعد الجديد مطابق للموعد الحالي\\.';
+    }
+
+    if (validationError) {
+      await ctx.reply(
+        `❌ ${bold('موعد غير صحيح')}\n\n${validationError}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const rescheduleResult = await rescheduleLesson(lessonId, newDate, newTime, reason, ctx.from.id);
+    if (!rescheduleResult.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في تغيير موعد الدرس')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Drop the jobs for the old time before scheduling the new ones
+    const rescheduledLesson = await getLesson(lessonId);
+    removeLessonReminder(lessonId);
+    addLessonReminder(rescheduledLesson);
+
+    const notice = await sendLessonChangeNotice(rescheduledLesson, {
+      type: 'rescheduled',
+      oldDate: lesson.date,
+      oldTime: lesson.time,
+      reason
+    });
+
+    await ctx.reply(
+      `✅ ${bold('تم تغيير موعد الدرس')}\n\n` +
+      `${formatLessonDetails(rescheduledLesson)}\n\n` +
+      `🕘 ${bold('الموعد السابق:')} ${escapeMarkdownV2(`${lesson.date} ${lesson.time}`)}\n` +
+      `🔔 تمت إعادة جدولة التذكيرات\\.\n` +
+      `📣 ${bold('الإشعارات:')} نجح ${notice.successCount}، فشل ${notice.failCount}`,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /reschedulelesson:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
@@ -1,6 +1,7 @@
 // bot/commands/listreminders.js
-import { getUserReminders } from '../utils/database.js';
+import { getUserReminders, getUserTimezone } from '../utils/database.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
+import { getReminderTime } from '../utils/timezone.js';
 import { config } from '../../config.js';
 
 export async function handleListreminders(ctx) {
@@ -9,6 +10,7 @@ export async function handleListreminders(ctx) {
     
     // Get user's reminders
     const reminders = await getUserReminders(userId);
+    const timeZone = await getUserTimezone(userId);
     
     if (reminders.length === 0) {
       await ctx.reply(
@@ -28,11 +30,12 @@ export async function handleListreminders(ctx) {
     message += `📊 ${bold(`لديك ${reminders.length} تذكير نشط:`)}\n\n`;
 
     reminders.forEach((reminder, index) => {
-      const reminderDate = new Date(reminder.reminder_datetime);
-      const formattedDate = reminderDate.toLocaleDateString('ar-SA');
+      const reminderDate = getReminderTime(reminder, config.schedule.defaultTimezone);
+      const formattedDate = reminderDate.toLocaleDateString('ar-SA', { timeZone });
       const formattedTime = reminderDate.toLocaleTimeString('ar-SA', { 
         hour: '2-digit', 
-        minute: '2-digit' 
+        minute: '2-digit',
+        timeZone
       });
       
       message += `${index + 1}\\. ${bold(formattedDate)} في ${formattedTime}\n`;
@@ -0,0 +1,340 @@
+// bot/commands/livepoll.js
+import {
+  addAssignment,
+  updateAssignment,
+  getAssignment,
+  getCourse,
+  addQuestion,
+  getQuestions,
+  getQuestion,
+  getSubmission,
+  finishQuiz,
+  addLivePoll,
+  getLivePoll,
+  getOpenLivePolls,
+  closeLivePoll,
+  getAssignmentSubmissions,
+  getAllVerifiedUsers,
+  getUserLanguage
+} from '../utils/database.js';
+import { parseQuestionSpec, gradeQuestion, formatQuizAnswer } from '../utils/quiz.js';
+import { getSubmissionBlocker, getLateStatus, applyLatePenalty } from '../utils/assignmentPolicy.js';
+import { formatInTimezone } from '../utils/timezone.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { logActivity, logError } from '../middlewares/logger.js';
+import { config } from '../../config.js';
+
+// Telegram limits for polls
+const MAX_POLL_QUESTION_LENGTH = 300;
+const MAX_POLL_OPTION_LENGTH = 100;
+
+const TRUE_FALSE_OPTIONS = ['صح', 'خطأ'];
+
+const LIVE_POLL_ARGS = {
+  command: 'livepoll',
+  args: [
+    { name: 'id', label: { ar: 'رقم_الواجب_أو_الكورس', en: 'assignment_or_course_id' }, type: 'int', min: 1 },
+    { name: 'spec', label: { ar: 'السؤال', en: 'question' }, type: 'text', required: false, description: 'السؤال | خيار | *الخيار الصحيح، بعد رقم الكورس' }
+  ],
+  examples: ['/livepoll 5', '/livepoll 1 ما ناتج 2+2؟ | 3 | *4 | 5']
+};
+
+const CLOSE_POLL_ARGS = {
+  command: 'closepoll',
+  args: [{ name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 }],
+  examples: ['/closepoll 5']
+};
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// Poll options and the index of the correct one, null for questions that cannot be a poll
+function getPollOptions(question) {
+  if (question.type === 'mcq') {
+    return { options: JSON.parse(question.options || '[]'), correctOptionId: parseInt(question.correct_answer) };
+  }
+  if (question.type === 'true_false') {
+    return { options: TRUE_FALSE_OPTIONS, correctOptionId: question.correct_answer === 'true' ? 0 : 1 };
+  }
+  return null;
+}
+
+// Stored answer for the chosen option, as the /quiz buttons would store it
+function getPollAnswer(question, optionId) {
+  if (question.type === 'true_false') {
+    return optionId === 0 ? 'true' : 'false';
+  }
+  return String(optionId);
+}
+
+// Create a one-question quiz for an ad-hoc question, open until the end of the day
+async function createLiveQuestion(ctx, courseId, spec) {
+  const course = await getCourse(courseId);
+  if (!course) {
+    await ctx.reply(
+      `❌ ${bold('الكورس غير موجود')}\n\n` +
+      `تحقق من رقم الكورس\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  const parsed = parseQuestionSpec('mcq', spec);
+  if (parsed.error) {
+    await ctx.reply(
+      `❌ ${bold('السؤال غير صحيح')}\n\n` +
+      `${escapeMarkdownV2(parsed.error)}\n\n` +
+      `💡 ${bold('مثال:')} ${code('/livepoll 1 ما ناتج 2+2؟ | 3 | *4 | 5')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  const { date } = formatInTimezone(new Date(), course.timezone || config.schedule.defaultTimezone);
+  const assignmentId = await addAssignment(courseId, `سؤال مباشر: ${parsed.text}`, parsed.text, '', date);
+  if (!assignmentId) {
+    return null;
+  }
+  // Telegram shows the correct option as soon as a student votes
+  await updateAssignment(assignmentId, 'reveal_policy', 'immediate');
+  const questionId = await addQuestion(assignmentId, 'mcq', parsed.text, parsed.options, parsed.correctAnswer);
+  if (!questionId) {
+    return null;
+  }
+
+  return { assignment: await getAssignment(assignmentId), question: await getQuestion(questionId) };
+}
+
+// Use an existing quiz made of one multiple-choice or true/false question
+async function loadLiveQuestion(ctx, assignmentId) {
+  const assignment = await getAssignment(assignmentId);
+  if (!assignment) {
+    await ctx.reply(
+      `❌ ${bold('الواجب غير موجود')}\n\n` +
+      `لا يوجد واجب برقم ${assignmentId}\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  const questions = await getQuestions(assignmentId);
+  // Questions drawn per student cannot be one poll for the whole group
+  if (questions.length !== 1 || assignment.draw_count > 0 || !getPollOptions(questions[0])) {
+    await ctx.reply(
+      `❌ ${bold('لا يمكن نشر هذا الواجب كاستطلاع')}\n\n` +
+      `يجب أن يكون اختباراً من سؤال واحد من نوع ${code('mcq')} أو ${code('tf')}\\.\n` +
+      `💡 أو اطرح سؤالاً مباشراً: ${code('/livepoll رقم_الكورس السؤال | خيار | *الخيار الصحيح')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  // A quiz poll shows the correct option to everyone as soon as they vote
+  if (assignment.reveal_policy !== 'immediate') {
+    await ctx.reply(
+      `❌ ${bold('سياسة عرض الإجابة لا تسمح بالاستطلاع')}\n\n` +
+      `يكشف الاستطلاع الإجابة الصحيحة فور التصويت، بينما سياسة هذا الواجب ${code(assignment.reveal_policy)}\\.\n` +
+      `💡 غيّرها بـ ${code(`/updateassignment ${assignmentId} reveal_policy immediate`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  if (!getLateStatus(assignment, new Date(), config.schedule.defaultTimezone).accepted) {
+    await ctx.reply(
+      `❌ ${bold('انتهى الموعد النهائي لهذا الواجب')}\n\n` +
+      `لن تُسجل الإجابات، عدّل الموعد بـ ${code(`/updateassignment ${assignmentId} deadline YYYY-MM-DD`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return null;
+  }
+
+  return { assignment, question: questions[0] };
+}
+
+// Handle live poll command (admin only), posts a quiz poll to the group
+export async function handleLivePoll(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, LIVE_POLL_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `📊 ${bold('سؤال مباشر في المجموعة')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `• ${code('/livepoll رقم_الواجب')} \\- اختبار من سؤال واحد\n` +
+        `• ${code('/livepoll رقم_الكورس السؤال | خيار | *الخيار الصحيح')} \\- سؤال جديد\n\n` +
+        `💡 ${bold('مثال:')} ${code('/livepoll 1 ما ناتج 2+2؟ | 3 | *4 | 5')}\n\n` +
+        `📥 تسجل إجابات الطلاب المفعلين تلقائياً، وتظهر النتائج بـ ${code('/closepoll رقم_الواجب')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    if (!config.admin.groupId) {
+      await ctx.reply(
+        `❌ ${bold('لم يتم ضبط مجموعة الكورس')}\n\n` +
+        `أضف ${code('GROUP_ID')} إلى ملف ${code('.env')} ثم أعد تشغيل البوت\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const { id, spec } = parsed.values;
+    const live = spec?.includes('|')
+      ? await createLiveQuestion(ctx, id, spec)
+      : await loadLiveQuestion(ctx, id);
+    if (!live) {
+      return;
+    }
+
+    const { assignment, question } = live;
+    const { options, correctOptionId } = getPollOptions(question);
+    if (question.text.length > MAX_POLL_QUESTION_LENGTH || options.some(option => option.length > MAX_POLL_OPTION_LENGTH)) {
+      await ctx.reply(
+        `❌ ${bold('السؤال أطول من حدود تيليجرام')}\n\n` +
+        `${escapeMarkdownV2(`السؤال حتى ${MAX_POLL_QUESTION_LENGTH} حرف وكل خيار حتى ${MAX_POLL_OPTION_LENGTH} حرف.`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Answers are only reported for polls that are not anonymous
+    const message = await ctx.telegram.sendPoll(config.admin.groupId, question.text, options, {
+      type: 'quiz',
+      is_anonymous: false,
+      correct_option_id: correctOptionId
+    });
+    await addLivePoll(message.poll.id, assignment.assignment_id, question.question_id,
+      config.admin.groupId, message.message_id, ctx.from.id);
+
+    logActivity(`تم نشر استطلاع الواجب ${assignment.assignment_id} في المجموعة`);
+    await ctx.reply(
+      `✅ ${bold('تم نشر السؤال في المجموعة')}\n\n` +
+      `🆔 ${bold('رقم الواجب:')} ${assignment.assignment_id}\n` +
+      `📝 ${bold('السؤال:')} ${escapeMarkdownV2(question.text)}\n\n` +
+      `🏁 لإغلاقه وعرض من أجاب: ${code(`/closepoll ${assignment.assignment_id}`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'livepoll', error);
+  }
+}
+
+// Record a verified student's vote as their submission (unverified voters are dropped by verifyMiddleware)
+export async function handlePollAnswer(ctx) {
+  const { poll_id: pollId, user, option_ids: optionIds } = ctx.pollAnswer;
+
+  try {
+    const poll = await getLivePoll(pollId);
+    if (!poll || poll.closed_at || optionIds.length === 0) {
+      return;
+    }
+
+    const assignment = await getAssignment(poll.assignment_id);
+    const question = await getQuestion(poll.question_id);
+    if (!assignment || !question) {
+      return;
+    }
+
+    const now = new Date();
+    const blocker = getSubmissionBlocker(assignment, await getSubmission(user.id, assignment.assignment_id), now, config.schedule.defaultTimezone);
+    if (blocker) {
+      logActivity(`لم تسجل إجابة الطالب ${user.id} على استطلاع الواجب ${assignment.assignment_id}: ${blocker}`);
+      return;
+    }
+
+    const answer = getPollAnswer(question, optionIds[0]);
+    const { points } = gradeQuestion(question, answer);
+    const late = getLateStatus(assignment, now, config.schedule.defaultTimezone);
+    const result = await finishQuiz(
+      user.id,
+      assignment,
+      `1. ${formatQuizAnswer(question, answer)}`,
+      applyLatePenalty(points, late.penaltyPercent),
+      question.points ?? 1,
+      late
+    );
+    if (!result.success) {
+      logError(new Error('فشل في حفظ إجابة الاستطلاع'), `POLL_ANSWER_${pollId}_${user.id}`);
+    }
+  } catch (error) {
+    logError(error, `POLL_ANSWER_${pollId}`);
+  }
+}
+
+// Handle close poll command (admin only), stops the assignment's polls and lists who answered correctly
+export async function handleClosePoll(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, CLOSE_POLL_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🏁 ${bold('إغلاق السؤال المباشر')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/closepoll رقم_الواجب')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+
+    const polls = await getOpenLivePolls(assignmentId);
+    if (polls.length === 0) {
+      await ctx.reply(
+        `❌ ${bold('لا يوجد استطلاع مفتوح')}\n\n` +
+        `لا يوجد سؤال مباشر مفتوح للواجب ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    for (const poll of polls) {
+      try {
+        await ctx.telegram.stopPoll(poll.chat_id, poll.message_id);
+      } catch (error) {
+        // Already stopped or deleted in the group, it is still closed here
+        logError(error, `STOP_POLL_${poll.poll_id}`);
+      }
+      await closeLivePoll(poll.poll_id);
+    }
+
+    const assignment = await getAssignment(assignmentId);
+    const submissions = await getAssignmentSubmissions(assignmentId);
+    const verifiedCount = (await getAllVerifiedUsers()).length;
+    const formatName = submission => escapeMarkdownV2(submission.first_name || submission.username || String(submission.user_id));
+    const correct = submissions.filter(submission => submission.score > 0);
+    const wrong = submissions.filter(submission => !(submission.score > 0));
+
+    await ctx.reply(
+      `🏁 ${bold('تم إغلاق السؤال المباشر')}\n\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment?.title || String(assignmentId))}\n` +
+      `👥 ${bold('أجاب:')} ${submissions.length} من ${verifiedCount} طالب مفعل\n\n` +
+      `✅ ${bold(`إجابات صحيحة (${correct.length}):`)}\n` +
+      (correct.length > 0 ? correct.map(formatName).join('، ') : '—') + '\n\n' +
+      `❌ ${bold(`إجابات خاطئة (${wrong.length}):`)}\n` +
+      (wrong.length > 0 ? wrong.map(formatName).join('، ') : '—'),
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'closepoll', error);
+  }
+}
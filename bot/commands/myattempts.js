@@ -0,0 +1,143 @@
+// bot/commands/myattempts.js
+import {
+  getAssignment,
+  getSubmission,
+  getSubmissionAttempts,
+  getUserSubmissionSummaries,
+  getUserTimezone,
+  getUserLanguage
+} from '../utils/database.js';
+import { getMaxAttempts, isResultVisible, SCORING_RULE_NAMES } from '../utils/assignmentPolicy.js';
+import { formatSqliteTimestamp } from '../utils/timezone.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+const MY_ATTEMPTS_ARGS = {
+  command: 'myattempts',
+  args: [{ name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1, required: false }],
+  examples: ['/myattempts', '/myattempts 3']
+};
+
+// Keep the attempt list within Telegram's 4096 character message limit
+const MAX_ANSWER_LENGTH = 200;
+
+// Scores stay hidden until the student would see them after submitting, or until results are released
+function canSeeScores(assignment, submission) {
+  return isResultVisible(assignment, submission, new Date(), config.schedule.defaultTimezone);
+}
+
+function formatAttemptCount(assignment, attemptsUsed) {
+  const maxAttempts = getMaxAttempts(assignment);
+  return Number.isFinite(maxAttempts) ? `${attemptsUsed} من ${maxAttempts}` : String(attemptsUsed);
+}
+
+function formatAttemptScore(attempt, showScores) {
+  if (attempt.status === 'replaced') return '↩️ استُبدلت بمحاولة أحدث';
+  if (attempt.status === 'pending') return '⏳ بانتظار التصحيح';
+  if (!showScores) return '🔒 تظهر بعد الموعد النهائي';
+  return `📊 ${attempt.score}/${attempt.max_score}`;
+}
+
+async function replyWithSummary(ctx, userId) {
+  const submissions = await getUserSubmissionSummaries(userId);
+  if (submissions.length === 0) {
+    await ctx.reply(
+      `📭 ${bold('لا توجد محاولات بعد')}\n\n` +
+      `📋 اطلع على الواجبات بـ ${code('/assignments')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  let message = `🔁 ${bold('محاولاتي')}\n\n`;
+  for (const submission of submissions) {
+    const attemptsUsed = submission.attempt_count ?? 1;
+    const rule = SCORING_RULE_NAMES[submission.scoring_rule] || SCORING_RULE_NAMES.last;
+    let grade;
+    if (submission.status === 'pending') {
+      grade = escapeMarkdownV2('⏳ بانتظار التصحيح');
+    } else if (!canSeeScores(submission, submission)) {
+      grade = escapeMarkdownV2('🔒 تظهر بعد الموعد النهائي');
+    } else {
+      grade = escapeMarkdownV2(`${submission.score}/${submission.max_score} (${rule})`);
+    }
+
+    message +=
+      `📝 ${bold(submission.title)} \\(${submission.assignment_id}\\)\n` +
+      `   🔁 ${escapeMarkdownV2(`المحاولات: ${formatAttemptCount(submission, attemptsUsed)}`)}\n` +
+      `   📊 ${escapeMarkdownV2('الدرجة المعتمدة:')} ${grade}\n\n`;
+  }
+  message += `💡 ${bold('للتفاصيل:')} ${code('/myattempts رقم_الواجب')}`;
+
+  await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+}
+
+async function replyWithAttempts(ctx, userId, assignmentId) {
+  const assignment = await getAssignment(assignmentId);
+  const submission = assignment ? await getSubmission(userId, assignmentId) : null;
+  const attempts = submission ? await getSubmissionAttempts(userId, assignmentId) : [];
+  if (attempts.length === 0) {
+    await ctx.reply(
+      `❌ ${bold('لا توجد محاولات')}\n\n` +
+      `لم ترسل أي إجابة للواجب ${assignmentId}\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const timezone = await getUserTimezone(userId);
+  const attemptsUsed = submission.attempt_count ?? attempts.length;
+  const showScores = canSeeScores(assignment, submission);
+  const rule = SCORING_RULE_NAMES[assignment.scoring_rule] || SCORING_RULE_NAMES.last;
+
+  let message =
+    `🔁 ${bold(`محاولاتي: ${assignment.title}`)}\n\n` +
+    `📋 ${bold('المحاولات:')} ${escapeMarkdownV2(formatAttemptCount(assignment, attemptsUsed))}\n` +
+    `⚖️ ${bold('احتساب الدرجة:')} ${escapeMarkdownV2(rule)}\n\n`;
+
+  for (const attempt of attempts) {
+    const answer = attempt.answer.length > MAX_ANSWER_LENGTH
+      ? `${attempt.answer.slice(0, MAX_ANSWER_LENGTH)}…`
+      : attempt.answer;
+    message +=
+      `${bold(`${attempt.attempt_number}.`)} ${escapeMarkdownV2(formatSqliteTimestamp(attempt.submitted_at, timezone))}` +
+      (attempt.is_late ? ` ⏰ ${escapeMarkdownV2(`متأخرة ${attempt.days_late} يوم`)}` : '') + '\n' +
+      `   ✍️ ${escapeMarkdownV2(answer)}\n` +
+      `   ${escapeMarkdownV2(formatAttemptScore(attempt, showScores))}\n\n`;
+  }
+
+  if (submission.status === 'pending') {
+    message += `📊 ${bold('الدرجة المعتمدة:')} ${escapeMarkdownV2('بانتظار التصحيح')}`;
+  } else if (showScores) {
+    message += `📊 ${bold('الدرجة المعتمدة:')} ${escapeMarkdownV2(`${submission.score}/${submission.max_score}`)}`;
+  } else {
+    message += `🔒 ${escapeMarkdownV2('ستظهر درجاتك بعد انتهاء الموعد النهائي.')}`;
+  }
+
+  await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+}
+
+// Handle myattempts command: all assignments with attempts, or every attempt at one assignment
+export async function handleMyAttempts(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const parsed = parseCommandArgs(ctx.message.text, MY_ATTEMPTS_ARGS, await getUserLanguage(userId) || 'ar');
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+    } else if (parsed.values.assignmentId === null) {
+      await replyWithSummary(ctx, userId);
+    } else {
+      await replyWithAttempts(ctx, userId, parsed.values.assignmentId);
+    }
+
+  } catch (error) {
+    console.error('خطأ في أمر /myattempts:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
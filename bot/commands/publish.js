@@ -1,10 +1,16 @@
-import { addAnnouncement, getVerifiedUsersWithReminders } from '../utils/database.js';
+import { addAnnouncement, getVerifiedUsersWithReminders, getUserLanguage } from '../utils/database.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
 
+const PUBLISH_ARGS = {
+  command: 'publish',
+  args: [{ name: 'announcement', label: { ar: 'نص_الإعلان', en: 'announcement' }, type: 'text' }],
+  examples: ['/publish مرحباً بكم في الدرس الجديد']
+};
+
 export async function handlePublish(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
 
     // Check if user is admin
     if (!config.admin.userIds.includes(userId)) {
@@ -17,9 +23,8 @@ export async function handlePublish(ctx) {
       return;
     }
 
-    // Extract announcement content
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, PUBLISH_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `📢 *كيفية نشر إعلان*\n` +
         `الصيغة الصحيحة: \`/publish نص_الإعلان\`\n` +
@@ -30,8 +35,13 @@ export async function handlePublish(ctx) {
       return;
     }
 
-    // Get announcement content (everything after /publish)
-    const announcementContent = messageText.substring(messageText.indexOf(' ') + 1);
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    // Everything after /publish
+    const announcementContent = parsed.values.announcement;
 
     // Save announcement to database
     const announcementId = await addAnnouncement(announcementContent, true);
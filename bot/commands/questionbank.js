@@ -0,0 +1,349 @@
+// bot/commands/questionbank.js
+import {
+  getCourse,
+  getAssignment,
+  addBankQuestion,
+  getBankQuestions,
+  getBankQuestion,
+  deleteBankQuestion,
+  setQuizDraw,
+  getUserLanguage
+} from '../utils/database.js';
+import { resolveQuestionType, parseQuestionSpec, optionLabel, formatQuizAnswer } from '../utils/quiz.js';
+import {
+  DIFFICULTIES,
+  DIFFICULTY_NAMES,
+  parseTags,
+  parseBankOptions,
+  validateBankQuestion,
+  filterBankQuestions,
+  describeDraw
+} from '../utils/questionBank.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { TYPE_NAMES } from './quiz.js';
+import { config } from '../../config.js';
+
+const COURSE_ID_ARG = { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 };
+
+// Options and the question are the rest of the message as typed, like /addquestion
+const BANK_ADD_ARGS = {
+  command: 'bankadd',
+  args: [
+    COURSE_ID_ARG,
+    { name: 'type', label: { ar: 'النوع', en: 'type' } },
+    { name: 'spec', label: { ar: 'السؤال', en: 'question' }, type: 'text', max: 1500 }
+  ],
+  examples: [
+    '/bankadd 1 mcq tags=الوحدة_1 difficulty=easy ما ناتج 2+2؟ | 3 | *4 | 5',
+    '/bankadd 1 num tags=الضرب points=2 ما ناتج {a:2..9} × {b:2..9}؟ | {a} * {b}'
+  ]
+};
+
+const FILTER_FLAGS = [
+  { name: 'tags', label: { ar: 'الوسوم', en: 'tags' } },
+  { name: 'difficulty', label: { ar: 'الصعوبة', en: 'difficulty' }, type: 'enum', values: DIFFICULTIES }
+];
+
+const BANK_ARGS = {
+  command: 'bank',
+  args: [COURSE_ID_ARG],
+  flags: FILTER_FLAGS,
+  examples: ['/bank 1', '/bank 1 tags=الوحدة_1 difficulty=hard']
+};
+
+const BANK_DELETE_ARGS = {
+  command: 'bankdelete',
+  args: [{ name: 'bankQuestionId', label: { ar: 'رقم_سؤال_البنك', en: 'bank_question_id' }, type: 'int', min: 1 }],
+  examples: ['/bankdelete 12']
+};
+
+const DRAW_QUIZ_ARGS = {
+  command: 'drawquiz',
+  args: [
+    { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 },
+    { name: 'count', label: { ar: 'عدد_الأسئلة', en: 'count' }, type: 'int', min: 0, max: 50 }
+  ],
+  flags: FILTER_FLAGS,
+  examples: ['/drawquiz 5 10', '/drawquiz 5 3 tags=الوحدة_1,الوحدة_2 difficulty=easy', '/drawquiz 5 0']
+};
+
+// Questions listed in one /bank reply, Telegram messages are limited to 4096 characters
+const MAX_LISTED_QUESTIONS = 20;
+const MAX_LISTED_TEXT = 80;
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+async function replyCourseNotFound(ctx, courseId) {
+  await ctx.reply(
+    `❌ ${bold('الكورس غير موجود')}\n\n` +
+    `لا يوجد كورس برقم ${courseId}\\.`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+function formatFilter(tags, difficulty) {
+  const parts = [];
+  if (tags.length > 0) parts.push(`الوسوم: ${tags.join('، ')}`);
+  if (difficulty) parts.push(`الصعوبة: ${DIFFICULTY_NAMES[difficulty]}`);
+  return parts.join('، ');
+}
+
+function formatBankLine(question) {
+  const text = question.text.length > MAX_LISTED_TEXT ? `${question.text.slice(0, MAX_LISTED_TEXT)}…` : question.text;
+  const tags = parseTags(question.tags);
+  return `🆔 ${question.bank_question_id} \\| ${escapeMarkdownV2(TYPE_NAMES[question.type] || question.type)} \\| ` +
+    `${escapeMarkdownV2(DIFFICULTY_NAMES[question.difficulty] || question.difficulty)} \\| ⭐ ${question.points}\n` +
+    `   ${escapeMarkdownV2(text)}` +
+    (tags.length > 0 ? `\n   🏷️ ${escapeMarkdownV2(tags.join('، '))}` : '');
+}
+
+// Handle bank add command (admin only), adds a question to a course's bank
+export async function handleBankAdd(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, BANK_ADD_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إضافة سؤال إلى بنك الأسئلة'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, spec } = parsed.values;
+    const type = resolveQuestionType(parsed.values.type);
+    const course = await getCourse(courseId);
+    if (!course) {
+      await replyCourseNotFound(ctx, courseId);
+      return;
+    }
+
+    if (!type) {
+      await ctx.reply(
+        `❌ ${bold('نوع السؤال غير معروف')}\n\n` +
+        `الأنواع المتاحة: ${code('mcq')}، ${code('tf')}، ${code('short')}، ${code('num')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const options = parseBankOptions(spec);
+    const question = options.error ? options : parseQuestionSpec(type, options.rest);
+    const error = question.error || validateBankQuestion(type, question.text, question.correctAnswer);
+    if (error) {
+      await ctx.reply(
+        `❌ ${bold('سؤال غير صحيح')}\n\n` +
+        `${escapeMarkdownV2(error)}\n` +
+        `💡 افصل نص السؤال عن الإجابات بـ ${code('|')}، وضع ${code('tags=')} و ${code('difficulty=')} و ${code('points=')} قبل النص`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const bankQuestionId = await addBankQuestion(courseId, {
+      type,
+      text: question.text,
+      options: question.options,
+      correctAnswer: question.correctAnswer,
+      points: options.points,
+      tags: options.tags,
+      difficulty: options.difficulty
+    }, ctx.from.id);
+    if (!bankQuestionId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إضافة السؤال')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const answer = type === 'mcq'
+      ? `${optionLabel(parseInt(question.correctAnswer))}) ${question.options[parseInt(question.correctAnswer)]}`
+      : formatQuizAnswer({ type }, question.correctAnswer);
+    const bankSize = (await getBankQuestions(courseId)).length;
+    await ctx.reply(
+      `✅ ${bold('تمت إضافة السؤال إلى البنك')}\n\n` +
+      `🆔 ${bold('رقم سؤال البنك:')} ${bankQuestionId}\n` +
+      `📚 ${bold('الكورس:')} ${escapeMarkdownV2(course.name)}\n` +
+      `🔤 ${bold('النوع:')} ${escapeMarkdownV2(TYPE_NAMES[type])}\n` +
+      `❓ ${bold('السؤال:')} ${escapeMarkdownV2(question.text)}\n` +
+      `✅ ${bold('الإجابة:')} ${escapeMarkdownV2(answer)}\n` +
+      `📶 ${bold('الصعوبة:')} ${escapeMarkdownV2(DIFFICULTY_NAMES[options.difficulty])}\n` +
+      (options.tags.length > 0 ? `🏷️ ${bold('الوسوم:')} ${escapeMarkdownV2(options.tags.join('، '))}\n` : '') +
+      `⭐ ${bold('النقاط:')} ${options.points}\n\n` +
+      `📋 عدد أسئلة البنك الآن: ${bankSize}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'bankadd', error);
+  }
+}
+
+// Handle bank command (admin only), lists a course's bank with optional tag and difficulty filters
+export async function handleBank(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, BANK_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'بنك الأسئلة'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, difficulty } = parsed.values;
+    const tags = parseTags(parsed.values.tags);
+    const course = await getCourse(courseId);
+    if (!course) {
+      await replyCourseNotFound(ctx, courseId);
+      return;
+    }
+
+    const all = await getBankQuestions(courseId);
+    const questions = filterBankQuestions(all, { tags, difficulty });
+    const filter = formatFilter(tags, difficulty);
+    if (questions.length === 0) {
+      await ctx.reply(
+        `📭 ${bold(all.length === 0 ? 'بنك الأسئلة فارغ' : 'لا توجد أسئلة تطابق هذا الاختيار')}\n\n` +
+        `➕ أضف سؤالاً بـ ${code(`/bankadd ${courseId} mcq tags=الوحدة_1 السؤال | خيار | *الصحيح`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const counts = DIFFICULTIES.map(level =>
+      `${DIFFICULTY_NAMES[level]}: ${questions.filter(question => question.difficulty === level).length}`
+    );
+    const allTags = [...new Set(all.flatMap(question => parseTags(question.tags)))];
+
+    let message = `🗃️ ${bold(`بنك أسئلة: ${course.name}`)}` +
+      (filter ? ` \\- ${escapeMarkdownV2(filter)}` : '') + '\n' +
+      `📋 ${escapeMarkdownV2(`${questions.length} سؤال (${counts.join('، ')})`)}\n\n`;
+    message += questions.slice(0, MAX_LISTED_QUESTIONS).map(formatBankLine).join('\n\n');
+    if (questions.length > MAX_LISTED_QUESTIONS) {
+      message += `\n\n${escapeMarkdownV2(`… و ${questions.length - MAX_LISTED_QUESTIONS} أسئلة أخرى، ضيّق الاختيار بـ tags= أو difficulty=`)}`;
+    }
+    if (allTags.length > 0) {
+      message += `\n\n🏷️ ${bold('وسوم الكورس:')} ${escapeMarkdownV2(allTags.join('، '))}`;
+    }
+    message += `\n\n🎲 ${escapeMarkdownV2('لسحب أسئلة مختلفة لكل طالب:')} ${code('/drawquiz رقم_الاختبار العدد')}`;
+
+    await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+
+  } catch (error) {
+    await replyWithError(ctx, 'bank', error);
+  }
+}
+
+// Handle bank delete command (admin only)
+export async function handleBankDelete(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, BANK_DELETE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'حذف سؤال من البنك'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { bankQuestionId } = parsed.values;
+    const question = await getBankQuestion(bankQuestionId);
+    if (!question) {
+      await ctx.reply(
+        `❌ ${bold('السؤال غير موجود')}\n\n` +
+        `لا يوجد سؤال في البنك برقم ${bankQuestionId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const result = await deleteBankQuestion(bankQuestionId);
+    if (!result.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حذف السؤال')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم حذف السؤال من البنك')}\n\n` +
+      `❓ ${escapeMarkdownV2(question.text)}\n\n` +
+      `💡 ${escapeMarkdownV2('الطلاب الذين سُحب لهم هذا السؤال يحتفظون بنسختهم منه.')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'bankdelete', error);
+  }
+}
+
+// Handle draw quiz command (admin only), makes a quiz draw random bank questions for each student
+export async function handleDrawQuiz(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, DRAW_QUIZ_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'سحب أسئلة عشوائية لكل طالب'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId, count, difficulty } = parsed.values;
+    const tags = parseTags(parsed.values.tags);
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await ctx.reply(
+        `❌ ${bold('الواجب غير موجود')}\n\n` +
+        `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Single-question assignments are answered with /submit, their question cannot be drawn
+    if (assignment.assignment_type === 'code' || (assignment.correct_answer && assignment.correct_answer !== '')) {
+      await ctx.reply(
+        `❌ ${bold('هذا الواجب ليس اختباراً')}\n\n` +
+        `أنشئ اختباراً بـ ${code('/addquiz')} ثم اسحب له الأسئلة\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const available = filterBankQuestions(await getBankQuestions(assignment.course_id), { tags, difficulty });
+    if (available.length < count) {
+      await ctx.reply(
+        `❌ ${bold('أسئلة البنك لا تكفي')}\n\n` +
+        escapeMarkdownV2(`يوجد ${available.length} سؤال فقط` + (tags.length > 0 || difficulty ? ` (${formatFilter(tags, difficulty)})` : '') + ` في بنك هذا الكورس.`) + '\n' +
+        `➕ أضف أسئلة بـ ${code(`/bankadd ${assignment.course_id}`)} أو اطلب عدداً أقل\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!await setQuizDraw(assignmentId, count, tags, count > 0 ? difficulty : null)) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حفظ الإعداد')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const draw = describeDraw({ draw_count: count, draw_tags: tags.join(','), draw_difficulty: difficulty });
+    await ctx.reply(
+      `✅ ${bold(count > 0 ? 'تم تفعيل سحب الأسئلة' : 'تم إيقاف سحب الأسئلة')}\n\n` +
+      `📝 ${bold('الاختبار:')} ${escapeMarkdownV2(assignment.title)} \\(${assignmentId}\\)\n` +
+      (draw
+        ? `🎲 ${escapeMarkdownV2(draw)}\n` +
+          `📋 ${escapeMarkdownV2(`من بين ${available.length} سؤال مناسب في البنك`)}\n\n` +
+          `💡 ${escapeMarkdownV2('يحصل كل طالب على أسئلته عند فتح الاختبار أول مرة، وتُحفظ نسخته لإعادة المحاولة والتصحيح. أسئلة الخيارات تُعرض بترتيب مختلف، والأسئلة الرقمية بقيم مختلفة.')}`
+        : `\n💡 ${escapeMarkdownV2('الطلاب الذين فتحوا الاختبار يحتفظون بالأسئلة التي سُحبت لهم.')}`),
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'drawquiz', error);
+  }
+}
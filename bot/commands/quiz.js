@@ -0,0 +1,728 @@
+// bot/commands/quiz.js
+import { Markup } from 'telegraf';
+import {
+  addAssignment,
+  getAssignment,
+  getCourse,
+  addQuestion,
+  getQuestions,
+  getQuestion,
+  deleteQuestion,
+  getQuizQuestionCount,
+  getBankQuestions,
+  saveQuizVariant,
+  hasQuizVariant,
+  getQuizProgress,
+  startQuiz,
+  getQuizAnswers,
+  saveQuizAnswer,
+  finishQuiz,
+  getSubmission,
+  getUserLanguage
+} from '../utils/database.js';
+import {
+  resolveQuestionType,
+  parseQuestionSpec,
+  optionLabel,
+  gradeQuestion,
+  formatQuizAnswer,
+  formatExpectedAnswer,
+  summarizeQuiz
+} from '../utils/quiz.js';
+import { validateExpectedAnswer } from '../utils/answerMatching.js';
+import {
+  parseTags,
+  filterBankQuestions,
+  drawQuestions,
+  instantiateQuestion,
+  describeDraw
+} from '../utils/questionBank.js';
+import {
+  getSubmissionBlocker,
+  shouldShowResult,
+  getLateStatus,
+  applyLatePenalty,
+  SCORING_RULE_NAMES
+} from '../utils/assignmentPolicy.js';
+import { scheduleAnswerReveal } from '../utils/answerReveal.js';
+import { addAssignmentReminder } from '../utils/reminders.js';
+import { validateDate } from '../utils/security.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+export const TYPE_NAMES = {
+  mcq: 'اختيار من متعدد',
+  true_false: 'صح أو خطأ',
+  short_answer: 'إجابة قصيرة',
+  numeric: 'إجابة رقمية'
+};
+
+const ASSIGNMENT_ID_ARG = { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 };
+
+const ADD_QUIZ_ARGS = {
+  command: 'addquiz',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'deadline', label: { ar: 'الموعد_النهائي', en: 'deadline' }, type: 'date' },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, type: 'text', max: 100 }
+  ],
+  examples: ['/addquiz 1 2026-11-20 اختبار الوحدة الأولى']
+};
+
+const ADD_QUESTION_ARGS = {
+  command: 'addquestion',
+  args: [
+    ASSIGNMENT_ID_ARG,
+    { name: 'type', label: { ar: 'النوع', en: 'type' } },
+    { name: 'points', label: { ar: 'points=N', en: 'points=N' }, required: false, pattern: /^points=\d+$/i },
+    { name: 'spec', label: { ar: 'السؤال', en: 'question' }, type: 'text' }
+  ],
+  examples: ['/addquestion 5 mcq ما ناتج 2+2؟ | 3 | *4 | 5', '/addquestion 5 short points=2 عاصمة الجزائر؟ | الجزائر']
+};
+
+const LIST_QUESTIONS_ARGS = {
+  command: 'questions',
+  args: [ASSIGNMENT_ID_ARG],
+  examples: ['/questions 5']
+};
+
+const DELETE_QUESTION_ARGS = {
+  command: 'deletequestion',
+  args: [{ name: 'questionId', label: { ar: 'رقم_السؤال', en: 'question_id' }, type: 'int', min: 1 }],
+  examples: ['/deletequestion 12']
+};
+
+const QUIZ_ARGS = {
+  command: 'quiz',
+  args: [ASSIGNMENT_ID_ARG],
+  examples: ['/quiz 5']
+};
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// First question of the quiz the user has not answered yet
+function getNextQuestion(questions, answers) {
+  const answered = new Set(answers.map(answer => answer.question_id));
+  return questions.find(question => !answered.has(question.question_id)) || null;
+}
+
+// Draw the user's questions from the bank the first time they open a quiz with a draw rule
+async function ensureQuizVariant(userId, assignment) {
+  if (!(assignment.draw_count > 0) || await hasQuizVariant(userId, assignment.assignment_id)) {
+    return true;
+  }
+
+  const pool = filterBankQuestions(await getBankQuestions(assignment.course_id), {
+    tags: parseTags(assignment.draw_tags),
+    difficulty: assignment.draw_difficulty
+  });
+  // Questions whose parameters give no valid answer are skipped, the bank may still have enough others
+  const variant = [];
+  for (const question of drawQuestions(pool, pool.length)) {
+    if (variant.length === assignment.draw_count) break;
+    const instance = instantiateQuestion(question);
+    if (instance) variant.push({ ...instance, bankQuestionId: question.bank_question_id });
+  }
+  return variant.length > 0 && saveQuizVariant(userId, assignment.assignment_id, variant);
+}
+
+// Send the next unanswered question, or grade the quiz when every question is answered
+async function sendNextQuestion(ctx, userId, assignment) {
+  const questions = await getQuestions(assignment.assignment_id, userId);
+  const answers = await getQuizAnswers(userId, assignment.assignment_id);
+  const question = getNextQuestion(questions, answers);
+
+  if (!question) {
+    await completeQuiz(ctx, userId, assignment, questions, answers);
+    return;
+  }
+
+  const number = questions.indexOf(question) + 1;
+  let message = `❓ ${bold(`السؤال ${number} من ${questions.length}`)}` +
+    ` \\(${escapeMarkdownV2(`${question.points} ${question.points === 1 ? 'نقطة' : 'نقاط'}`)}\\)\n\n` +
+    `${escapeMarkdownV2(question.text)}\n`;
+  let keyboard = null;
+
+  if (question.type === 'mcq') {
+    const options = JSON.parse(question.options || '[]');
+    message += '\n' + options.map((option, index) => `${bold(optionLabel(index))}\\) ${escapeMarkdownV2(option)}`).join('\n');
+    const buttons = options.map((option, index) =>
+      Markup.button.callback(optionLabel(index), `quiz:${question.question_id}:${index}`)
+    );
+    // Four buttons per row keeps the letters large on phones
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+      rows.push(buttons.slice(i, i + 4));
+    }
+    keyboard = Markup.inlineKeyboard(rows);
+  } else if (question.type === 'true_false') {
+    keyboard = Markup.inlineKeyboard([[
+      Markup.button.callback('✅ صح', `quiz:${question.question_id}:true`),
+      Markup.button.callback('❌ خطأ', `quiz:${question.question_id}:false`)
+    ]]);
+  } else {
+    message += `\n✍️ أرسل إجابتك في رسالة نصية\\.`;
+  }
+
+  await ctx.reply(message, { parse_mode: 'MarkdownV2', ...(keyboard || {}) });
+}
+
+// Store the total score in submissions and show it to the student
+async function completeQuiz(ctx, userId, assignment, questions, answers) {
+  // A quiz started before the deadline counts as submitted when it is finished
+  const now = new Date();
+  const late = getLateStatus(assignment, now, config.schedule.defaultTimezone);
+  if (!late.accepted) {
+    await ctx.reply(
+      `⏰ ${bold('انتهى الموعد النهائي')}\n\n` +
+      `لم يعد إرسال هذا الاختبار متاحاً\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const summary = summarizeQuiz(questions, answers);
+  const { maxScore, correctCount } = summary;
+  const score = applyLatePenalty(summary.score, late.penaltyPercent);
+  const byQuestion = new Map(answers.map(answer => [answer.question_id, answer]));
+  const answerSummary = questions
+    .map((question, index) => `${index + 1}. ${formatQuizAnswer(question, byQuestion.get(question.question_id)?.answer ?? '')}`)
+    .join(' | ');
+
+  const result = await finishQuiz(userId, assignment, answerSummary, score, maxScore, late);
+  if (!result.success) {
+    await ctx.reply(
+      `❌ ${bold('فشل في حفظ نتيجة الاختبار')}\n\n` +
+      `أعد المحاولة بـ ${code(`/quiz ${assignment.assignment_id}`)} لمتابعة الاختبار\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const showResult = shouldShowResult(assignment, now, config.schedule.defaultTimezone, result.attemptNumber);
+  const recordedNote = result.attemptNumber > 1 && result.recordedScore !== score
+    ? `📈 ${bold('الدرجة المعتمدة:')} ${escapeMarkdownV2(`${result.recordedScore}/${maxScore} (${SCORING_RULE_NAMES[assignment.scoring_rule] || SCORING_RULE_NAMES.last})`)}\n`
+    : '';
+  await ctx.reply(
+    `🏁 ${bold('انتهى الاختبار')}\n\n` +
+    `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment.title)}\n` +
+    (late.isLate
+      ? `⏰ ${escapeMarkdownV2(`إجابة متأخرة ${late.daysLate} يوم` + (late.penaltyPercent > 0 ? ` (خصم ${late.penaltyPercent}% من الدرجة)` : ''))}\n`
+      : '') +
+    (showResult
+      ? `✅ ${bold('الإجابات الصحيحة:')} ${correctCount} من ${questions.length}\n` +
+        `📊 ${bold(`نقاطك في المحاولة ${result.attemptNumber}:`)} ${escapeMarkdownV2(`${score}/${maxScore}`)}\n` +
+        recordedNote + '\n'
+      : `🔒 ${escapeMarkdownV2('ستصلك نتيجتك بعد انتهاء الموعد النهائي، ويمكنك إعادة الاختبار حتى ذلك الحين.')}\n\n`) +
+    `🎉 شكراً لك على المشاركة\\!`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// Record an answer and move on, shared by the inline buttons and short text answers
+async function recordAnswer(ctx, userId, question, answer) {
+  const assignment = await getAssignment(question.assignment_id);
+  const { isCorrect, points } = gradeQuestion(question, answer, {
+    mode: assignment.match_mode,
+    tolerance: assignment.match_tolerance
+  });
+  const saved = await saveQuizAnswer(userId, question.assignment_id, question.question_id, answer, isCorrect, points);
+  if (!saved) {
+    return null;
+  }
+
+  // Per-question feedback would give the answers away before the deadline
+  return { isCorrect, assignment, showCorrectness: assignment.reveal_policy === 'immediate' };
+}
+
+// Handle add quiz command (admin only), creates an assignment that questions are added to
+export async function handleAddQuiz(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_QUIZ_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🧩 ${bold('إنشاء اختبار')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/addquiz رقم_الكورس الموعد_النهائي العنوان')}\n` +
+        `📅 الموعد بصيغة ${code('YYYY-MM-DD')}\n\n` +
+        `💡 ${bold('مثال:')} ${code('/addquiz 1 2026-11-20 اختبار الوحدة الأولى')}\n\n` +
+        `➕ ثم أضف الأسئلة بـ ${code('/addquestion')} أو اسحبها من بنك الأسئلة بـ ${code('/drawquiz')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, deadline, title } = parsed.values;
+
+    const course = await getCourse(courseId);
+    if (!course) {
+      await ctx.reply(
+        `❌ ${bold('الكورس غير موجود')}\n\n` +
+        `لا يوجد كورس برقم ${courseId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const deadlineDate = validateDate(deadline);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (deadlineDate < today) {
+      await ctx.reply(
+        `❌ ${bold('الموعد النهائي في الماضي')}\n\n` +
+        `يجب أن يكون الموعد النهائي في المستقبل\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // The quiz title doubles as the legacy question text, the answers live in assignment_questions
+    const assignmentId = await addAssignment(courseId, title, title, '', deadline);
+    if (!assignmentId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إنشاء الاختبار')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+    await scheduleAnswerReveal(assignmentId);
+    addAssignmentReminder(await getAssignment(assignmentId));
+
+    await ctx.reply(
+      `✅ ${bold('تم إنشاء الاختبار')}\n\n` +
+      `🆔 ${bold('رقم الواجب:')} ${assignmentId}\n` +
+      `📚 ${bold('الكورس:')} ${escapeMarkdownV2(course.name)}\n` +
+      `📝 ${bold('العنوان:')} ${escapeMarkdownV2(title)}\n` +
+      `📅 ${bold('الموعد النهائي:')} ${escapeMarkdownV2(deadline)}\n\n` +
+      `➕ ${bold('أضف الأسئلة:')}\n` +
+      `${code(`/addquestion ${assignmentId} mcq ما ناتج 2+2؟ | 3 | *4 | 5`)}\n` +
+      `${code(`/addquestion ${assignmentId} tf الأرض مسطحة | false`)}\n` +
+      `${code(`/addquestion ${assignmentId} short points=2 عاصمة الجزائر؟ | الجزائر`)}\n\n` +
+      `🎲 ${bold('أو اسحب أسئلة مختلفة لكل طالب من بنك الكورس:')}\n` +
+      `${code(`/drawquiz ${assignmentId} 5 tags=الوحدة_1`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'addquiz', error);
+  }
+}
+
+// Handle add question command (admin only)
+export async function handleAddQuestion(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_QUESTION_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `➕ ${bold('إضافة سؤال')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `${code('/addquestion رقم_الواجب النوع [points=N] نص السؤال | الإجابات')}\n\n` +
+        `🔤 ${bold('الأنواع:')}\n` +
+        `• ${code('mcq')} \\- اختيار من متعدد، ضع ${code('*')} قبل الخيار الصحيح\n` +
+        `• ${code('tf')} \\- صح أو خطأ، الإجابة ${code('true')} أو ${code('false')}\n` +
+        `• ${code('short')} \\- إجابة قصيرة يكتبها الطالب\n` +
+        `• ${code('num')} \\- إجابة رقمية، تُقبل بأي صيغة للرقم\n\n` +
+        `💡 ${bold('مثال:')} ${code('/addquestion 5 mcq ما ناتج 2+2؟ | 3 | *4 | 5')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId, spec } = parsed.values;
+    const type = resolveQuestionType(parsed.values.type);
+    const points = parsed.values.points ? parseInt(parsed.values.points.slice('points='.length)) : 1;
+
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await ctx.reply(
+        `❌ ${bold('الواجب غير موجود')}\n\n` +
+        `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!type) {
+      await ctx.reply(
+        `❌ ${bold('نوع السؤال غير معروف')}\n\n` +
+        `الأنواع المتاحة: ${code('mcq')}، ${code('tf')}، ${code('short')}، ${code('num')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (points <= 0) {
+      await ctx.reply(
+        `❌ ${bold('عدد النقاط يجب أن يكون أكبر من صفر')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const parsedQuestion = parseQuestionSpec(type, spec);
+    if (!parsedQuestion.error && type === 'short_answer') {
+      // Short answers are graded with the quiz's grading mode, e.g. numeric needs a number
+      parsedQuestion.error = validateExpectedAnswer(assignment.match_mode || 'exact', parsedQuestion.correctAnswer);
+    } else if (!parsedQuestion.error && type === 'numeric') {
+      parsedQuestion.error = validateExpectedAnswer('numeric', parsedQuestion.correctAnswer);
+    }
+    if (parsedQuestion.error) {
+      await ctx.reply(
+        `❌ ${bold('سؤال غير صحيح')}\n\n` +
+        `${escapeMarkdownV2(parsedQuestion.error)}\n` +
+        `💡 افصل نص السؤال عن الإجابات بـ ${code('|')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const questionId = await addQuestion(assignmentId, type, parsedQuestion.text, parsedQuestion.options, parsedQuestion.correctAnswer, points);
+    if (!questionId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إضافة السؤال')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const questions = await getQuestions(assignmentId);
+    const question = questions.find(row => row.question_id === questionId);
+    await ctx.reply(
+      `✅ ${bold('تمت إضافة السؤال')}\n\n` +
+      `🆔 ${bold('رقم السؤال:')} ${questionId}\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment.title)} \\(${assignmentId}\\)\n` +
+      `🔤 ${bold('النوع:')} ${escapeMarkdownV2(TYPE_NAMES[type])}\n` +
+      `❓ ${bold('السؤال:')} ${escapeMarkdownV2(parsedQuestion.text)}\n` +
+      `✅ ${bold('الإجابة:')} ${escapeMarkdownV2(formatQuizAnswer(question, parsedQuestion.correctAnswer))}\n` +
+      `⭐ ${bold('النقاط:')} ${points}\n\n` +
+      `📋 عدد أسئلة الاختبار الآن: ${questions.length}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'addquestion', error);
+  }
+}
+
+// Handle list questions command (admin only), shows questions with their correct answers
+export async function handleListQuestions(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, LIST_QUESTIONS_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `📋 ${bold('أسئلة اختبار')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/questions رقم_الواجب')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await ctx.reply(
+        `❌ ${bold('الواجب غير موجود')}\n\n` +
+        `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const questions = await getQuestions(assignmentId);
+    const draw = describeDraw(assignment);
+    if (questions.length === 0 && !draw) {
+      await ctx.reply(
+        `📭 ${bold('لا توجد أسئلة لهذا الواجب')}\n\n` +
+        `➕ أضف سؤالاً بـ ${code(`/addquestion ${assignmentId} mcq السؤال | خيار | *الصحيح`)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const totalPoints = questions.reduce((sum, question) => sum + question.points, 0);
+    let message = `📋 ${bold(`أسئلة: ${assignment.title}`)}\n\n`;
+    questions.forEach((question, index) => {
+      message += `${index + 1}\\. ${escapeMarkdownV2(question.text)}\n` +
+        `   🆔 ${question.question_id} \\| ${escapeMarkdownV2(TYPE_NAMES[question.type] || question.type)} \\| ⭐ ${question.points}\n`;
+      if (question.type === 'mcq') {
+        JSON.parse(question.options || '[]').forEach((option, optionIndex) => {
+          message += `   ${String(optionIndex) === question.correct_answer ? '✅' : '▫️'} ${escapeMarkdownV2(`${optionLabel(optionIndex)}) ${option}`)}\n`;
+        });
+      } else {
+        message += `   ✅ ${escapeMarkdownV2(formatExpectedAnswer(question))}\n`;
+      }
+      message += '\n';
+    });
+    if (draw) {
+      // Each student's drawn questions are their own, they are listed in the bank with /bank
+      message += `🎲 ${escapeMarkdownV2(`${questions.length > 0 ? 'إضافة إلى ما سبق: ' : ''}${draw}`)}\n\n`;
+    }
+    message += `⭐ ${bold('مجموع النقاط:')} ${totalPoints}` +
+      (draw ? ` ${escapeMarkdownV2('+ نقاط الأسئلة المسحوبة')}` : '') + `\n` +
+      `🗑️ لحذف سؤال: ${code('/deletequestion رقم_السؤال')}`;
+
+    await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+
+  } catch (error) {
+    await replyWithError(ctx, 'questions', error);
+  }
+}
+
+// Handle delete question command (admin only)
+export async function handleDeleteQuestion(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_QUESTION_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🗑️ ${bold('حذف سؤال')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/deletequestion رقم_السؤال')}\n` +
+        `📋 أرقام الأسئلة تظهر في ${code('/questions رقم_الواجب')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { questionId } = parsed.values;
+    const question = await getQuestion(questionId);
+    if (!question) {
+      await ctx.reply(
+        `❌ ${bold('السؤال غير موجود')}\n\n` +
+        `لم يتم العثور على سؤال برقم ${questionId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const result = await deleteQuestion(questionId);
+    if (!result.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حذف السؤال')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم حذف السؤال')}\n\n` +
+      `❓ ${escapeMarkdownV2(question.text)}\n` +
+      `📝 ${bold('الواجب:')} ${question.assignment_id}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'deletequestion', error);
+  }
+}
+
+// Handle quiz command, starts a quiz or resumes the one in progress
+export async function handleQuiz(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, QUIZ_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🧩 ${bold('حل اختبار')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/quiz رقم_الواجب')}\n` +
+        `📋 أرقام الاختبارات تظهر في ${code('/assignments')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    await openQuiz(ctx, parsed.values.assignmentId);
+
+  } catch (error) {
+    await replyWithError(ctx, 'quiz', error);
+  }
+}
+
+/**
+ * Start a quiz for the user, or resume the one in progress
+ * @param {Object} ctx - Telegraf context of the command or button
+ * @param {number} assignmentId - Quiz assignment id (NaN if the user typed something else)
+ * @param {string} [rawId] - The id as the user typed it, for the not found message
+ */
+export async function openQuiz(ctx, assignmentId, rawId = String(assignmentId)) {
+  const userId = ctx.from.id;
+  const assignment = isNaN(assignmentId) ? null : await getAssignment(assignmentId);
+  if (!assignment || await getQuizQuestionCount(assignmentId) === 0) {
+    await ctx.reply(
+      `❌ ${bold('الاختبار غير موجود')}\n\n` +
+      `لا يوجد اختبار برقم ${escapeMarkdownV2(rawId)}\\.\n` +
+      `💡 الواجبات ذات السؤال الواحد تُحل بـ ${code('/submit')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const progress = await getQuizProgress(userId);
+  const blocker = getSubmissionBlocker(
+    assignment,
+    await getSubmission(userId, assignmentId),
+    new Date(),
+    config.schedule.defaultTimezone
+  );
+  if (blocker) {
+    await ctx.reply(
+      `🔒 ${bold('لا يمكن حل الاختبار')}\n\n` +
+      `${escapeMarkdownV2(blocker)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  if (!await ensureQuizVariant(userId, assignment)) {
+    await ctx.reply(
+      `⏳ ${bold('الاختبار غير جاهز بعد')}\n\n` +
+      `لا توجد في بنك الأسئلة أسئلة تناسب هذا الاختبار، تواصل مع المدرس\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+  const questions = await getQuestions(assignmentId, userId);
+
+  if (progress?.assignment_id !== assignmentId) {
+    const started = await startQuiz(userId, assignmentId);
+    if (!started.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في بدء الاختبار')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const totalPoints = questions.reduce((sum, question) => sum + question.points, 0);
+    await ctx.reply(
+      `🧩 ${bold(assignment.title)}\n\n` +
+      `❓ ${bold('عدد الأسئلة:')} ${questions.length}\n` +
+      `⭐ ${bold('مجموع النقاط:')} ${totalPoints}\n\n` +
+      `أجب عن الأسئلة واحداً تلو الآخر\\. يمكنك المتابعة لاحقاً بنفس الأمر\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+
+  await sendNextQuestion(ctx, userId, assignment);
+}
+
+// Handle inline answer buttons (callback data quiz:<question_id>:<answer>)
+export async function handleQuizAnswer(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const questionId = parseInt(ctx.match[1]);
+    const answer = ctx.match[2];
+
+    const question = await getQuestion(questionId);
+    const progress = await getQuizProgress(userId);
+    // Drawn questions can only be answered by the student they were drawn for
+    const isOwnQuestion = question && (question.user_id === null || question.user_id === userId);
+    if (!isOwnQuestion || progress?.assignment_id !== question.assignment_id) {
+      await ctx.answerCbQuery('⚠️ هذا الاختبار غير نشط، ابدأه من جديد بـ /quiz');
+      return;
+    }
+
+    const result = await recordAnswer(ctx, userId, question, answer);
+    if (!result) {
+      await ctx.answerCbQuery('ℹ️ أجبت عن هذا السؤال بالفعل');
+      return;
+    }
+
+    if (result.showCorrectness) {
+      await ctx.answerCbQuery(result.isCorrect ? '✅ إجابة صحيحة' : '❌ إجابة خاطئة');
+    } else {
+      await ctx.answerCbQuery('📥 تم حفظ إجابتك');
+    }
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (editError) {
+      // The question stays readable even if its buttons could not be removed
+      console.error('خطأ في إزالة أزرار السؤال:', editError);
+    }
+    await ctx.reply(
+      `${result.showCorrectness ? (result.isCorrect ? '✅' : '❌') : '📥'} ${escapeMarkdownV2(`إجابتك: ${formatQuizAnswer(question, answer)}`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+    await sendNextQuestion(ctx, userId, result.assignment);
+
+  } catch (error) {
+    console.error('خطأ في الإجابة على سؤال الاختبار:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
+
+// Take a plain text message as the answer to a pending short-answer question, returns true if it was used
+export async function handleQuizTextAnswer(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const progress = await getQuizProgress(userId);
+    if (!progress) {
+      return false;
+    }
+
+    const questions = await getQuestions(progress.assignment_id, userId);
+    const answers = await getQuizAnswers(userId, progress.assignment_id);
+    const question = getNextQuestion(questions, answers);
+    if (!question || !['short_answer', 'numeric'].includes(question.type)) {
+      return false;
+    }
+
+    const answer = ctx.message.text.trim();
+    const result = await recordAnswer(ctx, userId, question, answer);
+    if (!result) {
+      return false;
+    }
+
+    await ctx.reply(
+      result.showCorrectness
+        ? `${result.isCorrect ? '✅ إجابة صحيحة' : '❌ إجابة خاطئة'}`
+        : '📥 تم حفظ إجابتك'
+    );
+    await sendNextQuestion(ctx, userId, result.assignment);
+    return true;
+
+  } catch (error) {
+    await replyWithError(ctx, 'quiz', error);
+    return true;
+  }
+}
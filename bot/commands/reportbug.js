@@ -1,17 +1,23 @@
 // bot/commands/reportbug.js
-import { addBugReport } from '../utils/database.js';
+import { addBugReport, getUserLanguage } from '../utils/database.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
 
+const REPORT_BUG_ARGS = {
+  command: 'reportbug',
+  args: [{ name: 'description', label: { ar: 'وصف_المشكلة', en: 'description' }, type: 'text', min: 10, description: 'اشرح المشكلة والخطوات التي أدت إليها' }],
+  examples: ['/reportbug لا يظهر رابط الدرس بعد تسجيل الحضور']
+};
+
 export async function handleReportbug(ctx) {
   try {
     const userId = ctx.from.id;
     const username = ctx.from.username ? `@${ctx.from.username}` : 'غير متوفر';
     const firstName = ctx.from.first_name || 'مستخدم';
-    const messageText = ctx.message.text;
-    const args = messageText.split(' ');
+    const parsed = parseCommandArgs(ctx.message.text, REPORT_BUG_ARGS, await getUserLanguage(userId) || 'ar');
 
-    if (args.length < 2) {
+    if (parsed.empty) {
       await ctx.reply(
         `🐛 ${bold('الإبلاغ عن خطأ أو مشكلة')}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -27,18 +33,13 @@ export async function handleReportbug(ctx) {
       return;
     }
 
-    const bugDescription = args.slice(1).join(' ');
-    
-    if (bugDescription.trim().length < 10) {
-      await ctx.reply(
-        `❌ ${bold('وصف المشكلة قصير جداً')}\n\n` +
-        `يرجى كتابة وصف مفصل للمشكلة \\(على الأقل 10 أحرف\\)\\.\n\n` +
-        `💡 كلما كان الوصف أكثر تفصيلاً، كلما تمكنا من حل المشكلة بشكل أسرع\\.`,
-        { parse_mode: 'MarkdownV2' }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const bugDescription = parsed.values.description;
+
     // Save bug report to database
     const reportId = await addBugReport(userId, bugDescription);
 
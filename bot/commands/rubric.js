@@ -0,0 +1,544 @@
+// bot/commands/rubric.js
+import { Markup } from 'telegraf';
+import {
+  getAssignment,
+  getSubmission,
+  getPendingSubmissions,
+  getQuizQuestionCount,
+  addRubric,
+  getRubric,
+  getRubrics,
+  deleteRubric,
+  setAssignmentRubric,
+  gradeSubmissionWithRubric,
+  getUserLanguage
+} from '../utils/database.js';
+import { parseRubricSpec, rubricMaxPoints, parseRubricScores, scoreRubric } from '../utils/rubric.js';
+import { applyLatePenalty, SCORING_RULE_NAMES } from '../utils/assignmentPolicy.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { config } from '../../config.js';
+
+const RUBRIC_ID_ARG = { name: 'rubricId', label: { ar: 'رقم_السلم', en: 'rubric_id' }, type: 'int', min: 1 };
+
+const ADD_RUBRIC_ARGS = {
+  command: 'addrubric',
+  args: [{ name: 'spec', label: { ar: 'سلم_التقييم', en: 'rubric' }, type: 'text', max: 2000 }],
+  examples: ['/addrubric تقرير | المحتوى: 0 ضعيف، 2 مقبول، 4 ممتاز | التنظيم: 0 ضعيف، 1 جيد، 2 ممتاز']
+};
+
+const RUBRICS_ARGS = {
+  command: 'rubrics',
+  args: [{ ...RUBRIC_ID_ARG, required: false }],
+  examples: ['/rubrics', '/rubrics 2']
+};
+
+const DELETE_RUBRIC_ARGS = {
+  command: 'deleterubric',
+  args: [RUBRIC_ID_ARG],
+  examples: ['/deleterubric 2']
+};
+
+const ATTACH_RUBRIC_ARGS = {
+  command: 'attachrubric',
+  args: [
+    { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 },
+    { name: 'rubric', label: { ar: 'رقم_السلم', en: 'rubric_id' }, description: 'رقم سلم التقييم، أو none لفصله' }
+  ],
+  examples: ['/attachrubric 7 2', '/attachrubric 7 none']
+};
+
+const RUBRIC_GRADE_ARGS = {
+  command: 'rubricgrade',
+  args: [
+    { name: 'assignmentId', label: { ar: 'رقم_الواجب', en: 'assignment_id' }, type: 'int', min: 1 },
+    { name: 'userId', label: { ar: 'رقم_الطالب', en: 'user_id' }, type: 'int', min: 1 },
+    { name: 'scores', label: { ar: 'النقاط', en: 'points' }, required: false, pattern: /^\d+(\.\d+)?([,،]\d+(\.\d+)?)*$/ },
+    { name: 'comment', label: { ar: 'تعليق', en: 'comment' }, type: 'text', required: false, max: 1500 }
+  ],
+  examples: ['/rubricgrade 7 123456789', '/rubricgrade 7 123456789 4,1 تحليل جيد، ينقصه مثال']
+};
+
+// Keep the answer and the rubric within Telegram's 4096 character message limit
+const MAX_ANSWER_LENGTH = 1500;
+
+async function replyWithError(ctx, command, error) {
+  console.error(`خطأ في أمر /${command}:`, error);
+  await ctx.reply(
+    `❌ ${bold('حدث خطأ')}\n\n` +
+    `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+async function replyRubricNotFound(ctx, rubricId) {
+  await ctx.reply(
+    `❌ ${bold('سلم التقييم غير موجود')}\n\n` +
+    `لا يوجد سلم تقييم برقم ${rubricId}\\. اعرض السلالم بـ ${code('/rubrics')}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+function formatLevel(level) {
+  return level.label ? `${level.points} ${level.label}` : String(level.points);
+}
+
+function formatCriteria(criteria) {
+  return criteria.map((criterion, index) =>
+    `${index + 1}\\. ${bold(criterion.name)} ${escapeMarkdownV2(`(حتى ${Math.max(...criterion.levels.map(level => level.points))})`)}\n` +
+    `   ${escapeMarkdownV2(criterion.levels.map(formatLevel).join(' · '))}`
+  ).join('\n');
+}
+
+// One line per criterion: "المحتوى: 4/4 - ممتاز"
+function formatRubricItems(items) {
+  return items.map(item =>
+    `• ${escapeMarkdownV2(`${item.name}: ${item.points}/${item.maxPoints}${item.label ? ` - ${item.label}` : ''}`)}`
+  ).join('\n');
+}
+
+function formatScore(total, maxTotal, latePenalty) {
+  return escapeMarkdownV2(`${applyLatePenalty(total, latePenalty)}/${maxTotal}`) +
+    (latePenalty > 0 ? ` \\(${escapeMarkdownV2(`بعد خصم ${latePenalty}% للتأخير`)}\\)` : '');
+}
+
+/**
+ * Build the next step of filling a rubric: the next criterion's levels, or the summary when all are chosen
+ * @param {Object} submission - Submission row with the assignment title and the student
+ * @param {Object} rubric - Rubric with its criteria
+ * @param {number[]} levels - Level index chosen for each criterion so far
+ * @returns {{message: string, keyboard: Object}}
+ */
+function buildRubricStep(submission, rubric, levels) {
+  const { assignment_id: assignmentId, user_id: userId } = submission;
+  const student = submission.first_name || submission.username || String(userId);
+  const back = levels.length > 0
+    ? [Markup.button.callback('⬅️ رجوع', `rubric_pick:${assignmentId}:${userId}:${levels.slice(0, -1).join('.')}`)]
+    : [];
+  const chosen = levels.length > 0 ? scoreRubric(rubric.criteria.slice(0, levels.length), levels).items : [];
+
+  let message = `📋 ${bold(`تصحيح بسلم التقييم: ${rubric.name}`)}\n\n` +
+    `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)} \\(${assignmentId}\\)\n` +
+    `👤 ${bold('الطالب:')} ${escapeMarkdownV2(student)}\n`;
+
+  if (levels.length < rubric.criteria.length) {
+    const answer = submission.answer.length > MAX_ANSWER_LENGTH
+      ? `${submission.answer.slice(0, MAX_ANSWER_LENGTH)}…`
+      : submission.answer;
+    const criterion = rubric.criteria[levels.length];
+    message += `\n✍️ ${bold('الإجابة:')}\n${escapeMarkdownV2(answer)}\n\n` +
+      (chosen.length > 0 ? `${formatRubricItems(chosen)}\n\n` : '') +
+      `🎯 ${bold(`المعيار ${levels.length + 1} من ${rubric.criteria.length}: ${criterion.name}`)}\n` +
+      `اختر المستوى:`;
+
+    const buttons = criterion.levels.map((level, index) =>
+      Markup.button.callback(formatLevel(level), `rubric_pick:${assignmentId}:${userId}:${[...levels, index].join('.')}`)
+    );
+    return { message, keyboard: Markup.inlineKeyboard([buttons, ...(back.length > 0 ? [back] : [])]) };
+  }
+
+  const { total, maxTotal, items } = scoreRubric(rubric.criteria, levels);
+  message += `\n${formatRubricItems(items)}\n\n` +
+    `📊 ${bold('الدرجة:')} ${formatScore(total, maxTotal, submission.late_penalty)}\n\n` +
+    `💬 لإرسال الدرجة مع تعليق:\n` +
+    `${code(`/rubricgrade ${assignmentId} ${userId} ${items.map(item => item.points).join(',')} تعليقك`)}`;
+  return {
+    message,
+    keyboard: Markup.inlineKeyboard([[
+      Markup.button.callback('✅ حفظ وإرسال بدون تعليق', `rubric_save:${assignmentId}:${userId}:${levels.join('.')}`),
+      ...back
+    ]])
+  };
+}
+
+// The submission and its rubric for a grading step, with an error message when either is missing
+async function loadRubricSubmission(assignmentId, userId) {
+  const submission = await getSubmission(userId, assignmentId);
+  if (!submission) {
+    return { error: `لا توجد إجابة للطالب ${userId} على الواجب ${assignmentId}.` };
+  }
+  const rubric = submission.rubric_id ? await getRubric(submission.rubric_id) : null;
+  if (!rubric) {
+    return { error: `الواجب ${assignmentId} ليس له سلم تقييم، اربطه بـ /attachrubric أو صحح بـ /grade.` };
+  }
+  return { submission, rubric };
+}
+
+// Level indexes from callback data ("2.0.1"), null if they do not fit the rubric
+function parseLevelPath(path, criteria) {
+  const levels = path ? path.split('.').map(Number) : [];
+  const valid = levels.length <= criteria.length &&
+    levels.every((level, index) => Number.isInteger(level) && level >= 0 && level < criteria[index].levels.length);
+  return valid ? levels : null;
+}
+
+// Save a filled rubric, send the student their feedback and confirm to the instructor
+async function saveRubricGrade(ctx, submission, rubric, levels, comment) {
+  const { assignment_id: assignmentId, user_id: userId } = submission;
+  const { total, maxTotal, items } = scoreRubric(rubric.criteria, levels);
+  // The late penalty recorded at submission time is taken off the rubric total, like /grade
+  const finalScore = applyLatePenalty(total, submission.late_penalty);
+  const criterionScores = items.map((item, index) => ({
+    criterionId: rubric.criteria[index].criterion_id,
+    points: item.points,
+    label: item.label
+  }));
+
+  const saved = await gradeSubmissionWithRubric(userId, assignmentId, criterionScores, finalScore, maxTotal, comment, ctx.from.id);
+  if (!saved.success) {
+    await ctx.reply(
+      `❌ ${bold('فشل في حفظ الدرجة')}\n\n` +
+      `حدث خطأ تقني، حاول مرة أخرى\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const scoreText = formatScore(total, maxTotal, submission.late_penalty);
+  // With several graded attempts the recorded grade follows the scoring rule
+  const recordedNote = saved.recordedScore !== finalScore
+    ? `📈 ${bold('الدرجة المعتمدة:')} ${escapeMarkdownV2(`${saved.recordedScore}/${maxTotal} (${SCORING_RULE_NAMES[saved.scoringRule] || SCORING_RULE_NAMES.last})`)}\n`
+    : '';
+
+  // The grade is saved even if the student blocked the bot
+  let notified = true;
+  try {
+    await ctx.telegram.sendMessage(
+      userId,
+      `📬 ${bold('تم تصحيح واجبك')}\n\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)}\n` +
+      `📊 ${bold('الدرجة:')} ${scoreText}\n` +
+      recordedNote + '\n' +
+      `📋 ${bold(`التقييم (${rubric.name}):`)}\n${formatRubricItems(items)}\n` +
+      (comment ? `\n💬 ${bold('ملاحظات المدرس:')}\n${escapeMarkdownV2(comment)}\n` : ''),
+      { parse_mode: 'MarkdownV2' }
+    );
+  } catch (notifyError) {
+    notified = false;
+    console.error(`خطأ في إرسال الدرجة للمستخدم ${userId}:`, notifyError);
+  }
+
+  const remaining = (await getPendingSubmissions()).length;
+  await ctx.reply(
+    `✅ ${bold('تم حفظ الدرجة')}\n\n` +
+    `📝 ${bold('الواجب:')} ${escapeMarkdownV2(submission.title)}\n` +
+    `👤 ${bold('الطالب:')} ${escapeMarkdownV2(submission.first_name || submission.username || String(userId))}\n` +
+    `📊 ${bold('الدرجة:')} ${scoreText}\n` +
+    recordedNote +
+    (notified ? `🔔 تم إشعار الطالب\n` : `⚠️ تعذر إرسال الإشعار للطالب\n`) +
+    `\n📥 ${bold('المتبقي في القائمة:')} ${remaining}` +
+    (remaining > 0 ? `\n➡️ التالي: ${code('/grade')}` : ''),
+    { parse_mode: 'MarkdownV2' }
+  );
+}
+
+// Handle add rubric command (admin only)
+export async function handleAddRubric(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_RUBRIC_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'إنشاء سلم تقييم'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const rubric = parseRubricSpec(parsed.values.spec);
+    if (rubric.error) {
+      await ctx.reply(
+        `❌ ${bold('سلم تقييم غير صحيح')}\n\n` +
+        `${escapeMarkdownV2(rubric.error)}\n` +
+        `💡 ${bold('مثال:')} ${code(ADD_RUBRIC_ARGS.examples[0])}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const rubricId = await addRubric(rubric.name, rubric.criteria, ctx.from.id);
+    if (!rubricId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إنشاء سلم التقييم')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم إنشاء سلم التقييم')}\n\n` +
+      `🆔 ${bold('رقم السلم:')} ${rubricId}\n` +
+      `📋 ${bold('الاسم:')} ${escapeMarkdownV2(rubric.name)}\n` +
+      `⭐ ${bold('المجموع:')} ${escapeMarkdownV2(String(rubricMaxPoints(rubric.criteria)))}\n\n` +
+      `${formatCriteria(rubric.criteria)}\n\n` +
+      `🔗 اربطه بواجب: ${code(`/attachrubric رقم_الواجب ${rubricId}`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'addrubric', error);
+  }
+}
+
+// Handle rubrics command (admin only), lists rubrics or shows one with its criteria
+export async function handleListRubrics(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, RUBRICS_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'سلالم التقييم'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { rubricId } = parsed.values;
+    if (rubricId) {
+      const rubric = await getRubric(rubricId);
+      if (!rubric) {
+        await replyRubricNotFound(ctx, rubricId);
+        return;
+      }
+      await ctx.reply(
+        `📋 ${bold(rubric.name)} \\(${rubric.rubric_id}\\)\n` +
+        `⭐ ${bold('المجموع:')} ${escapeMarkdownV2(String(rubricMaxPoints(rubric.criteria)))} \\| 📝 ${bold('الواجبات:')} ${rubric.assignment_count}\n\n` +
+        formatCriteria(rubric.criteria),
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const rubrics = await getRubrics();
+    if (rubrics.length === 0) {
+      await ctx.reply(
+        `📭 ${bold('لا توجد سلالم تقييم')}\n\n` +
+        `➕ أنشئ سلماً بـ ${code(ADD_RUBRIC_ARGS.examples[0])}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `📋 ${bold('سلالم التقييم')}\n\n` +
+      rubrics.map(rubric =>
+        `🆔 ${rubric.rubric_id} \\| ${bold(rubric.name)}\n` +
+        `   ${escapeMarkdownV2(`${rubric.criteria.length} معايير، المجموع ${rubricMaxPoints(rubric.criteria)}، مرتبط بـ ${rubric.assignment_count} واجبات`)}`
+      ).join('\n\n') +
+      `\n\n🔍 التفاصيل: ${code('/rubrics رقم_السلم')}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'rubrics', error);
+  }
+}
+
+// Handle delete rubric command (admin only), only rubrics no assignment uses
+export async function handleDeleteRubric(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, DELETE_RUBRIC_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'حذف سلم تقييم'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { rubricId } = parsed.values;
+    const rubric = await getRubric(rubricId);
+    if (!rubric) {
+      await replyRubricNotFound(ctx, rubricId);
+      return;
+    }
+
+    if (rubric.assignment_count > 0) {
+      await ctx.reply(
+        `❌ ${bold('سلم التقييم مستخدم')}\n\n` +
+        `${rubric.assignment_count} واجبات مرتبطة به\\. افصله أولاً بـ ${code('/attachrubric رقم_الواجب none')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const result = await deleteRubric(rubricId);
+    if (!result.success) {
+      await ctx.reply(
+        `❌ ${bold('فشل في حذف سلم التقييم')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم حذف سلم التقييم')}\n\n` +
+      `📋 ${escapeMarkdownV2(rubric.name)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'deleterubric', error);
+  }
+}
+
+// Handle attach rubric command (admin only): the assignment is then graded manually with the rubric
+export async function handleAttachRubric(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ATTACH_RUBRIC_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'ربط سلم تقييم بواجب'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId } = parsed.values;
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      await ctx.reply(
+        `❌ ${bold('الواجب غير موجود')}\n\n` +
+        `لم يتم العثور على واجب برقم ${assignmentId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Quizzes and code assignments are scored question by question or test by test
+    if (assignment.assignment_type === 'code' || await getQuizQuestionCount(assignmentId) > 0) {
+      await ctx.reply(
+        `❌ ${bold('لا يمكن ربط سلم تقييم بهذا الواجب')}\n\n` +
+        `الاختبارات والتمارين البرمجية تُصحح تلقائياً\\. سلالم التقييم للواجبات ذات الإجابة المكتوبة\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (parsed.values.rubric.toLowerCase() === 'none') {
+      await setAssignmentRubric(assignmentId, null);
+      await ctx.reply(
+        `✅ ${bold('تم فصل سلم التقييم')}\n\n` +
+        `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment.title)} \\(${assignmentId}\\)\n` +
+        `📊 يبقى التصحيح يدوياً بـ ${code('/grade')}، الدرجات السابقة محفوظة\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!/^\d+$/.test(parsed.values.rubric)) {
+      await ctx.reply(
+        `❌ ${bold('رقم سلم التقييم غير صحيح')}\n\n` +
+        `اكتب رقم السلم أو ${code('none')} لفصله\\.\n` +
+        `💡 ${bold('مثال:')} ${code(ATTACH_RUBRIC_ARGS.examples[0])}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const rubricId = parseInt(parsed.values.rubric);
+    const rubric = await getRubric(rubricId);
+    if (!rubric) {
+      await replyRubricNotFound(ctx, rubricId);
+      return;
+    }
+
+    const maxScore = rubricMaxPoints(rubric.criteria);
+    if (!await setAssignmentRubric(assignmentId, rubricId, maxScore)) {
+      await ctx.reply(
+        `❌ ${bold('فشل في ربط سلم التقييم')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم ربط سلم التقييم')}\n\n` +
+      `📝 ${bold('الواجب:')} ${escapeMarkdownV2(assignment.title)} \\(${assignmentId}\\)\n` +
+      `📋 ${bold('السلم:')} ${escapeMarkdownV2(rubric.name)}\n` +
+      `⭐ ${bold('الدرجة من:')} ${escapeMarkdownV2(String(maxScore))}\n\n` +
+      `✍️ تُصحح إجابات هذا الواجب يدوياً، وتظهر في ${code('/grade')}\n` +
+      `📊 صحح إجابة بـ ${code(`/rubricgrade ${assignmentId} رقم_الطالب`)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    await replyWithError(ctx, 'attachrubric', error);
+  }
+}
+
+// Handle rubric grade command (admin only): level buttons, or all points and a comment in one message
+export async function handleRubricGrade(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, RUBRIC_GRADE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed, 'التصحيح بسلم التقييم'), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { assignmentId, userId, scores, comment } = parsed.values;
+    const { submission, rubric, error } = await loadRubricSubmission(assignmentId, userId);
+    if (error) {
+      await ctx.reply(
+        `❌ ${bold('لا يمكن التصحيح بسلم التقييم')}\n\n` +
+        escapeMarkdownV2(error),
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!scores) {
+      const { message, keyboard } = buildRubricStep(submission, rubric, []);
+      await ctx.reply(message, { parse_mode: 'MarkdownV2', ...keyboard });
+      return;
+    }
+
+    const levels = parseRubricScores(scores, rubric.criteria);
+    if (levels.error) {
+      await ctx.reply(
+        `❌ ${bold('النقاط غير صحيحة')}\n\n` +
+        `${escapeMarkdownV2(levels.error)}\n\n` +
+        formatCriteria(rubric.criteria),
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await saveRubricGrade(ctx, submission, rubric, levels.levels, comment);
+
+  } catch (error) {
+    await replyWithError(ctx, 'rubricgrade', error);
+  }
+}
+
+// Handle the level buttons (callback data rubric_pick:<assignment_id>:<user_id>:<chosen level indexes>)
+export async function handleRubricPick(ctx) {
+  try {
+    const { submission, rubric, error } = await loadRubricSubmission(parseInt(ctx.match[1]), parseInt(ctx.match[2]));
+    const levels = rubric ? parseLevelPath(ctx.match[3], rubric.criteria) : null;
+    if (error || !levels) {
+      await ctx.answerCbQuery(error || 'تغير سلم التقييم، ابدأ من جديد');
+      return;
+    }
+
+    const { message, keyboard } = buildRubricStep(submission, rubric, levels);
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(message, { parse_mode: 'MarkdownV2', ...keyboard });
+  } catch (error) {
+    console.error('خطأ في اختيار مستوى سلم التقييم:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
+
+// Handle the save button of a filled rubric (callback data rubric_save:<assignment_id>:<user_id>:<level indexes>)
+export async function handleRubricSave(ctx) {
+  try {
+    const { submission, rubric, error } = await loadRubricSubmission(parseInt(ctx.match[1]), parseInt(ctx.match[2]));
+    const levels = rubric ? parseLevelPath(ctx.match[3], rubric.criteria) : null;
+    if (error || !levels || levels.length !== rubric.criteria.length) {
+      await ctx.answerCbQuery(error || 'تغير سلم التقييم، ابدأ من جديد');
+      return;
+    }
+
+    await ctx.answerCbQuery('✅ تم الحفظ');
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (editError) {
+      // The summary stays readable even if its buttons could not be removed
+      console.error('خطأ في إزالة أزرار سلم التقييم:', editError);
+    }
+    await saveRubricGrade(ctx, submission, rubric, levels, null);
+  } catch (error) {
+    console.error('خطأ في حفظ التصحيح بسلم التقييم:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
@@ -0,0 +1,462 @@
+// bot/commands/series.js
+import {
+  addLesson,
+  updateLesson,
+  deleteLesson,
+  getLesson,
+  getCourse,
+  addLessonSeries,
+  getLessonSeries,
+  getAllLessonSeries,
+  updateLessonSeries,
+  getSeriesLessons,
+  getUserLanguage
+} from '../utils/database.js';
+import { addLessonReminder, removeLessonReminder, sendSeriesChangeNotice } from '../utils/reminders.js';
+import { parseWeekdays, formatWeekdays, parseDateList, generateSeriesDates } from '../utils/lessonSeries.js';
+import { validateTime } from '../utils/security.js';
+import { getLessonStart } from '../utils/timezone.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+const LINK_REGEX = /^https?:\/\/\S+$/;
+const MAX_WEEKS = 52;
+
+const SERIES_ID_ARG = { name: 'seriesId', label: { ar: 'رقم_السلسلة', en: 'series_id' }, type: 'int', min: 1 };
+
+const ADD_SERIES_ARGS = {
+  command: 'addseries',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'days', label: { ar: 'الأيام', en: 'days' }, description: 'مثل sun,tue' },
+    { name: 'time', label: { ar: 'الوقت', en: 'time' }, type: 'time', description: 'بتوقيت الكورس' },
+    { name: 'startDate', label: { ar: 'تاريخ_البدء', en: 'start_date' }, type: 'date' },
+    { name: 'weeks', label: { ar: 'عدد_الأسابيع', en: 'weeks' }, type: 'int', min: 1, max: MAX_WEEKS },
+    { name: 'skip', label: { ar: 'skip=تواريخ', en: 'skip=dates' }, required: false, pattern: /^skip=/, description: 'تواريخ مستثناة مفصولة بفواصل' },
+    { name: 'zoomLink', label: { ar: 'الرابط', en: 'link' }, required: false, pattern: LINK_REGEX },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, type: 'text', min: 3, max: 100 }
+  ],
+  examples: ['/addseries 2 sun,tue 19:00 2026-11-01 12 skip=2026-11-15 أساسيات البرمجة']
+};
+
+const UPDATE_SERIES_ARGS = {
+  command: 'updateseries',
+  args: [
+    SERIES_ID_ARG,
+    { name: 'field', label: { ar: 'الحقل', en: 'field' }, type: 'enum', values: ['title', 'time', 'zoom_link', 'days', 'weeks', 'skip'] },
+    { name: 'value', label: { ar: 'القيمة_الجديدة', en: 'new_value' }, type: 'text' }
+  ],
+  examples: ['/updateseries 1 time 20:00']
+};
+
+const CANCEL_SERIES_ARGS = {
+  command: 'cancelseries',
+  args: [SERIES_ID_ARG],
+  examples: ['/cancelseries 1']
+};
+
+// Build the generator input from a stored series row
+function getSeriesDefinition(series) {
+  return {
+    weekdays: series.weekdays.split(',').map(day => parseInt(day)),
+    startDate: series.start_date,
+    weeks: series.weeks,
+    skipDates: [...parseDateList(series.skip_dates || ''), ...config.schedule.holidays]
+  };
+}
+
+function isFutureLesson(lesson, now) {
+  return getLessonStart(lesson, config.schedule.defaultTimezone) > now;
+}
+
+// Lessons cancelled or moved one by one are owned by their own change history, series edits leave them alone
+function hasOwnChanges(lesson) {
+  return lesson.status === 'cancelled' || lesson.change_count > 0;
+}
+
+// Create the lessons of a series that are still ahead, skipping slots already taken by a lesson or moved away from
+async function materializeFutureLessons(series) {
+  const now = new Date();
+  const existingDates = new Set((await getSeriesLessons(series.series_id)).flatMap(lesson => [lesson.series_date, lesson.date]));
+  const created = [];
+
+  for (const date of generateSeriesDates(getSeriesDefinition(series))) {
+    if (existingDates.has(date) || !isFutureLesson({ date, time: series.time, timezone: series.timezone }, now)) {
+      continue;
+    }
+
+    const lessonId = await addLesson(
+      series.course_id, series.title, date, series.time, series.zoom_link, series.series_id, series.timezone
+    );
+    if (lessonId) {
+      const lesson = await getLesson(lessonId);
+      addLessonReminder(lesson);
+      created.push(lesson);
+    }
+  }
+
+  return created;
+}
+
+// Delete the lessons of a series that have not started yet, past lessons are kept as history
+async function removeFutureLessons(seriesId) {
+  const now = new Date();
+  const removed = [];
+
+  for (const lesson of await getSeriesLessons(seriesId)) {
+    if (!isFutureLesson(lesson, now)) continue;
+
+    const result = await deleteLesson(lesson.lesson_id);
+    if (result.success) {
+      removeLessonReminder(lesson.lesson_id);
+      removed.push(lesson);
+    }
+  }
+
+  return removed;
+}
+
+// Delete the upcoming lessons whose slot the series no longer generates
+async function removeDroppedLessons(series) {
+  const now = new Date();
+  const seriesDates = new Set(generateSeriesDates(getSeriesDefinition(series)));
+  const removed = [];
+
+  for (const lesson of await getSeriesLessons(series.series_id)) {
+    if (!isFutureLesson(lesson, now) || seriesDates.has(lesson.series_date) || hasOwnChanges(lesson)) continue;
+
+    const result = await deleteLesson(lesson.lesson_id);
+    if (result.success) {
+      removeLessonReminder(lesson.lesson_id);
+      removed.push(lesson);
+    }
+  }
+
+  return removed;
+}
+
+function formatSeriesDetails(series) {
+  const skipDates = series.skip_dates ? series.skip_dates.split(',').join('، ') : 'لا يوجد';
+  return `🆔 ${bold('رقم السلسلة:')} ${series.series_id}\n` +
+    `📚 ${bold('رقم الكورس:')} ${series.course_id}\n` +
+    `📝 ${bold('العنوان:')} ${escapeMarkdownV2(series.title)}\n` +
+    `📆 ${bold('الأيام:')} ${escapeMarkdownV2(formatWeekdays(getSeriesDefinition(series).weekdays))}\n` +
+    `⏰ ${bold('الوقت:')} ${escapeMarkdownV2(`${series.time} (${series.timezone || config.schedule.defaultTimezone})`)}\n` +
+    `🗓️ ${bold('البداية:')} ${escapeMarkdownV2(series.start_date)} \\(${series.weeks} أسبوع\\)\n` +
+    `🏖️ ${bold('أيام مستثناة:')} ${escapeMarkdownV2(skipDates)}`;
+}
+
+// Handle add series command (admin only)
+export async function handleAddSeries(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ADD_SERIES_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔁 ${bold('إنشاء سلسلة دروس متكررة')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `${code('/addseries رقم_الكورس الأيام الوقت تاريخ_البدء عدد_الأسابيع [skip=تواريخ] [الرابط] العنوان')}\n\n` +
+        `📆 الأيام: ${code('sun,mon,tue,wed,thu,fri,sat')} أو بالعربية مثل ${code('الأحد,الثلاثاء')}\n` +
+        `🏖️ ${code('skip=')} اختياري لاستثناء تواريخ معينة، وتُستثنى العطل العامة تلقائياً\n\n` +
+        `💡 ${bold('مثال:')}\n` +
+        `${code('/addseries 2 sun,tue 19:00 2026-11-01 12 skip=2026-11-15 أساسيات البرمجة')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, time, startDate, weeks, zoomLink, title } = parsed.values;
+    const weekdays = parseWeekdays(parsed.values.days);
+    const skipDates = parseDateList((parsed.values.skip || '').slice('skip='.length));
+
+    // Validate the values the schema cannot check before touching the database
+    let validationError = null;
+    if (!(await getCourse(courseId))) {
+      validationError = `لا يوجد كورس برقم ${courseId}\\.`;
+    } else if (!weekdays) {
+      validationError = `أيام غير صحيحة، استخدم مثلاً ${code('sun,tue')}`;
+    } else if (!skipDates) {
+      validationError = `تواريخ الاستثناء يجب أن تكون بصيغة ${code('skip=2026-11-15,2026-12-01')}`;
+    }
+
+    if (validationError) {
+      await ctx.reply(
+        `❌ ${bold('بيانات غير صحيحة')}\n\n${validationError}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const seriesId = await addLessonSeries({
+      course_id: courseId,
+      title,
+      weekdays: weekdays.join(','),
+      time,
+      start_date: startDate,
+      weeks,
+      skip_dates: skipDates.join(',') || null,
+      zoom_link: zoomLink
+    });
+
+    if (!seriesId) {
+      await ctx.reply(
+        `❌ ${bold('فشل في إنشاء السلسلة')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const series = await getLessonSeries(seriesId);
+    const created = await materializeFutureLessons(series);
+
+    await ctx.reply(
+      `✅ ${bold('تم إنشاء سلسلة الدروس بنجاح')}\n\n` +
+      `${formatSeriesDetails(series)}\n\n` +
+      `📚 ${bold('عدد الدروس المضافة:')} ${created.length}\n` +
+      `🔔 تمت جدولة التذكيرات لجميع الدروس القادمة\\.`,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /addseries:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle list series command (admin only)
+export async function handleListSeries(ctx) {
+  try {
+    const seriesList = await getAllLessonSeries();
+
+    if (seriesList.length === 0) {
+      await ctx.reply(
+        `🔁 ${bold('سلاسل الدروس')}\n\n` +
+        `📭 لا توجد سلاسل دروس نشطة\\.\n\n` +
+        `💡 استخدم ${code('/addseries')} لإنشاء سلسلة جديدة\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    let message = `🔁 ${bold('سلاسل الدروس النشطة')}\n\n`;
+    seriesList.forEach(series => {
+      message += `${formatSeriesDetails(series)}\n` +
+        `📚 ${bold('عدد الدروس:')} ${series.lesson_count}\n\n`;
+    });
+    message += `💡 للتعديل: ${code('/updateseries رقم_السلسلة الحقل القيمة')}`;
+
+    await ctx.reply(message, { parse_mode: 'MarkdownV2', disable_web_page_preview: true });
+
+  } catch (error) {
+    console.error('خطأ في أمر /listseries:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle update series command (admin only), changes apply to future lessons only
+export async function handleUpdateSeries(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, UPDATE_SERIES_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔄 ${bold('تعديل سلسلة دروس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')}\n` +
+        `${code('/updateseries رقم_السلسلة الحقل القيمة_الجديدة')}\n\n` +
+        `📋 ${bold('الحقول المتاحة:')} ${code('title')}، ${code('time')}، ${code('zoom_link')}، ${code('days')}، ${code('weeks')}، ${code('skip')}\n\n` +
+        `⚠️ التعديل يطبق على الدروس القادمة فقط، وتبقى الدروس السابقة والدروس الملغاة أو المعدلة يدوياً كما هي\\.\n\n` +
+        `💡 ${bold('مثال:')} ${code('/updateseries 1 time 20:00')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { seriesId, field, value } = parsed.values;
+
+    const series = await getLessonSeries(seriesId);
+    if (!series || series.is_cancelled) {
+      await ctx.reply(
+        `❌ ${bold('السلسلة غير موجودة')}\n\n` +
+        `لا توجد سلسلة نشطة برقم ${seriesId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Map the command field to the stored column and validate its value
+    let column = null;
+    let storedValue = value;
+    let validationError = null;
+
+    if (field === 'title') {
+      column = 'title';
+      if (value.length < 3 || value.length > 100) validationError = 'يجب أن يكون العنوان بين 3 و 100 حرف\\.';
+    } else if (field === 'time') {
+      column = 'time';
+      if (!validateTime(value)) validationError = `يجب أن يكون الوقت بصيغة ${code('HH:MM')}`;
+    } else if (field === 'zoom_link') {
+      column = 'zoom_link';
+      if (!LINK_REGEX.test(value)) validationError = `يجب أن يبدأ الرابط بـ ${code('https://')}`;
+    } else if (field === 'days') {
+      column = 'weekdays';
+      const weekdays = parseWeekdays(value);
+      if (!weekdays) validationError = `أيام غير صحيحة، استخدم مثلاً ${code('sun,tue')}`;
+      else storedValue = weekdays.join(',');
+    } else if (field === 'weeks') {
+      column = 'weeks';
+      storedValue = parseInt(value);
+      if (isNaN(storedValue) || storedValue <= 0 || storedValue > MAX_WEEKS) {
+        validationError = `يجب أن يكون عدد الأسابيع بين 1 و ${MAX_WEEKS}\\.`;
+      }
+    } else if (field === 'skip') {
+      column = 'skip_dates';
+      const skipDates = parseDateList(value === 'none' ? '' : value);
+      if (!skipDates) validationError = `يجب أن تكون التواريخ بصيغة ${code('2026-11-15,2026-12-01')}`;
+      else storedValue = skipDates.join(',') || null;
+    }
+
+    if (validationError) {
+      await ctx.reply(
+        `❌ ${bold('قيمة غير صحيحة')}\n\n${validationError}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const updated = await updateLessonSeries(seriesId, column, storedValue);
+    if (!updated) {
+      await ctx.reply(
+        `❌ ${bold('فشل في تعديل السلسلة')}\n\n` +
+        `حدث خطأ تقني، حاول مرة أخرى\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const updatedSeries = await getLessonSeries(seriesId);
+    const change = { removed: [], added: [], updated: [] };
+    let summary;
+
+    if (['title', 'time', 'zoom_link'].includes(column)) {
+      // Same dates, only the lesson details change; a new time does not override a lesson moved on its own
+      const now = new Date();
+      let kept = 0;
+      for (const lesson of await getSeriesLessons(seriesId)) {
+        if (!isFutureLesson(lesson, now)) continue;
+        if (lesson.status === 'cancelled' || (column === 'time' && hasOwnChanges(lesson))) {
+          kept++;
+          continue;
+        }
+        if (await updateLesson(lesson.lesson_id, column, storedValue)) {
+          const updatedLesson = await getLesson(lesson.lesson_id);
+          removeLessonReminder(lesson.lesson_id);
+          addLessonReminder(updatedLesson);
+          change.updated.push(updatedLesson);
+        }
+      }
+      summary = `📚 ${bold('الدروس المعدلة:')} ${change.updated.length}`;
+      if (kept > 0) summary += `\n📌 ${bold('دروس معدلة يدوياً لم تتغير:')} ${kept}`;
+    } else {
+      // The set of dates changed, only the dropped and the new slots are touched
+      change.removed = await removeDroppedLessons(updatedSeries);
+      change.added = await materializeFutureLessons(updatedSeries);
+      summary = `🗑️ ${bold('دروس محذوفة:')} ${change.removed.length}\n` +
+        `📚 ${bold('دروس جديدة:')} ${change.added.length}`;
+    }
+
+    let noticeLine = '';
+    if (change.removed.length + change.added.length + change.updated.length > 0) {
+      const notice = await sendSeriesChangeNotice(updatedSeries, change);
+      noticeLine = `\n📣 ${bold('الإشعارات:')} نجح ${notice.successCount}، فشل ${notice.failCount}`;
+    }
+
+    await ctx.reply(
+      `✅ ${bold('تم تعديل السلسلة بنجاح')}\n\n` +
+      `${formatSeriesDetails(updatedSeries)}\n\n` +
+      `${summary}\n` +
+      `🔔 تمت إعادة جدولة تذكيرات الدروس القادمة\\.` +
+      noticeLine,
+      { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /updateseries:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle cancel series command (admin only), past lessons are kept
+export async function handleCancelSeries(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, CANCEL_SERIES_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🛑 ${bold('إلغاء سلسلة دروس')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/cancelseries رقم_السلسلة')}\n\n` +
+        `⚠️ سيتم حذف الدروس القادمة فقط مع تذكيراتها، وتبقى الدروس السابقة وسجلات حضورها\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { seriesId } = parsed.values;
+    const series = await getLessonSeries(seriesId);
+    if (!series || series.is_cancelled) {
+      await ctx.reply(
+        `❌ ${bold('السلسلة غير موجودة')}\n\n` +
+        `لا توجد سلسلة نشطة برقم ${seriesId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await updateLessonSeries(seriesId, 'is_cancelled', 1);
+    const removed = await removeFutureLessons(seriesId);
+
+    await ctx.reply(
+      `✅ ${bold('تم إلغاء السلسلة')}\n\n` +
+      `📝 ${bold('العنوان:')} ${escapeMarkdownV2(series.title)}\n` +
+      `🗑️ ${bold('الدروس القادمة المحذوفة:')} ${removed.length}\n` +
+      `🔕 تم إلغاء تذكيرات هذه الدروس\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /cancelseries:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
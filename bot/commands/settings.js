@@ -1,15 +1,43 @@
-import { updateUserSettings, getUserSettings, updateUserLanguage } from '../utils/database.js';
+import { updateUserSettings, getUserSettings, updateUserLanguage, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
+import { isValidTimezone } from '../utils/timezone.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+const SETTINGS_ARGS = {
+  command: 'settings',
+  args: [
+    {
+      name: 'setting',
+      label: { ar: 'الإعداد', en: 'setting' },
+      type: 'enum',
+      values: ['reminders', 'language', 'frequency', 'timezone'],
+      required: false
+    },
+    { name: 'value', label: { ar: 'القيمة', en: 'value' }, required: false }
+  ],
+  examples: [
+    '/settings reminders on/off',
+    '/settings language ar/en',
+    '/settings frequency daily/weekly/off',
+    '/settings timezone Africa/Algiers'
+  ]
+};
 
 export async function handleSettings(ctx) {
   try {
     const userId = ctx.from.id;
-    const messageText = ctx.message.text;
-    const args = messageText.split(' ');
+    // The settings buttons also land here, without a command message
+    const messageText = ctx.message?.text || '/settings';
+    const parsed = parseCommandArgs(messageText, SETTINGS_ARGS, await getUserLanguage(userId) || 'ar');
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
 
     // If no settings provided, show current settings
-    if (args.length < 2) {
+    if (!parsed.values.setting) {
       const settings = await getUserSettings(userId);
 
       if (!settings) {
@@ -45,9 +73,11 @@ export async function handleSettings(ctx) {
         `━━━━━━━━━━━━━━━━━━━━\n\n` +
         `🔔 ${bold('التذكيرات:')} ${remindersStatus}\n` +
         `🌐 ${bold('اللغة:')} ${languageStatus}\n` +
-        `⏰ ${bold('تكرار الإشعارات:')} ${frequencyStatus}\n\n` +
+        `⏰ ${bold('تكرار الإشعارات:')} ${frequencyStatus}\n` +
+        `🌍 ${bold('المنطقة الزمنية:')} ${escapeMarkdownV2(settings.timezone)}\n\n` +
         `━━━━━━━━━━━━━━━━━━━━\n\n` +
         `🛠️ ${bold('اختر من الأزرار أدناه لتغيير الإعدادات:')}\n\n` +
+        `🌍 لتغيير المنطقة الزمنية: ${code('/settings timezone Africa/Algiers')}\n\n` +
         `💡 يمكنك إضافة تذكيرات خاصة باستخدام ${code('/addreminder')}\n\n` +
         `📞 للمساعدة: ${escapeMarkdownV2(config.admin.supportChannel)}`,
         { 
@@ -59,8 +89,8 @@ export async function handleSettings(ctx) {
     }
 
     // Handle command-line settings
-    const settingType = args[1]?.toLowerCase();
-    const settingValue = args[2]?.toLowerCase();
+    const settingType = parsed.values.setting;
+    const settingValue = parsed.values.value?.toLowerCase();
 
     if (settingType === 'reminders') {
       if (!['on', 'off'].includes(settingValue)) {
@@ -163,20 +193,38 @@ export async function handleSettings(ctx) {
       return;
     }
 
-    // Unknown setting
-    await ctx.reply(
-      `❌ ${bold('نوع الإعداد غير معروف')}\n\n` +
-      `📝 ${bold('الإعدادات المدعومة:')}\n` +
-      `• ${code('reminders')} \\- تفعيل/إيقاف التذكيرات\n` +
-      `• ${code('language')} \\- تغيير اللغة\n` +
-      `• ${code('frequency')} \\- تكرار الإشعارات\n\n` +
-      `💡 ${bold('أمثلة:')}\n` +
-      `• ${code('/settings reminders on/off')}\n` +
-      `• ${code('/settings language ar/en')}\n` +
-      `• ${code('/settings frequency daily/weekly/off')}\n\n` +
-      `📞 للمساعدة: ${escapeMarkdownV2(config.admin.supportChannel)}`,
-      { parse_mode: 'MarkdownV2' }
-    );
+    if (settingType === 'timezone') {
+      // Timezone names are case sensitive, so use the raw argument
+      const timezone = parsed.values.value;
+      if (!isValidTimezone(timezone)) {
+        await ctx.reply(
+          `❌ ${bold('منطقة زمنية غير معروفة')}\n\n` +
+          `📝 ${bold('الاستخدام الصحيح:')}\n` +
+          `• ${code('/settings timezone Africa/Algiers')}\n` +
+          `• ${code('/settings timezone Europe/Paris')}\n` +
+          `• ${code('/settings timezone Asia/Riyadh')}`,
+          { parse_mode: 'MarkdownV2' }
+        );
+        return;
+      }
+
+      const success = await updateUserSettings(userId, { timezone });
+
+      if (success) {
+        await ctx.reply(
+          `✅ ${bold('تم تحديث إعداداتك بنجاح')}\n\n` +
+          `🌍 ستظهر مواعيد الدروس والتذكيرات بتوقيت: ${escapeMarkdownV2(timezone)}\n\n` +
+          `📝 يمكنك عرض إعداداتك باستخدام ${code('/settings')}`,
+          { parse_mode: 'MarkdownV2' }
+        );
+      } else {
+        await ctx.reply(
+          `❌ ${bold('حدث خطأ أثناء تحديث الإعدادات')}\n\n` +
+          `يرجى المحاولة لاحقًا أو التواصل مع الدعم: ${escapeMarkdownV2(config.admin.supportChannel)}`,
+          { parse_mode: 'MarkdownV2' }
+        );
+      }
+    }
 
   } catch (error) {
     console.error('❌ خطأ في أمر /settings:', error);
@@ -281,6 +329,9 @@ export async function handleSettingsHelp(ctx) {
       `• يومياً: إشعارات يومية\n` +
       `• أسبوعياً: إشعارات أسبوعية\n` +
       `• إيقاف: بدون إشعارات\n\n` +
+      `🌍 ${bold('المنطقة الزمنية:')}\n` +
+      `• تحدد توقيت عرض الدروس والتذكيرات\n` +
+      `• مثال: ${code('/settings timezone Africa/Algiers')}\n\n` +
       `💡 ${bold('نصائح:')}\n` +
       `• استخدم ${code('/addreminder')} لإضافة تذكيرات خاصة\n` +
       `• يمكنك تغيير الإعدادات في أي وقت\n` +
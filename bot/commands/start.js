@@ -3,6 +3,8 @@ import { addUser, isUserVerified } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
 import { Markup } from 'telegraf';
+import { recordCheckin } from './attendance.js';
+import { CHECKIN_START_PREFIX } from '../utils/checkinWindow.js';
 
 export async function handleStart(ctx) {
   console.log('[START] Command invoked', { user: ctx.from, timestamp: new Date().toISOString() });
@@ -26,10 +28,18 @@ export async function handleStart(ctx) {
 
     // Check if user is already verified
     console.log('[START] Checking user verification');
-    const userData = await isUserVerified(userId);
-    const verified = userData?.verified || false;
+    const verified = await isUserVerified(userId);
     console.log('[START] Verification status', { verified });
 
+    // Deep link from /opencheckin (t.me/<bot>?start=checkin_<code>)
+    const payload = ctx.message?.text?.split(' ')[1] || '';
+    const isCheckin = payload.startsWith(CHECKIN_START_PREFIX);
+    if (isCheckin && verified) {
+      console.log('[START] Check-in deep link', { userId });
+      await recordCheckin(ctx, payload);
+      return;
+    }
+
     // Build response message with professional formatting
     let message = `🤝 ${bold('مرحبًا بك في بوت معين المجتهدين')}\n\n`;
     message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
@@ -42,6 +52,9 @@ export async function handleStart(ctx) {
       message += `لتفعيل حسابك واستخدام جميع الميزات، استخدم:\n\n`;
       message += `${code('/verify كود_التفعيل')}\n\n`;
       message += `💡 للحصول على الكود، تواصل مع: ${escapeMarkdownV2(config.admin.supportChannel)}\n\n`;
+      if (isCheckin) {
+        message += `📋 فعّل حسابك ثم افتح رابط الحضور مرة أخرى لتسجيل حضورك\\.\n\n`;
+      }
     }
 
     message += `📚 ${bold('الميزات المتاحة:')}\n\n`;
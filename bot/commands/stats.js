@@ -68,11 +68,18 @@ export async function handleStats(ctx) {
       ? stats.submissionsByAssignment
           .map((a) =>
             escapeMarkdownV2(
-              `• ${a.title}: ${a.submission_count}/${a.total_verified} (${a.total_verified > 0 ? Math.round((a.submission_count / a.total_verified) * 100) : 0}\%)`
+              `• ${a.title}: ${a.submission_count}/${a.total_verified} (${a.total_verified > 0 ? Math.round((a.submission_count / a.total_verified) * 100) : 0}\%)` +
+              (a.late_count > 0 ? ` - متأخر: ${a.late_count}` : '')
             )
           )
           .join('\n') + '\n'
       : escapeMarkdownV2(`• لا توجد بيانات واجبات\n`);
+    if (stats.pendingSubmissions > 0) {
+      message += escapeMarkdownV2(`📥 *بانتظار التصحيح:* ${stats.pendingSubmissions} (/grade)\n`);
+    }
+    if (stats.lateSubmissions > 0) {
+      message += escapeMarkdownV2(`⏰ *إجابات متأخرة:* ${stats.lateSubmissions}\n`);
+    }
     message += escapeMarkdownV2(`━━━━━━━━━━━━━━━━━━━━\n\n`);
     message += escapeMarkdownV2(`📅 *وقت الإحصائية:* ${new Date().toLocaleString('ar-SA')}\n`);
     message += escapeMarkdownV2(`🤖 *بوت معين المجتهدين*`);
@@ -1,7 +1,9 @@
 // bot/commands/submit.js
-import { submitAnswer, isUserVerified } from '../utils/database.js';
+import { submitAnswer, isUserVerified, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { SUBMIT_ARGS } from './assignment.js';
 
 export async function handleSubmit(ctx) {
   try {
@@ -21,9 +23,8 @@ export async function handleSubmit(ctx) {
       return;
     }
 
-    const messageText = ctx.message.text;
-    const args = messageText.split(' ').slice(1);
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, SUBMIT_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         escapeMarkdownV2(
           `📝 *كيفية إرسال إجابة*\n` +
@@ -37,20 +38,13 @@ export async function handleSubmit(ctx) {
       return;
     }
 
-    const assignmentId = parseInt(args[0]);
-    const answer = args.slice(1).join(' ');
-    if (isNaN(assignmentId) || assignmentId <= 0) {
-      await ctx.reply(
-        escapeMarkdownV2(
-          `❌ *رقم الواجب غير صحيح*\n` +
-          `━━━━━━━━━━━━━━━━━━━━\n` +
-          `استخدم رقمًا صحيحًا من /assignments \n- قائمة الواجبات`
-        ),
-        { parse_mode: 'MarkdownV2', disable_web_page_preview: true }
-      );
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
       return;
     }
 
+    const { assignmentId, answer } = parsed.values;
+
     const result = await submitAnswer(userId, assignmentId, answer);
     if (result.success) {
       await ctx.reply(
@@ -1,11 +1,13 @@
 // bot/commands/upcominglessons.js
-import { getUpcomingLessons } from '../utils/database.js';
+import { getUpcomingLessons, getUserTimezone } from '../utils/database.js';
 import { escapeMarkdownV2, bold, italic, code } from '../utils/escapeMarkdownV2.js';
 import { config } from '../../config.js';
+import { getLessonStart } from '../utils/timezone.js';
 
 export async function handleUpcominglessons(ctx) {
   try {
     const userId = ctx.from.id;
+    const userTimezone = await getUserTimezone(userId);
     
     // Get upcoming lessons (next 7 days)
     const lessonsResult = await getUpcomingLessons(7);
@@ -27,19 +29,22 @@ export async function handleUpcominglessons(ctx) {
 
     let message = `📅 ${bold('الدروس القادمة')}\n\n`;
     message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
-    message += `📊 ${bold(`${lessons.length} درس مجدول في الأيام السبعة القادمة:`)}\n\n`;
+    message += `📊 ${bold(`${lessons.length} درس مجدول في الأيام السبعة القادمة:`)}\n`;
+    message += `🌍 الأوقات بتوقيت ${code(userTimezone)}\n\n`;
 
     lessons.forEach((lesson, index) => {
-      const lessonDate = new Date(`${lesson.date} ${lesson.time}`);
+      const lessonDate = getLessonStart(lesson, config.schedule.defaultTimezone);
       const formattedDate = lessonDate.toLocaleDateString('ar-SA', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: userTimezone
       });
       const formattedTime = lessonDate.toLocaleTimeString('ar-SA', {
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        timeZone: userTimezone
       });
 
       // Calculate days until lesson
@@ -1,32 +1,64 @@
 // bot/commands/updatecourse.js
-import { updateCourse, getCourses } from '../utils/database.js';
+import { updateCourse, getCourses, getUserLanguage } from '../utils/database.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
 import { config } from '../../config.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+const UPDATE_COURSE_ARGS = {
+  command: 'updatecourse',
+  args: [
+    { name: 'courseId', label: { ar: 'معرف_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    {
+      name: 'field',
+      label: { ar: 'الحقل', en: 'field' },
+      type: 'enum',
+      values: ['name', 'description', 'timezone', 'weight_assignments', 'weight_quizzes', 'weight_attendance']
+    },
+    { name: 'value', label: { ar: 'القيمة', en: 'value' }, type: 'text' }
+  ]
+};
 
 export async function handleUpdateCourse(ctx) {
   try {
-    const args = ctx.message.text.split(' ').slice(1);
-    
-    if (args.length < 3) {
+    const parsed = parseCommandArgs(ctx.message.text, UPDATE_COURSE_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
       await ctx.reply(
         `❌ *${escapeMarkdownV2('صيغة خاطئة')}*\n\n` +
         `${escapeMarkdownV2('الصيغة:')} \`/updatecourse <معرف_الكورس> <الحقل> <القيمة>\`\n\n` +
         `${escapeMarkdownV2('الحقول المتاحة:')}\n` +
         `• \`name\` ${escapeMarkdownV2('- اسم الكورس')}\n` +
-        `• \`description\` ${escapeMarkdownV2('- وصف الكورس')}\n\n` +
+        `• \`description\` ${escapeMarkdownV2('- وصف الكورس')}\n` +
+        `• \`timezone\` ${escapeMarkdownV2('- المنطقة الزمنية للدروس الجديدة (مثل Africa/Algiers)')}\n` +
+        `• \`weight_assignments\` ${escapeMarkdownV2('- وزن الواجبات في سجل الدرجات (افتراضياً 60)')}\n` +
+        `• \`weight_quizzes\` ${escapeMarkdownV2('- وزن الاختبارات (افتراضياً 20)')}\n` +
+        `• \`weight_attendance\` ${escapeMarkdownV2('- وزن الحضور (افتراضياً 20)')}\n\n` +
         `${escapeMarkdownV2('مثال:')} \`/updatecourse 1 name "رياضيات متقدمة"\``,
         { parse_mode: 'MarkdownV2' }
       );
       return;
     }
 
-    const courseId = parseInt(args[0]);
-    const field = args[1];
-    const value = args.slice(2).join(' ');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { courseId, field, value } = parsed.values;
+
+    if (field === 'timezone' && !isValidTimezone(value)) {
+      await ctx.reply(
+        `❌ ${escapeMarkdownV2('منطقة زمنية غير معروفة، استخدم اسماً مثل')} \`Africa/Algiers\``,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
 
-    if (isNaN(courseId)) {
+    const isWeight = field.startsWith('weight_');
+    if (isWeight && !/^\d+(\.\d+)?$/.test(value)) {
       await ctx.reply(
-        `❌ ${escapeMarkdownV2('معرف الكورس يجب أن يكون رقم')}`,
+        `❌ ${escapeMarkdownV2('الوزن يجب أن يكون رقماً موجباً أو 0، مثل 60')}`,
         { parse_mode: 'MarkdownV2' }
       );
       return;
@@ -40,7 +72,13 @@ export async function handleUpdateCourse(ctx) {
         `✅ *${escapeMarkdownV2('تم تحديث الكورس بنجاح')}*\n\n` +
         `🆔 ${escapeMarkdownV2('معرف الكورس:')} ${courseId}\n` +
         `📝 ${escapeMarkdownV2('الحقل:')} ${escapeMarkdownV2(field)}\n` +
-        `🔄 ${escapeMarkdownV2('القيمة الجديدة:')} ${escapeMarkdownV2(value)}`,
+        `🔄 ${escapeMarkdownV2('القيمة الجديدة:')} ${escapeMarkdownV2(value)}` +
+        (field === 'timezone'
+          ? `\n\n💡 ${escapeMarkdownV2('تطبق على الدروس التي تضاف لاحقاً، استخدم /updatelesson لتعديل دروس قائمة')}`
+          : '') +
+        (isWeight
+          ? `\n\n💡 ${escapeMarkdownV2('تحسب الأوزان نسبةً إلى مجموعها، فلا يلزم أن يكون المجموع 100')}`
+          : ''),
         { parse_mode: 'MarkdownV2' }
       );
     } else {
@@ -1,6 +1,13 @@
-import { addUser, verifyUser, isUserVerified } from '../utils/database.js';
+import { addUser, verifyUser, isUserVerified, getUserLanguage } from '../utils/database.js';
 import { config } from '../../config.js';
 import { escapeMarkdownV2 } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+
+const VERIFY_ARGS = {
+  command: 'verify',
+  args: [{ name: 'code', label: { ar: 'كود_التفعيل', en: 'activation_code' }, description: 'من قناة الدعم' }],
+  examples: ['/verify ABC123']
+};
 
 export async function handleVerify(ctx) {
   try {
@@ -8,11 +15,9 @@ export async function handleVerify(ctx) {
     const userId = user.id;
     const username = user.username || '';
     const firstName = user.first_name || '';
-    const messageText = ctx.message.text;
 
-    // Extract verification code from command
-    const args = messageText.split(' ');
-    if (args.length < 2) {
+    const parsed = parseCommandArgs(ctx.message.text, VERIFY_ARGS, await getUserLanguage(userId) || 'ar');
+    if (parsed.empty) {
       await ctx.reply(
         `🔑 *${escapeMarkdownV2('كيفية استخدام أمر التفعيل')}*\n\n` +
         `${escapeMarkdownV2('الصيغة الصحيحة:')} /verify كود_التفعيل\n\n` +
@@ -23,7 +28,12 @@ export async function handleVerify(ctx) {
       return;
     }
 
-    const providedCode = args[1];
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const providedCode = parsed.values.code;
 
     // Check if user is already verified
     const alreadyVerified = await isUserVerified(userId);
@@ -0,0 +1,458 @@
+// bot/commands/wizard.js
+import { Markup } from 'telegraf';
+import {
+  getWizardSession,
+  saveWizardSession,
+  deleteWizardSession,
+  getCourses,
+  getCourse,
+  getAssignment,
+  getSubmission,
+  getQuizQuestionCount,
+  getStudentAssignments,
+  getUserLanguage,
+  getUserTimezone
+} from '../utils/database.js';
+import {
+  getCurrentStep,
+  readStepAnswer,
+  setStepAnswer,
+  removeLastAnswer,
+  summarizeWizard,
+  isWizardExpired
+} from '../utils/wizards.js';
+import { formatSynopsis } from '../utils/commandArgs.js';
+import { MATCH_MODES, validateExpectedAnswer } from '../utils/answerMatching.js';
+import { getSubmissionBlocker } from '../utils/assignmentPolicy.js';
+import { buildDashboard } from '../utils/assignmentDashboard.js';
+import {
+  ADD_ASSIGNMENT_ARGS,
+  SUBMIT_ARGS,
+  createAssignment,
+  getPastDeadlineError,
+  sendSubmission
+} from './assignment.js';
+import { ADD_COURSE_ARGS, createCourse } from './addcourse.js';
+import { ADD_LESSON_ARGS, createLesson } from './lesson.js';
+import { ADD_REMINDER_ARGS, createReminder, isFutureReminderTime } from './addreminder.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { config } from '../../config.js';
+
+async function getCourseChoices() {
+  const result = await getCourses();
+  return (result.success ? result.data : []).map(course => ({
+    label: `${course.name} (${course.course_id})`,
+    value: String(course.course_id)
+  }));
+}
+
+const COURSE_STEP = {
+  prompt: 'اختر الكورس من الأزرار أو أرسل رقمه',
+  choices: getCourseChoices,
+  validate: async courseId => (await getCourse(courseId) ? null : `لا يوجد كورس برقم ${courseId}، أنشئه أولاً بـ /addcourse`)
+};
+
+// Single-question assignments the student can still answer, the most urgent first
+async function getOpenAssignmentChoices(data, { userId }) {
+  const { entries } = buildDashboard(await getStudentAssignments(userId), {}, new Date(), config.schedule.defaultTimezone);
+  return entries
+    .filter(entry => !entry.blocker && !(entry.assignment.question_count > 0))
+    .slice(0, 10)
+    .map(entry => ({
+      label: `${entry.assignment.title} (${entry.assignment.assignment_id})`,
+      value: String(entry.assignment.assignment_id)
+    }));
+}
+
+async function validateSubmitAssignment(assignmentId, data, { userId }) {
+  const assignment = await getAssignment(assignmentId);
+  if (!assignment) {
+    return `لا يوجد واجب برقم ${assignmentId}`;
+  }
+  if (await getQuizQuestionCount(assignmentId) > 0) {
+    return `هذا الواجب اختبار متعدد الأسئلة، استخدم /quiz ${assignmentId}`;
+  }
+  return getSubmissionBlocker(assignment, await getSubmission(userId, assignmentId), new Date(), config.schedule.defaultTimezone);
+}
+
+// The task is repeated, the dashboard only lists titles
+async function getSubmitAnswerPrompt({ assignmentId }) {
+  const assignment = await getAssignment(assignmentId);
+  if (!assignment) return 'أرسل إجابتك';
+  if (assignment.assignment_type === 'code') {
+    return `💻 ${assignment.question}\n\nأرسل الكود بلغة JavaScript في رسالة، أو أرسل ملف .js مع /submit ${assignmentId} في التعليق`;
+  }
+  return `❓ ${assignment.question}\n\nأرسل إجابتك`;
+}
+
+// Each wizard asks its command's arguments in order and finishes with the same function as the command
+const WIZARDS = {
+  addassignment: {
+    title: 'إضافة واجب',
+    adminOnly: true,
+    schema: ADD_ASSIGNMENT_ARGS,
+    steps: {
+      courseId: COURSE_STEP,
+      title: { prompt: 'أرسل عنوان الواجب (3 إلى 100 حرف)' },
+      question: { prompt: 'أرسل نص السؤال (10 إلى 500 حرف)' },
+      correctAnswer: { prompt: 'أرسل الإجابة الصحيحة (2 إلى 200 حرف)' },
+      deadline: { prompt: 'أرسل الموعد النهائي بصيغة YYYY-MM-DD', validate: deadline => getPastDeadlineError(deadline) },
+      matchMode: {
+        prompt: 'اختر طريقة تصحيح الإجابات',
+        choices: async () => Object.keys(MATCH_MODES).map(mode => ({ label: mode, value: mode })),
+        validate: (matchMode, data) => validateExpectedAnswer(matchMode, data.correctAnswer)
+      }
+    },
+    finish: createAssignment
+  },
+  addcourse: {
+    title: 'إنشاء كورس',
+    adminOnly: true,
+    schema: ADD_COURSE_ARGS,
+    steps: {
+      name: { prompt: 'أرسل اسم الكورس' },
+      description: { prompt: 'أرسل وصف الكورس' }
+    },
+    finish: createCourse
+  },
+  addlesson: {
+    title: 'إضافة درس جديد',
+    adminOnly: true,
+    schema: ADD_LESSON_ARGS,
+    steps: {
+      courseId: COURSE_STEP,
+      date: { prompt: 'أرسل تاريخ الدرس بصيغة YYYY-MM-DD' },
+      time: { prompt: 'أرسل وقت الدرس بصيغة HH:MM بتوقيت الكورس' },
+      zoomLink: {
+        prompt: 'أرسل رابط الدرس، أو تخطَّ هذه الخطوة لاستخدام رابط Zoom الافتراضي',
+        patternError: 'الرابط يجب أن يبدأ بـ http:// أو https://'
+      },
+      title: { prompt: 'أرسل عنوان الدرس (3 إلى 100 حرف)' }
+    },
+    finish: createLesson
+  },
+  addreminder: {
+    title: 'إضافة تذكير مخصص',
+    schema: ADD_REMINDER_ARGS,
+    steps: {
+      remindAt: {
+        prompt: 'أرسل تاريخ ووقت التذكير بصيغة YYYY-MM-DD HH:MM',
+        validate: async (remindAt, data, { userId }) =>
+          (isFutureReminderTime(remindAt, await getUserTimezone(userId)) ? null : 'لا يمكن إضافة تذكير لوقت في الماضي')
+      },
+      message: { prompt: 'أرسل نص التذكير' }
+    },
+    finish: createReminder
+  },
+  submit: {
+    title: 'إرسال إجابة واجب',
+    schema: SUBMIT_ARGS,
+    steps: {
+      assignmentId: {
+        prompt: 'اختر الواجب من الأزرار أو أرسل رقمه',
+        choices: getOpenAssignmentChoices,
+        validate: validateSubmitAssignment
+      },
+      answer: { prompt: getSubmitAnswerPrompt }
+    },
+    finish: sendSubmission
+  }
+};
+
+function isAllowed(wizard, userId) {
+  return !wizard.adminOnly || config.admin.userIds.includes(userId);
+}
+
+// The user's wizard if it can continue, expired or no longer allowed sessions are dropped
+async function loadSession(userId) {
+  const session = await getWizardSession(userId);
+  if (!session) return null;
+
+  const wizard = WIZARDS[session.wizard];
+  if (!wizard || isWizardExpired(session) || !isAllowed(wizard, userId)) {
+    await deleteWizardSession(userId);
+    return null;
+  }
+  return { ...session, definition: wizard };
+}
+
+async function removeButtons(ctx) {
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (editError) {
+    // The old prompt stays readable even if its buttons could not be removed
+    console.error('خطأ في إزالة أزرار المعالج:', editError);
+  }
+}
+
+async function sendConfirmation(ctx, wizard, data) {
+  const language = await getUserLanguage(ctx.from.id) || 'ar';
+  const lines = summarizeWizard(wizard, data, language)
+    .map(({ label, value }) => `• ${bold(`${label}:`)} ${escapeMarkdownV2(value)}`)
+    .join('\n');
+
+  await ctx.reply(
+    `📋 ${bold(`${wizard.title}: تأكيد البيانات`)}\n\n` +
+    `${lines}\n\n` +
+    `هل البيانات صحيحة؟`,
+    {
+      parse_mode: 'MarkdownV2',
+      disable_web_page_preview: true,
+      ...Markup.inlineKeyboard([
+        [Markup.button.callback('✅ تأكيد', 'wizard:confirm')],
+        [Markup.button.callback('⬅️ رجوع', 'wizard:back'), Markup.button.callback('❌ إلغاء', 'wizard:cancel')]
+      ])
+    }
+  );
+}
+
+// Ask the next unanswered step, or show the confirmation card when all are answered
+async function sendStep(ctx, wizard, data, error = null) {
+  const current = getCurrentStep(wizard, data);
+  if (!current) {
+    await sendConfirmation(ctx, wizard, data);
+    return;
+  }
+
+  const { step, index, total } = current;
+  const rows = [];
+  if (step.choices) {
+    const buttons = (await step.choices(data, { userId: ctx.from.id })).map(choice =>
+      Markup.button.callback(choice.label, `wizard:pick:${step.name}:${choice.value}`)
+    );
+    // Two buttons per row leaves room for course names
+    for (let i = 0; i < buttons.length; i += 2) {
+      rows.push(buttons.slice(i, i + 2));
+    }
+  }
+
+  const controls = [];
+  if (index > 0) controls.push(Markup.button.callback('⬅️ رجوع', 'wizard:back'));
+  if (step.required === false) controls.push(Markup.button.callback('⏭️ تخطي', `wizard:skip:${step.name}`));
+  controls.push(Markup.button.callback('❌ إلغاء', 'wizard:cancel'));
+  rows.push(controls);
+
+  const defaultNote = step.required === false && step.default !== undefined && step.default !== null
+    ? `\n💡 عند التخطي تُستخدم القيمة ${code(step.default)}`
+    : '';
+
+  // A prompt may depend on earlier answers, e.g. the question of the chosen assignment
+  const prompt = typeof step.prompt === 'function' ? await step.prompt(data) : step.prompt;
+
+  await ctx.reply(
+    (error ? `❌ ${bold(error)}\n\n` : '') +
+    `🧙 ${bold(wizard.title)} ${escapeMarkdownV2(`(${index + 1}/${total})`)}\n\n` +
+    `${escapeMarkdownV2(prompt)}` +
+    defaultNote,
+    { parse_mode: 'MarkdownV2', ...Markup.inlineKeyboard(rows) }
+  );
+}
+
+/**
+ * Start a wizard, or resume the user's unfinished one of the same kind
+ * @param {Object} ctx - Telegraf context of the command message or button
+ * @param {string} name - Wizard name (the command it builds)
+ * @param {Object} [answers] - Answers already known, e.g. the assignment of a Submit button; starts afresh
+ */
+export async function startWizard(ctx, name, answers = {}) {
+  const userId = ctx.from.id;
+  const wizard = WIZARDS[name];
+
+  const session = await loadSession(userId);
+  const prefilled = Object.keys(answers).length > 0;
+  if (!prefilled && session?.wizard === name && session.chat_id === ctx.chat.id) {
+    await ctx.reply(
+      `🔄 ${bold(`متابعة: ${wizard.title}`)}\n\n` +
+      `لديك عملية لم تكتمل، تابع من حيث توقفت أو أرسل ${code('/cancel')} للبدء من جديد\\.`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    await sendStep(ctx, wizard, session.data);
+    return;
+  }
+
+  if (!await saveWizardSession(userId, ctx.chat.id, name, answers)) {
+    await ctx.reply(
+      `❌ ${bold('تعذر بدء المعالج')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+    return;
+  }
+
+  const language = await getUserLanguage(userId) || 'ar';
+  await ctx.reply(
+    `🧙 ${bold(wizard.title)}\n\n` +
+    `سأطلب منك البيانات خطوة بخطوة، وتستطيع الإلغاء في أي وقت بـ ${code('/cancel')}\\.\n\n` +
+    `💡 يمكنك أيضاً كتابة الأمر كاملاً في سطر واحد:\n` +
+    `${code(formatSynopsis(wizard.schema, language))}`,
+    { parse_mode: 'MarkdownV2' }
+  );
+  await sendStep(ctx, wizard, answers);
+}
+
+/**
+ * Wrap a command so that sending it without arguments starts its wizard
+ * @param {string} name - Wizard name
+ * @param {Function} handler - The command handler used when arguments are given
+ * @returns {Function} - Telegraf handler
+ */
+export function withWizard(name, handler) {
+  return async (ctx) => {
+    const hasArgs = ctx.message.text.trim().split(/\s+/).length > 1;
+    if (hasArgs) {
+      await handler(ctx);
+      return;
+    }
+
+    try {
+      await startWizard(ctx, name);
+    } catch (error) {
+      console.error(`خطأ في معالج /${name}:`, error);
+      await ctx.reply(
+        `❌ ${bold('حدث خطأ')}\n\n` +
+        `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+    }
+  };
+}
+
+// Take a plain text message as the answer to the current wizard step, returns true if it was used
+export async function handleWizardText(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const session = await loadSession(userId);
+    if (!session || session.chat_id !== ctx.chat.id) {
+      return false;
+    }
+
+    const wizard = session.definition;
+    const current = getCurrentStep(wizard, session.data);
+    if (!current) {
+      await ctx.reply('☝️ استخدم أزرار التأكيد أو الإلغاء، أو أرسل /cancel');
+      await sendConfirmation(ctx, wizard, session.data);
+      return true;
+    }
+
+    const language = await getUserLanguage(userId) || 'ar';
+    const result = await readStepAnswer(current.step, ctx.message.text, session.data, language, { userId });
+    if (result.error) {
+      await sendStep(ctx, wizard, session.data, result.error);
+      return true;
+    }
+
+    const data = setStepAnswer(session.data, current.step.name, result.value);
+    await saveWizardSession(userId, session.chat_id, session.wizard, data);
+    await sendStep(ctx, wizard, data);
+    return true;
+
+  } catch (error) {
+    console.error('خطأ في المعالج:', error);
+    await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
+    return true;
+  }
+}
+
+// Handle wizard buttons (wizard:<pick|skip|back|cancel|confirm>[:<step>[:<value>]])
+export async function handleWizardAction(ctx) {
+  try {
+    const userId = ctx.from.id;
+    const [, action, stepName, value] = ctx.match;
+
+    const session = await loadSession(userId);
+    if (!session) {
+      await ctx.answerCbQuery('⚠️ انتهت هذه العملية، ابدأها من جديد');
+      await removeButtons(ctx);
+      return;
+    }
+
+    const wizard = session.definition;
+    const current = getCurrentStep(wizard, session.data);
+
+    if (action === 'cancel') {
+      await deleteWizardSession(userId);
+      await ctx.answerCbQuery('تم الإلغاء');
+      await removeButtons(ctx);
+      await ctx.reply(`❌ تم إلغاء ${wizard.title}`);
+      return;
+    }
+
+    if (action === 'back') {
+      const data = removeLastAnswer(wizard, session.data);
+      await saveWizardSession(userId, session.chat_id, session.wizard, data);
+      await ctx.answerCbQuery();
+      await removeButtons(ctx);
+      await sendStep(ctx, wizard, data);
+      return;
+    }
+
+    if (action === 'confirm') {
+      if (current) {
+        await ctx.answerCbQuery('⚠️ أكمل الخطوات أولاً');
+        return;
+      }
+
+      // Removed before finishing so a second tap cannot create it twice
+      await deleteWizardSession(userId);
+      await ctx.answerCbQuery('⏳ جاري الحفظ');
+      await removeButtons(ctx);
+      const created = await wizard.finish(ctx, session.data);
+      if (!created) {
+        // Keep the answers so they can be corrected with the back button
+        await saveWizardSession(userId, session.chat_id, session.wizard, session.data);
+        await sendConfirmation(ctx, wizard, session.data);
+      }
+      return;
+    }
+
+    // pick and skip answer the current step, older prompts are ignored
+    if (!current || current.step.name !== stepName) {
+      await ctx.answerCbQuery('⚠️ هذه الخطوة لم تعد نشطة');
+      return;
+    }
+
+    let answer;
+    if (action === 'skip' && current.step.required === false) {
+      answer = current.step.default ?? null;
+    } else if (action === 'pick') {
+      const language = await getUserLanguage(userId) || 'ar';
+      const result = await readStepAnswer(current.step, value, session.data, language, { userId });
+      if (result.error) {
+        await ctx.answerCbQuery();
+        await sendStep(ctx, wizard, session.data, result.error);
+        return;
+      }
+      answer = result.value;
+    } else {
+      await ctx.answerCbQuery('⚠️ لا يمكن تخطي هذه الخطوة');
+      return;
+    }
+
+    const data = setStepAnswer(session.data, current.step.name, answer);
+    await saveWizardSession(userId, session.chat_id, session.wizard, data);
+    await ctx.answerCbQuery();
+    await removeButtons(ctx);
+    await sendStep(ctx, wizard, data);
+
+  } catch (error) {
+    console.error('خطأ في أزرار المعالج:', error);
+    await ctx.answerCbQuery('❌ حدث خطأ');
+  }
+}
+
+// Handle cancel command, drops the wizard in progress
+export async function handleCancel(ctx) {
+  try {
+    const session = await loadSession(ctx.from.id);
+    await deleteWizardSession(ctx.from.id);
+
+    await ctx.reply(
+      session
+        ? `❌ تم إلغاء ${session.definition.title}`
+        : 'ℹ️ لا توجد عملية جارية لإلغائها'
+    );
+  } catch (error) {
+    console.error('خطأ في أمر /cancel:', error);
+    await ctx.reply(`❌ حدث خطأ، حاول مرة أخرى أو تواصل مع ${config.admin.supportChannel}`);
+  }
+}
@@ -0,0 +1,387 @@
+// bot/commands/zoomimport.js
+import {
+  getLesson,
+  getAllVerifiedUsers,
+  getAttendanceRecord,
+  addAttendance,
+  getZoomAliases,
+  saveZoomAlias,
+  createZoomImport,
+  getZoomImport,
+  getLatestZoomImport,
+  addZoomImportRow,
+  getZoomImportRow,
+  getZoomImportRows,
+  updateZoomImportRow,
+  getUserLanguage
+} from '../utils/database.js';
+import { parseZoomParticipants, matchParticipant, normalizeParticipantName, splitZoomName } from '../utils/zoomReport.js';
+import { parseDurationMinutes } from '../utils/checkinWindow.js';
+import { escapeMarkdownV2, bold, code } from '../utils/escapeMarkdownV2.js';
+import { parseCommandArgs, formatArgsReply } from '../utils/commandArgs.js';
+import { config } from '../../config.js';
+
+// Zoom reports for a single meeting are a few KB, anything much bigger is the wrong file
+const MAX_REPORT_BYTES = 1024 * 1024;
+// Unmatched rows listed per message, the rest are reachable through /zoomreview
+const MAX_LISTED_ROWS = 15;
+
+const IMPORT_ZOOM_ARGS = {
+  command: 'importzoom',
+  args: [
+    { name: 'lessonId', label: { ar: 'رقم_الدرس', en: 'lesson_id' }, type: 'int', min: 1 },
+    { name: 'minDuration', label: { ar: 'أقل_مدة', en: 'min_duration' }, required: false, description: 'بالدقائق أو مثل 45m' }
+  ],
+  examples: ['/importzoom 12 45m']
+};
+
+const ZOOM_REVIEW_ARGS = {
+  command: 'zoomreview',
+  args: [{ name: 'importId', label: { ar: 'رقم_الاستيراد', en: 'import_id' }, type: 'int', min: 1, required: false, description: 'آخر استيراد عند حذفه' }],
+  examples: ['/zoomreview', '/zoomreview 3']
+};
+
+const ZOOM_MATCH_ARGS = {
+  command: 'zoommatch',
+  args: [
+    { name: 'rowId', label: { ar: 'رقم_الصف', en: 'row_id' }, type: 'int', min: 1 },
+    { name: 'target', label: { ar: 'الطالب', en: 'student' }, description: 'معرف المستخدم أو @username أو ignore' }
+  ],
+  examples: ['/zoommatch 41 123456789', '/zoommatch 41 @username', '/zoommatch 41 ignore']
+};
+
+// Write attendance for a matched participant, returns the row status (null if the write failed)
+async function recordZoomAttendance(userId, lessonId, durationMinutes, minMinutes) {
+  if (durationMinutes < minMinutes) {
+    return 'below_threshold';
+  }
+
+  // Keep check-in statuses (on time/late), only replace missing or absent records
+  const existing = await getAttendanceRecord(userId, lessonId);
+  if (existing && existing.status !== 'absent') {
+    return 'already_recorded';
+  }
+
+  return (await addAttendance(userId, lessonId, 'present')) ? 'recorded' : null;
+}
+
+function formatUnmatchedRows(rows) {
+  let message = rows.slice(0, MAX_LISTED_ROWS)
+    .map(row =>
+      `• ${code(String(row.row_id))} ${escapeMarkdownV2(row.participant_name)}` +
+      (row.email ? ` \\(${escapeMarkdownV2(row.email)}\\)` : '') +
+      ` \\- ${escapeMarkdownV2(String(Math.round(row.duration_minutes)))} دقيقة`
+    )
+    .join('\n');
+
+  if (rows.length > MAX_LISTED_ROWS) {
+    message += `\n… و ${rows.length - MAX_LISTED_ROWS} صفوف أخرى`;
+  }
+  return message;
+}
+
+function formatReviewHint() {
+  return `💡 اربط كل صف بطالب بـ ${code('/zoommatch رقم_الصف معرف_المستخدم')} أو ${code('/zoommatch رقم_الصف @username')}\n` +
+    `🙈 لتجاهل صف \\(ضيف أو مدرب\\): ${code('/zoommatch رقم_الصف ignore')}\n` +
+    `🧠 يتذكر البوت الربط في الاستيرادات القادمة\\.`;
+}
+
+// Handle Zoom import (admin only): a CSV sent with the command as caption, or the command sent as a reply to it
+export async function handleImportZoom(ctx) {
+  try {
+    const text = ctx.message.text ?? ctx.message.caption ?? '';
+    const parsed = parseCommandArgs(text, IMPORT_ZOOM_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    const document = ctx.message.document || ctx.message.reply_to_message?.document;
+
+    if (parsed.empty || !document) {
+      await ctx.reply(
+        `📥 ${bold('استيراد الحضور من Zoom')}\n\n` +
+        `📎 أرسل ملف المشاركين ${code('CSV')} من تقارير Zoom مع التعليق:\n` +
+        `${code('/importzoom رقم_الدرس [أقل_مدة]')}\n` +
+        `أو أرسل الأمر رداً على الملف\\.\n\n` +
+        `⏱️ يُسجل حاضراً من بقي ${config.zoom.minAttendanceMinutes} دقيقة على الأقل ما لم تحدد المدة \\(مثل ${code('45m')}\\)\n\n` +
+        `💡 ${bold('مثال:')} ${code('/importzoom 12 45m')}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { lessonId, minDuration } = parsed.values;
+    const minMinutes = minDuration ? parseDurationMinutes(minDuration) : config.zoom.minAttendanceMinutes;
+
+    const lesson = await getLesson(lessonId);
+    if (!lesson) {
+      await ctx.reply(
+        `❌ ${bold('الدرس غير موجود')}\n\n` +
+        `لم يتم العثور على درس برقم ${lessonId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!minMinutes) {
+      await ctx.reply(
+        `❌ ${bold('مدة غير صحيحة')}\n\n` +
+        `استخدم عدد الدقائق أو صيغة مثل ${code('45m')} أو ${code('1h')}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const fileName = document.file_name || 'zoom.csv';
+    if (!/\.csv$/i.test(fileName) || (document.file_size || 0) > MAX_REPORT_BYTES) {
+      await ctx.reply(
+        `❌ ${bold('ملف غير مدعوم')}\n\n` +
+        `أرسل تقرير المشاركين بصيغة ${code('CSV')} \\(حتى 1 ميغابايت\\)\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(fileLink);
+    if (!response.ok) {
+      throw new Error(`فشل تحميل الملف: ${response.status}`);
+    }
+
+    const participants = parseZoomParticipants(await response.text());
+    if (!participants || participants.length === 0) {
+      await ctx.reply(
+        `❌ ${bold('لم يتم العثور على مشاركين')}\n\n` +
+        `تأكد أن الملف هو تقرير المشاركين من ${code('Reports > Usage')} في Zoom\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const importId = await createZoomImport(lessonId, fileName, minMinutes, ctx.from.id);
+    if (!importId) {
+      throw new Error('فشل في إنشاء سجل الاستيراد');
+    }
+
+    const users = await getAllVerifiedUsers();
+    const aliases = await getZoomAliases();
+    const matches = participants.map(participant => ({
+      participant,
+      userId: matchParticipant(participant, users, aliases)
+    }));
+
+    // Someone who joined from two devices counts once, with their combined time
+    const totals = new Map();
+    matches.forEach(({ participant, userId }) => {
+      if (userId) totals.set(userId, (totals.get(userId) || 0) + participant.durationMinutes);
+    });
+
+    const statuses = new Map();
+    const counts = { recorded: 0, already_recorded: 0, below_threshold: 0, unmatched: 0 };
+    for (const { participant, userId } of matches) {
+      let status = 'unmatched';
+      if (userId) {
+        const isFirstRow = !statuses.has(userId);
+        if (isFirstRow) {
+          statuses.set(userId, await recordZoomAttendance(userId, lessonId, totals.get(userId), minMinutes));
+        }
+        // A failed write is left unmatched so it can be retried with /zoommatch
+        status = statuses.get(userId) || 'unmatched';
+        // Students are counted once, unmatched rows once per participant
+        if (isFirstRow || status === 'unmatched') counts[status]++;
+      } else {
+        counts[status]++;
+      }
+      await addZoomImportRow(importId, participant.name, participant.email, participant.durationMinutes, status === 'unmatched' ? null : userId, status);
+    }
+
+    const unmatchedRows = await getZoomImportRows(importId, 'unmatched');
+    let message = `✅ ${bold('تم استيراد تقرير Zoom')}\n\n` +
+      `📚 ${bold('الدرس:')} ${escapeMarkdownV2(lesson.title)} \\(${lessonId}\\)\n` +
+      `🆔 ${bold('رقم الاستيراد:')} ${importId}\n` +
+      `⏱️ ${bold('أقل مدة:')} ${minMinutes} دقيقة\n\n` +
+      `🟢 ${bold('سُجل حضورهم:')} ${counts.recorded}\n` +
+      `ℹ️ ${bold('مسجلون مسبقاً:')} ${counts.already_recorded}\n` +
+      `⏳ ${bold('أقل من المدة:')} ${counts.below_threshold}\n` +
+      `❓ ${bold('بحاجة لمراجعة:')} ${counts.unmatched}`;
+
+    if (unmatchedRows.length > 0) {
+      message += `\n\n📋 ${bold('مشاركون غير معروفين:')}\n${formatUnmatchedRows(unmatchedRows)}\n\n${formatReviewHint()}`;
+    }
+
+    await ctx.reply(message, { parse_mode: 'MarkdownV2' });
+
+  } catch (error) {
+    console.error('خطأ في أمر /importzoom:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle Zoom review command (admin only), lists rows still waiting for a manual match
+export async function handleZoomReview(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ZOOM_REVIEW_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { importId } = parsed.values;
+
+    const zoomImport = importId ? await getZoomImport(importId) : await getLatestZoomImport();
+    if (!zoomImport) {
+      await ctx.reply(
+        `📭 ${bold('لا يوجد استيراد')}\n\n` +
+        `استخدم ${code('/importzoom')} لاستيراد تقرير مشاركين أولاً\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const unmatchedRows = await getZoomImportRows(zoomImport.import_id, 'unmatched');
+    if (unmatchedRows.length === 0) {
+      await ctx.reply(
+        `✅ ${bold('لا توجد صفوف بحاجة لمراجعة')}\n\n` +
+        `🆔 ${bold('رقم الاستيراد:')} ${zoomImport.import_id} \\- الدرس ${zoomImport.lesson_id}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    await ctx.reply(
+      `📋 ${bold('مراجعة استيراد Zoom')}\n\n` +
+      `🆔 ${bold('رقم الاستيراد:')} ${zoomImport.import_id} \\- الدرس ${zoomImport.lesson_id}\n` +
+      `❓ ${bold('بحاجة لمراجعة:')} ${unmatchedRows.length}\n\n` +
+      `${formatUnmatchedRows(unmatchedRows)}\n\n${formatReviewHint()}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /zoomreview:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
+
+// Handle Zoom match command (admin only), links an unmatched row to a user and remembers the alias
+export async function handleZoomMatch(ctx) {
+  try {
+    const parsed = parseCommandArgs(ctx.message.text, ZOOM_MATCH_ARGS, await getUserLanguage(ctx.from.id) || 'ar');
+
+    if (parsed.empty) {
+      await ctx.reply(
+        `🔗 ${bold('ربط مشارك Zoom بطالب')}\n\n` +
+        `📝 ${bold('الصيغة الصحيحة:')} ${code('/zoommatch رقم_الصف معرف_المستخدم|@username|ignore')}\n` +
+        `💡 ${bold('مثال:')} ${code('/zoommatch 41 123456789')}\n\n` +
+        `📋 استخدم ${code('/zoomreview')} لعرض الصفوف غير المعروفة\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (!parsed.ok) {
+      await ctx.reply(formatArgsReply(parsed), { parse_mode: 'MarkdownV2' });
+      return;
+    }
+
+    const { rowId, target } = parsed.values;
+    const row = await getZoomImportRow(rowId);
+    if (!row) {
+      await ctx.reply(
+        `❌ ${bold('الصف غير موجود')}\n\n` +
+        `لم يتم العثور على صف برقم ${rowId}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (row.status !== 'unmatched') {
+      await ctx.reply(
+        `⚠️ ${bold('تمت معالجة هذا الصف بالفعل')}\n\n` +
+        `📋 ${bold('الحالة:')} ${escapeMarkdownV2(row.status)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    if (target.toLowerCase() === 'ignore') {
+      await updateZoomImportRow(rowId, null, 'ignored');
+      await ctx.reply(
+        `🙈 ${bold('تم تجاهل الصف')}\n\n` +
+        `👤 ${escapeMarkdownV2(row.participant_name)}`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    const users = await getAllVerifiedUsers();
+    const key = target.startsWith('@')
+      ? target.toLowerCase()
+      : parseInt(target);
+    const user = users.find(candidate =>
+      typeof key === 'number'
+        ? candidate.user_id === key
+        : (candidate.username || '').toLowerCase() === key
+    );
+    if (!user) {
+      await ctx.reply(
+        `❌ ${bold('المستخدم غير موجود')}\n\n` +
+        `لا يوجد مستخدم مفعل بالمعرف ${escapeMarkdownV2(target)}\\.`,
+        { parse_mode: 'MarkdownV2' }
+      );
+      return;
+    }
+
+    // Remember both the email and the display name for the next reports
+    if (row.email) {
+      await saveZoomAlias(row.email, user.user_id);
+    }
+    await saveZoomAlias(normalizeParticipantName(splitZoomName(row.participant_name)[0]), user.user_id);
+
+    // Like the import, a student who joined from several devices is judged on the combined time
+    const otherRows = (await getZoomImportRows(row.import_id))
+      .filter(other => other.user_id === user.user_id && other.row_id !== rowId);
+    const totalMinutes = otherRows.reduce((sum, other) => sum + other.duration_minutes, row.duration_minutes);
+
+    const status = await recordZoomAttendance(user.user_id, row.lesson_id, totalMinutes, row.min_minutes);
+    if (!status) {
+      throw new Error('فشل في تسجيل الحضور');
+    }
+    await updateZoomImportRow(rowId, user.user_id, status);
+    for (const other of otherRows) {
+      await updateZoomImportRow(other.row_id, user.user_id, status);
+    }
+
+    const statusText = {
+      recorded: '🟢 تم تسجيل الحضور',
+      already_recorded: 'ℹ️ الحضور مسجل مسبقاً',
+      below_threshold: `⏳ لم يُسجل الحضور، المدة أقل من ${row.min_minutes} دقيقة`
+    }[status];
+
+    await ctx.reply(
+      `✅ ${bold('تم ربط المشارك')}\n\n` +
+      `👤 ${escapeMarkdownV2(row.participant_name)} ← ${escapeMarkdownV2(user.first_name || String(user.user_id))}\n` +
+      (otherRows.length > 0
+        ? `⏱️ ${bold('المدة من كل الأجهزة:')} ${escapeMarkdownV2(String(Math.round(totalMinutes)))} دقيقة\n`
+        : '') +
+      `${escapeMarkdownV2(statusText)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+
+  } catch (error) {
+    console.error('خطأ في أمر /zoommatch:', error);
+    await ctx.reply(
+      `❌ ${bold('حدث خطأ')}\n\n` +
+      `حاول مرة أخرى أو تواصل مع ${escapeMarkdownV2(config.admin.supportChannel)}`,
+      { parse_mode: 'MarkdownV2' }
+    );
+  }
+}
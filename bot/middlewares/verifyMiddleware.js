@@ -44,6 +44,11 @@ export function verifyMiddleware() {
       const verified = await isUserVerified(userId);
       
       if (!verified) {
+        // Poll answers have no chat to reply in, unverified voters are ignored
+        if (ctx.pollAnswer) {
+          return;
+        }
+
         const currentMessages = messages[userLanguage] || messages.ar;
         await ctx.reply(
           `${currentMessages.activationRequired} ${config.admin.supportChannel}`,
@@ -0,0 +1,175 @@
+// bot/utils/answerMatching.js
+// Answer normalization pipelines and the grading modes built on them.
+
+/**
+ * Normalization steps, each takes a string and returns a string.
+ * Add a step here and list it in a mode pipeline to apply it.
+ */
+export const NORMALIZERS = {
+  trim: text => text.trim(),
+  lowercase: text => text.toLowerCase(),
+  collapseWhitespace: text => text.replace(/\s+/g, ' ').trim(),
+  // Compatibility forms such as Arabic presentation forms and full-width Latin
+  unicode: text => text.normalize('NFKC'),
+  // Fathatan to sukun, dagger alef and Quranic annotation marks
+  removeTashkeel: text => text.replace(/[\u064B-\u065F\u0670\u06D6-\u06ED]/g, ''),
+  removeTatweel: text => text.replace(/\u0640/g, ''),
+  // أ إ آ ٱ -> ا
+  unifyAlef: text => text.replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627'),
+  // ة -> ه
+  unifyTaaMarbuta: text => text.replace(/\u0629/g, '\u0647'),
+  // ى -> ي
+  unifyAlefMaqsura: text => text.replace(/\u0649/g, '\u064A'),
+  // Arabic-Indic and Persian digits -> 0-9
+  westernDigits: text => text
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0)),
+  stripPunctuation: text => text.replace(/[\p{P}\p{S}]/gu, ' ')
+};
+
+const ARABIC_PIPELINE = [
+  'unicode',
+  'removeTashkeel',
+  'removeTatweel',
+  'unifyAlef',
+  'unifyTaaMarbuta',
+  'unifyAlefMaqsura',
+  'westernDigits',
+  'stripPunctuation',
+  'lowercase',
+  'collapseWhitespace'
+];
+
+const NUMERIC_PIPELINE = ['unicode', 'westernDigits', 'trim'];
+
+/**
+ * Normalize text by running it through a list of steps
+ * @param {string} text - The raw text
+ * @param {Array<string|Function>} steps - Step names from NORMALIZERS, or functions
+ * @returns {string} - The normalized text
+ */
+export function normalizeAnswer(text, steps) {
+  return steps.reduce((value, step) => {
+    const normalize = typeof step === 'function' ? step : NORMALIZERS[step];
+    if (!normalize) {
+      throw new Error(`Unknown normalization step: ${step}`);
+    }
+    return normalize(value);
+  }, String(text ?? ''));
+}
+
+// Keywords are separated by commas, alternatives for one keyword by /
+function parseKeywords(expected, pipeline) {
+  return String(expected ?? '')
+    .split(/[,\u060C]/)
+    .map(keyword => keyword.split('/').map(option => normalizeAnswer(option, pipeline)).filter(Boolean))
+    .filter(options => options.length > 0);
+}
+
+function parseNumber(text) {
+  const value = normalizeAnswer(text, NUMERIC_PIPELINE)
+    .replace(/[\u066B,]/g, '.')
+    .replace(/\s+/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? parseFloat(value) : null;
+}
+
+function compileRegex(pattern) {
+  // Whole-answer match so that "4" does not accept "14"
+  return new RegExp(`^(?:${pattern})$`, 'iu');
+}
+
+/**
+ * Grading modes. Each has the pipeline applied to the answer, a check of the expected
+ * answer stored on the assignment, and the comparison itself.
+ */
+export const MATCH_MODES = {
+  exact: {
+    pipeline: ['trim', 'lowercase'],
+    validate: () => null,
+    match(answer, expected) {
+      return normalizeAnswer(answer, this.pipeline) === normalizeAnswer(expected, this.pipeline);
+    }
+  },
+  normalized: {
+    pipeline: ARABIC_PIPELINE,
+    validate: () => null,
+    match(answer, expected) {
+      return normalizeAnswer(answer, this.pipeline) === normalizeAnswer(expected, this.pipeline);
+    }
+  },
+  keywords: {
+    pipeline: ARABIC_PIPELINE,
+    validate(expected) {
+      return parseKeywords(expected, this.pipeline).length > 0 ? null : 'أدخل كلمة مفتاحية واحدة على الأقل مفصولة بفواصل';
+    },
+    match(answer, expected) {
+      const normalized = normalizeAnswer(answer, this.pipeline);
+      const keywords = parseKeywords(expected, this.pipeline);
+      return keywords.length > 0 && keywords.every(options => options.some(option => normalized.includes(option)));
+    }
+  },
+  regex: {
+    pipeline: ['trim', 'collapseWhitespace'],
+    validate(expected) {
+      try {
+        compileRegex(expected);
+        return null;
+      } catch (error) {
+        return 'التعبير النمطي غير صالح';
+      }
+    },
+    match(answer, expected) {
+      try {
+        return compileRegex(expected).test(normalizeAnswer(answer, this.pipeline));
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  numeric: {
+    pipeline: NUMERIC_PIPELINE,
+    validate(expected) {
+      return parseNumber(expected) === null ? 'الإجابة الصحيحة يجب أن تكون رقماً' : null;
+    },
+    match(answer, expected, { tolerance = 0 } = {}) {
+      const value = parseNumber(answer);
+      const target = parseNumber(expected);
+      if (value === null || target === null) return false;
+      // Small epsilon so 0.1 + 0.2 style rounding does not fail a zero tolerance
+      return Math.abs(value - target) <= Math.abs(tolerance) + 1e-9;
+    }
+  }
+};
+
+/**
+ * Check whether a name is a known grading mode
+ * @param {string} mode - Mode name
+ * @returns {boolean} - True if the mode exists
+ */
+export function isMatchMode(mode) {
+  return Object.prototype.hasOwnProperty.call(MATCH_MODES, mode);
+}
+
+/**
+ * Check that an expected answer can be used with a mode (valid regex, a number...)
+ * @param {string} mode - Mode name
+ * @param {string} expected - The expected answer
+ * @returns {string|null} - An error message, or null if valid
+ */
+export function validateExpectedAnswer(mode, expected) {
+  if (!isMatchMode(mode)) return 'طريقة التصحيح غير معروفة';
+  return MATCH_MODES[mode].validate(expected);
+}
+
+/**
+ * Grade an answer against the expected answer
+ * @param {string} answer - The student's answer
+ * @param {string} expected - The expected answer, pattern or keyword list
+ * @param {string} [mode='exact'] - Grading mode, unknown modes fall back to exact
+ * @param {{tolerance?: number}} [options] - Mode options
+ * @returns {boolean} - True if the answer is accepted
+ */
+export function matchAnswer(answer, expected, mode = 'exact', options = {}) {
+  const matcher = MATCH_MODES[isMatchMode(mode) ? mode : 'exact'];
+  return matcher.match(String(answer ?? ''), String(expected ?? ''), options);
+}
@@ -0,0 +1,146 @@
+import schedule from 'node-schedule';
+import {
+  getAssignment,
+  getAssignmentsAwaitingRelease,
+  markResultsReleased,
+  getAssignmentSubmissions,
+  getQuestions
+} from './database.js';
+import { getSubmissionsCloseInstant } from './assignmentPolicy.js';
+import { formatQuizAnswer } from './quiz.js';
+import { config } from '../../config.js';
+import { logActivity, logError } from '../middlewares/logger.js';
+import { escapeMarkdownV2 } from './escapeMarkdownV2.js';
+
+let bot = null;
+let releaseJobs = new Map();
+
+// Initialize result releases (schedule upcoming ones, release the ones that fell due while the bot was down)
+export async function initAnswerReveals(telegramBot) {
+  bot = telegramBot;
+
+  try {
+    const assignments = await getAssignmentsAwaitingRelease();
+    let releasedCount = 0;
+
+    for (const assignment of assignments) {
+      if (scheduleRelease(assignment) === 'due') {
+        releasedCount++;
+        await releaseResults(assignment.assignment_id);
+      }
+    }
+
+    logActivity(`تم جدولة نشر نتائج ${releaseJobs.size} واجب ونشر نتائج ${releasedCount} واجب انتهى موعده`);
+  } catch (error) {
+    logError(error, 'INIT_ANSWER_REVEALS');
+  }
+}
+
+// Schedule the release for when late submissions close, returns 'due' if that has already passed
+function scheduleRelease(assignment) {
+  cancelAnswerReveal(assignment.assignment_id);
+
+  if (assignment.reveal_policy === 'immediate' || assignment.results_released_at) {
+    return 'none';
+  }
+
+  const closesAt = getSubmissionsCloseInstant(assignment, config.schedule.defaultTimezone);
+  if (!closesAt) {
+    return 'none';
+  }
+  if (closesAt <= new Date()) {
+    return 'due';
+  }
+
+  const job = schedule.scheduleJob(closesAt, () => {
+    releaseJobs.delete(assignment.assignment_id);
+    releaseResults(assignment.assignment_id);
+  });
+  if (job) {
+    releaseJobs.set(assignment.assignment_id, job);
+  }
+  return 'scheduled';
+}
+
+// (Re)schedule an assignment's release, called when an assignment is added or its deadline or policies change
+export async function scheduleAnswerReveal(assignmentId) {
+  const assignment = await getAssignment(assignmentId);
+  if (assignment && scheduleRelease(assignment) === 'due') {
+    await releaseResults(assignmentId);
+  }
+}
+
+// Cancel a scheduled release (called when an assignment is deleted)
+export function cancelAnswerReveal(assignmentId) {
+  const job = releaseJobs.get(assignmentId);
+  if (job) {
+    job.cancel();
+    releaseJobs.delete(assignmentId);
+  }
+}
+
+// Send every submitter their score, and the correct answer unless the policy is 'never'
+export async function releaseResults(assignmentId) {
+  const assignment = await getAssignment(assignmentId);
+  if (!assignment || !(await markResultsReleased(assignmentId))) {
+    return { success: false, sent: 0 };
+  }
+
+  const submissions = await getAssignmentSubmissions(assignmentId);
+  const questions = await getQuestions(assignmentId);
+  const answerText = assignment.reveal_policy === 'after_deadline'
+    ? buildCorrectAnswerText(assignment, questions)
+    : null;
+
+  let sent = 0;
+  for (const submission of submissions) {
+    try {
+      // Students with questions drawn from the bank get the answers of their own variant
+      const ownAnswerText = answerText !== null && assignment.draw_count > 0
+        ? buildCorrectAnswerText(assignment, await getQuestions(assignmentId, submission.user_id))
+        : answerText;
+      await bot.telegram.sendMessage(
+        submission.user_id,
+        buildResultMessage(assignment, submission, ownAnswerText),
+        { parse_mode: 'MarkdownV2' }
+      );
+      sent++;
+    } catch (error) {
+      logError(error, `ANSWER_REVEAL_${assignmentId}_${submission.user_id}`);
+    }
+
+    // Small delay to avoid rate limiting
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  logActivity(`تم نشر نتائج الواجب ${assignmentId} لـ ${sent} من ${submissions.length} طالب`);
+  return { success: true, sent };
+}
+
+function buildCorrectAnswerText(assignment, questions) {
+  if (questions.length === 0) {
+    return assignment.correct_answer;
+  }
+  return questions
+    .map((question, index) => `${index + 1}. ${question.text}: ${formatQuizAnswer(question, question.correct_answer)}`)
+    .join('\n');
+}
+
+function buildResultMessage(assignment, submission, answerText) {
+  const score = submission.status === 'pending'
+    ? escapeMarkdownV2('بانتظار تصحيح المدرس')
+    : escapeMarkdownV2(`${submission.score}/${submission.max_score ?? 1}`);
+
+  return `🔓 *${escapeMarkdownV2('انتهى موعد الواجب')}*\n\n` +
+    `📝 *${escapeMarkdownV2('الواجب:')}* ${escapeMarkdownV2(assignment.title)}\n` +
+    `✍️ *${escapeMarkdownV2('إجابتك:')}* ${escapeMarkdownV2(submission.answer)}\n` +
+    `📊 *${escapeMarkdownV2('نقاطك:')}* ${score}\n` +
+    (answerText ? `\n✅ *${escapeMarkdownV2('الإجابة الصحيحة:')}*\n${escapeMarkdownV2(answerText)}` : '');
+}
+
+// Cleanup function
+export function cleanupAnswerReveals() {
+  releaseJobs.forEach(job => job.cancel());
+  releaseJobs.clear();
+  logActivity('تم تنظيف نظام نشر نتائج الواجبات');
+}
@@ -0,0 +1,107 @@
+// bot/utils/assignmentDashboard.js
+// A student's assignments with their own status (pending, overdue, submitted, graded), filtered, sorted and paged.
+
+import { getDeadlineInstant, getSubmissionBlocker, isResultVisible } from './assignmentPolicy.js';
+
+// In the order the dashboard lists them: work still to do comes first
+export const DASHBOARD_STATUS_NAMES = {
+  pending: 'لم تُسلَّم',
+  overdue: 'فات موعدها',
+  submitted: 'مُسلَّمة',
+  graded: 'مُصحَّحة'
+};
+export const DASHBOARD_STATUSES = Object.keys(DASHBOARD_STATUS_NAMES);
+
+export const DASHBOARD_PAGE_SIZE = 5;
+
+/**
+ * Get a student's status for one assignment
+ * 'graded' only once the student may see the score, until then a submitted answer is 'submitted'.
+ * @param {Object} assignment - Assignment row with course_timezone
+ * @param {Object|null} submission - The student's recorded submission, if any
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {string} - 'pending', 'overdue', 'submitted' or 'graded'
+ */
+export function getDashboardStatus(assignment, submission, at = new Date(), fallbackTimezone = 'UTC') {
+  if (!submission) {
+    const deadline = getDeadlineInstant(assignment, fallbackTimezone);
+    return deadline && deadline <= at ? 'overdue' : 'pending';
+  }
+  if (submission.status === 'pending' || submission.score === null || submission.score === undefined) {
+    return 'submitted';
+  }
+  return isResultVisible(assignment, submission, at, fallbackTimezone) ? 'graded' : 'submitted';
+}
+
+/**
+ * Build a student's dashboard entries
+ * Entries are sorted by status, then by the nearest deadline; counts cover the course filter but not the status filter.
+ * @param {{assignments: Array<Object>, submissions: Array<Object>}} data - From getStudentAssignments
+ * @param {{courseId?: number|null, status?: string|null}} [filter] - Only this course and/or status
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when a course has no timezone
+ * @returns {{entries: Array<{assignment: Object, submission: Object|null, status: string, deadline: Date|null, blocker: string|null}>, counts: Object}}
+ */
+export function buildDashboard({ assignments, submissions }, { courseId = null, status = null } = {}, at = new Date(), fallbackTimezone = 'UTC') {
+  const submissionsById = new Map(submissions.map(submission => [submission.assignment_id, submission]));
+  const counts = Object.fromEntries(DASHBOARD_STATUSES.map(name => [name, 0]));
+
+  const entries = [];
+  for (const assignment of assignments) {
+    if (courseId !== null && assignment.course_id !== courseId) continue;
+
+    const submission = submissionsById.get(assignment.assignment_id) || null;
+    const entryStatus = getDashboardStatus(assignment, submission, at, fallbackTimezone);
+    counts[entryStatus]++;
+    if (status !== null && entryStatus !== status) continue;
+
+    entries.push({
+      assignment,
+      submission,
+      status: entryStatus,
+      deadline: getDeadlineInstant(assignment, fallbackTimezone),
+      blocker: getSubmissionBlocker(assignment, submission, at, fallbackTimezone)
+    });
+  }
+
+  entries.sort((a, b) =>
+    DASHBOARD_STATUSES.indexOf(a.status) - DASHBOARD_STATUSES.indexOf(b.status) ||
+    // Assignments without a deadline go last within their status
+    (a.deadline?.getTime() ?? Infinity) - (b.deadline?.getTime() ?? Infinity) ||
+    a.assignment.assignment_id - b.assignment.assignment_id
+  );
+
+  return { entries, counts };
+}
+
+/**
+ * Get one page of a list
+ * @param {Array} items - The whole list
+ * @param {number} page - Zero-based page number, clamped to the pages there are
+ * @param {number} [pageSize] - Items per page
+ * @returns {{items: Array, page: number, pageCount: number}} - pageCount is at least 1
+ */
+export function paginate(items, page, pageSize = DASHBOARD_PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(Number(page) || 0, 0), pageCount - 1);
+  return {
+    items: items.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pageCount
+  };
+}
+
+/**
+ * Describe the time left until a deadline
+ * @param {Date} deadline - The deadline instant
+ * @param {Date} [at] - Current instant
+ * @returns {string|null} - e.g. "3 يوم" or "5 ساعة", null once the deadline has passed
+ */
+export function formatTimeLeft(deadline, at = new Date()) {
+  const left = deadline - at;
+  if (left <= 0) return null;
+
+  const hours = Math.ceil(left / (60 * 60 * 1000));
+  return hours < 24 ? `${hours} ساعة` : `${Math.ceil(hours / 24)} يوم`;
+}
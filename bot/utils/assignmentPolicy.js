@@ -0,0 +1,232 @@
+// bot/utils/assignmentPolicy.js
+// Assignment deadlines, late submission and answer reveal policies, attempts and resubmission rules.
+
+import { zonedTimeToUtc } from './timezone.js';
+
+// immediate: shown right after submitting, after_deadline: sent to submitters at the deadline, never: not shown
+export const REVEAL_POLICIES = ['immediate', 'after_deadline', 'never'];
+
+// reject: nothing after the deadline, penalty: late_penalty percent off per started day, grace: full score for grace_hours
+export const LATE_POLICIES = ['reject', 'penalty', 'grace'];
+
+// Which attempt's score is recorded as the grade
+export const SCORING_RULE_NAMES = {
+  best: 'أفضل محاولة',
+  last: 'آخر محاولة',
+  average: 'متوسط المحاولات'
+};
+export const SCORING_RULES = Object.keys(SCORING_RULE_NAMES);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the instant an assignment's deadline passes
+ * A date-only deadline (YYYY-MM-DD) lasts until the end of that day, "YYYY-MM-DD HH:MM" until that time.
+ * @param {Object} assignment - Assignment with deadline (or legacy due_date) and optionally course_timezone
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {Date|null} - The instant, or null if the assignment has no valid deadline
+ */
+export function getDeadlineInstant(assignment, fallbackTimezone = 'UTC') {
+  const deadline = String(assignment.deadline || assignment.due_date || '').trim();
+  const timezone = assignment.course_timezone || fallbackTimezone;
+
+  const match = deadline.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}:\d{2}))?$/);
+  if (!match) return null;
+
+  let instant;
+  if (match[4]) {
+    instant = zonedTimeToUtc(`${match[1]}-${match[2]}-${match[3]}`, match[4], timezone);
+  } else {
+    // Midnight at the start of the next day
+    const nextDay = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + 1));
+    instant = zonedTimeToUtc(nextDay.toISOString().split('T')[0], '00:00', timezone);
+  }
+
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+/**
+ * Check whether an assignment's deadline has passed
+ * @param {Object} assignment - Assignment row
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {boolean} - True if the deadline has passed, false if not or if there is none
+ */
+export function isPastDeadline(assignment, at = new Date(), fallbackTimezone = 'UTC') {
+  const deadline = getDeadlineInstant(assignment, fallbackTimezone);
+  return deadline !== null && at >= deadline;
+}
+
+/**
+ * Get the instant late submissions stop being accepted
+ * @param {Object} assignment - Assignment row (late_policy, late_penalty, grace_hours)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {Date|null} - The instant, or null if the assignment has no valid deadline
+ */
+export function getSubmissionsCloseInstant(assignment, fallbackTimezone = 'UTC') {
+  const deadline = getDeadlineInstant(assignment, fallbackTimezone);
+  if (!deadline) return null;
+
+  const policy = assignment.late_policy || 'reject';
+  if (policy === 'grace') {
+    const graceHours = Number(assignment.grace_hours);
+    return new Date(deadline.getTime() + (graceHours > 0 ? graceHours : 0) * HOUR_MS);
+  }
+  if (policy === 'penalty') {
+    // Open until the day the penalty would reach 100%
+    const penalty = Number(assignment.late_penalty);
+    const days = penalty > 0 ? Math.ceil(100 / penalty) - 1 : 0;
+    return new Date(deadline.getTime() + days * DAY_MS);
+  }
+  return deadline;
+}
+
+/**
+ * Work out how late a submission is and what it costs
+ * @param {Object} assignment - Assignment row
+ * @param {Date} [at] - Instant of the submission (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {{accepted: boolean, isLate: boolean, daysLate: number, penaltyPercent: number}}
+ */
+export function getLateStatus(assignment, at = new Date(), fallbackTimezone = 'UTC') {
+  const deadline = getDeadlineInstant(assignment, fallbackTimezone);
+  if (!deadline || at < deadline) {
+    return { accepted: true, isLate: false, daysLate: 0, penaltyPercent: 0 };
+  }
+
+  const daysLate = Math.max(1, Math.ceil((at - deadline) / DAY_MS));
+  const penaltyPercent = assignment.late_policy === 'penalty'
+    ? Math.min(100, daysLate * (Number(assignment.late_penalty) || 0))
+    : 0;
+
+  return {
+    accepted: at < getSubmissionsCloseInstant(assignment, fallbackTimezone),
+    isLate: true,
+    daysLate,
+    penaltyPercent
+  };
+}
+
+/**
+ * Take the late penalty off a score
+ * @param {number} score - Score before the penalty
+ * @param {number} penaltyPercent - Percentage to take off
+ * @returns {number} - Score rounded to two decimals
+ */
+export function applyLatePenalty(score, penaltyPercent) {
+  if (!penaltyPercent) return score;
+  return Math.round(score * (100 - penaltyPercent)) / 100;
+}
+
+/**
+ * Get how many attempts a student has at an assignment
+ * Without max_attempts, 'immediate' assignments get one attempt (the answer is shown after it) and others are unlimited.
+ * @param {Object} assignment - Assignment row (max_attempts, reveal_policy)
+ * @returns {number} - Attempt limit, Infinity if unlimited
+ */
+export function getMaxAttempts(assignment) {
+  const maxAttempts = assignment.max_attempts;
+  if (maxAttempts === null || maxAttempts === undefined) {
+    return assignment.reveal_policy === 'immediate' ? 1 : Infinity;
+  }
+  return Number(maxAttempts) > 0 ? Number(maxAttempts) : Infinity;
+}
+
+/**
+ * Combine the scores of all attempts into the recorded grade
+ * @param {Array<number|null>} scores - Attempt scores, oldest first (null for ungraded attempts)
+ * @param {string} [rule] - 'best', 'last' or 'average'
+ * @returns {number|null} - Recorded score, or null if no attempt has a score yet
+ */
+export function combineAttemptScores(scores, rule = 'last') {
+  const graded = scores.filter(score => score !== null && score !== undefined).map(Number);
+  if (graded.length === 0) return null;
+
+  if (rule === 'best') {
+    return Math.max(...graded);
+  }
+  if (rule === 'average') {
+    return Math.round((graded.reduce((sum, score) => sum + score, 0) / graded.length) * 100) / 100;
+  }
+  return graded[graded.length - 1];
+}
+
+/**
+ * Check whether a student could still make another attempt
+ * @param {Object} assignment - Assignment row (reveal_policy, allow_resubmit, max_attempts)
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @param {number} [attemptsUsed] - Attempts the student has already made
+ * @returns {boolean} - True if a new submission would be accepted as another attempt
+ */
+export function isResubmittable(assignment, at = new Date(), fallbackTimezone = 'UTC', attemptsUsed = 1) {
+  return attemptsUsed < getMaxAttempts(assignment) &&
+    Boolean(assignment.allow_resubmit ?? 1) &&
+    !assignment.results_released_at &&
+    !isPastDeadline(assignment, at, fallbackTimezone);
+}
+
+/**
+ * Decide whether a submission is accepted
+ * @param {Object} assignment - Assignment row
+ * @param {Object|null} submission - The student's current submission, if any
+ * @param {Date} [at] - Instant of the submission (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {string|null} - Why the submission is refused, or null if it is accepted
+ */
+export function getSubmissionBlocker(assignment, submission, at = new Date(), fallbackTimezone = 'UTC') {
+  // Once the answer has been sent out nobody may submit, they could copy it
+  if (assignment.results_released_at && assignment.reveal_policy === 'after_deadline') {
+    return 'تم نشر الإجابة الصحيحة لهذا الواجب، لم يعد الإرسال متاحاً';
+  }
+  if (!getLateStatus(assignment, at, fallbackTimezone).accepted) {
+    return 'انتهى الموعد النهائي لهذا الواجب ولم يعد الإرسال متاحاً';
+  }
+  if (!submission) {
+    return null;
+  }
+  if (submission.graded_by) {
+    return 'تم تصحيح إجابتك من قبل المدرس، لا يمكن تعديلها';
+  }
+
+  const attemptsUsed = submission.attempt_count ?? 1;
+  const maxAttempts = getMaxAttempts(assignment);
+  if (maxAttempts > 1 && attemptsUsed >= maxAttempts) {
+    return `استنفدت جميع محاولاتك لهذا الواجب (${attemptsUsed} من ${maxAttempts})`;
+  }
+  if (!isResubmittable(assignment, at, fallbackTimezone, attemptsUsed)) {
+    return 'لقد أرسلت إجابتك لهذا الواجب مسبقاً ولا يمكن تعديلها';
+  }
+  return null;
+}
+
+/**
+ * Check whether the student sees their result right after submitting
+ * Unless the policy is 'immediate', results are held back while the submission can still be changed,
+ * so they cannot be used to probe for the answer.
+ * @param {Object} assignment - Assignment row
+ * @param {Date} [at] - Instant of the submission (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @param {number} [attemptsUsed] - Attempts the student has made, including this one
+ * @returns {boolean} - True if the score can be shown now
+ */
+export function shouldShowResult(assignment, at = new Date(), fallbackTimezone = 'UTC', attemptsUsed = 1) {
+  return assignment.reveal_policy === 'immediate' || !isResubmittable(assignment, at, fallbackTimezone, attemptsUsed);
+}
+
+/**
+ * Check whether a student may see the score of their recorded submission
+ * Scores are visible once results are released, once an instructor graded the answer (/grade sent it),
+ * or when they would have been shown right after submitting.
+ * @param {Object} assignment - Assignment row
+ * @param {Object} submission - The student's recorded submission (graded_by, attempt_count)
+ * @param {Date} [at] - Instant to check (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {boolean}
+ */
+export function isResultVisible(assignment, submission, at = new Date(), fallbackTimezone = 'UTC') {
+  return Boolean(assignment.results_released_at) ||
+    Boolean(submission.graded_by) ||
+    shouldShowResult(assignment, at, fallbackTimezone, submission.attempt_count ?? 1);
+}
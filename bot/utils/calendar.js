@@ -0,0 +1,111 @@
+// bot/utils/calendar.js
+// iCalendar (RFC 5545) generation for lesson schedules.
+import { getLessonStart } from './timezone.js';
+
+const PRODUCT_ID = '-//Mouin Almojtahidin//Lessons//AR';
+const UID_DOMAIN = 'mouin-almojtahidin';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeIcsText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets without splitting multi-byte characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line joined with CRLF + space
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as an iCalendar UTC date-time (e.g. 20261101T160000Z)
+ * @param {Date} date - The date
+ * @returns {string} - The formatted value
+ */
+export function formatIcsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar document for a list of lessons
+ * @param {Object[]} lessons - Lesson rows (lesson_id, title, date, time, timezone, zoom_link, status)
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {number} options.durationMinutes - Lesson duration used for DTEND
+ * @param {string} [options.defaultLink] - Link used when a lesson has none
+ * @param {string} [options.defaultTimezone] - Timezone used when a lesson has none
+ * @param {Date} [options.now] - Timestamp for DTSTAMP
+ * @returns {string} - The .ics file content
+ */
+export function buildLessonsCalendar(lessons, { name, durationMinutes, defaultLink, defaultTimezone, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const lesson of lessons) {
+    const start = getLessonStart(lesson, defaultTimezone);
+    if (isNaN(start.getTime())) continue;
+
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const link = lesson.zoom_link || defaultLink;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:lesson-${lesson.lesson_id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatIcsDateTime(now)}`,
+      `DTSTART:${formatIcsDateTime(start)}`,
+      `DTEND:${formatIcsDateTime(end)}`,
+      `SUMMARY:${escapeIcsText(lesson.title)}`
+    );
+    if (lesson.status === 'cancelled') {
+      lines.push('STATUS:CANCELLED');
+    }
+    if (link) {
+      lines.push(
+        `LOCATION:${escapeIcsText(link)}`,
+        `URL:${link}`,
+        `DESCRIPTION:${escapeIcsText(`رابط الحضور: ${link}`)}`
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
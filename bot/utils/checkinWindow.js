@@ -0,0 +1,72 @@
+// bot/utils/checkinWindow.js
+// Pure helpers for time-limited attendance check-in windows.
+import { randomInt } from 'crypto';
+
+// No 0/O or 1/I so codes can be read aloud or copied from a shared screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Prefix of the /start deep link payload that carries a check-in code
+export const CHECKIN_START_PREFIX = 'checkin_';
+
+/**
+ * Parse a duration such as "15m", "1h", "90" (minutes) or "1h30m"
+ * @param {string} input - The duration text
+ * @returns {number|null} - Whole minutes, or null if invalid
+ */
+export function parseDurationMinutes(input) {
+  if (typeof input !== 'string') return null;
+
+  const text = input.trim().toLowerCase();
+  if (/^\d+$/.test(text)) {
+    const minutes = parseInt(text);
+    return minutes > 0 ? minutes : null;
+  }
+
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const minutes = parseInt(match[1] || '0') * 60 + parseInt(match[2] || '0');
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Generate a random check-in code
+ * @returns {string} - A 6-character code
+ */
+export function generateCheckinCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a code typed by a student (case, spaces, deep link prefix)
+ * @param {string} input - The raw code
+ * @returns {string} - The normalized code
+ */
+export function normalizeCheckinCode(input) {
+  let code = String(input ?? '').trim();
+  if (code.startsWith(CHECKIN_START_PREFIX)) {
+    code = code.slice(CHECKIN_START_PREFIX.length);
+  }
+  return code.replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Work out the attendance status of a check-in made at a given time
+ * @param {Object} window - Check-in window row (opened_at, late_at, closes_at, closed_at)
+ * @param {Date} [at] - Time of the check-in
+ * @returns {string|null} - 'on_time', 'late', or null if the window is not open
+ */
+export function getCheckinStatus(window, at = new Date()) {
+  if (window.closed_at) return null;
+
+  const time = at.getTime();
+  if (time < new Date(window.opened_at).getTime() || time >= new Date(window.closes_at).getTime()) {
+    return null;
+  }
+  return time < new Date(window.late_at).getTime() ? 'on_time' : 'late';
+}
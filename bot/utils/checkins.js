@@ -0,0 +1,100 @@
+import schedule from 'node-schedule';
+import { getOpenCheckinWindows, closeCheckinWindow, getLesson } from './database.js';
+import { config } from '../../config.js';
+import { logActivity, logError } from '../middlewares/logger.js';
+import { escapeMarkdownV2 } from './escapeMarkdownV2.js';
+
+let bot = null;
+let closeJobs = new Map();
+
+// Initialize check-in windows (schedule open ones, close the ones that expired while the bot was down)
+export async function initCheckins(telegramBot) {
+  bot = telegramBot;
+
+  try {
+    const windows = await getOpenCheckinWindows();
+    let expiredCount = 0;
+
+    for (const window of windows) {
+      if (!scheduleCheckinClose(window)) {
+        expiredCount++;
+        await closeCheckin(window.window_id);
+      }
+    }
+
+    logActivity(`تم تهيئة ${windows.length - expiredCount} نافذة تسجيل حضور وإغلاق ${expiredCount} نافذة منتهية`);
+  } catch (error) {
+    logError(error, 'INIT_CHECKINS');
+  }
+}
+
+// Schedule the automatic close of a window, returns false if it has already expired
+function scheduleCheckinClose(window) {
+  const closesAt = new Date(window.closes_at);
+  if (closesAt <= new Date()) {
+    return false;
+  }
+
+  const job = schedule.scheduleJob(closesAt, () => {
+    closeJobs.delete(window.window_id);
+    closeCheckin(window.window_id);
+  });
+  if (job) {
+    closeJobs.set(window.window_id, job);
+  }
+  return true;
+}
+
+// Add a close job (called when an admin opens a window)
+export function addCheckinCloseJob(window) {
+  if (!scheduleCheckinClose(window)) {
+    closeCheckin(window.window_id);
+  }
+}
+
+// Close a window now, record absentees and optionally send the summary to the admin chat
+export async function closeCheckin(windowId, notifyAdmins = true) {
+  const job = closeJobs.get(windowId);
+  if (job) {
+    job.cancel();
+    closeJobs.delete(windowId);
+  }
+
+  const result = await closeCheckinWindow(windowId, new Date().toISOString());
+  if (!result.success) {
+    return result;
+  }
+
+  logActivity(`تم إغلاق نافذة تسجيل الحضور ${windowId} للدرس ${result.lessonId}`);
+
+  if (notifyAdmins && bot && config.admin.chatId) {
+    try {
+      const lesson = await getLesson(result.lessonId);
+      await bot.telegram.sendMessage(
+        config.admin.chatId,
+        buildCheckinSummaryMessage(lesson, result.lessonId, result.summary),
+        { parse_mode: 'MarkdownV2' }
+      );
+    } catch (error) {
+      logError(error, `CHECKIN_SUMMARY_${windowId}`);
+    }
+  }
+
+  return result;
+}
+
+// Summary of a closed window (shared with /closecheckin)
+export function buildCheckinSummaryMessage(lesson, lessonId, summary) {
+  return `🔒 *${escapeMarkdownV2('تم إغلاق تسجيل الحضور')}*\n\n` +
+    `📚 ${escapeMarkdownV2(lesson?.title || `الدرس ${lessonId}`)} \\(${lessonId}\\)\n\n` +
+    `✅ ${escapeMarkdownV2('في الوقت:')} ${summary.on_time}\n` +
+    `⏰ ${escapeMarkdownV2('متأخر:')} ${summary.late}\n` +
+    `❌ ${escapeMarkdownV2('غائب:')} ${summary.absent}`;
+}
+
+// Cleanup function
+export function cleanupCheckins() {
+  closeJobs.forEach(job => job.cancel());
+  closeJobs.clear();
+  logActivity('تم تنظيف نظام تسجيل الحضور');
+}
@@ -0,0 +1,194 @@
+// bot/utils/codeSandbox.js
+// Runs JavaScript submitted for code assignments against the assignment's hidden tests, in a restricted child process.
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+
+const WORKER_PATH = fileURLToPath(new URL('./codeSandboxWorker.js', import.meta.url));
+
+/**
+ * Limits of one run
+ * The child process may only read its own script (Node permission model), has no environment variables,
+ * a capped heap and data segment, and is killed if the whole run takes longer than its tests are allowed.
+ */
+export const SANDBOX_LIMITS = {
+  testTimeoutMs: 1000,
+  memoryMb: 64,
+  maxCodeLength: 20000,
+  // Startup of the child process, on top of the time allowed to the tests
+  startupMs: 3000,
+  // Memory Node itself needs to start, on top of what the code may use
+  processOverheadMb: 96
+};
+
+// Most output kept from the child, a run only prints one short line per test
+const MAX_OUTPUT_BYTES = 256 * 1024;
+
+// Test results, see codeSandboxWorker.js for how each is decided
+export const TEST_STATUS_NAMES = {
+  passed: 'نجح',
+  failed: 'نتيجة خاطئة',
+  error: 'خطأ أثناء التشغيل',
+  timeout: 'تجاوز الوقت المسموح',
+  memory: 'تجاوز حد الذاكرة',
+  invalid_test: 'الاختبار نفسه غير صالح'
+};
+
+/**
+ * Split a test written as "expression => expected"
+ * The last " => " separates them, so the expression may contain arrow functions.
+ * @param {string} text - e.g. "sum(2, 3) => 5"
+ * @returns {{expression: string, expected: string}|null} - null if either side is missing
+ */
+export function parseTestSpec(text) {
+  const separator = String(text).lastIndexOf(' => ');
+  if (separator === -1) return null;
+
+  const expression = text.slice(0, separator).trim();
+  const expected = text.slice(separator + 4).trim();
+  return expression && expected ? { expression, expected } : null;
+}
+
+/**
+ * Check that both sides of a test are valid JavaScript expressions, without running them
+ * @param {{expression: string, expected: string}} test - Parsed test
+ * @returns {string|null} - The syntax error, or null if both parse
+ */
+export function checkTestSyntax({ expression, expected }) {
+  for (const [side, source] of [['التعبير', expression], ['النتيجة المتوقعة', expected]]) {
+    try {
+      // Compiling a Script only parses it
+      new vm.Script(`(${source})`);
+    } catch (error) {
+      return `${side}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add up the points of passed tests
+ * @param {Array<{points: number}>} tests - The assignment's tests
+ * @param {Array<{status: string}>} results - Results in the same order
+ * @returns {{passed: number, total: number, earned: number, totalPoints: number}}
+ */
+export function scoreCodeResults(tests, results) {
+  let passed = 0;
+  let earned = 0;
+  let totalPoints = 0;
+  tests.forEach((test, index) => {
+    const points = Number(test.points ?? 1);
+    totalPoints += points;
+    if (results[index]?.status === 'passed') {
+      passed++;
+      earned += points;
+    }
+  });
+  return { passed, total: tests.length, earned, totalPoints };
+}
+
+// Results for the tests the child did not get to report, from how it ended
+function fillMissingResults(results, count, { killed, stderr }) {
+  let status = 'error';
+  if (killed) {
+    status = 'timeout';
+  } else if (/heap out of memory|allocation failed|bad_alloc/i.test(stderr)) {
+    status = 'memory';
+  }
+
+  const filled = [];
+  for (let index = 0; index < count; index++) {
+    filled.push(results[index] || { status });
+  }
+  return filled;
+}
+
+function runInChild(code, tests, limits) {
+  return new Promise((resolve) => {
+    // --max-old-space-size only caps the V8 heap, ArrayBuffers are allocated outside it,
+    // so the whole process also gets an OS limit on its data segment (ulimit -d, in KB)
+    const dataLimitKb = (limits.memoryMb + limits.processOverheadMb) * 1024;
+    const child = spawn('/bin/sh', [
+      '-c',
+      'ulimit -d "$1" && shift && exec "$@"',
+      'sandbox',
+      String(dataLimitKb),
+      process.execPath,
+      '--no-warnings',
+      '--experimental-permission',
+      `--allow-fs-read=${WORKER_PATH}`,
+      `--max-old-space-size=${limits.memoryMb}`,
+      WORKER_PATH
+    ], { env: {}, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+    const timer = setTimeout(() => {
+      killed = true;
+      child.kill('SIGKILL');
+    }, limits.startupMs + tests.length * 2 * limits.testTimeoutMs);
+
+    child.stdout.on('data', chunk => {
+      if (stdout.length < MAX_OUTPUT_BYTES) stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      if (stderr.length < MAX_OUTPUT_BYTES) stderr += chunk;
+    });
+    // The child may already be gone (out of memory) while its input is written
+    child.stdin.on('error', () => {});
+
+    child.on('close', () => {
+      clearTimeout(timer);
+      const results = [];
+      let syntaxError = null;
+      for (const line of stdout.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const message = JSON.parse(line);
+          if (message.syntaxError) {
+            syntaxError = message.syntaxError;
+          } else if (Number.isInteger(message.index) && message.index < tests.length) {
+            const { index, ...result } = message;
+            results[index] = result;
+          }
+        } catch (parseError) {
+          // Only the worker writes to stdout, a cut-off last line is treated as missing
+        }
+      }
+
+      const filled = syntaxError ? [] : fillMissingResults(results, tests.length, { killed, stderr });
+      if (filled.some(result => result.status === 'error' && !result.error)) {
+        // The child ended without reporting and without hitting a limit
+        console.error('خطأ في بيئة تشغيل الكود:', stderr.slice(0, 500));
+      }
+      resolve({
+        syntaxError,
+        results: filled
+      });
+    });
+
+    child.stdin.end(JSON.stringify({
+      code,
+      tests: tests.map(({ expression, expected }) => ({ expression, expected })),
+      timeoutMs: limits.testTimeoutMs
+    }));
+  });
+}
+
+// One run at a time, so a class submitting together cannot exhaust the server
+let queue = Promise.resolve();
+
+/**
+ * Run a student's code against tests
+ * @param {string} code - The student's JavaScript
+ * @param {Array<{expression: string, expected: string}>} tests - Test cases in order
+ * @param {Object} [limits] - Overrides of SANDBOX_LIMITS
+ * @returns {Promise<{syntaxError: string|null, results: Array<{status: string, actual?: string, error?: string}>}>}
+ */
+export function runCodeTests(code, tests, limits = {}) {
+  const run = queue.then(() => runInChild(code, tests, { ...SANDBOX_LIMITS, ...limits }));
+  queue = run.catch(() => {});
+  return run;
+}
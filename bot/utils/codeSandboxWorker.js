@@ -0,0 +1,123 @@
+// bot/utils/codeSandboxWorker.js
+// Child process started by codeSandbox.js: runs a student's code against test cases and reports each result.
+// Input on stdin: { code, tests: [{ expression, expected }], timeoutMs }
+// Output on stdout: one JSON line per test { index, status, actual?, error? }, or { syntaxError } for code that does not parse.
+
+import vm from 'vm';
+import { randomBytes } from 'crypto';
+
+// Longest result or error text sent back, enough to recognize it without flooding the reply
+const MAX_TEXT_LENGTH = 200;
+
+function shorten(text) {
+  const value = String(text);
+  return value.length > MAX_TEXT_LENGTH ? `${value.slice(0, MAX_TEXT_LENGTH)}…` : value;
+}
+
+function describeError(error) {
+  try {
+    if (error && typeof error === 'object' && 'message' in error) {
+      return shorten(`${error.name || 'Error'}: ${error.message}`);
+    }
+    return shorten(`Uncaught ${String(error)}`);
+  } catch (describeFailure) {
+    return 'Error';
+  }
+}
+
+// Everything the code can reach is created inside the context, so no object of this process leaks into it.
+// The serializer gets a random name so the student's code cannot replace it, and it captures the builtins it calls
+// before that code runs so patching String or Array.prototype cannot change how results compare.
+function createSandbox(serializer) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  vm.runInContext(`
+    var console = { log() {}, info() {}, warn() {}, error() {}, debug() {}, table() {} };
+    Object.defineProperty(globalThis, '${serializer}', {
+      value: (() => {
+        const stringify = JSON.stringify;
+        const keys = Object.keys;
+        const isArray = Array.isArray;
+        const isFinite = Number.isFinite;
+        const toText = String;
+        const apply = Reflect.apply;
+        const sort = Array.prototype.sort;
+        // Same value, same text: object keys sorted, values JSON cannot hold spelled out
+        return value => toText(stringify(value, (key, item) => {
+          if (item === undefined) return '<undefined>';
+          if (typeof item === 'number' && !isFinite(item)) return '<' + item + '>';
+          if (typeof item === 'bigint') return item + 'n';
+          if (typeof item === 'function') return '<function>';
+          if (item && typeof item === 'object' && !isArray(item)) {
+            const sorted = {};
+            const names = apply(sort, keys(item), []);
+            for (let index = 0; index < names.length; index++) sorted[names[index]] = item[names[index]];
+            return sorted;
+          }
+          return item;
+        }));
+      })()
+    });
+  `, context);
+  return context;
+}
+
+function isAllocationFailure(error) {
+  try {
+    return error?.name === 'RangeError' && /allocation failed/i.test(error.message);
+  } catch (checkFailure) {
+    return false;
+  }
+}
+
+function runTest(script, test, timeoutMs) {
+  const serializer = `__canonical_${randomBytes(8).toString('hex')}`;
+
+  let expected;
+  try {
+    expected = vm.runInContext(`${serializer}((${test.expected}))`, createSandbox(serializer), { timeout: timeoutMs });
+  } catch (error) {
+    return { status: 'invalid_test', error: describeError(error) };
+  }
+
+  const context = createSandbox(serializer);
+  try {
+    script.runInContext(context, { timeout: timeoutMs });
+    const actual = vm.runInContext(`${serializer}((${test.expression}))`, context, { timeout: timeoutMs });
+    return actual === expected
+      ? { status: 'passed' }
+      : { status: 'failed', actual: shorten(actual) };
+  } catch (error) {
+    if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { status: 'timeout' };
+    }
+    // Buffers larger than the process memory limit fail here instead of ending the process
+    if (isAllocationFailure(error)) {
+      return { status: 'memory' };
+    }
+    return { status: 'error', error: describeError(error) };
+  }
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  const { code, tests, timeoutMs } = JSON.parse(input);
+
+  let script;
+  try {
+    script = new vm.Script(code, { filename: 'solution.js' });
+  } catch (error) {
+    process.stdout.write(JSON.stringify({ syntaxError: describeError(error) }) + '\n');
+    return;
+  }
+
+  tests.forEach((test, index) => {
+    process.stdout.write(JSON.stringify({ index, ...runTest(script, test, timeoutMs) }) + '\n');
+  });
+});
@@ -0,0 +1,389 @@
+// bot/utils/commandArgs.js
+// Quote-aware command argument parsing with declarative schemas, generated usage help and localized errors.
+
+import { validateDate, validateTime } from './security.js';
+import { escapeMarkdownV2 } from './escapeMarkdownV2.js';
+
+/*
+ * A schema describes a command's arguments:
+ * {
+ *   command: 'addcourse',
+ *   args: [{ name, label, type, required, default, min, max, values, pattern, description }],
+ *   flags: [{ name, label, type, default, min, max, values, description }],
+ *   examples: ['/addcourse "رياضيات 101" مقدمة في الرياضيات']
+ * }
+ * Types: string (one word, or several in quotes), text (the rest of the message), int, number,
+ * date (YYYY-MM-DD), time (HH:MM), datetime (YYYY-MM-DD HH:MM, quoted or as two words), enum (one of values).
+ * Flags are written name=value (or --name=value) anywhere in the message; a text argument takes the rest
+ * of the message as typed, so commands ending in free text should not declare flags.
+ * min/max bound the value of numbers and the length of strings. An optional argument with a pattern
+ * (RegExp) is skipped when the next word does not match it, e.g. an optional link before a title.
+ */
+
+// Straight, curly and Arabic guillemet quotes
+const QUOTE_PAIRS = { '"': '"', '“': '”', '«': '»' };
+
+const MESSAGES = {
+  ar: {
+    unclosedQuote: 'علامة التنصيص غير مغلقة',
+    missing: 'القيمة "{label}" مطلوبة',
+    tooMany: 'قيم زائدة: {extra}',
+    int: '"{label}" يجب أن يكون عدداً صحيحاً',
+    number: '"{label}" يجب أن يكون رقماً',
+    date: '"{label}" يجب أن يكون تاريخاً صحيحاً بصيغة YYYY-MM-DD',
+    time: '"{label}" يجب أن يكون وقتاً بصيغة HH:MM',
+    datetime: '"{label}" يجب أن يكون تاريخاً ووقتاً بصيغة YYYY-MM-DD HH:MM',
+    enum: '"{label}" يجب أن يكون أحد: {values}',
+    between: '"{label}" يجب أن يكون بين {min} و {max}',
+    atLeast: '"{label}" يجب ألا يقل عن {min}',
+    atMost: '"{label}" يجب ألا يزيد عن {max}',
+    lengthBetween: '"{label}" يجب أن يكون بين {min} و {max} حرف (الحالي: {length})',
+    lengthAtLeast: '"{label}" يجب ألا يقل عن {min} حرف (الحالي: {length})',
+    lengthAtMost: '"{label}" يجب ألا يزيد عن {max} حرف (الحالي: {length})',
+    usage: 'الصيغة:',
+    options: 'خيارات:',
+    examples: 'أمثلة:',
+    quoteHint: 'ضع النص المكون من عدة كلمات بين علامتي تنصيص "..."',
+    types: {
+      string: 'نص',
+      text: 'نص حتى نهاية الرسالة',
+      int: 'عدد صحيح',
+      number: 'رقم',
+      date: 'تاريخ YYYY-MM-DD',
+      time: 'وقت HH:MM',
+      datetime: 'تاريخ ووقت YYYY-MM-DD HH:MM',
+      enum: 'أحد: {values}'
+    },
+    separator: '، ',
+    optional: 'اختياري',
+    defaultValue: 'الافتراضي {value}'
+  },
+  en: {
+    unclosedQuote: 'Unclosed quotation mark',
+    missing: '"{label}" is required',
+    tooMany: 'Unexpected extra values: {extra}',
+    int: '"{label}" must be a whole number',
+    number: '"{label}" must be a number',
+    date: '"{label}" must be a valid date in YYYY-MM-DD format',
+    time: '"{label}" must be a time in HH:MM format',
+    datetime: '"{label}" must be a date and time in YYYY-MM-DD HH:MM format',
+    enum: '"{label}" must be one of: {values}',
+    between: '"{label}" must be between {min} and {max}',
+    atLeast: '"{label}" must be at least {min}',
+    atMost: '"{label}" must be at most {max}',
+    lengthBetween: '"{label}" must be between {min} and {max} characters (currently {length})',
+    lengthAtLeast: '"{label}" must be at least {min} characters (currently {length})',
+    lengthAtMost: '"{label}" must be at most {max} characters (currently {length})',
+    usage: 'Usage:',
+    options: 'Options:',
+    examples: 'Examples:',
+    quoteHint: 'Put text of several words in quotes "..."',
+    types: {
+      string: 'text',
+      text: 'text until the end of the message',
+      int: 'whole number',
+      number: 'number',
+      date: 'date YYYY-MM-DD',
+      time: 'time HH:MM',
+      datetime: 'date and time YYYY-MM-DD HH:MM',
+      enum: 'one of: {values}'
+    },
+    separator: ', ',
+    optional: 'optional',
+    defaultValue: 'default {value}'
+  }
+};
+
+function getMessages(language) {
+  return MESSAGES[language] || MESSAGES.ar;
+}
+
+function format(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Display name of an argument in the given language
+ * @param {Object} spec - Argument or flag spec
+ * @param {string} [language] - 'ar' or 'en'
+ * @returns {string}
+ */
+export function getArgLabel(spec, language = 'ar') {
+  if (spec.label && typeof spec.label === 'object') {
+    return spec.label[language] || spec.label.ar || spec.name;
+  }
+  return spec.label || spec.name;
+}
+
+/**
+ * Split text into words, keeping quoted text together
+ * Quotes may start anywhere in a word (name="two words"), \" inside quotes is a literal quote.
+ * An unclosed quote makes the rest of the text one last word marked unclosed.
+ * @param {string} text - Text after the command name
+ * @returns {{tokens: Array<{value: string, start: number, end: number, quoted: boolean, unclosed?: boolean}>, error: string|null}}
+ *          - The words with their position in text, error is 'unclosed_quote' if a quote was left open
+ */
+export function tokenizeArgs(text) {
+  const tokens = [];
+  const source = String(text ?? '');
+  let i = 0;
+
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let value = '';
+    let quoted = false;
+    while (i < source.length && !/\s/.test(source[i])) {
+      const closer = QUOTE_PAIRS[source[i]];
+      if (!closer) {
+        value += source[i++];
+        continue;
+      }
+
+      quoted = true;
+      i++;
+      while (i < source.length && source[i] !== closer) {
+        if (source[i] === '\\' && source[i + 1] === closer) {
+          i++;
+        }
+        value += source[i++];
+      }
+      if (i >= source.length) {
+        tokens.push({ value: source.slice(start), start, end: source.length, quoted: false, unclosed: true });
+        return { tokens, error: 'unclosed_quote' };
+      }
+      i++;
+    }
+    tokens.push({ value, start, end: i, quoted });
+  }
+
+  return { tokens, error: null };
+}
+
+/**
+ * Check and convert one value against an argument spec
+ * @param {Object} spec - Argument or flag spec
+ * @param {string} raw - The value as typed
+ * @param {string} [language] - 'ar' or 'en' for the error message
+ * @returns {{value: *}|{error: string}} - The converted value, or why it is invalid
+ */
+export function coerceArg(spec, raw, language = 'ar') {
+  const messages = getMessages(language);
+  const label = getArgLabel(spec, language);
+  const type = spec.type || 'string';
+  const text = String(raw ?? '');
+  if (text === '') {
+    return { error: format(messages.missing, { label }) };
+  }
+
+  const checkRange = (value, lengthOf = null) => {
+    const measured = lengthOf === null ? value : lengthOf;
+    const hasMin = spec.min !== undefined;
+    const hasMax = spec.max !== undefined;
+    if ((hasMin && measured < spec.min) || (hasMax && measured > spec.max)) {
+      const keys = lengthOf === null
+        ? { both: 'between', min: 'atLeast', max: 'atMost' }
+        : { both: 'lengthBetween', min: 'lengthAtLeast', max: 'lengthAtMost' };
+      const key = hasMin && hasMax ? keys.both : hasMin ? keys.min : keys.max;
+      return { error: format(messages[key], { label, min: spec.min, max: spec.max, length: measured }) };
+    }
+    return { value };
+  };
+
+  switch (type) {
+    case 'int':
+      if (!/^-?\d+$/.test(text)) return { error: format(messages.int, { label }) };
+      return checkRange(parseInt(text, 10));
+    case 'number':
+      if (!/^-?\d+(\.\d+)?$/.test(text)) return { error: format(messages.number, { label }) };
+      return checkRange(Number(text));
+    case 'date':
+      return validateDate(text) ? { value: text } : { error: format(messages.date, { label }) };
+    case 'time':
+      return validateTime(text) ? { value: text } : { error: format(messages.time, { label }) };
+    case 'datetime': {
+      const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})$/);
+      return match && validateDate(match[1]) && validateTime(match[2])
+        ? { value: `${match[1]} ${match[2]}` }
+        : { error: format(messages.datetime, { label }) };
+    }
+    case 'enum': {
+      const value = spec.values.find(option => option.toLowerCase() === text.toLowerCase());
+      return value !== undefined ? { value } : { error: format(messages.enum, { label, values: spec.values.join(', ') }) };
+    }
+    default:
+      return checkRange(text, text.length);
+  }
+}
+
+// Read name=value and --name=value words for the schema's flags, other words stay positional
+function extractFlags(tokens, flagSpecs) {
+  const flags = {};
+  const positional = [];
+  for (const token of tokens) {
+    const match = !token.unclosed && (!token.quoted || token.value.includes('='))
+      ? token.value.match(/^(?:--)?([a-z_]+)=(.*)$/s)
+      : null;
+    const spec = match && flagSpecs.find(flag => flag.name === match[1]);
+    if (spec) {
+      flags[spec.name] = match[2];
+    } else {
+      positional.push(token);
+    }
+  }
+  return { flags, positional };
+}
+
+/**
+ * Parse a command message against a schema
+ * @param {string} messageText - The whole message, including the /command
+ * @param {Object} schema - Argument schema (see the top of this file)
+ * @param {string} [language] - 'ar' or 'en' for errors and usage
+ * @returns {{ok: true, values: Object}|{ok: false, empty: boolean, error: string|null, usage: string}}
+ *          - Values by argument and flag name; empty is true when no arguments were given at all
+ */
+export function parseCommandArgs(messageText, schema, language = 'ar') {
+  const messages = getMessages(language);
+  const usage = formatUsage(schema, language);
+  const text = String(messageText ?? '');
+  const body = text.startsWith('/') ? text.replace(/^\/\S*/, '') : text;
+
+  const tokenized = tokenizeArgs(body);
+  const argSpecs = schema.args || [];
+  const flagSpecs = schema.flags || [];
+  const { flags, positional } = extractFlags(tokenized.tokens, flagSpecs);
+  const fail = error => ({ ok: false, empty: tokenized.tokens.length === 0, error, usage });
+  const values = {};
+
+  // A stray quote is only allowed in free text, where it is kept as typed
+  if (tokenized.error && !argSpecs.some(spec => spec.type === 'text')) {
+    return fail(messages.unclosedQuote);
+  }
+
+  let index = 0;
+  for (const spec of argSpecs) {
+    let raw;
+    if (positional[index]?.unclosed && spec.type !== 'text') {
+      return fail(messages.unclosedQuote);
+    }
+    if (spec.type === 'text') {
+      // The rest of the message as typed, one quoted block is unquoted
+      const rest = positional.slice(index);
+      if (rest.length === 1 && rest[0].quoted) {
+        raw = rest[0].value;
+      } else if (rest.length > 0) {
+        raw = body.slice(rest[0].start, rest[rest.length - 1].end).trim();
+      }
+      index = positional.length;
+    } else if (index < positional.length && !(spec.required === false && spec.pattern && !spec.pattern.test(positional[index].value))) {
+      raw = positional[index++].value;
+      // A datetime may be written as a date and a time
+      if (spec.type === 'datetime' && !raw.includes(' ') && index < positional.length && validateTime(positional[index].value)) {
+        raw = `${raw} ${positional[index++].value}`;
+      }
+    }
+
+    if (raw === undefined || raw === '') {
+      if (spec.required === false) {
+        values[spec.name] = spec.default ?? null;
+        continue;
+      }
+      return fail(format(messages.missing, { label: getArgLabel(spec, language) }));
+    }
+
+    const result = coerceArg(spec, raw, language);
+    if (result.error) return fail(result.error);
+    values[spec.name] = result.value;
+  }
+
+  if (index < positional.length) {
+    return fail(format(messages.tooMany, { extra: positional.slice(index).map(token => token.value).join(' ') }));
+  }
+
+  for (const spec of flagSpecs) {
+    if (flags[spec.name] === undefined) {
+      values[spec.name] = spec.default ?? null;
+      continue;
+    }
+    const result = coerceArg(spec, flags[spec.name], language);
+    if (result.error) return fail(result.error);
+    values[spec.name] = result.value;
+  }
+
+  return { ok: true, values };
+}
+
+function describeSpec(spec, messages, language) {
+  const type = spec.type || 'string';
+  const parts = [format(messages.types[type], { values: (spec.values || []).join(', ') })];
+  if (spec.description) {
+    parts.unshift(typeof spec.description === 'object' ? (spec.description[language] || spec.description.ar) : spec.description);
+  }
+  if (spec.required === false) {
+    parts.push(spec.default !== undefined && spec.default !== null
+      ? format(messages.defaultValue, { value: spec.default })
+      : messages.optional);
+  }
+  return `• ${getArgLabel(spec, language)}: ${parts.join(messages.separator)}`;
+}
+
+/**
+ * One-line form of a command, e.g. /addcourse <اسم_الكورس> <الوصف>
+ * @param {Object} schema - Argument schema
+ * @param {string} [language] - 'ar' or 'en'
+ * @returns {string}
+ */
+export function formatSynopsis(schema, language = 'ar') {
+  return [`/${schema.command}`]
+    .concat((schema.args || []).map(spec => {
+      const label = getArgLabel(spec, language);
+      return spec.required === false ? `[${label}]` : `<${label}>`;
+    }))
+    .concat((schema.flags || []).map(spec => `[${spec.name}=${getArgLabel(spec, language)}]`))
+    .join(' ');
+}
+
+/**
+ * Build the usage help of a command from its schema
+ * @param {Object} schema - Argument schema
+ * @param {string} [language] - 'ar' or 'en'
+ * @returns {string} - Plain text usage with one line per argument, flags and examples
+ */
+export function formatUsage(schema, language = 'ar') {
+  const messages = getMessages(language);
+  const argSpecs = schema.args || [];
+  const flagSpecs = schema.flags || [];
+
+  let usage = `${messages.usage}\n${formatSynopsis(schema, language)}\n`;
+  if (argSpecs.length > 0) {
+    usage += '\n' + argSpecs.map(spec => describeSpec(spec, messages, language)).join('\n') + '\n';
+  }
+  if (flagSpecs.length > 0) {
+    usage += `\n${messages.options}\n` +
+      flagSpecs.map(spec => describeSpec({ ...spec, required: false, label: `${spec.name}=` }, messages, language)).join('\n') + '\n';
+  }
+  if (argSpecs.some(spec => !spec.type || spec.type === 'string')) {
+    usage += `\n💡 ${messages.quoteHint}\n`;
+  }
+  if (schema.examples?.length > 0) {
+    usage += `\n${messages.examples}\n` + schema.examples.join('\n') + '\n';
+  }
+  return usage.trimEnd();
+}
+
+/**
+ * MarkdownV2 reply for a failed parse: the title when no arguments were given, otherwise the error, then the usage
+ * @param {{empty: boolean, error: string|null, usage: string}} result - Failed parseCommandArgs result
+ * @param {string} [title] - Heading shown when the command was sent without arguments
+ * @returns {string} - Message text for parse_mode MarkdownV2
+ */
+export function formatArgsReply(result, title = '') {
+  const heading = result.empty
+    ? (title ? `📝 *${escapeMarkdownV2(title)}*\n\n` : '')
+    : `❌ *${escapeMarkdownV2(result.error)}*\n\n`;
+  return heading + escapeMarkdownV2(result.usage);
+}
@@ -3,10 +3,78 @@ import { open } from 'sqlite';
 import * as fs from 'fs';
 import { config } from '../../config.js';
 import { promisify } from 'util';
+import { randomBytes } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { runMigrations, getSchemaVersion, getAppliedMigrations, LATEST_SCHEMA_VERSION } from './migrations.js';
+import { matchAnswer } from './answerMatching.js';
+import {
+  getSubmissionBlocker,
+  shouldShowResult,
+  isResubmittable,
+  getLateStatus,
+  applyLatePenalty,
+  getMaxAttempts,
+  combineAttemptScores
+} from './assignmentPolicy.js';
 
 
 let db = null;
 
+// Questions each student answers: the shared ones plus the number drawn from the bank.
+// Used as a column of queries that read the assignment as `a`.
+const QUESTION_COUNT_SQL =
+  '((SELECT COUNT(*) FROM assignment_questions q WHERE q.assignment_id = a.assignment_id AND q.user_id IS NULL) + COALESCE(a.draw_count, 0))';
+
+// Everything shares the one connection: a statement run while a transaction is open becomes part of it, and is
+// undone by its ROLLBACK. Statements and transactions are queued to run one after another, except the statements
+// of the open transaction itself, which run directly (transactionContext is set while its callback runs).
+let connectionQueue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+
+function enqueue(task) {
+  const run = connectionQueue.then(task);
+  // The next task waits for this one whether it succeeded or not
+  connectionQueue = run.catch(() => {});
+  return run;
+}
+
+// The connection with every statement made outside withTransaction waiting for its turn in the queue
+function queueStatements(connection) {
+  const queued = method => (...args) => (transactionContext.getStore()
+    ? connection[method](...args)
+    : enqueue(() => connection[method](...args)));
+  return {
+    run: queued('run'),
+    get: queued('get'),
+    all: queued('all'),
+    exec: queued('exec'),
+    close: () => enqueue(() => connection.close())
+  };
+}
+
+/**
+ * Run fn between BEGIN and COMMIT once the statements and transactions queued before it have finished
+ * @param {Function} fn - Async function making the writes
+ * @returns {Promise<*>} - What fn returns; if fn throws, the transaction is rolled back and the error rethrown
+ */
+function withTransaction(fn) {
+  return enqueue(() => transactionContext.run(true, async () => {
+    await db.run('BEGIN TRANSACTION');
+    try {
+      const result = await fn();
+      await db.run('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await db.run('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('خطأ في التراجع عن المعاملة:', rollbackError);
+      }
+      throw error;
+    }
+  }));
+}
+
 // Ensure data directory exists
 export function ensureDataDirectoryExists() {
   const dataDir = './data';
@@ -18,7 +86,13 @@ export function ensureDataDirectoryExists() {
 // getAssignments
 export async function getAssignments() {
   try {
-    const assignments = await db.all('SELECT * FROM assignments ORDER BY assignment_id DESC');
+    const assignments = await db.all(`
+      SELECT a.*, c.timezone as course_timezone,
+             ${QUESTION_COUNT_SQL} as question_count
+      FROM assignments a
+      LEFT JOIN courses c ON a.course_id = c.course_id
+      ORDER BY a.assignment_id DESC
+    `);
     return { success: true, data: assignments };
   } catch (error) {
     console.error('خطأ في جلب الواجبات:', error);
@@ -27,27 +101,32 @@ export async function getAssignments() {
 }
 
 // addReminder function (alias for addCustomReminder for backward compatibility)
-export async function addReminder(userId, dateTime, message) {
-  return await addCustomReminder(userId, dateTime, message);
+export async function addReminder(userId, dateTime, message, timezone = null) {
+  return await addCustomReminder(userId, dateTime, message, timezone);
 }
 
-// Initialize database connection and create tables
-export async function initDatabase() {
+// Initialize database connection and apply schema migrations
+// filename: another database file than the bot's, e.g. a temporary one for tests
+export async function initDatabase(filename = './data/mouin_almojtahidin.db') {
   try {
     // Ensure data directory and log files exist before any database operations
     ensureDataDirectoryExists();
     ensureLogFiles();
     
-    db = await open({
-      filename: './data/mouin_almojtahidin.db',
+    const connection = await open({
+      filename,
       driver: sqlite3.Database
     });
 
     // Enable foreign keys
-    await db.exec('PRAGMA foreign_keys = ON');
+    await connection.exec('PRAGMA foreign_keys = ON');
 
-    // Create tables
-    await createTables();
+    // Apply pending schema migrations
+    const migrationResult = await runMigrations(connection);
+    db = queueStatements(connection);
+    if (migrationResult.applied.length > 0) {
+      console.log(`✅ تم ترقية قاعدة البيانات من الإصدار ${migrationResult.from} إلى ${migrationResult.to}`);
+    }
     
     console.log('✅ قاعدة البيانات متصلة بنجاح');
     return db;
@@ -76,370 +155,1587 @@ function ensureLogFiles() {
   }
 }
 
-// Create database tables
-async function createTables() {
+// User functions
+export async function addUser(userId, username, firstName) {
   try {
-    // Users table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        user_id INTEGER PRIMARY KEY,
-        username TEXT,
-        first_name TEXT,
-        join_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_verified BOOLEAN DEFAULT 0,
-        reminders_enabled BOOLEAN DEFAULT 1,
-        language TEXT DEFAULT 'ar',
-        notification_frequency TEXT DEFAULT 'daily'
-      )
-    `);
+    // Upsert so /start (including check-in deep links) keeps verification and settings
+    await db.run(
+      `INSERT INTO users (user_id, username, first_name) VALUES (?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET username = excluded.username, first_name = excluded.first_name`,
+      [userId, username, firstName]
+    );
+    return true;
+  } catch (error) {
+    console.error('خطأ في إضافة المستخدم:', error);
+    return false;
+  }
+}
 
-    // Lessons table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS lessons (
-        lesson_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        course_id INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        date TEXT NOT NULL,
-        time TEXT NOT NULL,
-        zoom_link TEXT
-      )
-    `);
+export async function getUserInfo(userId) {
+  try {
+    const user = await db.get('SELECT * FROM users WHERE user_id = ?', [userId]);
+    return user;
+  } catch (error) {
+    console.error('خطأ في جلب معلومات المستخدم:', error);
+    return null;
+  }
+}
 
-    // Attendance table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS attendance (
-        user_id INTEGER,
-        lesson_id INTEGER,
-        attended_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (user_id, lesson_id),
-        FOREIGN KEY (user_id) REFERENCES users(user_id),
-        FOREIGN KEY (lesson_id) REFERENCES lessons(lesson_id)
-      )
-    `);
+export async function isUserVerified(userId) {
+  try {
+    const user = await db.get('SELECT is_verified FROM users WHERE user_id = ?', [userId]);
+    return user ? Boolean(user.is_verified) : false;
+  } catch (error) {
+    console.error('خطأ في التحقق من حالة المستخدم:', error);
+    return false;
+  }
+}
 
-    // Announcements table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS announcements (
-        announcement_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        published_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        sent_to_group BOOLEAN DEFAULT 0
-      )
-    `);
+export async function verifyUser(userId) {
+  try {
+    await db.run('UPDATE users SET is_verified = 1 WHERE user_id = ?', [userId]);
+    return true;
+  } catch (error) {
+    console.error('خطأ في تفعيل المستخدم:', error);
+    return false;
+  }
+}
 
-    // Assignments table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS assignments (
-        assignment_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        course_id INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        question TEXT NOT NULL,
-        correct_answer TEXT NOT NULL,
-        deadline TEXT,
-        due_date TEXT
-      )
-    `);
+export async function isUserAdmin(userId) {
+  return config.admin.userIds.includes(userId);
+}
 
-    // Submissions table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS submissions (
-        user_id INTEGER,
-        assignment_id INTEGER,
-        answer TEXT NOT NULL,
-        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        score INTEGER DEFAULT 0,
-        PRIMARY KEY (user_id, assignment_id),
-        FOREIGN KEY (user_id) REFERENCES users(user_id),
-        FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
-      )
-    `);
+export async function toggleUserReminders(userId) {
+  try {
+    const user = await getUserInfo(userId);
+    if (!user) {
+      return { success: false, message: 'المستخدم غير موجود' };
+    }
+    
+    const newReminderStatus = !user.reminders_enabled;
+    await db.run('UPDATE users SET reminders_enabled = ? WHERE user_id = ?', [newReminderStatus ? 1 : 0, userId]);
+    
+    return {
+      success: true,
+      remindersEnabled: newReminderStatus,
+      message: newReminderStatus ? 'تم تفعيل التذكيرات' : 'تم إيقاف التذكيرات'
+    };
+  } catch (error) {
+    console.error('خطأ في تبديل التذكيرات:', error);
+    return { success: false, message: 'حدث خطأ في تحديث التذكيرات' };
+  }
+}
 
-    // Custom reminders table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS custom_reminders (
-        reminder_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        reminder_datetime DATETIME NOT NULL,
-        message TEXT NOT NULL,
-        is_sent BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(user_id)
-      )
-    `);
+// Calendar feed token functions
+export async function getCalendarToken(userId) {
+  try {
+    const user = await db.get('SELECT calendar_token FROM users WHERE user_id = ?', [userId]);
+    if (!user) return null;
+    if (user.calendar_token) return user.calendar_token;
 
-    // Feedback table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS feedback (
-        feedback_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        message TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_read BOOLEAN DEFAULT 0,
-        admin_response TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(user_id)
-      )
-    `);
+    return await regenerateCalendarToken(userId);
+  } catch (error) {
+    console.error('خطأ في جلب رمز التقويم:', error);
+    return null;
+  }
+}
+
+// Replacing the token revokes any feed URL shared before
+export async function regenerateCalendarToken(userId) {
+  try {
+    const token = randomBytes(24).toString('base64url');
+    const result = await db.run('UPDATE users SET calendar_token = ? WHERE user_id = ?', [token, userId]);
+    return result.changes > 0 ? token : null;
+  } catch (error) {
+    console.error('خطأ في إنشاء رمز التقويم:', error);
+    return null;
+  }
+}
+
+export async function getUserByCalendarToken(token) {
+  try {
+    const user = await db.get('SELECT * FROM users WHERE calendar_token = ?', [token]);
+    return user || null;
+  } catch (error) {
+    console.error('خطأ في جلب المستخدم برمز التقويم:', error);
+    return null;
+  }
+}
+
+// Lesson functions
+export async function getLessons() {
+  try {
+    const lessons = await db.all('SELECT * FROM lessons ORDER BY date, time');
+    return { success: true, data: lessons };
+  } catch (error) {
+    console.error('خطأ في جلب الدروس:', error);
+    return { success: false, data: [] };
+  }
+}
+
+export async function getLesson(lessonId) {
+  try {
+    const lesson = await db.get('SELECT * FROM lessons WHERE lesson_id = ?', [lessonId]);
+    return lesson;
+  } catch (error) {
+    console.error('خطأ في جلب الدرس:', error);
+    return null;
+  }
+}
+
+// Lessons without an explicit timezone take the course's, then the default one
+export async function addLesson(courseId, title, date, time, zoomLink, seriesId = null, timezone = null) {
+  try {
+    const result = await db.run(
+      `INSERT INTO lessons (course_id, title, date, time, zoom_link, series_id, timezone)
+       VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT timezone FROM courses WHERE course_id = ?), ?))`,
+      [courseId, title, date, time, zoomLink, seriesId, timezone, courseId, config.schedule.defaultTimezone]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة الدرس:', error);
+    return null;
+  }
+}
+
+export async function updateLesson(lessonId, field, value) {
+  try {
+    const validFields = ['course_id', 'title', 'date', 'time', 'zoom_link', 'timezone'];
+    if (!validFields.includes(field)) {
+      throw new Error('حقل غير صالح');
+    }
+
+    const result = await db.run(
+      `UPDATE lessons SET ${field} = ? WHERE lesson_id = ?`,
+      [value, lessonId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديث الدرس:', error);
+    return false;
+  }
+}
+
+export async function deleteLesson(lessonId) {
+  try {
+    return await withTransaction(async () => {
+      // Attendance and change history rows reference the lesson, remove them first
+      await db.run('DELETE FROM attendance WHERE lesson_id = ?', [lessonId]);
+      await db.run('DELETE FROM lesson_changes WHERE lesson_id = ?', [lessonId]);
+      await db.run('DELETE FROM checkin_windows WHERE lesson_id = ?', [lessonId]);
+      await db.run('DELETE FROM zoom_import_rows WHERE import_id IN (SELECT import_id FROM zoom_imports WHERE lesson_id = ?)', [lessonId]);
+      await db.run('DELETE FROM zoom_imports WHERE lesson_id = ?', [lessonId]);
+      const result = await db.run('DELETE FROM lessons WHERE lesson_id = ?', [lessonId]);
+
+      return { success: result.changes > 0 };
+    });
+  } catch (error) {
+    console.error('خطأ في حذف الدرس:', error);
+    return { success: false };
+  }
+}
+
+// Lesson change functions (cancellation and rescheduling history)
+export async function cancelLesson(lessonId, reason, changedBy) {
+  try {
+    return await withTransaction(async () => {
+      const lesson = await db.get('SELECT date, time FROM lessons WHERE lesson_id = ?', [lessonId]);
+      await db.run("UPDATE lessons SET status = 'cancelled' WHERE lesson_id = ?", [lessonId]);
+      await db.run(
+        `INSERT INTO lesson_changes (lesson_id, change_type, old_date, old_time, reason, changed_by)
+         VALUES (?, 'cancelled', ?, ?, ?, ?)`,
+        [lessonId, lesson.date, lesson.time, reason, changedBy]
+      );
+
+      return { success: true };
+    });
+  } catch (error) {
+    console.error('خطأ في إلغاء الدرس:', error);
+    return { success: false };
+  }
+}
+
+export async function rescheduleLesson(lessonId, newDate, newTime, reason, changedBy) {
+  try {
+    return await withTransaction(async () => {
+      const lesson = await db.get('SELECT date, time FROM lessons WHERE lesson_id = ?', [lessonId]);
+      await db.run(
+        "UPDATE lessons SET date = ?, time = ?, status = 'scheduled' WHERE lesson_id = ?",
+        [newDate, newTime, lessonId]
+      );
+      await db.run(
+        `INSERT INTO lesson_changes (lesson_id, change_type, old_date, old_time, new_date, new_time, reason, changed_by)
+         VALUES (?, 'rescheduled', ?, ?, ?, ?, ?, ?)`,
+        [lessonId, lesson.date, lesson.time, newDate, newTime, reason, changedBy]
+      );
+
+      return { success: true };
+    });
+  } catch (error) {
+    console.error('خطأ في إعادة جدولة الدرس:', error);
+    return { success: false };
+  }
+}
+
+export async function getLessonChanges() {
+  try {
+    const changes = await db.all('SELECT * FROM lesson_changes ORDER BY changed_at ASC, change_id ASC');
+    return changes;
+  } catch (error) {
+    console.error('خطأ في جلب سجل تغييرات الدروس:', error);
+    return [];
+  }
+}
 
-    // Bugs table
-    await db.exec(`
-      CREATE TABLE IF NOT EXISTS bugs (
-        bug_id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        message TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_resolved BOOLEAN DEFAULT 0,
-        admin_notes TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(user_id)
-      )
+// Lesson series functions
+export async function addLessonSeries(series) {
+  try {
+    const result = await db.run(
+      `INSERT INTO lesson_series (course_id, title, weekdays, time, start_date, weeks, skip_dates, zoom_link, timezone)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT timezone FROM courses WHERE course_id = ?), ?))`,
+      [
+        series.course_id,
+        series.title,
+        series.weekdays,
+        series.time,
+        series.start_date,
+        series.weeks,
+        series.skip_dates,
+        series.zoom_link,
+        series.course_id,
+        config.schedule.defaultTimezone
+      ]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة سلسلة الدروس:', error);
+    return null;
+  }
+}
+
+export async function getLessonSeries(seriesId) {
+  try {
+    const series = await db.get('SELECT * FROM lesson_series WHERE series_id = ?', [seriesId]);
+    return series;
+  } catch (error) {
+    console.error('خطأ في جلب سلسلة الدروس:', error);
+    return null;
+  }
+}
+
+export async function getAllLessonSeries() {
+  try {
+    const series = await db.all(`
+      SELECT s.*, COUNT(l.lesson_id) as lesson_count
+      FROM lesson_series s
+      LEFT JOIN lessons l ON l.series_id = s.series_id
+      WHERE s.is_cancelled = 0
+      GROUP BY s.series_id
+      ORDER BY s.series_id
     `);
+    return series;
+  } catch (error) {
+    console.error('خطأ في جلب سلاسل الدروس:', error);
+    return [];
+  }
+}
+
+export async function updateLessonSeries(seriesId, field, value) {
+  try {
+    const validFields = ['title', 'weekdays', 'time', 'weeks', 'skip_dates', 'zoom_link', 'is_cancelled'];
+    if (!validFields.includes(field)) {
+      throw new Error('حقل غير صالح');
+    }
+
+    const result = await db.run(
+      `UPDATE lesson_series SET ${field} = ? WHERE series_id = ?`,
+      [value, seriesId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديث سلسلة الدروس:', error);
+    return false;
+  }
+}
+
+// series_date is the slot the series generated, a rescheduled lesson keeps it from its first change
+export async function getSeriesLessons(seriesId) {
+  try {
+    const lessons = await db.all(
+      `SELECT l.*,
+              COALESCE((SELECT c.old_date FROM lesson_changes c WHERE c.lesson_id = l.lesson_id
+                        ORDER BY c.change_id ASC LIMIT 1), l.date) as series_date,
+              (SELECT COUNT(*) FROM lesson_changes c WHERE c.lesson_id = l.lesson_id) as change_count
+       FROM lessons l
+       WHERE l.series_id = ?
+       ORDER BY l.date, l.time`,
+      [seriesId]
+    );
+    return lessons;
+  } catch (error) {
+    console.error('خطأ في جلب دروس السلسلة:', error);
+    return [];
+  }
+}
+
+// Attendance functions
+export async function addAttendance(userId, lessonId, status = 'present') {
+  try {
+    await db.run(
+      'INSERT OR REPLACE INTO attendance (user_id, lesson_id, status) VALUES (?, ?, ?)',
+      [userId, lessonId, status]
+    );
+    return true;
+  } catch (error) {
+    console.error('خطأ في تسجيل الحضور:', error);
+    return false;
+  }
+}
+
+export async function getUserAttendance(userId) {
+  try {
+    const attendance = await db.all(
+      "SELECT COUNT(*) as count FROM attendance WHERE user_id = ? AND status != 'absent'",
+      [userId]
+    );
+    return attendance[0]?.count || 0;
+  } catch (error) {
+    console.error('خطأ في جلب حضور المستخدم:', error);
+    return 0;
+  }
+}
+
+export async function getAttendanceRecord(userId, lessonId) {
+  try {
+    const record = await db.get(
+      'SELECT * FROM attendance WHERE user_id = ? AND lesson_id = ?',
+      [userId, lessonId]
+    );
+    return record || null;
+  } catch (error) {
+    console.error('خطأ في جلب سجل الحضور:', error);
+    return null;
+  }
+}
+
+// Check-in window functions
+export async function openCheckinWindow(lessonId, code, openedAt, lateAt, closesAt, openedBy) {
+  try {
+    const result = await db.run(
+      `INSERT INTO checkin_windows (lesson_id, code, opened_at, late_at, closes_at, opened_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [lessonId, code, openedAt, lateAt, closesAt, openedBy]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في فتح نافذة تسجيل الحضور:', error);
+    return null;
+  }
+}
+
+export async function getOpenCheckinWindows() {
+  try {
+    const windows = await db.all('SELECT * FROM checkin_windows WHERE closed_at IS NULL ORDER BY closes_at ASC');
+    return windows;
+  } catch (error) {
+    console.error('خطأ في جلب نوافذ تسجيل الحضور المفتوحة:', error);
+    return [];
+  }
+}
+
+export async function getOpenCheckinWindowByCode(code) {
+  try {
+    const window = await db.get('SELECT * FROM checkin_windows WHERE code = ? AND closed_at IS NULL', [code]);
+    return window || null;
+  } catch (error) {
+    console.error('خطأ في جلب نافذة تسجيل الحضور:', error);
+    return null;
+  }
+}
+
+export async function getOpenCheckinWindowForLesson(lessonId) {
+  try {
+    const window = await db.get('SELECT * FROM checkin_windows WHERE lesson_id = ? AND closed_at IS NULL', [lessonId]);
+    return window || null;
+  } catch (error) {
+    console.error('خطأ في جلب نافذة تسجيل الحضور للدرس:', error);
+    return null;
+  }
+}
+
+// Zoom import functions
+export async function getZoomAliases() {
+  try {
+    const rows = await db.all('SELECT alias, user_id FROM zoom_aliases');
+    return new Map(rows.map(row => [row.alias, row.user_id]));
+  } catch (error) {
+    console.error('خطأ في جلب أسماء Zoom المحفوظة:', error);
+    return new Map();
+  }
+}
+
+export async function saveZoomAlias(alias, userId) {
+  try {
+    await db.run('INSERT OR REPLACE INTO zoom_aliases (alias, user_id) VALUES (?, ?)', [alias, userId]);
+    return true;
+  } catch (error) {
+    console.error('خطأ في حفظ اسم Zoom:', error);
+    return false;
+  }
+}
+
+export async function createZoomImport(lessonId, fileName, minMinutes, importedBy) {
+  try {
+    const result = await db.run(
+      'INSERT INTO zoom_imports (lesson_id, file_name, min_minutes, imported_by) VALUES (?, ?, ?, ?)',
+      [lessonId, fileName, minMinutes, importedBy]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إنشاء استيراد Zoom:', error);
+    return null;
+  }
+}
+
+export async function getLatestZoomImport() {
+  try {
+    const zoomImport = await db.get('SELECT * FROM zoom_imports ORDER BY import_id DESC LIMIT 1');
+    return zoomImport || null;
+  } catch (error) {
+    console.error('خطأ في جلب آخر استيراد Zoom:', error);
+    return null;
+  }
+}
+
+export async function getZoomImport(importId) {
+  try {
+    const zoomImport = await db.get('SELECT * FROM zoom_imports WHERE import_id = ?', [importId]);
+    return zoomImport || null;
+  } catch (error) {
+    console.error('خطأ في جلب استيراد Zoom:', error);
+    return null;
+  }
+}
+
+export async function addZoomImportRow(importId, participantName, email, durationMinutes, userId, status) {
+  try {
+    const result = await db.run(
+      `INSERT INTO zoom_import_rows (import_id, participant_name, email, duration_minutes, user_id, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [importId, participantName, email, durationMinutes, userId, status]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في حفظ صف استيراد Zoom:', error);
+    return null;
+  }
+}
+
+// Row joined with its import so the lesson and threshold are at hand
+export async function getZoomImportRow(rowId) {
+  try {
+    const row = await db.get(
+      `SELECT r.*, i.lesson_id, i.min_minutes
+       FROM zoom_import_rows r
+       JOIN zoom_imports i ON r.import_id = i.import_id
+       WHERE r.row_id = ?`,
+      [rowId]
+    );
+    return row || null;
+  } catch (error) {
+    console.error('خطأ في جلب صف استيراد Zoom:', error);
+    return null;
+  }
+}
+
+export async function getZoomImportRows(importId, status = null) {
+  try {
+    const rows = status
+      ? await db.all('SELECT * FROM zoom_import_rows WHERE import_id = ? AND status = ? ORDER BY row_id ASC', [importId, status])
+      : await db.all('SELECT * FROM zoom_import_rows WHERE import_id = ? ORDER BY row_id ASC', [importId]);
+    return rows;
+  } catch (error) {
+    console.error('خطأ في جلب صفوف استيراد Zoom:', error);
+    return [];
+  }
+}
+
+export async function updateZoomImportRow(rowId, userId, status) {
+  try {
+    const result = await db.run(
+      'UPDATE zoom_import_rows SET user_id = ?, status = ? WHERE row_id = ?',
+      [userId, status, rowId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديث صف استيراد Zoom:', error);
+    return false;
+  }
+}
+
+// Closing a window marks every verified user without a check-in as absent
+export async function closeCheckinWindow(windowId, closedAt) {
+  try {
+    return await withTransaction(async () => {
+      const window = await db.get('SELECT lesson_id FROM checkin_windows WHERE window_id = ? AND closed_at IS NULL', [windowId]);
+      if (!window) {
+        return { success: false };
+      }
+
+      await db.run('UPDATE checkin_windows SET closed_at = ? WHERE window_id = ?', [closedAt, windowId]);
+      await db.run(
+        `INSERT OR IGNORE INTO attendance (user_id, lesson_id, status, attended_at)
+         SELECT user_id, ?, 'absent', NULL FROM users WHERE is_verified = 1`,
+        [window.lesson_id]
+      );
+      const counts = await db.all(
+        'SELECT status, COUNT(*) as count FROM attendance WHERE lesson_id = ? GROUP BY status',
+        [window.lesson_id]
+      );
+
+      const summary = { on_time: 0, late: 0, absent: 0 };
+      counts.forEach(row => {
+        if (row.status in summary) summary[row.status] = row.count;
+      });
+      return { success: true, lessonId: window.lesson_id, summary };
+    });
+  } catch (error) {
+    console.error('خطأ في إغلاق نافذة تسجيل الحضور:', error);
+    return { success: false };
+  }
+}
+
+// Announcement functions
+export async function addAnnouncement(content, sentToGroup = false) {
+  try {
+    const result = await db.run(
+      'INSERT INTO announcements (content, sent_to_group) VALUES (?, ?)',
+      [content, sentToGroup ? 1 : 0]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة الإعلان:', error);
+    return null;
+  }
+}
+
+// Assignment functions
+export async function addAssignment(courseId, title, question, correctAnswer, deadline, matchMode = 'exact') {
+  try {
+    const result = await db.run(
+      'INSERT INTO assignments (course_id, title, question, correct_answer, deadline, match_mode) VALUES (?, ?, ?, ?, ?, ?)',
+      [courseId, title, question, correctAnswer, deadline, matchMode]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة الواجب:', error);
+    return null;
+  }
+}
+
+// Code assignments show each attempt's test results right away and keep the best attempt until the deadline
+export async function addCodeAssignment(courseId, title, task, deadline) {
+  try {
+    const result = await db.run(
+      `INSERT INTO assignments (course_id, title, question, correct_answer, deadline, assignment_type, reveal_policy, max_attempts, scoring_rule)
+       VALUES (?, ?, ?, '', ?, 'code', 'immediate', 0, 'best')`,
+      [courseId, title, task, deadline]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة الواجب البرمجي:', error);
+    return null;
+  }
+}
+
+export async function updateAssignment(assignmentId, field, value) {
+  try {
+    const validFields = [
+      'title', 'question', 'correct_answer', 'deadline', 'match_mode', 'match_tolerance',
+      'grading', 'max_score', 'reveal_policy', 'allow_resubmit', 'late_policy', 'late_penalty', 'grace_hours',
+      'max_attempts', 'scoring_rule'
+    ];
+    if (!validFields.includes(field)) {
+      throw new Error('حقل غير صالح');
+    }
+    
+    await db.run(
+      `UPDATE assignments SET ${field} = ? WHERE assignment_id = ?`,
+      [value, assignmentId]
+    );
+    return true;
+  } catch (error) {
+    console.error('خطأ في تحديث الواجب:', error);
+    return false;
+  }
+}
+
+export async function deleteAssignment(assignmentId) {
+  try {
+    return await withTransaction(async () => {
+      // First, delete dependent submissions and quiz data
+      await db.run('DELETE FROM submissions WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM submission_attempts WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM quiz_answers WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM quiz_progress WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM live_polls WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM assignment_questions WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM code_tests WHERE assignment_id = ?', [assignmentId]);
+      await db.run('DELETE FROM rubric_scores WHERE assignment_id = ?', [assignmentId]);
+
+      // Then delete the assignment
+      const result = await db.run('DELETE FROM assignments WHERE assignment_id = ?', [assignmentId]);
+
+      // Check if assignment was actually deleted
+      if (result.changes === 0) {
+        console.warn(`No assignment found with ID: ${assignmentId}`);
+        return { success: false };
+      }
+
+      console.log(`Successfully deleted assignment ${assignmentId} and its ${result.changes} submissions`);
+      return { success: true };
+    });
+  } catch (error) {
+    console.error('خطأ في حذف الواجب:', error);
+    return { success: false };
+  }
+}
+
+export async function getAssignment(assignmentId) {
+  try {
+    const assignment = await db.get(
+      `SELECT a.*, c.timezone as course_timezone
+       FROM assignments a
+       LEFT JOIN courses c ON a.course_id = c.course_id
+       WHERE a.assignment_id = ?`,
+      [assignmentId]
+    );
+    return assignment;
+  } catch (error) {
+    console.error('خطأ في جلب الواجب:', error);
+    return null;
+  }
+}
+
+export async function getAllAssignments() {
+  try {
+    const assignments = await db.all('SELECT * FROM assignments ORDER BY assignment_id DESC');
+    return assignments;
+  } catch (error) {
+    console.error('خطأ في جلب جميع الواجبات:', error);
+    return [];
+  }
+}
+
+// The graded attempts of a submission combined by the assignment's scoring rule
+async function getRecordedScore(userId, assignmentId, scoringRule) {
+  const graded = await db.all(
+    "SELECT score FROM submission_attempts WHERE user_id = ? AND assignment_id = ? AND status = 'graded' ORDER BY attempt_number",
+    [userId, assignmentId]
+  );
+  return combineAttemptScores(graded.map(attempt => attempt.score), scoringRule);
+}
+
+// Add an attempt to the history and update the recorded submission (latest answer, score from the scoring rule)
+async function recordAttempt(userId, assignment, { answer, score, maxScore, status = 'graded', late }) {
+  const assignmentId = assignment.assignment_id;
+  const previous = await db.get(
+    'SELECT COUNT(*) as count FROM submission_attempts WHERE user_id = ? AND assignment_id = ?',
+    [userId, assignmentId]
+  );
+  const attemptNumber = previous.count + 1;
+
+  // Only the latest answer of a manually graded assignment is graded
+  if (status === 'pending') {
+    await db.run(
+      "UPDATE submission_attempts SET status = 'replaced' WHERE user_id = ? AND assignment_id = ? AND status = 'pending'",
+      [userId, assignmentId]
+    );
+  }
+
+  await db.run(
+    `INSERT INTO submission_attempts
+       (user_id, assignment_id, attempt_number, answer, score, max_score, status, is_late, days_late, late_penalty)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, assignmentId, attemptNumber, answer, score, maxScore, status,
+      late.isLate ? 1 : 0, late.daysLate, late.penaltyPercent]
+  );
+
+  const recordedScore = status === 'pending'
+    ? null
+    : await getRecordedScore(userId, assignmentId, assignment.scoring_rule);
+
+  await db.run(
+    `INSERT OR REPLACE INTO submissions
+       (user_id, assignment_id, answer, score, max_score, status, is_late, days_late, late_penalty, attempt_count)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, assignmentId, answer, recordedScore, maxScore, status,
+      late.isLate ? 1 : 0, late.daysLate, late.penaltyPercent, attemptNumber]
+  );
+
+  return { attemptNumber, recordedScore };
+}
+
+// codeScore: { earned, total } test points of a code assignment, run in the sandbox before submitting
+export async function submitAnswer(userId, assignmentId, answer, codeScore = null) {
+  try {
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      return { success: false, message: 'الواجب غير موجود' };
+    }
+    if (assignment.assignment_type === 'code' && !codeScore) {
+      return { success: false, message: 'لم يتم تشغيل الكود على الاختبارات' };
+    }
+
+    if (await getQuizQuestionCount(assignmentId) > 0) {
+      return { success: false, message: `هذا الواجب اختبار متعدد الأسئلة، استخدم /quiz ${assignmentId}` };
+    }
+
+    const now = new Date();
+    const late = getLateStatus(assignment, now, config.schedule.defaultTimezone);
+    // A code assignment is worth the points of its tests
+    const maxScore = codeScore ? codeScore.total : (assignment.max_score ?? 1);
+
+    // The attempt limit is checked in the transaction recording the attempt, so answers sent together cannot all pass it
+    const outcome = await withTransaction(async () => {
+      const existing = await db.get(
+        'SELECT * FROM submissions WHERE user_id = ? AND assignment_id = ?',
+        [userId, assignmentId]
+      );
+      const blocker = getSubmissionBlocker(assignment, existing, now, config.schedule.defaultTimezone);
+      if (blocker) {
+        return { blocker };
+      }
+      const attemptsUsed = (existing?.attempt_count ?? 0) + 1;
+
+      // Manually graded answers wait for an instructor
+      if (assignment.grading === 'manual') {
+        await recordAttempt(userId, assignment, { answer, score: null, maxScore, status: 'pending', late });
+        return { attemptsUsed };
+      }
+
+      const isCorrect = codeScore
+        ? codeScore.earned === codeScore.total
+        : matchAnswer(answer, assignment.correct_answer, assignment.match_mode, { tolerance: assignment.match_tolerance });
+      const score = applyLatePenalty(codeScore ? codeScore.earned : (isCorrect ? maxScore : 0), late.penaltyPercent);
+      const { recordedScore } = await recordAttempt(userId, assignment, { answer, score, maxScore, late });
+      return { attemptsUsed, isCorrect, score, recordedScore };
+    });
+    if (outcome.blocker) {
+      return { success: false, message: outcome.blocker };
+    }
+
+    const { attemptsUsed, isCorrect, score, recordedScore } = outcome;
+    const canResubmit = isResubmittable(assignment, now, config.schedule.defaultTimezone, attemptsUsed);
+    const lateInfo = late.isLate ? { daysLate: late.daysLate, penaltyPercent: late.penaltyPercent } : null;
+    const attemptInfo = {
+      attemptNumber: attemptsUsed,
+      maxAttempts: Number.isFinite(getMaxAttempts(assignment)) ? getMaxAttempts(assignment) : null
+    };
+
+    // The correct answer of a manually graded assignment is not revealed
+    if (assignment.grading === 'manual') {
+      return {
+        success: true,
+        pending: true,
+        maxScore,
+        canResubmit,
+        late: lateInfo,
+        ...attemptInfo,
+        message: '📥 تم استلام إجابتك وستصلك الدرجة بعد تصحيحها'
+      };
+    }
+
+    // The result is held back while the answer can still be changed, the correct answer follows the reveal policy
+    if (!shouldShowResult(assignment, now, config.schedule.defaultTimezone, attemptsUsed)) {
+      return {
+        success: true,
+        hidden: true,
+        maxScore,
+        canResubmit,
+        late: lateInfo,
+        ...attemptInfo,
+        revealPolicy: assignment.reveal_policy,
+        message: '📥 تم استلام إجابتك'
+      };
+    }
+
+    return {
+      success: true,
+      score,
+      recordedScore,
+      scoringRule: assignment.scoring_rule || 'last',
+      maxScore,
+      canResubmit,
+      late: lateInfo,
+      ...attemptInfo,
+      revealPolicy: assignment.reveal_policy,
+      // Further attempts would be pointless once the answer is shown
+      correctAnswer: assignment.reveal_policy === 'immediate' && !canResubmit ? assignment.correct_answer : null,
+      message: isCorrect ? '✅ إجابة صحيحة!' : '❌ إجابة خاطئة'
+    };
+  } catch (error) {
+    console.error('خطأ في إرسال الإجابة:', error);
+    return { success: false, message: 'حدث خطأ في إرسال الإجابة' };
+  }
+}
+
+// Code assignment test cases
+export async function addCodeTest(assignmentId, expression, expected, points = 1) {
+  try {
+    const result = await db.run(
+      `INSERT INTO code_tests (assignment_id, position, expression, expected, points)
+       VALUES (?, (SELECT COALESCE(MAX(position), 0) + 1 FROM code_tests WHERE assignment_id = ?), ?, ?, ?)`,
+      [assignmentId, assignmentId, expression, expected, points]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة اختبار الكود:', error);
+    return null;
+  }
+}
+
+export async function getCodeTests(assignmentId) {
+  try {
+    const tests = await db.all(
+      'SELECT * FROM code_tests WHERE assignment_id = ? ORDER BY position ASC, test_id ASC',
+      [assignmentId]
+    );
+    return tests;
+  } catch (error) {
+    console.error('خطأ في جلب اختبارات الكود:', error);
+    return [];
+  }
+}
+
+export async function getCodeTest(testId) {
+  try {
+    const test = await db.get('SELECT * FROM code_tests WHERE test_id = ?', [testId]);
+    return test || null;
+  } catch (error) {
+    console.error('خطأ في جلب اختبار الكود:', error);
+    return null;
+  }
+}
+
+export async function deleteCodeTest(testId) {
+  try {
+    const result = await db.run('DELETE FROM code_tests WHERE test_id = ?', [testId]);
+    return { success: result.changes > 0 };
+  } catch (error) {
+    console.error('خطأ في حذف اختبار الكود:', error);
+    return { success: false };
+  }
+}
+
+// Question bank functions (questions of a course that quizzes draw from)
+export async function addBankQuestion(courseId, { type, text, options, correctAnswer, points = 1, tags = [], difficulty = 'medium' }, createdBy) {
+  try {
+    const result = await db.run(
+      `INSERT INTO question_bank (course_id, type, text, options, correct_answer, points, tags, difficulty, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [courseId, type, text, options ? JSON.stringify(options) : null, correctAnswer, points, tags.join(','), difficulty, createdBy]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة سؤال إلى البنك:', error);
+    return null;
+  }
+}
+
+export async function getBankQuestions(courseId) {
+  try {
+    const questions = await db.all(
+      'SELECT * FROM question_bank WHERE course_id = ? ORDER BY bank_question_id ASC',
+      [courseId]
+    );
+    return questions;
+  } catch (error) {
+    console.error('خطأ في جلب بنك الأسئلة:', error);
+    return [];
+  }
+}
+
+export async function getBankQuestion(bankQuestionId) {
+  try {
+    const question = await db.get('SELECT * FROM question_bank WHERE bank_question_id = ?', [bankQuestionId]);
+    return question || null;
+  } catch (error) {
+    console.error('خطأ في جلب سؤال البنك:', error);
+    return null;
+  }
+}
+
+// Variants already drawn keep their own copy of the question
+export async function deleteBankQuestion(bankQuestionId) {
+  try {
+    const result = await db.run('DELETE FROM question_bank WHERE bank_question_id = ?', [bankQuestionId]);
+    return { success: result.changes > 0 };
+  } catch (error) {
+    console.error('خطأ في حذف سؤال البنك:', error);
+    return { success: false };
+  }
+}
+
+// count 0 stops drawing, students who already drew keep their variant
+export async function setQuizDraw(assignmentId, count, tags, difficulty) {
+  try {
+    const result = await db.run(
+      'UPDATE assignments SET draw_count = ?, draw_tags = ?, draw_difficulty = ? WHERE assignment_id = ?',
+      [count, tags.length > 0 ? tags.join(',') : null, difficulty, assignmentId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديد سحب الأسئلة:', error);
+    return false;
+  }
+}
+
+export async function hasQuizVariant(userId, assignmentId) {
+  try {
+    const row = await db.get(
+      'SELECT COUNT(*) as count FROM assignment_questions WHERE assignment_id = ? AND user_id = ?',
+      [assignmentId, userId]
+    );
+    return row.count > 0;
+  } catch (error) {
+    console.error('خطأ في جلب نسخة الطالب من الاختبار:', error);
+    return false;
+  }
+}
+
+// Store a student's drawn questions once, later attempts and grading use the same variant
+export async function saveQuizVariant(userId, assignmentId, variant) {
+  try {
+    return await withTransaction(async () => {
+      const existing = await db.get(
+        'SELECT COUNT(*) as count FROM assignment_questions WHERE assignment_id = ? AND user_id = ?',
+        [assignmentId, userId]
+      );
+      if (existing.count === 0) {
+        for (const [index, question] of variant.entries()) {
+          await db.run(
+            `INSERT INTO assignment_questions
+               (assignment_id, position, type, text, options, correct_answer, points, user_id, bank_question_id, params)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              assignmentId, index + 1, question.type, question.text,
+              question.options ? JSON.stringify(question.options) : null,
+              question.correctAnswer, question.points, userId, question.bankQuestionId,
+              question.params ? JSON.stringify(question.params) : null
+            ]
+          );
+        }
+      }
+
+      return true;
+    });
+  } catch (error) {
+    console.error('خطأ في حفظ نسخة الطالب من الاختبار:', error);
+    return false;
+  }
+}
+
+// Rubric functions (reusable grading criteria with point levels)
+export async function addRubric(name, criteria, createdBy) {
+  try {
+    return await withTransaction(async () => {
+      const result = await db.run('INSERT INTO rubrics (name, created_by) VALUES (?, ?)', [name, createdBy]);
+      for (const [index, criterion] of criteria.entries()) {
+        await db.run(
+          'INSERT INTO rubric_criteria (rubric_id, position, name, levels) VALUES (?, ?, ?, ?)',
+          [result.lastID, index + 1, criterion.name, JSON.stringify(criterion.levels)]
+        );
+      }
+
+      return result.lastID;
+    });
+  } catch (error) {
+    console.error('خطأ في إضافة سلم التقييم:', error);
+    return null;
+  }
+}
+
+// A rubric with its criteria in order (levels parsed) and the number of assignments using it
+export async function getRubric(rubricId) {
+  try {
+    const rubric = await db.get(
+      `SELECT r.*, (SELECT COUNT(*) FROM assignments WHERE rubric_id = r.rubric_id) as assignment_count
+       FROM rubrics r WHERE r.rubric_id = ?`,
+      [rubricId]
+    );
+    if (!rubric) return null;
+
+    const criteria = await db.all(
+      'SELECT * FROM rubric_criteria WHERE rubric_id = ? ORDER BY position ASC',
+      [rubricId]
+    );
+    return { ...rubric, criteria: criteria.map(criterion => ({ ...criterion, levels: JSON.parse(criterion.levels) })) };
+  } catch (error) {
+    console.error('خطأ في جلب سلم التقييم:', error);
+    return null;
+  }
+}
+
+export async function getRubrics() {
+  try {
+    const rubrics = await db.all('SELECT rubric_id FROM rubrics ORDER BY rubric_id ASC');
+    const loaded = [];
+    for (const { rubric_id: rubricId } of rubrics) {
+      const rubric = await getRubric(rubricId);
+      if (rubric) loaded.push(rubric);
+    }
+    return loaded;
+  } catch (error) {
+    console.error('خطأ في جلب سلالم التقييم:', error);
+    return [];
+  }
+}
+
+export async function deleteRubric(rubricId) {
+  try {
+    return await withTransaction(async () => {
+      // Submissions graded with it keep their total and feedback, only the per-criterion breakdown goes
+      await db.run(
+        'DELETE FROM rubric_scores WHERE criterion_id IN (SELECT criterion_id FROM rubric_criteria WHERE rubric_id = ?)',
+        [rubricId]
+      );
+      await db.run('DELETE FROM rubric_criteria WHERE rubric_id = ?', [rubricId]);
+      const result = await db.run('DELETE FROM rubrics WHERE rubric_id = ?', [rubricId]);
+      return { success: result.changes > 0 };
+    });
+  } catch (error) {
+    console.error('خطأ في حذف سلم التقييم:', error);
+    return { success: false };
+  }
+}
+
+// Attach a rubric (the assignment becomes manually graded out of maxScore), or detach it with rubricId null
+export async function setAssignmentRubric(assignmentId, rubricId, maxScore = null) {
+  try {
+    if (rubricId) {
+      await db.run(
+        "UPDATE assignments SET rubric_id = ?, grading = 'manual', max_score = ? WHERE assignment_id = ?",
+        [rubricId, maxScore, assignmentId]
+      );
+    } else {
+      await db.run('UPDATE assignments SET rubric_id = NULL WHERE assignment_id = ?', [assignmentId]);
+    }
+    return true;
+  } catch (error) {
+    console.error('خطأ في ربط سلم التقييم بالواجب:', error);
+    return false;
+  }
+}
+
+// GIFT imports: parsed questions wait as pending until the admin confirms the preview
+export async function createGiftImport(courseId, title, deadline, fileName, questions, importedBy) {
+  try {
+    const result = await db.run(
+      'INSERT INTO gift_imports (course_id, title, deadline, file_name, questions, imported_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [courseId, title, deadline, fileName, JSON.stringify(questions), importedBy]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إنشاء استيراد GIFT:', error);
+    return null;
+  }
+}
+
+export async function getGiftImport(importId) {
+  try {
+    const giftImport = await db.get('SELECT * FROM gift_imports WHERE import_id = ?', [importId]);
+    return giftImport || null;
+  } catch (error) {
+    console.error('خطأ في جلب استيراد GIFT:', error);
+    return null;
+  }
+}
+
+// Create the quiz and its questions of a pending import, returns the new assignment id (null if not pending or failed)
+export async function completeGiftImport(importId) {
+  try {
+    return await withTransaction(async () => {
+      const giftImport = await db.get("SELECT * FROM gift_imports WHERE import_id = ? AND status = 'pending'", [importId]);
+      if (!giftImport) {
+        return null;
+      }
+
+      // Like /addquiz, the title doubles as the legacy question text
+      const result = await db.run(
+        "INSERT INTO assignments (course_id, title, question, correct_answer, deadline) VALUES (?, ?, ?, '', ?)",
+        [giftImport.course_id, giftImport.title, giftImport.title, giftImport.deadline]
+      );
+      const assignmentId = result.lastID;
+
+      for (const [index, question] of JSON.parse(giftImport.questions).entries()) {
+        await db.run(
+          `INSERT INTO assignment_questions
+             (assignment_id, position, type, text, options, correct_answer, points, accepted_answers, tolerance)
+           VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+          [
+            assignmentId, index + 1, question.type, question.text,
+            question.options ? JSON.stringify(question.options) : null,
+            question.correctAnswer,
+            question.acceptedAnswers?.length > 0 ? JSON.stringify(question.acceptedAnswers) : null,
+            question.tolerance ?? null
+          ]
+        );
+      }
+
+      await db.run(
+        "UPDATE gift_imports SET status = 'imported', assignment_id = ? WHERE import_id = ?",
+        [assignmentId, importId]
+      );
+
+      return assignmentId;
+    });
+  } catch (error) {
+    console.error('خطأ في إتمام استيراد GIFT:', error);
+    return null;
+  }
+}
+
+export async function cancelGiftImport(importId) {
+  try {
+    const result = await db.run(
+      "UPDATE gift_imports SET status = 'cancelled' WHERE import_id = ? AND status = 'pending'",
+      [importId]
+    );
+    return { success: result.changes > 0 };
+  } catch (error) {
+    console.error('خطأ في إلغاء استيراد GIFT:', error);
+    return { success: false };
+  }
+}
+
+// Quiz functions (assignments made of several questions)
+export async function addQuestion(assignmentId, type, text, options, correctAnswer, points = 1) {
+  try {
+    const result = await db.run(
+      `INSERT INTO assignment_questions (assignment_id, position, type, text, options, correct_answer, points)
+       VALUES (?, (SELECT COALESCE(MAX(position), 0) + 1 FROM assignment_questions WHERE assignment_id = ? AND user_id IS NULL), ?, ?, ?, ?, ?)`,
+      [assignmentId, assignmentId, type, text, options ? JSON.stringify(options) : null, correctAnswer, points]
+    );
+    return result.lastID;
+  } catch (error) {
+    console.error('خطأ في إضافة السؤال:', error);
+    return null;
+  }
+}
+
+// The quiz's shared questions, followed by the user's drawn variant when userId is given
+export async function getQuestions(assignmentId, userId = null) {
+  try {
+    const questions = await db.all(
+      `SELECT * FROM assignment_questions
+       WHERE assignment_id = ? AND (user_id IS NULL OR user_id = ?)
+       ORDER BY user_id IS NOT NULL, position ASC, question_id ASC`,
+      [assignmentId, userId]
+    );
+    return questions;
+  } catch (error) {
+    console.error('خطأ في جلب أسئلة الواجب:', error);
+    return [];
+  }
+}
+
+export async function getQuizQuestionCount(assignmentId) {
+  try {
+    const row = await db.get(
+      `SELECT ${QUESTION_COUNT_SQL} as count FROM assignments a WHERE a.assignment_id = ?`,
+      [assignmentId]
+    );
+    return row ? row.count : 0;
+  } catch (error) {
+    console.error('خطأ في حساب أسئلة الاختبار:', error);
+    return 0;
+  }
+}
+
+export async function getQuestion(questionId) {
+  try {
+    const question = await db.get('SELECT * FROM assignment_questions WHERE question_id = ?', [questionId]);
+    return question || null;
+  } catch (error) {
+    console.error('خطأ في جلب السؤال:', error);
+    return null;
+  }
+}
+
+export async function deleteQuestion(questionId) {
+  try {
+    return await withTransaction(async () => {
+      await db.run('DELETE FROM quiz_answers WHERE question_id = ?', [questionId]);
+      await db.run('DELETE FROM live_polls WHERE question_id = ?', [questionId]);
+      const result = await db.run('DELETE FROM assignment_questions WHERE question_id = ?', [questionId]);
+
+      return { success: result.changes > 0 };
+    });
+  } catch (error) {
+    console.error('خطأ في حذف السؤال:', error);
+    return { success: false };
+  }
+}
+
+export async function getQuizProgress(userId) {
+  try {
+    const progress = await db.get('SELECT * FROM quiz_progress WHERE user_id = ?', [userId]);
+    return progress || null;
+  } catch (error) {
+    console.error('خطأ في جلب تقدم الاختبار:', error);
+    return null;
+  }
+}
+
+// Starting a quiz clears earlier answers to it, a user answers one quiz at a time
+export async function startQuiz(userId, assignmentId) {
+  try {
+    return await withTransaction(async () => {
+      await db.run('DELETE FROM quiz_answers WHERE user_id = ? AND assignment_id = ?', [userId, assignmentId]);
+      await db.run(
+        'INSERT OR REPLACE INTO quiz_progress (user_id, assignment_id) VALUES (?, ?)',
+        [userId, assignmentId]
+      );
 
-    console.log('✅ تم إنشاء جداول قاعدة البيانات بنجاح');
+      return { success: true };
+    });
   } catch (error) {
-    console.error('❌ خطأ في إنشاء الجداول:', error);
-    throw error;
+    console.error('خطأ في بدء الاختبار:', error);
+    return { success: false };
   }
 }
 
-// User functions
-export async function addUser(userId, username, firstName) {
+export async function getQuizAnswers(userId, assignmentId) {
   try {
-    await db.run(
-      'INSERT OR REPLACE INTO users (user_id, username, first_name) VALUES (?, ?, ?)',
-      [userId, username, firstName]
+    const answers = await db.all(
+      'SELECT * FROM quiz_answers WHERE user_id = ? AND assignment_id = ?',
+      [userId, assignmentId]
     );
-    return true;
+    return answers;
   } catch (error) {
-    console.error('خطأ في إضافة المستخدم:', error);
-    return false;
+    console.error('خطأ في جلب إجابات الاختبار:', error);
+    return [];
   }
 }
 
-export async function getUserInfo(userId) {
+// Returns false when the question was already answered (e.g. a double tap on a button)
+export async function saveQuizAnswer(userId, assignmentId, questionId, answer, isCorrect, points) {
   try {
-    const user = await db.get('SELECT * FROM users WHERE user_id = ?', [userId]);
-    return user;
+    const result = await db.run(
+      `INSERT OR IGNORE INTO quiz_answers (user_id, assignment_id, question_id, answer, is_correct, points)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, assignmentId, questionId, answer, isCorrect ? 1 : 0, points]
+    );
+    return result.changes > 0;
   } catch (error) {
-    console.error('خطأ في جلب معلومات المستخدم:', error);
-    return null;
+    console.error('خطأ في حفظ إجابة الاختبار:', error);
+    return false;
   }
 }
 
-export async function isUserVerified(userId) {
+export async function finishQuiz(userId, assignment, answerSummary, score, maxScore, late) {
   try {
-    const user = await db.get('SELECT is_verified FROM users WHERE user_id = ?', [userId]);
-    return user ? Boolean(user.is_verified) : false;
+    return await withTransaction(async () => {
+      const { attemptNumber, recordedScore } = await recordAttempt(userId, assignment, {
+        answer: answerSummary,
+        score,
+        maxScore,
+        late
+      });
+      await db.run('DELETE FROM quiz_progress WHERE user_id = ? AND assignment_id = ?', [userId, assignment.assignment_id]);
+
+      return { success: true, attemptNumber, recordedScore };
+    });
   } catch (error) {
-    console.error('خطأ في التحقق من حالة المستخدم:', error);
-    return false;
+    console.error('خطأ في إنهاء الاختبار:', error);
+    return { success: false };
   }
 }
 
-export async function verifyUser(userId) {
+// Live quiz polls posted to the group
+export async function addLivePoll(pollId, assignmentId, questionId, chatId, messageId, createdBy) {
   try {
-    await db.run('UPDATE users SET is_verified = 1 WHERE user_id = ?', [userId]);
+    await db.run(
+      `INSERT INTO live_polls (poll_id, assignment_id, question_id, chat_id, message_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [pollId, assignmentId, questionId, chatId, messageId, createdBy]
+    );
     return true;
   } catch (error) {
-    console.error('خطأ في تفعيل المستخدم:', error);
+    console.error('خطأ في حفظ الاستطلاع:', error);
     return false;
   }
 }
 
-export async function isUserAdmin(userId) {
-  return config.admin.userIds.includes(userId);
+export async function getLivePoll(pollId) {
+  try {
+    const poll = await db.get('SELECT * FROM live_polls WHERE poll_id = ?', [pollId]);
+    return poll || null;
+  } catch (error) {
+    console.error('خطأ في جلب الاستطلاع:', error);
+    return null;
+  }
 }
 
-export async function toggleUserReminders(userId) {
+export async function getOpenLivePolls(assignmentId) {
   try {
-    const user = await getUserInfo(userId);
-    if (!user) {
-      return { success: false, message: 'المستخدم غير موجود' };
-    }
-    
-    const newReminderStatus = !user.reminders_enabled;
-    await db.run('UPDATE users SET reminders_enabled = ? WHERE user_id = ?', [newReminderStatus ? 1 : 0, userId]);
-    
-    return {
-      success: true,
-      remindersEnabled: newReminderStatus,
-      message: newReminderStatus ? 'تم تفعيل التذكيرات' : 'تم إيقاف التذكيرات'
-    };
+    const polls = await db.all(
+      'SELECT * FROM live_polls WHERE assignment_id = ? AND closed_at IS NULL ORDER BY created_at',
+      [assignmentId]
+    );
+    return polls;
   } catch (error) {
-    console.error('خطأ في تبديل التذكيرات:', error);
-    return { success: false, message: 'حدث خطأ في تحديث التذكيرات' };
+    console.error('خطأ في جلب الاستطلاعات المفتوحة:', error);
+    return [];
   }
 }
 
-// Lesson functions
-export async function getLessons() {
+export async function closeLivePoll(pollId) {
   try {
-    const lessons = await db.all('SELECT * FROM lessons ORDER BY date, time');
-    return { success: true, data: lessons };
+    const result = await db.run(
+      'UPDATE live_polls SET closed_at = CURRENT_TIMESTAMP WHERE poll_id = ? AND closed_at IS NULL',
+      [pollId]
+    );
+    return result.changes > 0;
   } catch (error) {
-    console.error('خطأ في جلب الدروس:', error);
-    return { success: false, data: [] };
+    console.error('خطأ في إغلاق الاستطلاع:', error);
+    return false;
   }
 }
 
-export async function getLesson(lessonId) {
+// Step-by-step wizards, one per user, answers stored as JSON
+export async function getWizardSession(userId) {
   try {
-    const lesson = await db.get('SELECT * FROM lessons WHERE lesson_id = ?', [lessonId]);
-    return lesson;
+    const session = await db.get('SELECT * FROM wizard_sessions WHERE user_id = ?', [userId]);
+    return session ? { ...session, data: JSON.parse(session.data) } : null;
   } catch (error) {
-    console.error('خطأ في جلب الدرس:', error);
+    console.error('خطأ في جلب جلسة المعالج:', error);
     return null;
   }
 }
 
-// Attendance functions
-export async function addAttendance(userId, lessonId) {
+export async function saveWizardSession(userId, chatId, wizard, data) {
   try {
     await db.run(
-      'INSERT OR REPLACE INTO attendance (user_id, lesson_id) VALUES (?, ?)',
-      [userId, lessonId]
+      `INSERT OR REPLACE INTO wizard_sessions (user_id, chat_id, wizard, data, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [userId, chatId, wizard, JSON.stringify(data)]
     );
     return true;
   } catch (error) {
-    console.error('خطأ في تسجيل الحضور:', error);
+    console.error('خطأ في حفظ جلسة المعالج:', error);
     return false;
   }
 }
 
-export async function getUserAttendance(userId) {
+export async function deleteWizardSession(userId) {
   try {
-    const attendance = await db.all(
-      'SELECT COUNT(*) as count FROM attendance WHERE user_id = ?',
-      [userId]
-    );
-    return attendance[0]?.count || 0;
+    const result = await db.run('DELETE FROM wizard_sessions WHERE user_id = ?', [userId]);
+    return result.changes > 0;
   } catch (error) {
-    console.error('خطأ في جلب حضور المستخدم:', error);
-    return 0;
+    console.error('خطأ في حذف جلسة المعالج:', error);
+    return false;
   }
 }
 
-// Announcement functions
-export async function addAnnouncement(content, sentToGroup = false) {
+// Manual grading queue, oldest submissions first
+export async function getPendingSubmissions(assignmentId = null) {
   try {
-    const result = await db.run(
-      'INSERT INTO announcements (content, sent_to_group) VALUES (?, ?)',
-      [content, sentToGroup ? 1 : 0]
+    const submissions = await db.all(
+      `SELECT s.*, a.title, a.question, a.rubric_id, u.username, u.first_name
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       LEFT JOIN users u ON s.user_id = u.user_id
+       WHERE s.status = 'pending' AND (? IS NULL OR s.assignment_id = ?)
+       ORDER BY s.submitted_at ASC, s.assignment_id ASC, s.user_id ASC`,
+      [assignmentId, assignmentId]
     );
-    return result.lastID;
+    return submissions;
   } catch (error) {
-    console.error('خطأ في إضافة الإعلان:', error);
-    return null;
+    console.error('خطأ في جلب الإجابات المنتظرة للتصحيح:', error);
+    return [];
   }
 }
 
-// Assignment functions
-export async function addAssignment(courseId, title, question, correctAnswer, deadline) {
+export async function getSubmission(userId, assignmentId) {
   try {
-    const result = await db.run(
-      'INSERT INTO assignments (course_id, title, question, correct_answer, deadline) VALUES (?, ?, ?, ?, ?)',
-      [courseId, title, question, correctAnswer, deadline]
+    const submission = await db.get(
+      `SELECT s.*, a.title, a.question, a.grading, a.rubric_id, u.username, u.first_name
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       LEFT JOIN users u ON s.user_id = u.user_id
+       WHERE s.user_id = ? AND s.assignment_id = ?`,
+      [userId, assignmentId]
     );
-    return result.lastID;
+    return submission || null;
   } catch (error) {
-    console.error('خطأ في إضافة الواجب:', error);
+    console.error('خطأ في جلب الإجابة:', error);
     return null;
   }
 }
 
-export async function updateAssignment(assignmentId, field, value) {
+// Grade the latest attempt, the submission records the graded attempts combined by the scoring rule
+export async function gradeSubmission(userId, assignmentId, score, feedback, gradedBy) {
   try {
-    const validFields = ['title', 'question', 'correct_answer', 'deadline'];
-    if (!validFields.includes(field)) {
-      throw new Error('حقل غير صالح');
-    }
-    
-    await db.run(
-      `UPDATE assignments SET ${field} = ? WHERE assignment_id = ?`,
-      [value, assignmentId]
-    );
-    return true;
+    return await withTransaction(async () => {
+      // The graded answer is always the latest attempt, earlier ungraded ones were replaced
+      await db.run(
+        `UPDATE submission_attempts SET score = ?, status = 'graded'
+         WHERE user_id = ? AND assignment_id = ? AND attempt_number = (
+           SELECT MAX(attempt_number) FROM submission_attempts WHERE user_id = ? AND assignment_id = ?
+         )`,
+        [score, userId, assignmentId, userId, assignmentId]
+      );
+      const { scoring_rule: scoringRule } = await db.get('SELECT scoring_rule FROM assignments WHERE assignment_id = ?', [assignmentId]);
+      const recordedScore = await getRecordedScore(userId, assignmentId, scoringRule);
+      const result = await db.run(
+        `UPDATE submissions SET score = ?, feedback = ?, graded_by = ?, graded_at = CURRENT_TIMESTAMP, status = 'graded'
+         WHERE user_id = ? AND assignment_id = ?`,
+        [recordedScore, feedback, gradedBy, userId, assignmentId]
+      );
+
+      return { success: result.changes > 0, recordedScore, scoringRule: scoringRule || 'last' };
+    });
   } catch (error) {
-    console.error('خطأ في تحديث الواجب:', error);
-    return false;
+    console.error('خطأ في تصحيح الإجابة:', error);
+    return { success: false };
   }
 }
 
-export async function deleteAssignment(assignmentId) {
+// Rubric grading: the level of each criterion is stored, the latest attempt gets their total out of the rubric's total
+export async function gradeSubmissionWithRubric(userId, assignmentId, criterionScores, score, maxScore, feedback, gradedBy) {
   try {
-    // Start transaction to ensure data consistency
-    await db.run('BEGIN TRANSACTION');
-    
-    // First, delete dependent submissions
-    await db.run('DELETE FROM submissions WHERE assignment_id = ?', [assignmentId]);
-    
-    // Then delete the assignment
-    const result = await db.run('DELETE FROM assignments WHERE assignment_id = ?', [assignmentId]);
-    
-    // Commit transaction
-    await db.run('COMMIT');
-    
-    // Check if assignment was actually deleted
-    if (result.changes === 0) {
-      console.warn(`No assignment found with ID: ${assignmentId}`);
-      return { success: false };
-    }
-    
-    console.log(`Successfully deleted assignment ${assignmentId} and its ${result.changes} submissions`);
-    return { success: true };
+    return await withTransaction(async () => {
+      await db.run(
+        `UPDATE submission_attempts SET score = ?, max_score = ?, status = 'graded'
+         WHERE user_id = ? AND assignment_id = ? AND attempt_number = (
+           SELECT MAX(attempt_number) FROM submission_attempts WHERE user_id = ? AND assignment_id = ?
+         )`,
+        [score, maxScore, userId, assignmentId, userId, assignmentId]
+      );
+      const { scoring_rule: scoringRule } = await db.get('SELECT scoring_rule FROM assignments WHERE assignment_id = ?', [assignmentId]);
+      const recordedScore = await getRecordedScore(userId, assignmentId, scoringRule);
+      const result = await db.run(
+        `UPDATE submissions SET score = ?, max_score = ?, feedback = ?, graded_by = ?, graded_at = CURRENT_TIMESTAMP, status = 'graded'
+         WHERE user_id = ? AND assignment_id = ?`,
+        [recordedScore, maxScore, feedback, gradedBy, userId, assignmentId]
+      );
+
+      // Grading again replaces the earlier levels
+      await db.run('DELETE FROM rubric_scores WHERE user_id = ? AND assignment_id = ?', [userId, assignmentId]);
+      for (const criterionScore of criterionScores) {
+        await db.run(
+          'INSERT INTO rubric_scores (user_id, assignment_id, criterion_id, points, level_label) VALUES (?, ?, ?, ?, ?)',
+          [userId, assignmentId, criterionScore.criterionId, criterionScore.points, criterionScore.label]
+        );
+      }
+
+      return { success: result.changes > 0, recordedScore, scoringRule: scoringRule || 'last' };
+    });
   } catch (error) {
-    // Rollback transaction on error
-    try {
-      await db.run('ROLLBACK');
-    } catch (rollbackError) {
-      console.error('خطأ في التراجع عن المعاملة:', rollbackError);
-    }
-    console.error('خطأ في حذف الواجب:', error);
+    console.error('خطأ في التصحيح بسلم التقييم:', error);
     return { success: false };
   }
 }
 
-export async function getAssignment(assignmentId) {
+export async function getSubmissionAttempts(userId, assignmentId) {
   try {
-    const assignment = await db.get('SELECT * FROM assignments WHERE assignment_id = ?', [assignmentId]);
-    return assignment;
+    const attempts = await db.all(
+      `SELECT * FROM submission_attempts
+       WHERE user_id = ? AND assignment_id = ?
+       ORDER BY attempt_number`,
+      [userId, assignmentId]
+    );
+    return attempts;
   } catch (error) {
-    console.error('خطأ في جلب الواجب:', error);
-    return null;
+    console.error('خطأ في جلب محاولات الطالب:', error);
+    return [];
   }
 }
 
-export async function getAllAssignments() {
+// A student's recorded submissions with the assignment settings needed to decide what they may see
+export async function getUserSubmissionSummaries(userId) {
   try {
-    const assignments = await db.all('SELECT * FROM assignments ORDER BY assignment_id DESC');
+    const submissions = await db.all(
+      `SELECT s.*, a.title, a.deadline, a.due_date, a.reveal_policy, a.allow_resubmit, a.results_released_at,
+              a.max_attempts, a.scoring_rule, c.timezone as course_timezone
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.assignment_id
+       LEFT JOIN courses c ON a.course_id = c.course_id
+       WHERE s.user_id = ?
+       ORDER BY s.submitted_at DESC`,
+      [userId]
+    );
+    return submissions;
+  } catch (error) {
+    console.error('خطأ في جلب إجابات الطالب:', error);
+    return [];
+  }
+}
+
+// Every assignment with its course, and one student's recorded submissions, for the /assignments dashboard
+export async function getStudentAssignments(userId) {
+  try {
+    const assignments = await db.all(
+      `SELECT a.*, c.name as course_name, c.timezone as course_timezone,
+              ${QUESTION_COUNT_SQL} as question_count
+       FROM assignments a
+       LEFT JOIN courses c ON a.course_id = c.course_id
+       ORDER BY a.assignment_id`
+    );
+    const submissions = await db.all('SELECT * FROM submissions WHERE user_id = ?', [userId]);
+    return { assignments, submissions };
+  } catch (error) {
+    console.error('خطأ في جلب واجبات الطالب:', error);
+    return { assignments: [], submissions: [] };
+  }
+}
+
+// Assignments whose answers or scores are still to be sent out at the deadline
+export async function getAssignmentsAwaitingRelease() {
+  try {
+    const assignments = await db.all(
+      `SELECT a.*, c.timezone as course_timezone
+       FROM assignments a
+       LEFT JOIN courses c ON a.course_id = c.course_id
+       WHERE a.reveal_policy != 'immediate' AND a.results_released_at IS NULL`
+    );
     return assignments;
   } catch (error) {
-    console.error('خطأ في جلب جميع الواجبات:', error);
+    console.error('خطأ في جلب الواجبات بانتظار نشر النتائج:', error);
     return [];
   }
 }
 
-export async function submitAnswer(userId, assignmentId, answer) {
+// Returns false if the results were already released (e.g. by a job that ran twice)
+export async function markResultsReleased(assignmentId) {
   try {
-    const assignment = await getAssignment(assignmentId);
-    if (!assignment) {
-      return { success: false, message: 'الواجب غير موجود' };
-    }
+    const result = await db.run(
+      'UPDATE assignments SET results_released_at = CURRENT_TIMESTAMP WHERE assignment_id = ? AND results_released_at IS NULL',
+      [assignmentId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديث حالة نشر النتائج:', error);
+    return false;
+  }
+}
 
-    const score = answer.trim().toLowerCase() === assignment.correct_answer.trim().toLowerCase() ? 1 : 0;
-    
-    await db.run(
-      'INSERT OR REPLACE INTO submissions (user_id, assignment_id, answer, score) VALUES (?, ?, ?, ?)',
-      [userId, assignmentId, answer, score]
+export async function getAssignmentSubmissions(assignmentId) {
+  try {
+    const submissions = await db.all(
+      `SELECT s.*, u.username, u.first_name
+       FROM submissions s
+       LEFT JOIN users u ON s.user_id = u.user_id
+       WHERE s.assignment_id = ?
+       ORDER BY s.submitted_at ASC`,
+      [assignmentId]
     );
-    
-    return {
-      success: true,
-      score,
-      correctAnswer: assignment.correct_answer,
-      message: score === 1 ? '✅ إجابة صحيحة!' : '❌ إجابة خاطئة'
-    };
+    return submissions;
   } catch (error) {
-    console.error('خطأ في إرسال الإجابة:', error);
-    return { success: false, message: 'حدث خطأ في إرسال الإجابة' };
+    console.error('خطأ في جلب إجابات الواجب:', error);
+    return [];
   }
 }
 
@@ -478,12 +1774,13 @@ export async function getStats() {
       SELECT l.lesson_id, l.title, COUNT(a.user_id) as attendance_count,
              (SELECT COUNT(*) FROM users WHERE is_verified = 1) as total_verified
       FROM lessons l
-      LEFT JOIN attendance a ON l.lesson_id = a.lesson_id
+      LEFT JOIN attendance a ON l.lesson_id = a.lesson_id AND a.status != 'absent'
       GROUP BY l.lesson_id, l.title
     `);
     
     const submissionsByAssignment = await db.all(`
       SELECT assign.assignment_id, assign.title, COUNT(s.user_id) as submission_count,
+             COALESCE(SUM(s.is_late), 0) as late_count,
              (SELECT COUNT(*) FROM users WHERE is_verified = 1) as total_verified
       FROM assignments assign
       LEFT JOIN submissions s ON assign.assignment_id = s.assignment_id
@@ -493,6 +1790,8 @@ export async function getStats() {
     // Get additional statistics
     const totalAssignments = await db.get('SELECT COUNT(*) as count FROM assignments');
     const totalSubmissions = await db.get('SELECT COUNT(*) as count FROM submissions');
+    const pendingSubmissions = await db.get("SELECT COUNT(*) as count FROM submissions WHERE status = 'pending'");
+    const lateSubmissions = await db.get('SELECT COUNT(*) as count FROM submissions WHERE is_late = 1');
     const lastAttendance = await db.get('SELECT MAX(attended_at) as last FROM attendance');
     const lastAssignment = await db.get('SELECT MAX(assignment_id) as last FROM assignments');
     const lastFeedback = await db.get('SELECT MAX(created_at) as last FROM feedback');
@@ -502,6 +1801,8 @@ export async function getStats() {
       verifiedUsers: verifiedUsers?.count || 0,
       totalAssignments: totalAssignments?.count || 0,
       totalSubmissions: totalSubmissions?.count || 0,
+      pendingSubmissions: pendingSubmissions?.count || 0,
+      lateSubmissions: lateSubmissions?.count || 0,
       lastAttendance: lastAttendance?.last ? new Date(lastAttendance.last).toLocaleDateString('ar-SA') : null,
       lastAssignment: lastAssignment?.last || null,
       lastFeedback: lastFeedback?.last ? new Date(lastFeedback.last).toLocaleDateString('ar-SA') : null,
@@ -552,18 +1853,114 @@ export async function getVerifiedUsersWithReminders() {
   }
 }
 
+// Lesson reminder recipients with the timezone their reminder is shown in
+export async function getReminderRecipients() {
+  try {
+    const users = await db.all('SELECT user_id, timezone FROM users WHERE is_verified = 1 AND reminders_enabled = 1');
+    return users.map(user => ({
+      user_id: user.user_id,
+      timezone: user.timezone || config.schedule.defaultTimezone
+    }));
+  } catch (error) {
+    console.error('خطأ في جلب المستخدمين للتذكيرات:', error);
+    return [];
+  }
+}
+
+// Verified students who have not submitted an assignment (reminders_enabled decides who gets a DM)
+export async function getStudentsWithoutSubmission(assignmentId) {
+  try {
+    const users = await db.all(
+      `SELECT u.user_id, u.timezone, u.reminders_enabled
+       FROM users u
+       WHERE u.is_verified = 1
+         AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.user_id = u.user_id AND s.assignment_id = ?)`,
+      [assignmentId]
+    );
+    return users.map(user => ({
+      user_id: user.user_id,
+      timezone: user.timezone || config.schedule.defaultTimezone,
+      reminders_enabled: Boolean(user.reminders_enabled)
+    }));
+  } catch (error) {
+    console.error('خطأ في جلب الطلاب الذين لم يسلموا الواجب:', error);
+    return [];
+  }
+}
+
+// Everything the gradebook of a course needs, only one student's submissions and attendance when userId is given
+export async function getGradebookData(courseId, userId = null) {
+  try {
+    const course = await db.get('SELECT * FROM courses WHERE course_id = ?', [courseId]);
+    if (!course) {
+      return null;
+    }
+
+    const userFilter = userId === null ? '' : 'AND user_id = ?';
+    const params = userId === null ? [courseId] : [courseId, userId];
+
+    const assignments = await db.all(
+      `SELECT a.*, c.timezone as course_timezone,
+              ${QUESTION_COUNT_SQL} as question_count
+       FROM assignments a
+       LEFT JOIN courses c ON a.course_id = c.course_id
+       WHERE a.course_id = ?
+       ORDER BY a.assignment_id`,
+      [courseId]
+    );
+    const submissions = await db.all(
+      `SELECT * FROM submissions
+       WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?) ${userFilter}`,
+      params
+    );
+    const lessons = await db.all(
+      'SELECT * FROM lessons WHERE course_id = ? ORDER BY date, time',
+      [courseId]
+    );
+    const attendance = await db.all(
+      `SELECT user_id, lesson_id, status FROM attendance
+       WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?) ${userFilter}`,
+      params
+    );
+
+    return { course, assignments, submissions, lessons, attendance };
+  } catch (error) {
+    console.error('خطأ في جلب بيانات سجل الدرجات:', error);
+    return null;
+  }
+}
+
 // Course management functions
 export async function deleteCourse(courseId) {
   try {
-    // Delete related assignments first
-    await db.run('DELETE FROM assignments WHERE course_id = ?', [courseId]);
-    
-    // Delete related submissions
+    // Delete related submissions and quiz data while the assignments still exist
     await db.run('DELETE FROM submissions WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM submission_attempts WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM quiz_answers WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM quiz_progress WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM live_polls WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM assignment_questions WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM code_tests WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    await db.run('DELETE FROM question_bank WHERE course_id = ?', [courseId]);
+    await db.run('DELETE FROM gift_imports WHERE course_id = ?', [courseId]);
+    await db.run('DELETE FROM rubric_scores WHERE assignment_id IN (SELECT assignment_id FROM assignments WHERE course_id = ?)', [courseId]);
+    
+    // Delete related assignments
+    await db.run('DELETE FROM assignments WHERE course_id = ?', [courseId]);
     
     // Delete related attendance
     await db.run('DELETE FROM attendance WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?)', [courseId]);
     
+    // Delete lesson change history
+    await db.run('DELETE FROM lesson_changes WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?)', [courseId]);
+    
+    // Delete check-in windows
+    await db.run('DELETE FROM checkin_windows WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?)', [courseId]);
+    
+    // Delete Zoom imports
+    await db.run('DELETE FROM zoom_import_rows WHERE import_id IN (SELECT import_id FROM zoom_imports WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?))', [courseId]);
+    await db.run('DELETE FROM zoom_imports WHERE lesson_id IN (SELECT lesson_id FROM lessons WHERE course_id = ?)', [courseId]);
+    
     // Delete lessons
     const result = await db.run('DELETE FROM lessons WHERE course_id = ?', [courseId]);
     
@@ -574,6 +1971,18 @@ export async function deleteCourse(courseId) {
   }
 }
 
+// Schema version info (for /health and the migrate CLI)
+export async function getSchemaInfo() {
+  try {
+    const version = await getSchemaVersion(db);
+    const applied = await getAppliedMigrations(db);
+    return { success: true, version, latestVersion: LATEST_SCHEMA_VERSION, applied };
+  } catch (error) {
+    console.error('خطأ في جلب إصدار قاعدة البيانات:', error);
+    return { success: false, version: 0, latestVersion: LATEST_SCHEMA_VERSION, applied: [] };
+  }
+}
+
 // get db
 function getDb() {
   return db;
@@ -599,6 +2008,16 @@ export async function getCourses() {
   }
 }
 
+export async function getCourse(courseId) {
+  try {
+    const course = await db.get('SELECT * FROM courses WHERE course_id = ?', [courseId]);
+    return course;
+  } catch (error) {
+    console.error('خطأ في جلب الكورس:', error);
+    return null;
+  }
+}
+
 // Course management functions
 export async function addCourse(name, description) {
   try {
@@ -615,7 +2034,7 @@ export async function addCourse(name, description) {
 
 export async function updateCourse(courseId, field, value) {
   try {
-    const allowedFields = ['name', 'description'];
+    const allowedFields = ['name', 'description', 'timezone', 'weight_assignments', 'weight_quizzes', 'weight_attendance'];
     if (!allowedFields.includes(field)) {
       return { success: false, message: 'حقل غير مسموح' };
     }
@@ -639,11 +2058,12 @@ export async function updateCourse(courseId, field, value) {
 
 
 // Custom reminders functions
-export async function addCustomReminder(userId, dateTime, message) {
+// dateTime is wall-clock time (YYYY-MM-DD HH:MM) in timezone
+export async function addCustomReminder(userId, dateTime, message, timezone = null) {
   try {
     const result = await db.run(
-      'INSERT INTO custom_reminders (user_id, reminder_datetime, message, is_sent) VALUES (?, ?, ?, 0)',
-      [userId, dateTime, message]
+      'INSERT INTO custom_reminders (user_id, reminder_datetime, message, is_sent, timezone) VALUES (?, ?, ?, 0, ?)',
+      [userId, dateTime, message, timezone]
     );
     return result.lastID;
   } catch (error) {
@@ -684,7 +2104,7 @@ export async function exportAttendanceData() {
   try {
     const data = await db.all(`
       SELECT u.user_id, u.username, u.first_name, l.title as lesson_title, 
-             l.date, l.time, a.attended_at
+             l.date, l.time, a.status, a.attended_at
       FROM users u
       LEFT JOIN attendance a ON u.user_id = a.user_id
       LEFT JOIN lessons l ON a.lesson_id = l.lesson_id
@@ -702,7 +2122,8 @@ export async function exportAssignmentsData() {
   try {
     const data = await db.all(`
       SELECT u.user_id, u.username, u.first_name, a.title as assignment_title,
-             s.answer, s.submitted_at, s.score
+             s.answer, s.submitted_at, s.score, s.max_score, s.status, s.feedback,
+             s.is_late, s.days_late, s.late_penalty
       FROM users u
       LEFT JOIN submissions s ON u.user_id = s.user_id
       LEFT JOIN assignments a ON s.assignment_id = a.assignment_id
@@ -726,6 +2147,11 @@ export async function updateUserSettings(userId, settings) {
       updates.push('reminders_enabled = ?');
       values.push(settings.reminders_enabled ? 1 : 0);
     }
+
+    if (settings.hasOwnProperty('timezone')) {
+      updates.push('timezone = ?');
+      values.push(settings.timezone);
+    }
     
     if (updates.length === 0) return false;
     
@@ -745,12 +2171,13 @@ export async function updateUserSettings(userId, settings) {
 export async function getUserSettings(userId) {
   try {
     const user = await db.get(
-      'SELECT reminders_enabled, language FROM users WHERE user_id = ?',
+      'SELECT reminders_enabled, language, timezone FROM users WHERE user_id = ?',
       [userId]
     );
     return user ? {
       reminders_enabled: Boolean(user.reminders_enabled),
-      language: user.language || 'ar'
+      language: user.language || 'ar',
+      timezone: user.timezone || config.schedule.defaultTimezone
     } : null;
   } catch (error) {
     console.error('خطأ في جلب إعدادات المستخدم:', error);
@@ -832,6 +2259,32 @@ export async function getUserReminders(userId) {
   }
 }
 
+// Pending custom reminders (used by the reminder dispatcher at startup)
+export async function getPendingCustomReminders() {
+  try {
+    const reminders = await db.all(
+      'SELECT * FROM custom_reminders WHERE is_sent = 0 ORDER BY reminder_datetime ASC'
+    );
+    return reminders;
+  } catch (error) {
+    console.error('خطأ في جلب التذكيرات المعلقة:', error);
+    return [];
+  }
+}
+
+export async function markCustomReminderSent(reminderId) {
+  try {
+    const result = await db.run(
+      'UPDATE custom_reminders SET is_sent = 1 WHERE reminder_id = ? AND is_sent = 0',
+      [reminderId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('خطأ في تحديث حالة التذكير:', error);
+    return false;
+  }
+}
+
 export async function deleteReminder(userId, reminderId) {
   try {
     const result = await db.run(
@@ -857,6 +2310,7 @@ export async function getUpcomingLessons(days = 7) {
       FROM lessons l 
       LEFT JOIN courses c ON l.course_id = c.course_id 
       WHERE date(l.date) BETWEEN date('now') AND date('now', '+${days} days')
+        AND COALESCE(l.status, 'scheduled') != 'cancelled'
       ORDER BY l.date ASC, l.time ASC
     `);
     return { success: true, data: lessons };
@@ -893,11 +2347,25 @@ export async function getUserLanguage(userId) {
   }
 }
 
+// User timezone functions
+export async function getUserTimezone(userId) {
+  try {
+    const user = await db.get(
+      'SELECT timezone FROM users WHERE user_id = ?',
+      [userId]
+    );
+    return user?.timezone || config.schedule.defaultTimezone;
+  } catch (error) {
+    console.error('خطأ في جلب المنطقة الزمنية للمستخدم:', error);
+    return config.schedule.defaultTimezone;
+  }
+}
+
 // Broadcast functions
 export async function getAllVerifiedUsers() {
   try {
     const users = await db.all(
-      'SELECT user_id, username, first_name FROM users WHERE is_verified = 1'
+      'SELECT user_id, username, first_name, timezone FROM users WHERE is_verified = 1'
     );
     return users;
   } catch (error) {
@@ -0,0 +1,245 @@
+// bot/utils/gift.js
+// Parsing of Moodle GIFT question files into quiz questions.
+// Format reference: https://docs.moodle.org/en/GIFT_format
+
+import { MAX_OPTIONS } from './quiz.js';
+
+// Escaped special characters are swapped for private-use characters while parsing, then restored
+const ESCAPES = {
+  '\\\\': '\uE000',
+  '\\~': '\uE001',
+  '\\=': '\uE002',
+  '\\#': '\uE003',
+  '\\{': '\uE004',
+  '\\}': '\uE005',
+  '\\:': '\uE006',
+  '\\n': '\uE007'
+};
+const RESTORED = Object.fromEntries(Object.entries(ESCAPES).map(([escaped, placeholder]) => [placeholder, escaped[1]]));
+RESTORED['\uE007'] = '\n';
+
+// Text shown in place of the answer block of a missing-word question ("The {=cat ~dog} sat")
+export const GIFT_BLANK = '_____';
+
+function protectEscapes(text) {
+  return text.replace(/\\[\\~=#{}:n]/g, escaped => ESCAPES[escaped]);
+}
+
+function restoreEscapes(text) {
+  return text.replace(/[\uE000-\uE007]/g, placeholder => RESTORED[placeholder]);
+}
+
+function cleanText(text, format) {
+  let cleaned = text;
+  if (format === 'html') {
+    cleaned = cleaned.replace(/<br\s*\/?>/gi, ESCAPES['\\n']).replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  }
+  // Line breaks in the file are only layout, \n asks for a real one
+  return restoreEscapes(cleaned.replace(/\s+/g, ' ')).replace(/ *\n */g, '\n').trim();
+}
+
+/**
+ * Split a file into question blocks separated by blank lines
+ * Comment lines (//) and $CATEGORY lines are skipped.
+ * @param {string} text - File content
+ * @returns {Array<{line: number, source: string}>} - Each block with the line it starts on (1-based)
+ */
+export function splitGiftBlocks(text) {
+  const blocks = [];
+  let current = null;
+  String(text ?? '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//') || /^\$CATEGORY:/i.test(trimmed)) {
+      return;
+    }
+    if (trimmed === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, source: '' };
+      blocks.push(current);
+    }
+    current.source += (current.source ? '\n' : '') + line;
+  });
+  return blocks;
+}
+
+// Split "=a ~b ~%50%c#feedback" into its answers, each with its mark, weight and text
+function splitAnswers(body) {
+  const answers = [];
+  for (const match of body.matchAll(/([=~])([^=~]*)/g)) {
+    let text = match[2].split('#')[0];
+    let weight = match[1] === '=' ? 100 : 0;
+    const weighted = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weighted) {
+      weight = Number(weighted[1]);
+      text = text.slice(weighted[0].length);
+    }
+    answers.push({ mark: match[1], weight, text });
+  }
+  return answers;
+}
+
+function parseNumericAnswer(text) {
+  const value = text.split('#')[0].trim();
+  const number = '(-?\\d+(?:\\.\\d+)?)';
+  let match;
+  if ((match = value.match(new RegExp(`^${number}\\.\\.${number}$`)))) {
+    const [min, max] = [Number(match[1]), Number(match[2])];
+    if (min > max) return null;
+    return { correctAnswer: String((min + max) / 2), tolerance: (max - min) / 2 };
+  }
+  if ((match = value.match(new RegExp(`^${number}(?:\\s*:\\s*${number})?$`)))) {
+    return { correctAnswer: String(Number(match[1])), tolerance: match[2] === undefined ? 0 : Number(match[2]) };
+  }
+  return null;
+}
+
+// Work out the question from its answer block, or the reason it cannot be imported
+function parseAnswerBlock(body, format) {
+  const answers = body.split('####')[0].trim();
+
+  if (answers === '') {
+    return { error: 'أسئلة المقال غير مدعومة' };
+  }
+
+  if (answers.startsWith('#')) {
+    const entries = answers.slice(1).trim();
+    if (!/^[=~]/.test(entries)) {
+      const numeric = parseNumericAnswer(entries);
+      return numeric ? { type: 'numeric', ...numeric } : { error: 'إجابة رقمية غير صحيحة' };
+    }
+    const parsed = splitAnswers(entries);
+    if (parsed.some(answer => answer.weight !== 100 && answer.weight !== 0)) {
+      return { error: 'الدرجات الجزئية غير مدعومة' };
+    }
+    const correct = parsed.filter(answer => answer.weight === 100);
+    if (correct.length !== 1) {
+      return { error: 'السؤال الرقمي يجب أن يكون له إجابة صحيحة واحدة' };
+    }
+    const numeric = parseNumericAnswer(correct[0].text);
+    return numeric ? { type: 'numeric', ...numeric } : { error: 'إجابة رقمية غير صحيحة' };
+  }
+
+  const trueFalse = answers.match(/^(T|TRUE|F|FALSE)\s*(?:#|$)/i);
+  if (trueFalse) {
+    return { type: 'true_false', correctAnswer: /^t/i.test(trueFalse[1]) ? 'true' : 'false' };
+  }
+
+  if (answers.includes('->')) {
+    return { error: 'أسئلة المطابقة غير مدعومة' };
+  }
+
+  if (!/^[=~]/.test(answers)) {
+    return { error: 'كل إجابة يجب أن تبدأ بـ = أو ~' };
+  }
+
+  const parsed = splitAnswers(answers).map(answer => ({ ...answer, text: cleanText(answer.text, format) }));
+  if (parsed.some(answer => answer.text === '')) {
+    return { error: 'توجد إجابة فارغة' };
+  }
+  if (parsed.some(answer => answer.weight !== 100 && answer.weight !== 0)) {
+    return { error: 'الدرجات الجزئية والإجابات المتعددة غير مدعومة' };
+  }
+
+  // Only = answers: any of them is accepted as typed by the student
+  if (parsed.every(answer => answer.mark === '=')) {
+    return {
+      type: 'short_answer',
+      correctAnswer: parsed[0].text,
+      acceptedAnswers: parsed.slice(1).map(answer => answer.text)
+    };
+  }
+
+  const correct = parsed.filter(answer => answer.weight === 100);
+  if (correct.length !== 1) {
+    return { error: 'سؤال الاختيار من متعدد يجب أن يكون له خيار صحيح واحد' };
+  }
+  if (parsed.length < 2 || parsed.length > MAX_OPTIONS) {
+    return { error: `عدد الخيارات يجب أن يكون بين 2 و ${MAX_OPTIONS}` };
+  }
+  return {
+    type: 'mcq',
+    options: parsed.map(answer => answer.text),
+    correctAnswer: String(parsed.indexOf(correct[0]))
+  };
+}
+
+/**
+ * Parse one GIFT question
+ * @param {string} source - The question block
+ * @returns {{title: string|null, type: string, text: string, options: string[]|null, correctAnswer: string,
+ *   acceptedAnswers: string[], tolerance: number|null}|{error: string}}
+ */
+export function parseGiftQuestion(source) {
+  let rest = protectEscapes(String(source ?? '')).trim();
+
+  let title = null;
+  const titled = rest.match(/^::([^]*?)::/);
+  if (titled) {
+    title = cleanText(titled[1], 'moodle') || null;
+    rest = rest.slice(titled[0].length).trim();
+  }
+
+  let format = 'moodle';
+  const formatted = rest.match(/^\[(html|moodle|plain|markdown)\]/i);
+  if (formatted) {
+    format = formatted[1].toLowerCase();
+    rest = rest.slice(formatted[0].length).trim();
+  }
+
+  const open = rest.indexOf('{');
+  const close = open === -1 ? -1 : rest.indexOf('}', open);
+  if (open === -1) {
+    return { error: 'لا توجد إجابات بين { }، الأوصاف بدون أسئلة لا تُستورد' };
+  }
+  if (close === -1) {
+    return { error: 'القوس { غير مغلق' };
+  }
+  if (rest.indexOf('{', close) !== -1) {
+    return { error: 'أكثر من مجموعة إجابات في السؤال نفسه' };
+  }
+
+  const before = cleanText(rest.slice(0, open), format);
+  const after = cleanText(rest.slice(close + 1), format);
+  const text = after ? `${before} ${GIFT_BLANK}${/^[.,;:!?؟،]/.test(after) ? '' : ' '}${after}` : before;
+  if (!text) {
+    return { error: 'نص السؤال فارغ' };
+  }
+
+  const parsed = parseAnswerBlock(rest.slice(open + 1, close), format);
+  if (parsed.error) {
+    return parsed;
+  }
+  return {
+    title,
+    type: parsed.type,
+    text,
+    options: parsed.options || null,
+    correctAnswer: parsed.correctAnswer,
+    acceptedAnswers: parsed.acceptedAnswers || [],
+    tolerance: parsed.tolerance ?? null
+  };
+}
+
+/**
+ * Parse a GIFT file
+ * @param {string} text - File content
+ * @returns {{questions: Object[], errors: Array<{line: number, source: string, error: string}>}}
+ *   - Questions as returned by parseGiftQuestion with the line they start on, and the blocks that could not be parsed
+ */
+export function parseGift(text) {
+  const questions = [];
+  const errors = [];
+  for (const block of splitGiftBlocks(text)) {
+    const parsed = parseGiftQuestion(block.source);
+    if (parsed.error) {
+      errors.push({ line: block.line, source: block.source.split('\n')[0].trim(), error: parsed.error });
+    } else {
+      questions.push({ line: block.line, ...parsed });
+    }
+  }
+  return { questions, errors };
+}
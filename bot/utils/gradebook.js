@@ -0,0 +1,142 @@
+// bot/utils/gradebook.js
+// Course gradebook: assignment, quiz and attendance percentages combined with the course's category weights.
+
+import { getSubmissionsCloseInstant, isResultVisible } from './assignmentPolicy.js';
+import { getLessonStart } from './timezone.js';
+
+// Quizzes are assignments made of several questions (/quiz), assignments are answered with /submit
+export const GRADE_CATEGORY_NAMES = {
+  assignments: 'الواجبات',
+  quizzes: 'الاختبارات',
+  attendance: 'الحضور'
+};
+export const GRADE_CATEGORIES = Object.keys(GRADE_CATEGORY_NAMES);
+
+export const DEFAULT_GRADE_WEIGHTS = { assignments: 60, quizzes: 20, attendance: 20 };
+
+function roundPercent(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  return values.length === 0 ? null : roundPercent(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Get a course's category weights
+ * @param {Object} course - Course row (weight_assignments, weight_quizzes, weight_attendance)
+ * @returns {{assignments: number, quizzes: number, attendance: number}}
+ */
+export function getCourseWeights(course) {
+  const weights = {};
+  for (const category of GRADE_CATEGORIES) {
+    const weight = Number(course?.[`weight_${category}`] ?? DEFAULT_GRADE_WEIGHTS[category]);
+    weights[category] = weight >= 0 ? weight : 0;
+  }
+  return weights;
+}
+
+/**
+ * Work out what one assignment contributes to a student's grade
+ * Scores count once the student could see them; unanswered assignments count as 0 once submissions close.
+ * @param {Object} assignment - Assignment row with course_timezone
+ * @param {Object|null} submission - The student's recorded submission, if any
+ * @param {Date} [at] - Instant to grade at (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course has no timezone
+ * @returns {{status: string, percent: number|null}} - status is 'graded', 'missing', 'pending', 'hidden' or 'open'
+ */
+export function getAssignmentGrade(assignment, submission, at = new Date(), fallbackTimezone = 'UTC') {
+  if (!submission) {
+    const closesAt = getSubmissionsCloseInstant(assignment, fallbackTimezone);
+    return closesAt && closesAt <= at
+      ? { status: 'missing', percent: 0 }
+      : { status: 'open', percent: null };
+  }
+  if (submission.status === 'pending' || submission.score === null || submission.score === undefined) {
+    return { status: 'pending', percent: null };
+  }
+
+  if (!isResultVisible(assignment, submission, at, fallbackTimezone)) {
+    return { status: 'hidden', percent: null };
+  }
+
+  const maxScore = Number(submission.max_score ?? 1);
+  return {
+    status: 'graded',
+    percent: maxScore > 0 ? roundPercent((Number(submission.score) / maxScore) * 100) : 0
+  };
+}
+
+/**
+ * Work out a student's attendance percentage for a course
+ * Only lessons that have started and were not cancelled count; late check-ins count as attended.
+ * @param {Array<Object>} lessons - The course's lessons
+ * @param {Array<Object>} attendance - The student's attendance records (lesson_id, status)
+ * @param {Date} [at] - Instant to grade at (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when a lesson has no timezone
+ * @returns {{held: number, attended: number, percent: number|null}}
+ */
+export function getAttendanceGrade(lessons, attendance, at = new Date(), fallbackTimezone = 'UTC') {
+  const attendedLessons = new Set(
+    attendance.filter(record => record.status !== 'absent').map(record => record.lesson_id)
+  );
+  const held = lessons.filter(lesson => lesson.status !== 'cancelled' && getLessonStart(lesson, fallbackTimezone) <= at);
+  const attended = held.filter(lesson => attendedLessons.has(lesson.lesson_id)).length;
+
+  return {
+    held: held.length,
+    attended,
+    percent: held.length > 0 ? roundPercent((attended / held.length) * 100) : null
+  };
+}
+
+/**
+ * Combine category percentages with the course weights
+ * Categories without anything graded yet are left out and the remaining weights are scaled up.
+ * @param {Object<string, number|null>} percents - Percentage per category
+ * @param {Object<string, number>} weights - Weight per category
+ * @returns {number|null} - Weighted percentage, or null if nothing counts yet
+ */
+export function combineCategoryGrades(percents, weights) {
+  let total = 0;
+  let totalWeight = 0;
+  for (const category of GRADE_CATEGORIES) {
+    if (percents[category] === null || percents[category] === undefined || !weights[category]) continue;
+    total += percents[category] * weights[category];
+    totalWeight += weights[category];
+  }
+  return totalWeight > 0 ? roundPercent(total / totalWeight) : null;
+}
+
+/**
+ * Build a student's gradebook entry for a course
+ * @param {Object} data - The course's assignments (with question_count), lessons,
+ *                        and the student's submissions and attendance records
+ * @param {Object<string, number>} weights - Weight per category
+ * @param {Date} [at] - Instant to grade at (defaults to now)
+ * @param {string} [fallbackTimezone] - Used when the course or a lesson has no timezone
+ * @returns {{items: Array<Object>, categories: Object, attendance: Object, total: number|null}}
+ */
+export function computeCourseGrade({ assignments, submissions, lessons, attendance }, weights, at = new Date(), fallbackTimezone = 'UTC') {
+  const submissionsByAssignment = new Map(submissions.map(submission => [submission.assignment_id, submission]));
+
+  const items = assignments.map(assignment => ({
+    assignment,
+    category: assignment.question_count > 0 ? 'quizzes' : 'assignments',
+    ...getAssignmentGrade(assignment, submissionsByAssignment.get(assignment.assignment_id) || null, at, fallbackTimezone)
+  }));
+  const attendanceGrade = getAttendanceGrade(lessons, attendance, at, fallbackTimezone);
+
+  const categories = {
+    assignments: average(items.filter(item => item.category === 'assignments' && item.percent !== null).map(item => item.percent)),
+    quizzes: average(items.filter(item => item.category === 'quizzes' && item.percent !== null).map(item => item.percent)),
+    attendance: attendanceGrade.percent
+  };
+
+  return {
+    items,
+    categories,
+    attendance: attendanceGrade,
+    total: combineCategoryGrades(categories, weights)
+  };
+}
@@ -0,0 +1,88 @@
+// bot/utils/lessonSeries.js
+// Date helpers for recurring lesson series. Weekdays use JavaScript numbering (0 = Sunday).
+
+const WEEKDAY_ALIASES = {
+  sun: 0, sunday: 0, 'الأحد': 0, 'الاحد': 0,
+  mon: 1, monday: 1, 'الاثنين': 1, 'الإثنين': 1,
+  tue: 2, tuesday: 2, 'الثلاثاء': 2,
+  wed: 3, wednesday: 3, 'الأربعاء': 3, 'الاربعاء': 3,
+  thu: 4, thursday: 4, 'الخميس': 4,
+  fri: 5, friday: 5, 'الجمعة': 5,
+  sat: 6, saturday: 6, 'السبت': 6
+};
+
+const WEEKDAY_NAMES = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a weekday list such as "sun,tue" or "الأحد/الثلاثاء"
+ * @param {string} input - Weekdays separated by commas or slashes
+ * @returns {number[]|null} - Sorted unique weekday numbers, or null if any entry is unknown
+ */
+export function parseWeekdays(input) {
+  if (typeof input !== 'string' || input.trim() === '') return null;
+
+  const days = new Set();
+  for (const part of input.split(/[,/،]/)) {
+    const key = part.trim().toLowerCase();
+    if (!(key in WEEKDAY_ALIASES)) return null;
+    days.add(WEEKDAY_ALIASES[key]);
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Format weekday numbers as Arabic day names
+ * @param {number[]} weekdays - Weekday numbers
+ * @returns {string} - Comma separated Arabic names
+ */
+export function formatWeekdays(weekdays) {
+  return weekdays.map(day => WEEKDAY_NAMES[day]).join('، ');
+}
+
+/**
+ * Parse a comma separated list of YYYY-MM-DD dates, ignoring blanks
+ * @param {string} input - Dates separated by commas
+ * @returns {string[]|null} - The dates, or null if any entry is malformed
+ */
+export function parseDateList(input) {
+  if (!input) return [];
+
+  const dates = input.split(',').map(date => date.trim()).filter(date => date.length > 0);
+  for (const date of dates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      return null;
+    }
+  }
+  return dates;
+}
+
+/**
+ * Generate the lesson dates of a series
+ * Calendar arithmetic is done in UTC so DST changes never shift a date.
+ * @param {Object} series - Series definition
+ * @param {number[]} series.weekdays - Weekdays the cohort meets on
+ * @param {string} series.startDate - First day of the series (YYYY-MM-DD)
+ * @param {number} series.weeks - Number of weeks the series runs for
+ * @param {string[]} [series.skipDates] - Holidays or other dates to skip
+ * @returns {string[]} - Lesson dates in ascending order (YYYY-MM-DD)
+ */
+export function generateSeriesDates({ weekdays, startDate, weeks, skipDates = [] }) {
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  if (isNaN(start) || !Array.isArray(weekdays) || weeks <= 0) return [];
+
+  const skip = new Set(skipDates);
+  const dates = [];
+
+  for (let offset = 0; offset < weeks * 7; offset++) {
+    const day = new Date(start + offset * DAY_MS);
+    const isoDate = day.toISOString().split('T')[0];
+    if (weekdays.includes(day.getUTCDay()) && !skip.has(isoDate)) {
+      dates.push(isoDate);
+    }
+  }
+
+  return dates;
+}
@@ -0,0 +1,701 @@
+// bot/utils/migrations.js
+// Numbered, forward-only schema migrations.
+// Never edit a migration once it has been deployed: add a new one with the next version instead.
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'baseline_schema',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          user_id INTEGER PRIMARY KEY,
+          username TEXT,
+          first_name TEXT,
+          join_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_verified BOOLEAN DEFAULT 0,
+          reminders_enabled BOOLEAN DEFAULT 1,
+          language TEXT DEFAULT 'ar',
+          notification_frequency TEXT DEFAULT 'daily'
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS lessons (
+          lesson_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          date TEXT NOT NULL,
+          time TEXT NOT NULL,
+          zoom_link TEXT
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS attendance (
+          user_id INTEGER,
+          lesson_id INTEGER,
+          attended_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, lesson_id),
+          FOREIGN KEY (user_id) REFERENCES users(user_id),
+          FOREIGN KEY (lesson_id) REFERENCES lessons(lesson_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS announcements (
+          announcement_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          published_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sent_to_group BOOLEAN DEFAULT 0
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS assignments (
+          assignment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          question TEXT NOT NULL,
+          correct_answer TEXT NOT NULL,
+          deadline TEXT,
+          due_date TEXT
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS submissions (
+          user_id INTEGER,
+          assignment_id INTEGER,
+          answer TEXT NOT NULL,
+          submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          score INTEGER DEFAULT 0,
+          PRIMARY KEY (user_id, assignment_id),
+          FOREIGN KEY (user_id) REFERENCES users(user_id),
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS custom_reminders (
+          reminder_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          reminder_datetime DATETIME NOT NULL,
+          message TEXT NOT NULL,
+          is_sent BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(user_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS feedback (
+          feedback_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          message TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_read BOOLEAN DEFAULT 0,
+          admin_response TEXT,
+          FOREIGN KEY (user_id) REFERENCES users(user_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS bugs (
+          bug_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          message TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_resolved BOOLEAN DEFAULT 0,
+          admin_notes TEXT,
+          FOREIGN KEY (user_id) REFERENCES users(user_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'create_courses',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS courses (
+          course_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Older databases already reference course ids from lessons and assignments
+      await db.exec(`
+        INSERT OR IGNORE INTO courses (course_id, name)
+        SELECT course_id, 'كورس ' || course_id FROM (
+          SELECT course_id FROM lessons
+          UNION
+          SELECT course_id FROM assignments
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'backfill_user_settings_columns',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'users', 'reminders_enabled', 'BOOLEAN DEFAULT 1');
+      await addColumnIfMissing(db, 'users', 'language', "TEXT DEFAULT 'ar'");
+      await addColumnIfMissing(db, 'users', 'notification_frequency', "TEXT DEFAULT 'daily'");
+      await addColumnIfMissing(db, 'assignments', 'deadline', 'TEXT');
+      await addColumnIfMissing(db, 'assignments', 'due_date', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'create_lesson_series',
+    up: async (db) => {
+      // weekdays: comma separated 0-6 (0 = Sunday), skip_dates: comma separated YYYY-MM-DD
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS lesson_series (
+          series_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          weekdays TEXT NOT NULL,
+          time TEXT NOT NULL,
+          start_date TEXT NOT NULL,
+          weeks INTEGER NOT NULL,
+          skip_dates TEXT,
+          zoom_link TEXT,
+          is_cancelled BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (course_id) REFERENCES courses(course_id)
+        )
+      `);
+      await addColumnIfMissing(db, 'lessons', 'series_id', 'INTEGER REFERENCES lesson_series(series_id)');
+    }
+  },
+  {
+    version: 5,
+    name: 'add_calendar_tokens',
+    up: async (db) => {
+      // Secret token used in each user's subscribable ICS feed URL
+      await addColumnIfMissing(db, 'users', 'calendar_token', 'TEXT');
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token)');
+    }
+  },
+  {
+    version: 6,
+    name: 'add_timezones',
+    up: async (db) => {
+      // IANA timezone names, e.g. 'Africa/Algiers'
+      await addColumnIfMissing(db, 'courses', 'timezone', 'TEXT');
+      await addColumnIfMissing(db, 'users', 'timezone', 'TEXT');
+      await addColumnIfMissing(db, 'lessons', 'timezone', 'TEXT');
+      await addColumnIfMissing(db, 'lesson_series', 'timezone', 'TEXT');
+
+      // Existing lesson times were interpreted in the server's local zone
+      const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      await db.run('UPDATE lessons SET timezone = ? WHERE timezone IS NULL', [serverTimezone]);
+      await db.run('UPDATE lesson_series SET timezone = ? WHERE timezone IS NULL', [serverTimezone]);
+    }
+  },
+  {
+    version: 7,
+    name: 'create_lesson_changes',
+    up: async (db) => {
+      // status: 'scheduled' or 'cancelled', cancelled lessons are kept for history
+      await addColumnIfMissing(db, 'lessons', 'status', "TEXT DEFAULT 'scheduled'");
+
+      // change_type: 'cancelled' or 'rescheduled'
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS lesson_changes (
+          change_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          lesson_id INTEGER NOT NULL,
+          change_type TEXT NOT NULL,
+          old_date TEXT,
+          old_time TEXT,
+          new_date TEXT,
+          new_time TEXT,
+          reason TEXT,
+          changed_by INTEGER,
+          changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (lesson_id) REFERENCES lessons(lesson_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_checkin_windows',
+    up: async (db) => {
+      // status: 'present' (recorded before check-in windows), 'on_time', 'late' or 'absent'
+      await addColumnIfMissing(db, 'attendance', 'status', "TEXT DEFAULT 'present'");
+
+      // Timestamps are ISO strings, a window is open until closed_at is set
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS checkin_windows (
+          window_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          lesson_id INTEGER NOT NULL,
+          code TEXT NOT NULL,
+          opened_at TEXT NOT NULL,
+          late_at TEXT NOT NULL,
+          closes_at TEXT NOT NULL,
+          closed_at TEXT,
+          opened_by INTEGER,
+          FOREIGN KEY (lesson_id) REFERENCES lessons(lesson_id)
+        )
+      `);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_checkin_windows_code ON checkin_windows(code)');
+    }
+  },
+  {
+    version: 9,
+    name: 'create_zoom_imports',
+    up: async (db) => {
+      // alias: lower-cased email or normalized display name, remembered from manual review
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS zoom_aliases (
+          alias TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(user_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS zoom_imports (
+          import_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          lesson_id INTEGER NOT NULL,
+          file_name TEXT,
+          min_minutes INTEGER NOT NULL,
+          imported_by INTEGER,
+          imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (lesson_id) REFERENCES lessons(lesson_id)
+        )
+      `);
+
+      // status: 'recorded', 'already_recorded', 'below_threshold', 'unmatched' or 'ignored'
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS zoom_import_rows (
+          row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          import_id INTEGER NOT NULL,
+          participant_name TEXT NOT NULL,
+          email TEXT,
+          duration_minutes REAL NOT NULL,
+          user_id INTEGER,
+          status TEXT NOT NULL,
+          FOREIGN KEY (import_id) REFERENCES zoom_imports(import_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'create_quiz_questions',
+    up: async (db) => {
+      // type: 'mcq', 'true_false' or 'short_answer'
+      // options: JSON array for mcq, correct_answer: option index, 'true'/'false' or the expected text
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS assignment_questions (
+          question_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          assignment_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          text TEXT NOT NULL,
+          options TEXT,
+          correct_answer TEXT NOT NULL,
+          points INTEGER DEFAULT 1,
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS quiz_answers (
+          user_id INTEGER NOT NULL,
+          assignment_id INTEGER NOT NULL,
+          question_id INTEGER NOT NULL,
+          answer TEXT NOT NULL,
+          is_correct BOOLEAN DEFAULT 0,
+          points INTEGER DEFAULT 0,
+          answered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, question_id),
+          FOREIGN KEY (question_id) REFERENCES assignment_questions(question_id)
+        )
+      `);
+
+      // The quiz a user is currently answering, kept in the database so it survives restarts
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS quiz_progress (
+          user_id INTEGER PRIMARY KEY,
+          assignment_id INTEGER NOT NULL,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
+        )
+      `);
+
+      // Single-question assignments are worth 1 point, quizzes the sum of their question points
+      await addColumnIfMissing(db, 'submissions', 'max_score', 'INTEGER DEFAULT 1');
+    }
+  },
+  {
+    version: 11,
+    name: 'add_assignment_match_modes',
+    up: async (db) => {
+      // match_mode: 'exact', 'normalized', 'keywords', 'regex' or 'numeric' (see bot/utils/answerMatching.js)
+      await addColumnIfMissing(db, 'assignments', 'match_mode', "TEXT DEFAULT 'exact'");
+      await addColumnIfMissing(db, 'assignments', 'match_tolerance', 'REAL DEFAULT 0');
+    }
+  },
+  {
+    version: 12,
+    name: 'add_manual_grading',
+    up: async (db) => {
+      // grading: 'auto' or 'manual', manual submissions wait in the /grade queue
+      await addColumnIfMissing(db, 'assignments', 'grading', "TEXT DEFAULT 'auto'");
+      await addColumnIfMissing(db, 'assignments', 'max_score', 'INTEGER DEFAULT 1');
+
+      // status: 'pending' until an instructor grades it, then 'graded'
+      await addColumnIfMissing(db, 'submissions', 'status', "TEXT DEFAULT 'graded'");
+      await addColumnIfMissing(db, 'submissions', 'feedback', 'TEXT');
+      await addColumnIfMissing(db, 'submissions', 'graded_by', 'INTEGER');
+      await addColumnIfMissing(db, 'submissions', 'graded_at', 'DATETIME');
+    }
+  },
+  {
+    version: 13,
+    name: 'add_answer_reveal_policy',
+    up: async (db) => {
+      // reveal_policy: 'immediate', 'after_deadline' or 'never' (see bot/utils/assignmentPolicy.js)
+      // results_released_at: when answers and scores were sent to submitters after the deadline
+      const columns = await db.all('PRAGMA table_info(assignments)');
+      const isNewColumn = !columns.some(col => col.name === 'reveal_policy');
+      await addColumnIfMissing(db, 'assignments', 'reveal_policy', "TEXT DEFAULT 'after_deadline'");
+      await addColumnIfMissing(db, 'assignments', 'allow_resubmit', 'BOOLEAN DEFAULT 1');
+      await addColumnIfMissing(db, 'assignments', 'results_released_at', 'DATETIME');
+
+      // Existing assignments already showed the answer on submission, keep them that way
+      if (isNewColumn) {
+        await db.run("UPDATE assignments SET reveal_policy = 'immediate'");
+      }
+    }
+  },
+  {
+    version: 14,
+    name: 'add_late_submission_policy',
+    up: async (db) => {
+      // late_policy: 'reject', 'penalty' or 'grace' (see bot/utils/assignmentPolicy.js)
+      // late_penalty: percent taken off per started day late, grace_hours: late window without a penalty
+      await addColumnIfMissing(db, 'assignments', 'late_policy', "TEXT DEFAULT 'reject'");
+      await addColumnIfMissing(db, 'assignments', 'late_penalty', 'REAL DEFAULT 10');
+      await addColumnIfMissing(db, 'assignments', 'grace_hours', 'INTEGER DEFAULT 24');
+
+      // late_penalty on a submission is the percentage that was taken off its score
+      await addColumnIfMissing(db, 'submissions', 'is_late', 'BOOLEAN DEFAULT 0');
+      await addColumnIfMissing(db, 'submissions', 'days_late', 'INTEGER DEFAULT 0');
+      await addColumnIfMissing(db, 'submissions', 'late_penalty', 'REAL DEFAULT 0');
+    }
+  },
+  {
+    version: 15,
+    name: 'create_submission_attempts',
+    up: async (db) => {
+      // max_attempts: NULL for the reveal policy's default, 0 for unlimited
+      // scoring_rule: 'best', 'last' or 'average', decides the score recorded in submissions
+      await addColumnIfMissing(db, 'assignments', 'max_attempts', 'INTEGER');
+      await addColumnIfMissing(db, 'assignments', 'scoring_rule', "TEXT DEFAULT 'last'");
+      await addColumnIfMissing(db, 'submissions', 'attempt_count', 'INTEGER DEFAULT 1');
+
+      // Every attempt, submissions keeps the latest answer and the recorded score
+      // status: 'graded', 'pending' (manual grading) or 'replaced' (a newer attempt was submitted before grading)
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS submission_attempts (
+          attempt_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          assignment_id INTEGER NOT NULL,
+          attempt_number INTEGER NOT NULL,
+          answer TEXT NOT NULL,
+          score REAL,
+          max_score INTEGER DEFAULT 1,
+          status TEXT DEFAULT 'graded',
+          is_late BOOLEAN DEFAULT 0,
+          days_late INTEGER DEFAULT 0,
+          late_penalty REAL DEFAULT 0,
+          submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, assignment_id, attempt_number),
+          FOREIGN KEY (user_id) REFERENCES users(user_id),
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
+        )
+      `);
+
+      // Existing submissions become each student's first attempt
+      await db.run(`
+        INSERT OR IGNORE INTO submission_attempts
+          (user_id, assignment_id, attempt_number, answer, score, max_score, status, is_late, days_late, late_penalty, submitted_at)
+        SELECT user_id, assignment_id, 1, answer, score, max_score, status, is_late, days_late, late_penalty, submitted_at
+        FROM submissions
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'add_gradebook_weights',
+    up: async (db) => {
+      // Category weights of the course gradebook (see bot/utils/gradebook.js), scaled to the categories with grades
+      await addColumnIfMissing(db, 'courses', 'weight_assignments', 'REAL DEFAULT 60');
+      await addColumnIfMissing(db, 'courses', 'weight_quizzes', 'REAL DEFAULT 20');
+      await addColumnIfMissing(db, 'courses', 'weight_attendance', 'REAL DEFAULT 20');
+    }
+  },
+  {
+    version: 17,
+    name: 'create_live_polls',
+    up: async (db) => {
+      // Quiz polls posted to the group, poll_id is Telegram's id carried by poll_answer updates
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS live_polls (
+          poll_id TEXT PRIMARY KEY,
+          assignment_id INTEGER NOT NULL,
+          question_id INTEGER NOT NULL,
+          chat_id INTEGER NOT NULL,
+          message_id INTEGER NOT NULL,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          closed_at DATETIME,
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id),
+          FOREIGN KEY (question_id) REFERENCES assignment_questions(question_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'create_wizard_sessions',
+    up: async (db) => {
+      // The step-by-step wizard a user is answering, kept in the database so it survives restarts
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS wizard_sessions (
+          user_id INTEGER PRIMARY KEY,
+          chat_id INTEGER NOT NULL,
+          wizard TEXT NOT NULL,
+          data TEXT NOT NULL DEFAULT '{}',
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'create_code_tests',
+    up: async (db) => {
+      // assignment_type: 'code' for JavaScript exercises graded by their code_tests, 'answer' otherwise
+      // (quizzes are recognized by their assignment_questions)
+      await addColumnIfMissing(db, 'assignments', 'assignment_type', "TEXT DEFAULT 'answer'");
+
+      // Hidden test cases: expression is evaluated after the student's code and compared with expected
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS code_tests (
+          test_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          assignment_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          expression TEXT NOT NULL,
+          expected TEXT NOT NULL,
+          points INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id)
+        )
+      `);
+    }
+  },
+  {
+    version: 20,
+    name: 'create_question_bank',
+    up: async (db) => {
+      // Questions of a course that quizzes draw from, text and answer may hold parameters like {a:1..10}
+      // tags: comma separated, lowercase; difficulty: easy, medium or hard
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS question_bank (
+          bank_question_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          text TEXT NOT NULL,
+          options TEXT,
+          correct_answer TEXT NOT NULL,
+          points INTEGER DEFAULT 1,
+          tags TEXT DEFAULT '',
+          difficulty TEXT DEFAULT 'medium',
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (course_id) REFERENCES courses(course_id)
+        )
+      `);
+
+      // A quiz may draw draw_count random bank questions per student, optionally of some tags and one difficulty
+      await addColumnIfMissing(db, 'assignments', 'draw_count', 'INTEGER DEFAULT 0');
+      await addColumnIfMissing(db, 'assignments', 'draw_tags', 'TEXT');
+      await addColumnIfMissing(db, 'assignments', 'draw_difficulty', 'TEXT');
+
+      // A student's drawn variant is stored as questions of the quiz owned by that student (user_id),
+      // shared questions keep user_id NULL; params holds the values picked for a parameterized question
+      await addColumnIfMissing(db, 'assignment_questions', 'user_id', 'INTEGER');
+      await addColumnIfMissing(db, 'assignment_questions', 'bank_question_id', 'INTEGER');
+      await addColumnIfMissing(db, 'assignment_questions', 'params', 'TEXT');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_assignment_questions_user ON assignment_questions(assignment_id, user_id)');
+    }
+  },
+  {
+    version: 21,
+    name: 'create_gift_imports',
+    up: async (db) => {
+      // A GIFT file parsed and previewed, waiting for the admin to confirm it becomes a quiz
+      // questions: JSON of the parsed questions; status: pending, imported or cancelled
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS gift_imports (
+          import_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          deadline TEXT NOT NULL,
+          file_name TEXT,
+          questions TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          assignment_id INTEGER,
+          imported_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (course_id) REFERENCES courses(course_id)
+        )
+      `);
+
+      // Other answers a short-answer question accepts (JSON array), and a numeric question's own tolerance
+      await addColumnIfMissing(db, 'assignment_questions', 'accepted_answers', 'TEXT');
+      await addColumnIfMissing(db, 'assignment_questions', 'tolerance', 'REAL');
+    }
+  },
+  {
+    version: 22,
+    name: 'create_rubrics',
+    up: async (db) => {
+      // Reusable rubrics; levels: JSON [{points, label}] from lowest to highest points
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS rubrics (
+          rubric_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS rubric_criteria (
+          criterion_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rubric_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          levels TEXT NOT NULL,
+          FOREIGN KEY (rubric_id) REFERENCES rubrics(rubric_id)
+        )
+      `);
+
+      // The level given to each criterion of a graded submission, the label is kept as it was shown to the student
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS rubric_scores (
+          user_id INTEGER NOT NULL,
+          assignment_id INTEGER NOT NULL,
+          criterion_id INTEGER NOT NULL,
+          points REAL NOT NULL,
+          level_label TEXT,
+          PRIMARY KEY (user_id, assignment_id, criterion_id),
+          FOREIGN KEY (assignment_id) REFERENCES assignments(assignment_id),
+          FOREIGN KEY (criterion_id) REFERENCES rubric_criteria(criterion_id)
+        )
+      `);
+
+      // An assignment graded with a rubric is graded manually out of the rubric's total
+      await addColumnIfMissing(db, 'assignments', 'rubric_id', 'INTEGER');
+    }
+  },
+  {
+    version: 23,
+    name: 'add_custom_reminder_timezones',
+    up: async (db) => {
+      // The timezone the reminder time was typed in, the user's timezone when it was added
+      await addColumnIfMissing(db, 'custom_reminders', 'timezone', 'TEXT');
+
+      // Existing reminder times were interpreted in the server's local zone
+      const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      await db.run('UPDATE custom_reminders SET timezone = ? WHERE timezone IS NULL', [serverTimezone]);
+    }
+  }
+];
+
+// Latest schema version known to this build
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Add a column only when an older database does not have it yet
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Get the highest applied migration version (0 for a fresh database)
+export async function getSchemaVersion(db) {
+  await ensureMigrationsTable(db);
+  const row = await db.get('SELECT MAX(version) as version FROM schema_migrations');
+  return row?.version || 0;
+}
+
+// Get the list of applied migrations, oldest first
+export async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+}
+
+// Apply all pending migrations in order, each one in its own transaction
+export async function runMigrations(db) {
+  const currentVersion = await getSchemaVersion(db);
+
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `إصدار قاعدة البيانات (${currentVersion}) أحدث من إصدار البوت (${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      await db.run('BEGIN TRANSACTION');
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await db.run('COMMIT');
+      applied.push(migration.version);
+      console.log(`✅ تم تطبيق الترحيل ${migration.version}: ${migration.name}`);
+    } catch (error) {
+      try {
+        await db.run('ROLLBACK');
+      } catch (rollbackError) {
+        console.error('خطأ في التراجع عن المعاملة:', rollbackError);
+      }
+      console.error(`❌ فشل الترحيل ${migration.version}: ${migration.name}`, error);
+      throw error;
+    }
+  }
+
+  return {
+    from: currentVersion,
+    to: applied.length > 0 ? applied[applied.length - 1] : currentVersion,
+    applied
+  };
+}
@@ -0,0 +1,307 @@
+// bot/utils/questionBank.js
+// Course question banks: tags and difficulty, random draws per student, and numeric questions with per-student parameters.
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const DIFFICULTY_NAMES = {
+  easy: 'سهل',
+  medium: 'متوسط',
+  hard: 'صعب'
+};
+
+// Parameters are written {name:min..max} or {name:min..max:step} once, then {name} anywhere in the text or answer
+const PARAMETER_PATTERN = /\{([a-zA-Z]\w*):(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?\}/g;
+const REFERENCE_PATTERN = /\{([a-zA-Z]\w*)\}/g;
+
+// Values a range may hold, so a typo such as {a:1..1000000:0.001} does not build a huge list
+const MAX_PARAMETER_VALUES = 10000;
+
+/**
+ * Parse a tag list such as "algebra, Fractions"
+ * @param {string} text - Tags separated by commas
+ * @returns {string[]} - Unique lowercase tags
+ */
+export function parseTags(text) {
+  const tags = String(text ?? '')
+    .split(/[,،]/)
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '_'))
+    .filter(tag => tag.length > 0);
+  return [...new Set(tags)];
+}
+
+/**
+ * Take the points=, tags= and difficulty= options written before a bank question
+ * @param {string} spec - e.g. "difficulty=easy tags=algebra ما ناتج 2+2؟ | 4"
+ * @returns {{points: number, tags: string[], difficulty: string, rest: string}|{error: string}}
+ */
+export function parseBankOptions(spec) {
+  const options = { points: 1, tags: [], difficulty: 'medium' };
+  let rest = String(spec ?? '').trim();
+
+  let match;
+  while ((match = rest.match(/^(points|tags|difficulty)=(\S+)(?:\s+|$)/i))) {
+    const [whole, name, value] = match;
+    if (name.toLowerCase() === 'points') {
+      if (!/^\d+$/.test(value) || parseInt(value) <= 0) {
+        return { error: 'عدد النقاط يجب أن يكون عدداً صحيحاً أكبر من صفر' };
+      }
+      options.points = parseInt(value);
+    } else if (name.toLowerCase() === 'tags') {
+      options.tags = parseTags(value);
+    } else {
+      const difficulty = value.toLowerCase();
+      if (!DIFFICULTIES.includes(difficulty)) {
+        return { error: `الصعوبة يجب أن تكون أحد: ${DIFFICULTIES.join(', ')}` };
+      }
+      options.difficulty = difficulty;
+    }
+    rest = rest.slice(whole.length);
+  }
+
+  return { ...options, rest };
+}
+
+/**
+ * Find the parameters declared in a question text
+ * @param {string} text - Question text with {name:min..max[:step]} declarations
+ * @returns {{params: Array<{name: string, min: number, max: number, step: number}>}|{error: string}}
+ */
+export function parseParameters(text) {
+  const params = [];
+  for (const match of String(text ?? '').matchAll(PARAMETER_PATTERN)) {
+    const [, name, min, max, step] = match;
+    const param = { name, min: Number(min), max: Number(max), step: step === undefined ? 1 : Number(step) };
+    if (params.some(existing => existing.name === name)) {
+      return { error: `المتغير ${name} معرّف أكثر من مرة` };
+    }
+    if (param.min > param.max || param.step <= 0) {
+      return { error: `مدى المتغير ${name} غير صحيح` };
+    }
+    if ((param.max - param.min) / param.step + 1 > MAX_PARAMETER_VALUES) {
+      return { error: `مدى المتغير ${name} كبير جداً` };
+    }
+    params.push(param);
+  }
+  return { params };
+}
+
+// Put parameter values in place of their declarations and references
+function fillParameters(text, values) {
+  return String(text)
+    .replace(PARAMETER_PATTERN, (whole, name) => formatNumber(values[name]))
+    .replace(REFERENCE_PATTERN, (whole, name) => (name in values ? formatNumber(values[name]) : whole));
+}
+
+// Trim floating point noise such as 0.30000000000000004
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+/**
+ * Evaluate an arithmetic formula: numbers, + - * / % ^, parentheses and {name} parameters
+ * Parsed by hand, nothing typed by an instructor is run as code.
+ * @param {string} formula - e.g. "{a} * ({b} + 2)"
+ * @param {Object} [values] - Parameter values by name
+ * @returns {number|null} - The result, or null if the formula is invalid or not a finite number
+ */
+export function evaluateFormula(formula, values = {}) {
+  const source = String(formula ?? '').replace(REFERENCE_PATTERN, (whole, name) =>
+    (name in values ? `(${values[name]})` : whole)
+  );
+  const tokens = source.match(/\d+(?:\.\d+)?|[-+*/%^()]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = () => tokens[position++];
+
+  // expression := term (('+' | '-') term)*
+  function expression() {
+    let value = term();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + term() : value - term();
+    }
+    return value;
+  }
+
+  // term := power (('*' | '/' | '%') power)*
+  function term() {
+    let value = power();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = take();
+      const right = power();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // power := unary ('^' power)?
+  function power() {
+    const base = unary();
+    return peek() === '^' ? (take(), base ** power()) : base;
+  }
+
+  // unary := '-' unary | primary
+  function unary() {
+    if (peek() === '-') {
+      take();
+      return -unary();
+    }
+    return primary();
+  }
+
+  // primary := number | '(' expression ')'
+  function primary() {
+    const token = take();
+    if (token === '(') {
+      const value = expression();
+      if (take() !== ')') throw new Error('missing )');
+      return value;
+    }
+    if (token !== undefined && /^\d/.test(token)) return Number(token);
+    throw new Error(`unexpected ${token}`);
+  }
+
+  try {
+    if (tokens.length === 0) return null;
+    const value = expression();
+    return position === tokens.length && Number.isFinite(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a bank question before it is saved
+ * Numeric questions need a number, or a formula of their parameters, as the answer.
+ * @param {string} type - Canonical question type
+ * @param {string} text - Question text
+ * @param {string} correctAnswer - Answer, option index or formula
+ * @returns {string|null} - The error, or null if valid
+ */
+export function validateBankQuestion(type, text, correctAnswer) {
+  const parsed = parseParameters(text);
+  if (parsed.error) return parsed.error;
+
+  if (type !== 'numeric') {
+    return parsed.params.length > 0 ? 'المتغيرات مثل {a:1..10} متاحة في الأسئلة الرقمية فقط' : null;
+  }
+
+  const names = new Set(parsed.params.map(param => param.name));
+  const references = [...String(text).matchAll(REFERENCE_PATTERN), ...String(correctAnswer).matchAll(REFERENCE_PATTERN)];
+  const unknown = references.find(([, name]) => !names.has(name));
+  if (unknown) {
+    return `المتغير ${unknown[1]} غير معرّف، عرّفه في نص السؤال مثل {${unknown[1]}:1..10}`;
+  }
+
+  // Checked with the smallest and largest values, a division by zero inside the range is caught when drawing
+  for (const pick of ['min', 'max']) {
+    const values = Object.fromEntries(parsed.params.map(param => [param.name, param[pick]]));
+    if (evaluateFormula(correctAnswer, values) === null) {
+      return 'الإجابة يجب أن تكون رقماً أو معادلة حسابية من المتغيرات، مثل {a} * {b}';
+    }
+  }
+  return null;
+}
+
+/**
+ * Keep the bank questions a quiz may draw
+ * @param {Object[]} questions - Bank rows (tags as comma separated text)
+ * @param {{tags?: string[], difficulty?: string|null}} [filter] - Any of the tags, and the difficulty
+ * @returns {Object[]}
+ */
+export function filterBankQuestions(questions, { tags = [], difficulty = null } = {}) {
+  return questions.filter(question => {
+    if (difficulty && question.difficulty !== difficulty) return false;
+    if (tags.length === 0) return true;
+    const questionTags = parseTags(question.tags);
+    return tags.some(tag => questionTags.includes(tag));
+  });
+}
+
+/**
+ * Pick questions at random, without repeats
+ * @param {Object[]} questions - Questions to draw from
+ * @param {number} count - How many to draw, at most all of them
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {Object[]}
+ */
+export function drawQuestions(questions, count, random = Math.random) {
+  const pool = [...questions];
+  const drawn = [];
+  while (drawn.length < count && pool.length > 0) {
+    drawn.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return drawn;
+}
+
+function pickValue(param, random) {
+  const steps = Math.floor((param.max - param.min) / param.step + 1e-9);
+  return Number((param.min + Math.floor(random() * (steps + 1)) * param.step).toFixed(6));
+}
+
+// Attempts at parameter values before giving up on a formula that keeps failing (e.g. dividing by zero)
+const MAX_PARAMETER_ATTEMPTS = 20;
+
+/**
+ * Build one student's copy of a bank question
+ * Multiple-choice options are shuffled and numeric parameters picked at random.
+ * @param {Object} question - Bank row (type, text, options as JSON, correct_answer, points)
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {{type: string, text: string, options: string[]|null, correctAnswer: string, points: number, params: Object|null}|null}
+ *   null if no parameter values give a valid answer
+ */
+export function instantiateQuestion(question, random = Math.random) {
+  const base = {
+    type: question.type,
+    text: question.text,
+    options: question.options ? JSON.parse(question.options) : null,
+    correctAnswer: String(question.correct_answer),
+    points: question.points ?? 1,
+    params: null
+  };
+
+  if (question.type === 'mcq') {
+    const order = drawQuestions(base.options.map((option, index) => index), base.options.length, random);
+    return {
+      ...base,
+      options: order.map(index => base.options[index]),
+      correctAnswer: String(order.indexOf(parseInt(question.correct_answer)))
+    };
+  }
+
+  if (question.type !== 'numeric') {
+    return base;
+  }
+
+  const { params = [] } = parseParameters(question.text);
+  if (params.length === 0) {
+    return base;
+  }
+  for (let attempt = 0; attempt < MAX_PARAMETER_ATTEMPTS; attempt++) {
+    const values = Object.fromEntries(params.map(param => [param.name, pickValue(param, random)]));
+    const answer = evaluateFormula(question.correct_answer, values);
+    if (answer !== null) {
+      return {
+        ...base,
+        text: fillParameters(question.text, values),
+        correctAnswer: formatNumber(answer),
+        params: values
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a quiz's draw rule
+ * @param {{draw_count: number, draw_tags: string|null, draw_difficulty: string|null}} assignment
+ * @returns {string|null} - e.g. "3 أسئلة عشوائية من بنك الأسئلة (الوسوم: algebra، الصعوبة: سهل)", or null without a rule
+ */
+export function describeDraw(assignment) {
+  if (!(assignment.draw_count > 0)) return null;
+  const filters = [];
+  const tags = parseTags(assignment.draw_tags);
+  if (tags.length > 0) filters.push(`الوسوم: ${tags.join('، ')}`);
+  if (assignment.draw_difficulty) filters.push(`الصعوبة: ${DIFFICULTY_NAMES[assignment.draw_difficulty]}`);
+  return `${assignment.draw_count} أسئلة عشوائية من بنك الأسئلة` + (filters.length > 0 ? ` (${filters.join('، ')})` : '');
+}
@@ -0,0 +1,166 @@
+// bot/utils/quiz.js
+// Question parsing and grading for multi-question quizzes.
+
+import { matchAnswer } from './answerMatching.js';
+
+export const QUESTION_TYPES = ['mcq', 'true_false', 'short_answer', 'numeric'];
+
+// Short aliases accepted by /addquestion
+const TYPE_ALIASES = {
+  mcq: 'mcq',
+  choice: 'mcq',
+  tf: 'true_false',
+  true_false: 'true_false',
+  short: 'short_answer',
+  short_answer: 'short_answer',
+  num: 'numeric',
+  numeric: 'numeric'
+};
+
+const TRUE_VALUES = ['true', 't', 'صح', 'صحيح', 'نعم'];
+const FALSE_VALUES = ['false', 'f', 'خطأ', 'خطا', 'لا'];
+
+// Options are labelled A-H on the answer buttons
+export const MAX_OPTIONS = 8;
+const OPTION_LABELS = 'ABCDEFGH';
+
+/**
+ * Resolve a question type name or alias
+ * @param {string} type - Type as typed by the admin (mcq, tf, short...)
+ * @returns {string|null} - The canonical type, or null if unknown
+ */
+export function resolveQuestionType(type) {
+  return TYPE_ALIASES[String(type ?? '').toLowerCase()] || null;
+}
+
+/**
+ * Parse the "text | option | *correct option" part of /addquestion
+ * @param {string} type - Canonical question type
+ * @param {string} spec - Question text and answers separated by |
+ * @returns {{text: string, options: string[]|null, correctAnswer: string}|{error: string}} - The question, or an error message
+ */
+export function parseQuestionSpec(type, spec) {
+  const parts = String(spec ?? '').split('|').map(part => part.trim());
+  const text = parts[0];
+  const answers = parts.slice(1).filter(part => part.length > 0);
+
+  if (!text) {
+    return { error: 'نص السؤال مطلوب' };
+  }
+
+  if (type === 'mcq') {
+    if (answers.length < 2 || answers.length > MAX_OPTIONS) {
+      return { error: `يجب أن يكون عدد الخيارات بين 2 و ${MAX_OPTIONS}` };
+    }
+    const correctIndexes = answers
+      .map((option, index) => (option.startsWith('*') ? index : -1))
+      .filter(index => index !== -1);
+    if (correctIndexes.length !== 1) {
+      return { error: 'حدد خياراً صحيحاً واحداً بوضع * قبله' };
+    }
+    return {
+      text,
+      options: answers.map(option => option.replace(/^\*\s*/, '')),
+      correctAnswer: String(correctIndexes[0])
+    };
+  }
+
+  if (type === 'true_false') {
+    const value = (answers[0] || '').toLowerCase();
+    if (TRUE_VALUES.includes(value)) return { text, options: null, correctAnswer: 'true' };
+    if (FALSE_VALUES.includes(value)) return { text, options: null, correctAnswer: 'false' };
+    return { error: 'الإجابة يجب أن تكون true أو false' };
+  }
+
+  if (answers.length === 0) {
+    return { error: 'الإجابة الصحيحة مطلوبة' };
+  }
+  return { text, options: null, correctAnswer: answers[0] };
+}
+
+/**
+ * Label of a multiple-choice option (A, B, C...)
+ * @param {number} index - Zero-based option index
+ * @returns {string} - The label
+ */
+export function optionLabel(index) {
+  return OPTION_LABELS[index] || String(index + 1);
+}
+
+/**
+ * Grade one answer, short answers use the assignment's grading mode and numeric ones compare numbers
+ * @param {Object} question - Question row (type, correct_answer, points, and the optional accepted_answers and tolerance)
+ * @param {string} answer - Option index, 'true'/'false', or free text
+ * @param {{mode?: string, tolerance?: number}} [matching] - Grading mode of the assignment
+ * @returns {{isCorrect: boolean, points: number}} - Result and points earned
+ */
+export function gradeQuestion(question, answer, matching = {}) {
+  let isCorrect;
+  if (question.type === 'short_answer') {
+    const expected = [question.correct_answer, ...JSON.parse(question.accepted_answers || '[]')];
+    isCorrect = expected.some(correct => matchAnswer(answer, correct, matching.mode, { tolerance: matching.tolerance }));
+  } else if (question.type === 'numeric') {
+    isCorrect = matchAnswer(answer, question.correct_answer, 'numeric', { tolerance: question.tolerance ?? matching.tolerance });
+  } else {
+    isCorrect = String(answer ?? '').trim() === String(question.correct_answer ?? '').trim();
+  }
+  return { isCorrect, points: isCorrect ? (question.points ?? 1) : 0 };
+}
+
+/**
+ * Human readable form of an answer (option text, صح/خطأ, or the text itself)
+ * @param {Object} question - Question row (type, options as JSON)
+ * @param {string} answer - Stored answer
+ * @returns {string} - Display text
+ */
+export function formatQuizAnswer(question, answer) {
+  if (question.type === 'mcq') {
+    const options = JSON.parse(question.options || '[]');
+    const index = parseInt(answer);
+    return options[index] !== undefined ? `${optionLabel(index)}) ${options[index]}` : String(answer);
+  }
+  if (question.type === 'true_false') {
+    return answer === 'true' ? 'صح' : 'خطأ';
+  }
+  return String(answer);
+}
+
+/**
+ * Human readable form of a question's correct answer, with the other accepted answers or the tolerance
+ * @param {Object} question - Question row (type, options, correct_answer, accepted_answers, tolerance)
+ * @returns {string} - e.g. "Paris أو paris city", "3.14 ± 0.005"
+ */
+export function formatExpectedAnswer(question) {
+  const answer = formatQuizAnswer(question, question.correct_answer);
+  if (question.type === 'short_answer') {
+    return [answer, ...JSON.parse(question.accepted_answers || '[]')].join(' أو ');
+  }
+  if (question.type === 'numeric' && question.tolerance) {
+    return `${answer} ± ${question.tolerance}`;
+  }
+  return answer;
+}
+
+/**
+ * Work out the score of a finished quiz
+ * @param {Object[]} questions - Question rows
+ * @param {Object[]} answers - Answer rows (question_id, points)
+ * @returns {{score: number, maxScore: number, correctCount: number}} - Totals
+ */
+export function summarizeQuiz(questions, answers) {
+  const byQuestion = new Map(answers.map(answer => [answer.question_id, answer]));
+  let score = 0;
+  let maxScore = 0;
+  let correctCount = 0;
+
+  for (const question of questions) {
+    maxScore += question.points ?? 1;
+    const answer = byQuestion.get(question.question_id);
+    if (answer) {
+      score += answer.points || 0;
+      if (answer.is_correct) correctCount++;
+    }
+  }
+
+  return { score, maxScore, correctCount };
+}
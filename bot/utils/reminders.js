@@ -1,15 +1,41 @@
 import schedule from 'node-schedule';
-import { getLessons, getVerifiedUsersWithReminders } from './database.js';
+import {
+  getLessons,
+  getReminderRecipients,
+  getAllVerifiedUsers,
+  getPendingCustomReminders,
+  markCustomReminderSent,
+  getAssignments,
+  getAssignment,
+  getQuizQuestionCount,
+  getStudentsWithoutSubmission
+} from './database.js';
 import { config } from '../../config.js';
 import { logActivity, logError } from '../middlewares/logger.js';
+import { escapeMarkdownV2, code } from './escapeMarkdownV2.js';
+import { getLessonStart, getReminderTime, formatInTimezone } from './timezone.js';
+import { getDeadlineInstant } from './assignmentPolicy.js';
 
 let bot = null;
 let scheduledJobs = new Map();
+let customReminderJobs = new Map();
+let assignmentJobs = new Map();
+
+// Custom reminders are delivered this long before the requested time
+const CUSTOM_REMINDER_LEAD_MS = 5 * 60 * 1000;
+
+// Students who have not submitted are reminded this long before an assignment's deadline
+const ASSIGNMENT_REMINDERS = [
+  { key: '24h', leadMs: 24 * 60 * 60 * 1000, label: '24 ساعة' },
+  { key: '2h', leadMs: 2 * 60 * 60 * 1000, label: 'ساعتين' }
+];
 
 // Initialize reminder system
 export function initReminders(telegramBot) {
   bot = telegramBot;
   scheduleAllReminders();
+  scheduleAllCustomReminders();
+  scheduleAllAssignmentReminders();
   logActivity('تم تهيئة نظام التذكيرات');
 }
 
@@ -54,7 +80,12 @@ export async function scheduleAllReminders() {
 // Schedule reminder for a single lesson
 function scheduleReminderForLesson(lesson) {
   try {
-    const lessonDate = new Date(`${lesson.date} ${lesson.time}`);
+    // Cancelled lessons are kept for history but never reminded
+    if (lesson.status === 'cancelled') {
+      return;
+    }
+
+    const lessonDate = getLessonStart(lesson, config.schedule.defaultTimezone);
     const now = new Date();
 
     // Skip past lessons
@@ -80,12 +111,28 @@ function scheduleReminderForLesson(lesson) {
       scheduledJobs.set(`${lesson.lesson_id || lesson.title}_1h`, job1h);
     }
 
-    logActivity(`تم جدولة تذكيرات للدرس: ${lesson.title} في ${lesson.date} ${lesson.time}`);
+    logActivity(`تم جدولة تذكيرات للدرس: ${lesson.title} في ${lesson.date} ${lesson.time} (${lesson.timezone || config.schedule.defaultTimezone})`);
   } catch (error) {
     logError(error, `SCHEDULE_LESSON_${lesson.title}`);
   }
 }
 
+// Build the reminder text with the lesson time shown in the given timezone
+function buildLessonReminderMessage(lesson, timeBefore, timeZone) {
+  const { date, time } = formatInTimezone(getLessonStart(lesson, config.schedule.defaultTimezone), timeZone);
+  const zoomLink = lesson.zoom_link || config.zoom.fullLink;
+
+  return `⏰ *تذكير بالدرس*\n\n` +
+    `📚 *عنوان الدرس:* ${escapeMarkdownV2(lesson.title)}\n` +
+    `📅 *التاريخ:* ${escapeMarkdownV2(date)}\n` +
+    `⏰ *الوقت:* ${escapeMarkdownV2(`${time} (${timeZone})`)}\n` +
+    `🔔 *يبدأ خلال:* ${escapeMarkdownV2(timeBefore)}\n\n` +
+    `🔗 *رابط الدرس:* [انقر هنا](${zoomLink})\n\n` +
+    `📋 لا تنسَ تسجيل حضورك باستخدام /attendance بعد الدرس\n\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🤖 بوت معين المجتهدين`;
+}
+
 // Send lesson reminder
 async function sendLessonReminder(lesson, timeBefore) {
   try {
@@ -95,24 +142,15 @@ async function sendLessonReminder(lesson, timeBefore) {
     }
 
     // Get verified users with reminders enabled
-    const verifiedUsers = await getVerifiedUsersWithReminders();
-    
-    // Create reminder message with proper MarkdownV2 escaping
-    const escapedTitle = lesson.title.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
-    const escapedDate = lesson.date.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
-    const escapedTime = lesson.time.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
-    const escapedTimeBefore = timeBefore.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
-    const escapedZoomLink = (lesson.zoom_link || config.zoom.fullLink).replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
-    
-    const reminderMessage = `⏰ *تذكير بالدرس*\\n\\n` +
-      `📚 *عنوان الدرس:* ${escapedTitle}\\n` +
-      `📅 *التاريخ:* ${escapedDate}\\n` +
-      `⏰ *الوقت:* ${escapedTime}\\n` +
-      `🔔 *يبدأ خلال:* ${escapedTimeBefore}\\n\\n` +
-      `🔗 *رابط الدرس:* [انقر هنا](${lesson.zoom_link || config.zoom.fullLink})\\n\\n` +
-      `📋 لا تنسَ تسجيل حضورك باستخدام /attendance بعد الدرس\\n\\n` +
-      `━━━━━━━━━━━━━━━━━━━━\\n` +
-      `🤖 بوت معين المجتهدين`;
+    const recipients = await getReminderRecipients();
+    const verifiedUsers = recipients.map(recipient => recipient.user_id);
+
+    // The group sees the lesson's own timezone, each user gets their own
+    const reminderMessage = buildLessonReminderMessage(
+      lesson,
+      timeBefore,
+      lesson.timezone || config.schedule.defaultTimezone
+    );
 
     let successCount = 0;
     let failCount = 0;
@@ -135,9 +173,9 @@ async function sendLessonReminder(lesson, timeBefore) {
     }
 
     // Send private messages to verified users
-    for (const userId of verifiedUsers) {
+    for (const { user_id: userId, timezone } of recipients) {
       try {
-        await bot.telegram.sendMessage(userId, reminderMessage, { 
+        await bot.telegram.sendMessage(userId, buildLessonReminderMessage(lesson, timeBefore, timezone), { 
           parse_mode: 'MarkdownV2',
           disable_web_page_preview: true 
         });
@@ -175,6 +213,136 @@ async function sendLessonReminder(lesson, timeBefore) {
   }
 }
 
+// Build the cancelled/moved notice with times shown in the given timezone
+function buildLessonChangeMessage(lesson, change, timeZone) {
+  const lessonTimezone = lesson.timezone || config.schedule.defaultTimezone;
+  const formatSlot = (date, time) => {
+    const local = formatInTimezone(getLessonStart({ date, time, timezone: lessonTimezone }), timeZone);
+    return escapeMarkdownV2(`${local.date} ${local.time} (${timeZone})`);
+  };
+
+  let message;
+  if (change.type === 'cancelled') {
+    message = `🚫 *${escapeMarkdownV2('تم إلغاء درس')}*\n\n` +
+      `📚 *${escapeMarkdownV2('الدرس:')}* ${escapeMarkdownV2(lesson.title)}\n` +
+      `📅 *${escapeMarkdownV2('الموعد الملغى:')}* ${formatSlot(change.oldDate, change.oldTime)}\n`;
+  } else {
+    message = `🔁 *${escapeMarkdownV2('تم تغيير موعد درس')}*\n\n` +
+      `📚 *${escapeMarkdownV2('الدرس:')}* ${escapeMarkdownV2(lesson.title)}\n` +
+      `❌ *${escapeMarkdownV2('الموعد السابق:')}* ${formatSlot(change.oldDate, change.oldTime)}\n` +
+      `✅ *${escapeMarkdownV2('الموعد الجديد:')}* ${formatSlot(lesson.date, lesson.time)}\n`;
+  }
+
+  if (change.reason) {
+    message += `📝 *${escapeMarkdownV2('السبب:')}* ${escapeMarkdownV2(change.reason)}\n`;
+  }
+
+  message += change.type === 'cancelled'
+    ? `\n🔕 ${escapeMarkdownV2('تم إلغاء تذكيرات هذا الدرس.')}\n`
+    : `\n🔔 ${escapeMarkdownV2('ستصلك التذكيرات حسب الموعد الجديد.')}\n`;
+
+  return message + `\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `🤖 ${escapeMarkdownV2('بوت معين المجتهدين')}`;
+}
+
+// Lists longer than this are cut short so the notice stays within one Telegram message
+const MAX_NOTICE_SLOTS = 10;
+
+function buildSeriesChangeMessage(series, change, timeZone) {
+  const formatSlots = (lessons) => {
+    const lines = lessons.slice(0, MAX_NOTICE_SLOTS).map(lesson => {
+      const local = formatInTimezone(getLessonStart(lesson, config.schedule.defaultTimezone), timeZone);
+      return `• ${escapeMarkdownV2(`${local.date} ${local.time}`)}`;
+    });
+    if (lessons.length > MAX_NOTICE_SLOTS) {
+      lines.push(escapeMarkdownV2(`و ${lessons.length - MAX_NOTICE_SLOTS} أخرى`));
+    }
+    return lines.join('\n') + '\n';
+  };
+
+  let message = `🔁 *${escapeMarkdownV2('تم تعديل جدول سلسلة دروس')}*\n\n` +
+    `📚 *${escapeMarkdownV2('السلسلة:')}* ${escapeMarkdownV2(series.title)}\n` +
+    `🌍 *${escapeMarkdownV2('المواعيد بتوقيت:')}* ${escapeMarkdownV2(timeZone)}\n`;
+
+  if (change.updated.length > 0) {
+    message += `\n✏️ *${escapeMarkdownV2('دروس تغيرت تفاصيلها:')}*\n${formatSlots(change.updated)}`;
+  }
+  if (change.removed.length > 0) {
+    message += `\n❌ *${escapeMarkdownV2('مواعيد أزيلت:')}*\n${formatSlots(change.removed)}`;
+  }
+  if (change.added.length > 0) {
+    message += `\n✅ *${escapeMarkdownV2('مواعيد جديدة:')}*\n${formatSlots(change.added)}`;
+  }
+
+  return message + `\n🔔 ${escapeMarkdownV2('ستصلك التذكيرات حسب الجدول الجديد.')}\n` +
+    `\n━━━━━━━━━━━━━━━━━━━━\n` +
+    `🤖 ${escapeMarkdownV2('بوت معين المجتهدين')}`;
+}
+
+// Send a change notice to the group and every verified user, each in their own timezone
+async function broadcastChangeNotice(buildMessage, groupTimezone, context) {
+  let successCount = 0;
+  let failCount = 0;
+
+  try {
+    if (!bot) {
+      logError(new Error('البوت غير مهيأ للتذكيرات'), context);
+      return { successCount, failCount };
+    }
+
+    if (config.admin.groupId) {
+      try {
+        await bot.telegram.sendMessage(config.admin.groupId, buildMessage(groupTimezone), { parse_mode: 'MarkdownV2' });
+        successCount++;
+      } catch (groupError) {
+        logError(groupError, `GROUP_${context}`);
+        failCount++;
+      }
+    }
+
+    const users = await getAllVerifiedUsers();
+    for (const user of users) {
+      try {
+        const timezone = user.timezone || config.schedule.defaultTimezone;
+        await bot.telegram.sendMessage(user.user_id, buildMessage(timezone), { parse_mode: 'MarkdownV2' });
+        successCount++;
+
+        // Add small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+      } catch (userError) {
+        logError(userError, `USER_${context}_${user.user_id}`);
+        failCount++;
+      }
+    }
+  } catch (error) {
+    logError(error, context);
+  }
+
+  return { successCount, failCount };
+}
+
+// Notify the group and all verified users that a lesson was cancelled or moved
+export async function sendLessonChangeNotice(lesson, change) {
+  const result = await broadcastChangeNotice(
+    timeZone => buildLessonChangeMessage(lesson, change, timeZone),
+    lesson.timezone || config.schedule.defaultTimezone,
+    'LESSON_CHANGE'
+  );
+  logActivity(`تم إرسال إشعار ${change.type} للدرس ${lesson.lesson_id}: نجح ${result.successCount}، فشل ${result.failCount}`);
+  return result;
+}
+
+// Notify the group and all verified users that the upcoming lessons of a series changed
+export async function sendSeriesChangeNotice(series, change) {
+  const result = await broadcastChangeNotice(
+    timeZone => buildSeriesChangeMessage(series, change, timeZone),
+    series.timezone || config.schedule.defaultTimezone,
+    'SERIES_CHANGE'
+  );
+  logActivity(`تم إرسال إشعار تعديل السلسلة ${series.series_id}: نجح ${result.successCount}، فشل ${result.failCount}`);
+  return result;
+}
+
 // Clear all scheduled jobs
 function clearAllScheduledJobs() {
   scheduledJobs.forEach((job, key) => {
@@ -209,6 +377,249 @@ export function removeLessonReminder(lessonId) {
   logActivity(`تم إلغاء تذكيرات الدرس ${lessonId}`);
 }
 
+// Schedule deadline reminders for all assignments
+export async function scheduleAllAssignmentReminders() {
+  try {
+    clearAssignmentJobs();
+
+    const assignmentsResult = await getAssignments();
+    const assignments = assignmentsResult.success ? assignmentsResult.data : [];
+    assignments.forEach(assignment => scheduleReminderForAssignment(assignment));
+
+    logActivity(`تم جدولة ${assignmentJobs.size} تذكير بمواعيد الواجبات`);
+  } catch (error) {
+    logError(error, 'SCHEDULE_ASSIGNMENT_REMINDERS');
+  }
+}
+
+// Schedule the reminders of a single assignment, past ones are skipped
+function scheduleReminderForAssignment(assignment) {
+  try {
+    const deadline = getDeadlineInstant(assignment, config.schedule.defaultTimezone);
+    const now = new Date();
+    if (!deadline || deadline <= now) {
+      return;
+    }
+
+    for (const reminder of ASSIGNMENT_REMINDERS) {
+      const sendAt = new Date(deadline.getTime() - reminder.leadMs);
+      if (sendAt <= now) {
+        continue;
+      }
+
+      const jobKey = `${assignment.assignment_id}_${reminder.key}`;
+      const job = schedule.scheduleJob(sendAt, () => {
+        assignmentJobs.delete(jobKey);
+        sendAssignmentReminder(assignment.assignment_id, reminder.label);
+      });
+      if (job) {
+        assignmentJobs.set(jobKey, job);
+      }
+    }
+  } catch (error) {
+    logError(error, `SCHEDULE_ASSIGNMENT_${assignment.assignment_id}`);
+  }
+}
+
+// Build the deadline reminder with the deadline shown in the student's timezone
+function buildAssignmentReminderMessage(assignment, isQuiz, timeBefore, timeZone) {
+  const { date, time } = formatInTimezone(getDeadlineInstant(assignment, config.schedule.defaultTimezone), timeZone);
+  const command = isQuiz ? `/quiz ${assignment.assignment_id}` : `/submit ${assignment.assignment_id} إجابتك`;
+
+  return `⏰ *${escapeMarkdownV2('تذكير بموعد الواجب')}*\n\n` +
+    `📝 *${escapeMarkdownV2('الواجب:')}* ${escapeMarkdownV2(assignment.title)}\n` +
+    `📅 *${escapeMarkdownV2('الموعد النهائي:')}* ${escapeMarkdownV2(`${date} ${time} (${timeZone})`)}\n` +
+    `🔔 *${escapeMarkdownV2('ينتهي خلال:')}* ${escapeMarkdownV2(timeBefore)}\n\n` +
+    `${escapeMarkdownV2('لم تسلم هذا الواجب بعد، أرسل إجابتك بـ')} ${code(command)}\n\n` +
+    `━━━━━━━━━━━━━━━━━━━━\n` +
+    `🤖 ${escapeMarkdownV2('بوت معين المجتهدين')}`;
+}
+
+// DM the students who have not submitted yet and send the admin a summary
+async function sendAssignmentReminder(assignmentId, timeBefore) {
+  try {
+    if (!bot) {
+      logError(new Error('البوت غير مهيأ للتذكيرات'), 'SEND_ASSIGNMENT_REMINDER');
+      return;
+    }
+
+    // The assignment may have been deleted or its deadline moved since the job was scheduled
+    const assignment = await getAssignment(assignmentId);
+    if (!assignment) {
+      return;
+    }
+
+    const isQuiz = await getQuizQuestionCount(assignmentId) > 0;
+    const missing = await getStudentsWithoutSubmission(assignmentId);
+    const recipients = missing.filter(student => student.reminders_enabled);
+
+    let successCount = 0;
+    let failCount = 0;
+
+    for (const { user_id: userId, timezone } of recipients) {
+      try {
+        await bot.telegram.sendMessage(
+          userId,
+          buildAssignmentReminderMessage(assignment, isQuiz, timeBefore, timezone),
+          { parse_mode: 'MarkdownV2' }
+        );
+        successCount++;
+
+        // Add small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+      } catch (userError) {
+        logError(userError, `USER_ASSIGNMENT_REMINDER_${userId}`);
+        failCount++;
+      }
+    }
+
+    logActivity(`تم إرسال تذكير الواجب ${assignment.title} (${timeBefore}): لم يسلم ${missing.length}، نجح ${successCount}، فشل ${failCount}`);
+
+    if (config.admin.chatId) {
+      try {
+        const adminMessage = `📤 *${escapeMarkdownV2('تذكير بموعد واجب')}*\n\n` +
+          `📝 ${escapeMarkdownV2(`الواجب: ${assignment.title} (${assignmentId})`)}\n` +
+          `⏰ ${escapeMarkdownV2(`التوقيت: ${timeBefore} قبل الموعد النهائي`)}\n` +
+          `📭 ${escapeMarkdownV2(`لم يسلم بعد: ${missing.length} طالب`)}\n` +
+          `✅ ${escapeMarkdownV2(`تم تذكير: ${successCount}`)}\n` +
+          `❌ ${escapeMarkdownV2(`فشل: ${failCount}`)}` +
+          (missing.length > recipients.length
+            ? `\n🔕 ${escapeMarkdownV2(`أوقفوا التذكيرات: ${missing.length - recipients.length}`)}`
+            : '');
+
+        await bot.telegram.sendMessage(config.admin.chatId, adminMessage, { parse_mode: 'MarkdownV2' });
+      } catch (adminError) {
+        logError(adminError, 'ADMIN_ASSIGNMENT_REMINDER_NOTIFICATION');
+      }
+    }
+  } catch (error) {
+    logError(error, `SEND_ASSIGNMENT_REMINDER_${assignmentId}`);
+  }
+}
+
+// Add (or reschedule) an assignment's reminders (called when an assignment is added or its deadline changes)
+export function addAssignmentReminder(assignment) {
+  removeAssignmentReminder(assignment.assignment_id);
+  scheduleReminderForAssignment(assignment);
+}
+
+// Remove an assignment's reminders (called when an assignment is deleted)
+export function removeAssignmentReminder(assignmentId) {
+  for (const reminder of ASSIGNMENT_REMINDERS) {
+    const jobKey = `${assignmentId}_${reminder.key}`;
+    const job = assignmentJobs.get(jobKey);
+    if (job) {
+      job.cancel();
+      assignmentJobs.delete(jobKey);
+    }
+  }
+}
+
+// Clear all scheduled assignment reminder jobs
+function clearAssignmentJobs() {
+  assignmentJobs.forEach(job => job.cancel());
+  assignmentJobs.clear();
+}
+
+// Load pending custom reminders, schedule future ones and catch up on missed ones
+export async function scheduleAllCustomReminders() {
+  try {
+    clearCustomReminderJobs();
+
+    const reminders = await getPendingCustomReminders();
+    let scheduledCount = 0;
+    let missedCount = 0;
+
+    for (const reminder of reminders) {
+      if (scheduleCustomReminder(reminder)) {
+        scheduledCount++;
+      } else {
+        // The send time passed while the bot was down, deliver it now
+        missedCount++;
+        await sendCustomReminder(reminder, true);
+      }
+    }
+
+    logActivity(`تم جدولة ${scheduledCount} تذكير مخصص وإرسال ${missedCount} تذكير فائت`);
+  } catch (error) {
+    logError(error, 'SCHEDULE_CUSTOM_REMINDERS');
+  }
+}
+
+// Schedule a single custom reminder, returns false if its send time has already passed
+function scheduleCustomReminder(reminder) {
+  const reminderDate = getReminderTime(reminder, config.schedule.defaultTimezone);
+  if (isNaN(reminderDate.getTime())) {
+    logError(new Error(`تاريخ غير صالح: ${reminder.reminder_datetime}`), `CUSTOM_REMINDER_${reminder.reminder_id}`);
+    return true;
+  }
+
+  const sendAt = new Date(reminderDate.getTime() - CUSTOM_REMINDER_LEAD_MS);
+  if (sendAt <= new Date()) {
+    return false;
+  }
+
+  const job = schedule.scheduleJob(sendAt, () => {
+    customReminderJobs.delete(reminder.reminder_id);
+    sendCustomReminder(reminder, false);
+  });
+  if (job) {
+    customReminderJobs.set(reminder.reminder_id, job);
+  }
+  return true;
+}
+
+// Send a custom reminder to its owner and mark it as sent
+async function sendCustomReminder(reminder, isLate) {
+  try {
+    if (!bot) {
+      logError(new Error('البوت غير مهيأ للتذكيرات'), 'SEND_CUSTOM_REMINDER');
+      return;
+    }
+
+    let message = `🔔 *${escapeMarkdownV2('تذكير مخصص')}*\n\n` +
+      `💬 ${escapeMarkdownV2(reminder.message)}\n` +
+      `📅 ${escapeMarkdownV2('الموعد:')} ${escapeMarkdownV2(reminder.reminder_datetime)}\n`;
+
+    if (isLate) {
+      message += `\n⚠️ ${escapeMarkdownV2('تأخر إرسال هذا التذكير بسبب توقف البوت مؤقتاً.')}\n`;
+    }
+
+    message += `\n━━━━━━━━━━━━━━━━━━━━\n` +
+      `🤖 ${escapeMarkdownV2('بوت معين المجتهدين')}`;
+
+    await bot.telegram.sendMessage(reminder.user_id, message, { parse_mode: 'MarkdownV2' });
+    await markCustomReminderSent(reminder.reminder_id);
+
+    logActivity(`تم إرسال التذكير المخصص ${reminder.reminder_id} للمستخدم ${reminder.user_id}`);
+  } catch (error) {
+    // Left pending so the next startup catch-up retries it
+    logError(error, `SEND_CUSTOM_REMINDER_${reminder.reminder_id}`);
+  }
+}
+
+// Add custom reminder (called when a user adds a reminder)
+export function addCustomReminderJob(reminder) {
+  if (!scheduleCustomReminder(reminder)) {
+    sendCustomReminder(reminder, false);
+  }
+}
+
+// Remove custom reminder (called when a user deletes a reminder)
+export function removeCustomReminderJob(reminderId) {
+  const job = customReminderJobs.get(reminderId);
+  if (job) {
+    job.cancel();
+    customReminderJobs.delete(reminderId);
+  }
+}
+
+// Clear all scheduled custom reminder jobs
+function clearCustomReminderJobs() {
+  customReminderJobs.forEach(job => job.cancel());
+  customReminderJobs.clear();
+}
+
 // Get scheduled jobs info (for debugging)
 export function getScheduledJobsInfo() {
   const jobs = [];
@@ -224,5 +635,7 @@ export function getScheduledJobsInfo() {
 // Cleanup function
 export function cleanupReminders() {
   clearAllScheduledJobs();
+  clearCustomReminderJobs();
+  clearAssignmentJobs();
   logActivity('تم تنظيف نظام التذكيرات');
 }
\ No newline at end of file
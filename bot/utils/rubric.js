@@ -0,0 +1,114 @@
+// bot/utils/rubric.js
+// Grading rubrics: criteria with point levels, written in one line by the instructor and filled per submission.
+
+// Criteria per rubric and levels per criterion, levels are one row of buttons when grading
+export const MAX_CRITERIA = 10;
+export const MAX_LEVELS = 6;
+
+/**
+ * Parse a rubric written as "name | criterion: points label, points label | ..."
+ * @param {string} spec - e.g. "Essay | Content: 0 Poor, 2 Fair, 4 Good | Style: 0, 1, 2"
+ * @returns {{name: string, criteria: Array<{name: string, levels: Array<{points: number, label: string}>}>}|{error: string}}
+ *   - Levels sorted from lowest to highest points
+ */
+export function parseRubricSpec(spec) {
+  const [name, ...parts] = String(spec ?? '').split('|').map(part => part.trim());
+  if (!name) {
+    return { error: 'اكتب اسم سلم التقييم أولاً ثم المعايير مفصولة بـ |' };
+  }
+  const criteriaParts = parts.filter(part => part.length > 0);
+  if (criteriaParts.length === 0) {
+    return { error: 'أضف معياراً واحداً على الأقل، مثل: المحتوى: 0 ضعيف، 2 جيد' };
+  }
+  if (criteriaParts.length > MAX_CRITERIA) {
+    return { error: `الحد الأقصى ${MAX_CRITERIA} معايير` };
+  }
+
+  const criteria = [];
+  for (const part of criteriaParts) {
+    const separator = part.indexOf(':');
+    const criterionName = separator === -1 ? '' : part.slice(0, separator).trim();
+    if (!criterionName) {
+      return { error: `اكتب اسم المعيار قبل النقطتين: ${part}` };
+    }
+    if (criteria.some(criterion => criterion.name.toLowerCase() === criterionName.toLowerCase())) {
+      return { error: `المعيار ${criterionName} مكرر` };
+    }
+
+    const levels = [];
+    for (const levelText of part.slice(separator + 1).split(/[,،]/).map(level => level.trim()).filter(level => level.length > 0)) {
+      const match = levelText.match(/^(\d+(?:\.\d+)?)(?:\s+(.*))?$/);
+      if (!match) {
+        return { error: `كل مستوى يبدأ بعدد النقاط: ${levelText}` };
+      }
+      const points = Number(match[1]);
+      if (levels.some(level => level.points === points)) {
+        return { error: `مستويان بنفس النقاط في المعيار ${criterionName}` };
+      }
+      levels.push({ points, label: (match[2] || '').trim() });
+    }
+    if (levels.length < 2 || levels.length > MAX_LEVELS) {
+      return { error: `المعيار ${criterionName} يحتاج من 2 إلى ${MAX_LEVELS} مستويات` };
+    }
+
+    criteria.push({ name: criterionName, levels: levels.sort((a, b) => a.points - b.points) });
+  }
+
+  return { name, criteria };
+}
+
+/**
+ * Highest total a rubric can give
+ * @param {Array<{levels: Array<{points: number}>}>} criteria
+ * @returns {number}
+ */
+export function rubricMaxPoints(criteria) {
+  return criteria.reduce((sum, criterion) => sum + Math.max(...criterion.levels.map(level => level.points)), 0);
+}
+
+/**
+ * Read the points given to each criterion, e.g. "4,2,1" for a three-criterion rubric
+ * @param {string} text - Points in criterion order, separated by commas
+ * @param {Array<{name: string, levels: Array<{points: number}>}>} criteria
+ * @returns {{levels: number[]}|{error: string}} - The chosen level index of each criterion
+ */
+export function parseRubricScores(text, criteria) {
+  const values = String(text ?? '').split(/[,،]/).map(value => value.trim()).filter(value => value.length > 0);
+  if (values.length !== criteria.length) {
+    return { error: `أدخل نقاط ${criteria.length} معايير بالترتيب مفصولة بفواصل، مثل ${criteria.map(criterion => criterion.levels[criterion.levels.length - 1].points).join(',')}` };
+  }
+
+  const levels = [];
+  for (const [index, criterion] of criteria.entries()) {
+    const points = Number(values[index]);
+    const level = criterion.levels.findIndex(option => option.points === points);
+    if (level === -1) {
+      return { error: `نقاط ${criterion.name} يجب أن تكون أحد: ${criterion.levels.map(option => option.points).join('، ')}` };
+    }
+    levels.push(level);
+  }
+  return { levels };
+}
+
+/**
+ * Add up a filled rubric
+ * @param {Array<{name: string, levels: Array<{points: number, label: string}>}>} criteria
+ * @param {number[]} levels - Chosen level index of each criterion
+ * @returns {{total: number, maxTotal: number, items: Array<{name: string, points: number, maxPoints: number, label: string}>}}
+ */
+export function scoreRubric(criteria, levels) {
+  const items = criteria.map((criterion, index) => {
+    const level = criterion.levels[levels[index]];
+    return {
+      name: criterion.name,
+      points: level.points,
+      maxPoints: Math.max(...criterion.levels.map(option => option.points)),
+      label: level.label
+    };
+  });
+  return {
+    total: items.reduce((sum, item) => sum + item.points, 0),
+    maxTotal: rubricMaxPoints(criteria),
+    items
+  };
+}
@@ -52,6 +52,16 @@ export function validateDate(dateString) {
   return date;
 }
 
+/**
+ * Validate time string in HH:MM (24-hour) format
+ * @param {string} timeString - The time string to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+export function validateTime(timeString) {
+  if (typeof timeString !== 'string') return false;
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(timeString);
+}
+
 /**
  * Validate text length
  * @param {string} text - The text to validate
@@ -135,5 +145,5 @@ export function cleanupRateLimit() {
   }
 }
 
-// Clean up rate limit store every 5 minutes
-setInterval(cleanupRateLimit, 5 * 60 * 1000);
\ No newline at end of file
+// Clean up rate limit store every 5 minutes, without keeping the process alive on its own
+setInterval(cleanupRateLimit, 5 * 60 * 1000).unref();
\ No newline at end of file
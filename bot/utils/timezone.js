@@ -0,0 +1,128 @@
+// bot/utils/timezone.js
+// IANA timezone helpers built on Intl, so DST rules come from the runtime's tz database.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+function getWallClockParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// Offset of the zone from UTC at a given instant, in milliseconds
+function getOffsetMs(instantMs, timeZone) {
+  const parts = getWallClockParts(new Date(instantMs), timeZone);
+  const wallAsUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return wallAsUtc - Math.floor(instantMs / 1000) * 1000;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Africa/Algiers")
+ * @param {string} timeZone - The timezone name
+ * @returns {boolean} - True if the runtime knows the timezone
+ */
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to the exact instant
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA timezone the wall-clock time belongs to
+ * @returns {Date} - The instant (Invalid Date if the input is malformed)
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const [hour, minute] = String(time).split(':').map(Number);
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  if (isNaN(wallMs)) return new Date(NaN);
+
+  // Around a DST change the offset differs on either side, so try both. An ambiguous time
+  // (clocks going back) resolves to the earlier instant, a skipped time (clocks going
+  // forward) is shifted forward by the size of the gap.
+  const offsetBefore = getOffsetMs(wallMs - DAY_MS, timeZone);
+  const offsetAfter = getOffsetMs(wallMs + DAY_MS, timeZone);
+  const candidates = [wallMs - offsetBefore, wallMs - offsetAfter]
+    .filter(instantMs => instantMs + getOffsetMs(instantMs, timeZone) === wallMs)
+    .sort((a, b) => a - b);
+
+  return new Date(candidates.length > 0 ? candidates[0] : wallMs - offsetBefore);
+}
+
+/**
+ * Express an instant as wall-clock date and time in a timezone
+ * @param {Date} instant - The instant
+ * @param {string} timeZone - IANA timezone to display in
+ * @returns {{date: string, time: string}} - Date (YYYY-MM-DD) and time (HH:MM)
+ */
+export function formatInTimezone(instant, timeZone) {
+  const parts = getWallClockParts(instant, timeZone);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Format a SQLite CURRENT_TIMESTAMP value (UTC, YYYY-MM-DD HH:MM:SS) in a timezone
+ * @param {string|null} timestamp - The stored timestamp
+ * @param {string} timeZone - IANA timezone to display in
+ * @returns {string} - "YYYY-MM-DD HH:MM", or an empty string if there is no timestamp
+ */
+export function formatSqliteTimestamp(timestamp, timeZone) {
+  if (!timestamp) return '';
+  const { date, time } = formatInTimezone(new Date(`${timestamp.replace(' ', 'T')}Z`), timeZone);
+  return `${date} ${time}`;
+}
+
+/**
+ * Get the instant a lesson starts at
+ * @param {Object} lesson - Lesson with date, time and (optionally) timezone
+ * @param {string} [fallbackTimezone] - Used when the lesson has no timezone
+ * @returns {Date} - The start instant
+ */
+export function getLessonStart(lesson, fallbackTimezone = 'UTC') {
+  return zonedTimeToUtc(lesson.date, lesson.time, lesson.timezone || fallbackTimezone);
+}
+
+/**
+ * Get the instant a custom reminder is due
+ * @param {Object} reminder - Reminder with reminder_datetime (YYYY-MM-DD HH:MM) and (optionally) timezone
+ * @param {string} [fallbackTimezone] - Used when the reminder has no timezone
+ * @returns {Date} - The due instant (Invalid Date if the stored time is malformed)
+ */
+export function getReminderTime(reminder, fallbackTimezone = 'UTC') {
+  const [date, time] = String(reminder.reminder_datetime).split(' ');
+  return zonedTimeToUtc(date, time, reminder.timezone || fallbackTimezone);
+}
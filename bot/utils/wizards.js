@@ -0,0 +1,102 @@
+// bot/utils/wizards.js
+// Step-by-step wizards: a command's arguments asked one at a time, with the answers kept in a stored session.
+
+import { coerceArg, getArgLabel } from './commandArgs.js';
+
+// Unfinished wizards are dropped after a day without an answer
+export const WIZARD_SESSION_HOURS = 24;
+
+/**
+ * Get the steps of a wizard: its command's arguments in order, with the wizard's options for each
+ * @param {Object} wizard - { schema, steps: { [argName]: { prompt (text, or async function of data), choices(data, context), validate(value, data, context) } } }
+ * @returns {Array<Object>} - Argument specs merged with their step options
+ */
+export function getWizardSteps(wizard) {
+  return wizard.schema.args.map(arg => ({ ...arg, ...(wizard.steps?.[arg.name] || {}) }));
+}
+
+/**
+ * Get the first step that has no answer yet
+ * @param {Object} wizard - Wizard definition
+ * @param {Object} data - Answers so far, by argument name (skipped steps hold null)
+ * @returns {{step: Object, index: number, total: number}|null} - null when every step is answered
+ */
+export function getCurrentStep(wizard, data) {
+  const steps = getWizardSteps(wizard);
+  const index = steps.findIndex(step => !Object.prototype.hasOwnProperty.call(data, step.name));
+  return index === -1 ? null : { step: steps[index], index, total: steps.length };
+}
+
+/**
+ * Check an answer to a step with the command's argument rules, then the step's own check
+ * @param {Object} step - Step from getWizardSteps
+ * @param {string} raw - The answer as typed or picked
+ * @param {Object} data - Earlier answers, for checks that depend on them
+ * @param {string} [language] - 'ar' or 'en' for the error message
+ * @param {Object} [context] - Passed on to the step's check, e.g. { userId }
+ * @returns {Promise<{value: *}|{error: string}>}
+ */
+export async function readStepAnswer(step, raw, data, language = 'ar', context = {}) {
+  const result = coerceArg(step, String(raw ?? '').trim(), language);
+  if (result.error) return result;
+
+  if (step.pattern && !step.pattern.test(result.value)) {
+    return { error: step.patternError || `"${getArgLabel(step, language)}" غير صالح` };
+  }
+  if (step.validate) {
+    const error = await step.validate(result.value, data, context);
+    if (error) return { error };
+  }
+  return result;
+}
+
+/**
+ * Record an answer, returns new data
+ * @param {Object} data - Answers so far
+ * @param {string} name - Argument name
+ * @param {*} value - Checked value, or the step default when skipped
+ * @returns {Object}
+ */
+export function setStepAnswer(data, name, value) {
+  return { ...data, [name]: value };
+}
+
+/**
+ * Remove the last answer so its step is asked again
+ * @param {Object} wizard - Wizard definition
+ * @param {Object} data - Answers so far
+ * @returns {Object} - New data
+ */
+export function removeLastAnswer(wizard, data) {
+  const answered = getWizardSteps(wizard).filter(step => Object.prototype.hasOwnProperty.call(data, step.name));
+  if (answered.length === 0) return { ...data };
+
+  const { [answered[answered.length - 1].name]: removed, ...rest } = data;
+  return rest;
+}
+
+/**
+ * List the answers for the confirmation card
+ * @param {Object} wizard - Wizard definition
+ * @param {Object} data - Every answer
+ * @param {string} [language] - 'ar' or 'en'
+ * @returns {Array<{label: string, value: string}>} - Plain text, callers escape it
+ */
+export function summarizeWizard(wizard, data, language = 'ar') {
+  return getWizardSteps(wizard).map(step => ({
+    label: getArgLabel(step, language).replace(/_/g, ' '),
+    value: data[step.name] === null || data[step.name] === undefined ? '—' : String(data[step.name])
+  }));
+}
+
+/**
+ * Check whether a stored session is too old to continue
+ * @param {{updated_at: string}} session - Session row, updated_at as SQLite UTC 'YYYY-MM-DD HH:MM:SS'
+ * @param {Date} [now] - Current instant
+ * @returns {boolean}
+ */
+export function isWizardExpired(session, now = new Date()) {
+  const updatedAt = new Date(`${String(session.updated_at).replace(' ', 'T')}Z`);
+  if (isNaN(updatedAt.getTime())) return false;
+  return now - updatedAt > WIZARD_SESSION_HOURS * 60 * 60 * 1000;
+}
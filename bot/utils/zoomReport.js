@@ -0,0 +1,150 @@
+// bot/utils/zoomReport.js
+// Parsing and user matching for Zoom participant report CSVs.
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - The CSV content
+ * @returns {string[][]} - Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Normalize a display name or username for matching (case, spacing, Arabic diacritics and tatweel)
+ * @param {string} name - The raw name
+ * @returns {string} - The normalized name
+ */
+export function normalizeParticipantName(name) {
+  return String(name ?? '')
+    .normalize('NFKC')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/^@/, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a Zoom name cell, Zoom writes "Display Name (Original Name)" when a participant renamed themselves
+ * @param {string} value - The name cell
+ * @returns {string[]} - The display name, then the original name if present
+ */
+export function splitZoomName(value) {
+  const match = value.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+  return match ? [match[1].trim(), match[2].trim()].filter(Boolean) : [value.trim()];
+}
+
+/**
+ * Extract participants from a Zoom participants report, merging rejoins of the same person
+ * @param {string} text - The CSV content
+ * @returns {{name: string, names: string[], email: string|null, durationMinutes: number}[]|null} - Participants, or null if no participant table was found
+ */
+export function parseZoomParticipants(text) {
+  const rows = parseCsv(text);
+
+  // Reports exported with meeting data start with a meeting summary table, use the last header row
+  let headerIndex = -1;
+  rows.forEach((cells, index) => {
+    const hasName = cells.some(cell => /^(name|participant)/i.test(cell.trim()));
+    const hasDuration = cells.some(cell => /duration/i.test(cell));
+    if (hasName && hasDuration) headerIndex = index;
+  });
+  if (headerIndex === -1) return null;
+
+  const header = rows[headerIndex].map(cell => cell.trim());
+  const nameColumn = header.findIndex(cell => /^(name|participant)/i.test(cell));
+  const emailColumn = header.findIndex(cell => /email/i.test(cell));
+  const totalDurationColumn = header.findIndex(cell => /total duration/i.test(cell));
+  const durationColumn = totalDurationColumn !== -1
+    ? totalDurationColumn
+    : header.findIndex(cell => /duration/i.test(cell));
+
+  const participants = new Map();
+  for (const cells of rows.slice(headerIndex + 1)) {
+    const rawName = (cells[nameColumn] || '').trim();
+    if (!rawName) continue;
+
+    const email = emailColumn !== -1 ? (cells[emailColumn] || '').trim().toLowerCase() || null : null;
+    const minutes = parseFloat(cells[durationColumn]) || 0;
+    const names = splitZoomName(rawName);
+    const key = email || normalizeParticipantName(names[0]);
+
+    const existing = participants.get(key);
+    if (existing) {
+      existing.durationMinutes += minutes;
+    } else {
+      participants.set(key, { name: rawName, names, email, durationMinutes: minutes });
+    }
+  }
+
+  return [...participants.values()];
+}
+
+/**
+ * Find the user a participant belongs to
+ * @param {Object} participant - Participant from parseZoomParticipants
+ * @param {Object[]} users - Candidate users (user_id, username, first_name)
+ * @param {Map<string, number>} aliases - Saved aliases (email or normalized name) to user ID
+ * @returns {number|null} - The user ID, or null if there is no single match
+ */
+export function matchParticipant(participant, users, aliases) {
+  const names = participant.names.map(normalizeParticipantName).filter(Boolean);
+
+  if (participant.email && aliases.has(participant.email)) {
+    return aliases.get(participant.email);
+  }
+  for (const name of names) {
+    if (aliases.has(name)) return aliases.get(name);
+  }
+
+  // Fall back to profile names, ambiguous matches are left for manual review
+  for (const name of names) {
+    const candidates = users.filter(user =>
+      normalizeParticipantName(user.first_name) === name ||
+      normalizeParticipantName(user.username) === name
+    );
+    if (candidates.length === 1) return candidates[0].user_id;
+  }
+
+  return null;
+}
@@ -26,6 +26,40 @@ function parseAdminUserIds(userIdsStr) {
   }
 }
 
+function parseHolidays(holidaysStr) {
+  if (!holidaysStr) return [];
+
+  return holidaysStr.split(',')
+    .map(date => date.trim())
+    .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+}
+
+// Public origin of the HTTP server, falls back to the webhook URL's origin
+function parsePublicUrl(urlStr) {
+  if (!urlStr) return null;
+
+  try {
+    return new URL(urlStr).origin;
+  } catch (error) {
+    console.warn(`⚠️ Invalid public URL ignored: ${urlStr}`);
+    return null;
+  }
+}
+
+// Timezone used for courses, lessons and users that have none set
+function parseDefaultTimezone(timezoneStr) {
+  const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!timezoneStr) return serverTimezone;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneStr });
+    return timezoneStr;
+  } catch (error) {
+    console.warn(`⚠️ Invalid DEFAULT_TIMEZONE ignored: ${timezoneStr}`);
+    return serverTimezone;
+  }
+}
+
 export const config = {
   botToken: validateEnvVar('BOT_TOKEN', process.env.BOT_TOKEN, true),
   admin: {
@@ -38,7 +72,21 @@ export const config = {
     activationCode: validateEnvVar('ACTIVATION_CODE', process.env.ACTIVATION_CODE, true, 'DEFAULT_CODE')
   },
   zoom: {
-    fullLink: validateEnvVar('ZOOM_LINK', process.env.ZOOM_LINK, false, 'https://zoom.us/j/example')
+    fullLink: validateEnvVar('ZOOM_LINK', process.env.ZOOM_LINK, false, 'https://zoom.us/j/example'),
+    // Participants who stayed less than this in the meeting are not marked present by /importzoom
+    minAttendanceMinutes: parseInt(process.env.ZOOM_MIN_ATTENDANCE_MINUTES) || 30
+  },
+  server: {
+    // Public origin used to build links to the HTTP server (the ICS feed is disabled when empty)
+    publicUrl: parsePublicUrl(process.env.PUBLIC_URL || process.env.WEBHOOK_URL),
+    port: parseInt(process.env.PORT) || 3000
+  },
+  calendar: {
+    lessonDurationMinutes: parseInt(process.env.LESSON_DURATION_MINUTES) || 60
+  },
+  checkin: {
+    // Check-ins after this many minutes from opening the window are recorded as late
+    lateAfterMinutes: parseInt(process.env.CHECKIN_LATE_AFTER_MINUTES) || 5
   },
   // Rate limiting configuration
   rateLimiting: {
@@ -53,7 +101,7 @@ export const config = {
     },
     {
       question: "كيف أسجل حضوري؟",
-      answer: "استخدم الأمر /attendance متبوعاً برقم الدرس لتسجيل حضورك. مثال: /attendance 1"
+      answer: "استخدم الأمر /attendance متبوعاً بكود الحضور الذي يعلنه المدرب أثناء الدرس، أو افتح رابط الحضور. مثال: /attendance K7M2QX"
     },
     {
       question: "كيف أرى ملفي الشخصي؟",
@@ -73,6 +121,9 @@ export const config = {
     }
   ],
   schedule: {
+    // Dates skipped by every recurring lesson series (YYYY-MM-DD, comma separated)
+    holidays: parseHolidays(process.env.HOLIDAYS),
+    defaultTimezone: parseDefaultTimezone(process.env.DEFAULT_TIMEZONE),
     lessons: [
       {
         course_id: 1,
@@ -1,7 +1,9 @@
 import { Telegraf } from 'telegraf';
 import { config } from './config.js';
-import { initDatabase, closeDatabase } from './bot/utils/database.js';
+import { initDatabase, closeDatabase, getLessons, getUserByCalendarToken } from './bot/utils/database.js';
 import { initReminders, cleanupReminders } from './bot/utils/reminders.js';
+import { initCheckins, cleanupCheckins } from './bot/utils/checkins.js';
+import { initAnswerReveals, cleanupAnswerReveals } from './bot/utils/answerReveal.js';
 import { loggerMiddleware, logBotStartup, logBotShutdown, logError, logActivity } from './bot/middlewares/logger.js';
 import { verifyMiddleware, requireAdmin } from './bot/middlewares/verifyMiddleware.js';
 import { rateLimiterMiddleware } from './bot/middlewares/rateLimiter.js';
@@ -20,8 +22,55 @@ import {
   handleDeleteAssignment, 
   handleSubmit 
 } from './bot/commands/assignment.js';
+import {
+  handleAddLesson,
+  handleUpdateLesson,
+  handleDeleteLesson,
+  handleCancelLesson,
+  handleRescheduleLesson
+} from './bot/commands/lesson.js';
+import { handleOpenCheckin, handleCloseCheckin } from './bot/commands/checkin.js';
+import { handleImportZoom, handleZoomReview, handleZoomMatch } from './bot/commands/zoomimport.js';
+import {
+  handleAddQuiz,
+  handleAddQuestion,
+  handleListQuestions,
+  handleDeleteQuestion,
+  handleQuiz,
+  handleQuizAnswer,
+  handleQuizTextAnswer
+} from './bot/commands/quiz.js';
+import {
+  handleAddCode,
+  handleAddTest,
+  handleListCodeTests,
+  handleDeleteTest,
+  handleSubmitCodeFile
+} from './bot/commands/codeassignment.js';
+import {
+  handleBankAdd,
+  handleBank,
+  handleBankDelete,
+  handleDrawQuiz
+} from './bot/commands/questionbank.js';
+import { handleImportGift, handleGiftImportAction } from './bot/commands/giftimport.js';
+import { handleGrade, handleGradePage } from './bot/commands/grade.js';
+import {
+  handleAddRubric,
+  handleListRubrics,
+  handleDeleteRubric,
+  handleAttachRubric,
+  handleRubricGrade,
+  handleRubricPick,
+  handleRubricSave
+} from './bot/commands/rubric.js';
+import { handleMyAttempts } from './bot/commands/myattempts.js';
+import { handleGrades } from './bot/commands/grades.js';
+import { handleLivePoll, handlePollAnswer, handleClosePoll } from './bot/commands/livepoll.js';
+import { withWizard, handleWizardText, handleWizardAction, handleCancel } from './bot/commands/wizard.js';
+import { handleAddSeries, handleListSeries, handleUpdateSeries, handleCancelSeries } from './bot/commands/series.js';
 import { handleCourses } from './bot/commands/courses.js';
-import { handleAssignments } from './bot/commands/assignments.js';
+import { handleAssignments, handleAssignmentsPage, handleAssignmentSubmitButton } from './bot/commands/assignments.js';
 import { handleReminders } from './bot/commands/reminders.js';
 import { handleHelp } from './bot/commands/help.js';
 import { handleDeleteCourse } from './bot/commands/deletecourse.js';
@@ -37,6 +86,7 @@ import { handleDeleteReminder } from './bot/commands/deletereminder.js';
 import { handleUpcomingLessons } from './bot/commands/upcominglessons.js';
 import { handleBroadcast } from './bot/commands/broadcast.js';
 import { handleReportBug } from './bot/commands/reportbug.js';
+import { handleCalendar, buildScheduleCalendar } from './bot/commands/calendar.js';
 import { escapeMarkdownV2 } from './bot/utils/escapeMarkdownV2.js';
 
 // Validate environment variables
@@ -136,7 +186,7 @@ async function manualPolling(bot, timeout = 10000) {
 }
 
 // Webhook server setup as fallback
-async function setupWebhookServer(bot, port = 3000) {
+async function setupWebhookServer(bot, port = 3000, { acceptUpdates = true } = {}) {
   try {
     const express = await import('express');
     const app = express.default();
@@ -149,18 +199,39 @@ async function setupWebhookServer(bot, port = 3000) {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
     
-    // Webhook endpoint
-    app.post('/bot', (req, res) => {
+    // Personal ICS feed, the token in the URL identifies the user
+    app.get('/calendar/:token.ics', async (req, res) => {
       try {
-        bot.handleUpdate(req.body);
-        res.sendStatus(200);
+        const user = await getUserByCalendarToken(req.params.token);
+        if (!user || !user.is_verified) {
+          return res.sendStatus(404);
+        }
+        
+        const lessonsResult = await getLessons();
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildScheduleCalendar(lessonsResult.data));
       } catch (error) {
-        console.error('Webhook error:', error);
-        logError(error, 'WEBHOOK_HANDLER');
+        console.error('Calendar feed error:', error);
+        logError(error, 'CALENDAR_FEED');
         res.sendStatus(500);
       }
     });
     
+    // Webhook endpoint
+    if (acceptUpdates) {
+      app.post('/bot', (req, res) => {
+        try {
+          bot.handleUpdate(req.body);
+          res.sendStatus(200);
+        } catch (error) {
+          console.error('Webhook error:', error);
+          logError(error, 'WEBHOOK_HANDLER');
+          res.sendStatus(500);
+        }
+      });
+    }
+    
     const server = app.listen(port, () => {
       console.log(`✅ Webhook server running on port ${port}`);
       logActivity(`Webhook server started on port ${port}`);
@@ -206,7 +277,7 @@ async function launchBotWithRetry(bot, maxRetries = 5) {
       await Promise.race([
         bot.launch({ 
           dropPendingUpdates: true,
-          allowedUpdates: ['message', 'callback_query', 'inline_query']
+          allowedUpdates: ['message', 'callback_query', 'inline_query', 'poll_answer']
         }),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Bot launch timed out after 30 seconds')), 30000)
@@ -224,7 +295,13 @@ async function launchBotWithRetry(bot, maxRetries = 5) {
         console.warn('⚠️ Bot responsiveness test failed:', testError.message);
       }
       
-      return { success: true, mode: 'polling' };
+      // Polling does not need the HTTP server, but the calendar feed does
+      let server = null;
+      if (config.server.publicUrl) {
+        server = await setupWebhookServer(bot, config.server.port, { acceptUpdates: false });
+      }
+      
+      return { success: true, mode: 'polling', server };
       
     } catch (error) {
       console.error(`❌ Failed to launch bot with polling (Attempt ${attempt}):`, {
@@ -272,7 +349,7 @@ async function setupWebhookFallback(bot) {
   console.log('🔄 Setting up webhook fallback...');
   
   try {
-    const webhookServer = await setupWebhookServer(bot);
+    const webhookServer = await setupWebhookServer(bot, config.server.port);
     if (webhookServer) {
       // For local development, you might want to use ngrok or similar
       // For production, use your actual domain
@@ -281,7 +358,7 @@ async function setupWebhookFallback(bot) {
       if (process.env.WEBHOOK_URL) {
         await bot.telegram.setWebhook(webhookUrl, {
           drop_pending_updates: true,
-          allowed_updates: ['message', 'callback_query', 'inline_query']
+          allowed_updates: ['message', 'callback_query', 'inline_query', 'poll_answer']
         });
         console.log('✅ Bot launched successfully with webhook mode');
         logActivity(`Bot launched with webhook: ${webhookUrl}`);
@@ -338,6 +415,14 @@ async function initBot() {
     initReminders(bot);
     console.log('✅ Reminders initialized');
     
+    console.log('Initializing check-in windows...');
+    await initCheckins(bot);
+    console.log('✅ Check-in windows initialized');
+    
+    console.log('Initializing answer reveals...');
+    await initAnswerReveals(bot);
+    console.log('✅ Answer reveals initialized');
+    
     console.log('Setting up shutdown handlers...');
     setupShutdownHandlers(bot);
     console.log('✅ Shutdown handlers set');
@@ -385,8 +470,12 @@ function registerCommands(bot) {
   bot.command('assignments', handleAssignments);
   bot.command('attendance', handleAttendance);
   bot.command('reminders', handleReminders);
-  bot.command('submit', handleSubmit);
-  bot.command('addreminder', handleAddReminder);
+  bot.command('submit', withWizard('submit', handleSubmit));
+  bot.command('quiz', handleQuiz);
+  bot.command('myattempts', handleMyAttempts);
+  bot.command('grades', handleGrades);
+  bot.command('addreminder', withWizard('addreminder', handleAddReminder));
+  bot.command('cancel', handleCancel);
   bot.command('listreminders', handleListReminders);
   bot.command('deletereminder', handleDeleteReminder);
   bot.command('upcominglessons', handleUpcomingLessons);
@@ -394,25 +483,83 @@ function registerCommands(bot) {
   bot.command('reportbug', handleReportBug);
   bot.command('settings', handleSettings);
   bot.command('health', handleHealth);
+  bot.command('calendar', handleCalendar);
   
   console.log('Registering admin commands...');
   bot.command('stats', requireAdmin, handleStats);
   bot.command('publish', requireAdmin, handlePublish);
-  bot.command('addassignment', requireAdmin, handleAddAssignment);
+  bot.command('addassignment', requireAdmin, withWizard('addassignment', handleAddAssignment));
   bot.command('updateassignment', requireAdmin, handleUpdateAssignment);
   bot.command('deleteassignment', requireAdmin, handleDeleteAssignment);
+  bot.command('addquiz', requireAdmin, handleAddQuiz);
+  bot.command('addquestion', requireAdmin, handleAddQuestion);
+  bot.command('questions', requireAdmin, handleListQuestions);
+  bot.command('deletequestion', requireAdmin, handleDeleteQuestion);
+  bot.command('bankadd', requireAdmin, handleBankAdd);
+  bot.command('bank', requireAdmin, handleBank);
+  bot.command('bankdelete', requireAdmin, handleBankDelete);
+  bot.command('drawquiz', requireAdmin, handleDrawQuiz);
+  bot.command('importgift', requireAdmin, handleImportGift);
+  bot.command('addrubric', requireAdmin, handleAddRubric);
+  bot.command('rubrics', requireAdmin, handleListRubrics);
+  bot.command('deleterubric', requireAdmin, handleDeleteRubric);
+  bot.command('attachrubric', requireAdmin, handleAttachRubric);
+  bot.command('rubricgrade', requireAdmin, handleRubricGrade);
+  bot.command('addcode', requireAdmin, handleAddCode);
+  bot.command('addtest', requireAdmin, handleAddTest);
+  bot.command('codetests', requireAdmin, handleListCodeTests);
+  bot.command('deletetest', requireAdmin, handleDeleteTest);
+  bot.command('grade', requireAdmin, handleGrade);
+  bot.command('livepoll', requireAdmin, handleLivePoll);
+  bot.command('closepoll', requireAdmin, handleClosePoll);
   bot.command('deletecourse', requireAdmin, handleDeleteCourse);
-  bot.command('addcourse', requireAdmin, handleAddCourse);
+  bot.command('addcourse', requireAdmin, withWizard('addcourse', handleAddCourse));
   bot.command('updatecourse', requireAdmin, handleUpdateCourse);
+  bot.command('addlesson', requireAdmin, withWizard('addlesson', handleAddLesson));
+  bot.command('updatelesson', requireAdmin, handleUpdateLesson);
+  bot.command('deletelesson', requireAdmin, handleDeleteLesson);
+  bot.command('cancellesson', requireAdmin, handleCancelLesson);
+  bot.command('reschedulelesson', requireAdmin, handleRescheduleLesson);
+  bot.command('opencheckin', requireAdmin, handleOpenCheckin);
+  bot.command('closecheckin', requireAdmin, handleCloseCheckin);
+  bot.command('importzoom', requireAdmin, handleImportZoom);
+  bot.command('zoomreview', requireAdmin, handleZoomReview);
+  bot.command('zoommatch', requireAdmin, handleZoomMatch);
+  bot.command('addseries', requireAdmin, handleAddSeries);
+  bot.command('listseries', requireAdmin, handleListSeries);
+  bot.command('updateseries', requireAdmin, handleUpdateSeries);
+  bot.command('cancelseries', requireAdmin, handleCancelSeries);
   bot.command('export', requireAdmin, handleExport);
   bot.command('viewfeedback', requireAdmin, handleViewFeedback);
   bot.command('broadcast', requireAdmin, handleBroadcast);
   
+  // Zoom reports and GIFT question files arrive as a document with the import command in the caption, code solutions with /submit
+  bot.on('document', async (ctx, next) => {
+    const caption = ctx.message.caption || '';
+    const command = caption.split(/\s/)[0].split('@')[0].toLowerCase();
+    if (command === '/submit') {
+      await handleSubmitCodeFile(ctx);
+      return;
+    }
+    if (command === '/importgift') {
+      await requireAdmin(ctx, () => handleImportGift(ctx));
+      return;
+    }
+    if (command !== '/importzoom') {
+      return next();
+    }
+    await requireAdmin(ctx, () => handleImportZoom(ctx));
+  });
+  
   console.log('Registering unknown command handler...');
   bot.on('text', async (ctx) => {
     const messageText = ctx.message.text;
     
     if (!messageText.startsWith('/')) {
+      // Plain text may answer a wizard step or a short-answer quiz question
+      if (!await handleWizardText(ctx)) {
+        await handleQuizTextAnswer(ctx);
+      }
       return;
     }
     
@@ -421,10 +568,17 @@ function registerCommands(bot) {
     const knownCommands = [
       '/start', '/verify', '/help', '/faq', '/profile', '/courses', 
       '/assignments', '/attendance', '/reminders', '/submit', '/addreminder',
-      '/listreminders', '/deletereminder', '/upcominglessons', '/feedback', 
+      '/listreminders', '/deletereminder', '/upcominglessons', '/calendar', '/feedback', 
       '/reportbug', '/settings', '/health', '/stats', '/publish', '/addassignment', 
       '/updateassignment', '/deleteassignment', '/deletecourse', '/addcourse', 
-      '/updatecourse', '/export', '/viewfeedback', '/broadcast'
+      '/updatecourse', '/export', '/viewfeedback', '/broadcast', '/addlesson',
+      '/updatelesson', '/deletelesson', '/addseries', '/listseries', '/updateseries',
+      '/cancelseries', '/cancellesson', '/reschedulelesson', '/opencheckin', '/closecheckin',
+      '/importzoom', '/zoomreview', '/zoommatch', '/quiz', '/addquiz', '/addquestion',
+      '/questions', '/deletequestion', '/grade', '/myattempts', '/grades', '/livepoll', '/closepoll',
+      '/addcode', '/addtest', '/codetests', '/deletetest', '/bankadd', '/bank', '/bankdelete', '/drawquiz',
+      '/importgift', '/addrubric', '/rubrics', '/deleterubric', '/attachrubric', '/rubricgrade',
+      '/cancel'
     ];
     
     if (!knownCommands.includes(command)) {
@@ -444,7 +598,11 @@ function registerCommands(bot) {
         `• \`/attendance\` \\- تسجيل الحضور\\n` +
         `• \`/reminders\` \\- تبديل التذكيرات\\n` +
         `• \`/addreminder\` \\- إضافة تذكير مخصص\\n` +
+        `• \`/cancel\` \\- إلغاء العملية الجارية خطوة بخطوة\\n` +
         `• \`/submit\` \\- إرسال إجابة واجب\\n` +
+        `• \`/quiz\` \\- حل اختبار متعدد الأسئلة\\n` +
+        `• \`/myattempts\` \\- محاولاتي ودرجاتها\\n` +
+        `• \`/grades\` \\- سجل درجاتي\\n` +
         `• \`/feedback\` \\- إرسال تغذية راجعة\\n` +
         `• \`/settings\` \\- إعدادات المستخدم\\n` +
         `• \`/health\` \\- حالة النظام\\n\\n` +
@@ -454,6 +612,18 @@ function registerCommands(bot) {
         `• \`/export\` \\- تصدير البيانات\\n` +
         `• \`/viewfeedback\` \\- عرض التغذية الراجعة\\n` +
         `• إدارة الواجبات \\(add/update/delete\\)\\n` +
+        `• الاختبارات \\(\`/addquiz\`، \`/addquestion\`، \`/questions\`، \`/deletequestion\`\\)\\n` +
+        `• استيراد اختبار من ملف Moodle GIFT \\(\`/importgift\`\\)\\n` +
+        `• بنك الأسئلة \\(\`/bankadd\`، \`/bank\`، \`/bankdelete\`، \`/drawquiz\`\\)\\n` +
+        `• التمارين البرمجية \\(\`/addcode\`، \`/addtest\`، \`/codetests\`، \`/deletetest\`\\)\\n` +
+        `• \`/grade\` \\- تصحيح الإجابات يدوياً\\n` +
+        `• سلالم التقييم \\(\`/addrubric\`، \`/rubrics\`، \`/attachrubric\`، \`/rubricgrade\`، \`/deleterubric\`\\)\\n` +
+        `• أسئلة مباشرة في المجموعة \\(\`/livepoll\`، \`/closepoll\`\\)\\n` +
+        `• إدارة الدروس \\(\`/addlesson\`، \`/updatelesson\`، \`/deletelesson\`\\)\\n` +
+        `• إلغاء وتأجيل الدروس \\(\`/cancellesson\`، \`/reschedulelesson\`\\)\\n` +
+        `• تسجيل الحضور بالكود \\(\`/opencheckin\`، \`/closecheckin\`\\)\\n` +
+        `• استيراد الحضور من Zoom \\(\`/importzoom\`، \`/zoomreview\`، \`/zoommatch\`\\)\\n` +
+        `• سلاسل الدروس المتكررة \\(\`/addseries\`، \`/listseries\`، \`/updateseries\`، \`/cancelseries\`\\)\\n` +
         `• \`/deletecourse\` \\- حذف الكورس\\n\\n` +
         `💡 استخدم \`/help\` للحصول على دليل مفصل\\n\\n` +
         `للمساعدة: ${config.admin.supportChannel.replace(/@/g, '\\@')}`,
@@ -529,6 +699,29 @@ function registerCommands(bot) {
   bot.action('change_frequency', handleChangeFrequency);
   bot.action('settings_help', handleSettingsHelp);
 
+  // Quiz answer buttons (quiz:<question_id>:<answer>)
+  bot.action(/^quiz:(\d+):(.+)$/, handleQuizAnswer);
+
+  // Assignments dashboard filters and paging (assignments:<page>:<course_id or 0>:<status or all>), Submit buttons
+  bot.action(/^assignments:(\d+):(\d+):(\w+)$/, handleAssignmentsPage);
+  bot.action(/^assignments_submit:(\d+)$/, handleAssignmentSubmitButton);
+
+  // Manual grading queue paging (grade_page:<index>:<assignment_id or 0>)
+  bot.action(/^grade_page:(\d+):(\d+)$/, requireAdmin, handleGradePage);
+
+  // GIFT import preview buttons (gift:<import|cancel>:<import_id>)
+  bot.action(/^gift:(import|cancel):(\d+)$/, requireAdmin, handleGiftImportAction);
+
+  // Rubric grading: level buttons (rubric_pick:<assignment_id>:<user_id>:<chosen level indexes, dot separated>) and save
+  bot.action(/^rubric_pick:(\d+):(\d+):([\d.]*)$/, requireAdmin, handleRubricPick);
+  bot.action(/^rubric_save:(\d+):(\d+):([\d.]+)$/, requireAdmin, handleRubricSave);
+
+  // Wizard buttons (wizard:<action>[:<step>[:<value>]])
+  bot.action(/^wizard:(\w+)(?::(\w+))?(?::(.+))?$/, handleWizardAction);
+
+  // Votes on live quiz polls posted by /livepoll
+  bot.on('poll_answer', handlePollAnswer);
+
   console.log('✅ All bot commands and callbacks registered');
   logActivity('تم تسجيل جميع أوامر البوت والاستدعاءات');
 }
@@ -545,6 +738,8 @@ function setupShutdownHandlers(bot) {
       
       console.log('Cleaning up reminders...');
       cleanupReminders();
+      cleanupCheckins();
+      cleanupAnswerReveals();
       
       console.log('Closing database...');
       await closeDatabase();
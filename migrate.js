@@ -0,0 +1,53 @@
+// migrate.js
+// Apply pending schema migrations and print the current schema version.
+// Usage: npm run migrate            (apply pending migrations)
+//        npm run migrate -- --status (only show the current version)
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import * as fs from 'fs';
+import { runMigrations, getAppliedMigrations, getSchemaVersion, migrations, LATEST_SCHEMA_VERSION } from './bot/utils/migrations.js';
+
+async function main() {
+  const statusOnly = process.argv.includes('--status');
+
+  if (!fs.existsSync('./data')) {
+    fs.mkdirSync('./data', { recursive: true });
+  }
+
+  const db = await open({
+    filename: './data/mouin_almojtahidin.db',
+    driver: sqlite3.Database
+  });
+
+  try {
+    await db.exec('PRAGMA foreign_keys = ON');
+
+    if (!statusOnly) {
+      const result = await runMigrations(db);
+      if (result.applied.length === 0) {
+        console.log('✅ قاعدة البيانات محدثة، لا توجد ترحيلات معلقة');
+      } else {
+        console.log(`✅ تم تطبيق ${result.applied.length} ترحيل (${result.from} → ${result.to})`);
+      }
+    }
+
+    const version = await getSchemaVersion(db);
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    console.log(`📦 إصدار قاعدة البيانات: ${version} / ${LATEST_SCHEMA_VERSION}`);
+    migrations.forEach(migration => {
+      const row = applied.find(item => item.version === migration.version);
+      const status = appliedVersions.has(migration.version) ? `✅ ${row.applied_at}` : '⏳ معلق';
+      console.log(`  ${migration.version}. ${migration.name} — ${status}`);
+    });
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ فشل الترحيل:', error);
+  process.exit(1);
+});
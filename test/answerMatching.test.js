@@ -0,0 +1,92 @@
+import assert from 'assert';
+import { NORMALIZERS, normalizeAnswer, matchAnswer, validateExpectedAnswer, isMatchMode } from '../bot/utils/answerMatching.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting answer matching tests...\n');
+
+  try {
+    // Test 1: Individual normalization steps
+    console.log('🔤 Test 1: Normalization steps...');
+    assert.strictEqual(NORMALIZERS.removeTashkeel('البَرْمَجَةُ'), 'البرمجة');
+    assert.strictEqual(NORMALIZERS.removeTatweel('بـــرمجة'), 'برمجة');
+    assert.strictEqual(NORMALIZERS.unifyAlef('أإآٱ'), 'اااا');
+    assert.strictEqual(NORMALIZERS.unifyTaaMarbuta('مدرسة'), 'مدرسه');
+    assert.strictEqual(NORMALIZERS.unifyAlefMaqsura('مستشفى'), 'مستشفي');
+    assert.strictEqual(NORMALIZERS.westernDigits('١٢٣ ۴۵'), '123 45');
+    assert.strictEqual(NORMALIZERS.removeTashkeel('٣'), '٣', 'Arabic-Indic digits are not diacritics');
+    console.log('✅ Normalization steps work correctly');
+
+    // Test 2: Pipelines
+    console.log('\n🔗 Test 2: Running pipelines...');
+    assert.strictEqual(normalizeAnswer('  Hello   World ', ['trim', 'lowercase', 'collapseWhitespace']), 'hello world');
+    assert.strictEqual(normalizeAnswer('abc', [text => text.toUpperCase()]), 'ABC', 'Custom steps should be accepted');
+    assert.throws(() => normalizeAnswer('abc', ['unknownStep']), /Unknown normalization step/);
+    console.log('✅ Pipelines run correctly');
+
+    // Test 3: Exact and normalized modes
+    console.log('\n✅ Test 3: Exact and normalized matching...');
+    assert.strictEqual(matchAnswer(' Paris ', 'paris', 'exact'), true);
+    assert.strictEqual(matchAnswer('إسلام', 'اسلام', 'exact'), false, 'Exact mode keeps hamza forms apart');
+    assert.strictEqual(matchAnswer('إسلام', 'اسلام', 'normalized'), true);
+    assert.strictEqual(matchAnswer('المَدْرَسَةُ.', 'المدرسه', 'normalized'), true, 'Tashkeel, taa marbuta and punctuation should be ignored');
+    assert.strictEqual(matchAnswer('مستشفى', 'مستشفي', 'normalized'), true);
+    assert.strictEqual(matchAnswer('كتاب', 'كتب', 'normalized'), false);
+    assert.strictEqual(matchAnswer('paris', 'Paris', 'unknown'), true, 'Unknown modes should fall back to exact');
+    console.log('✅ Exact and normalized matching work correctly');
+
+    // Test 4: Keyword mode
+    console.log('\n🔑 Test 4: Keyword matching...');
+    const keywords = 'متغير، قيمة/بيانات';
+    assert.strictEqual(matchAnswer('المتغير هو مكان لتخزين البيانات', keywords, 'keywords'), true);
+    assert.strictEqual(matchAnswer('المُتغيِّر يحفظ قيمةً', keywords, 'keywords'), true, 'Keywords should be normalized too');
+    assert.strictEqual(matchAnswer('المتغير هو اسم', keywords, 'keywords'), false, 'Every keyword is required');
+    assert.ok(validateExpectedAnswer('keywords', ' , '), 'An empty keyword list should be rejected');
+    console.log('✅ Keyword matching works correctly');
+
+    // Test 5: Regex mode
+    console.log('\n🧩 Test 5: Regex matching...');
+    assert.strictEqual(matchAnswer('print("hi")', 'print\\(["\']hi["\']\\)', 'regex'), true);
+    assert.strictEqual(matchAnswer('color', 'colou?r', 'regex'), true);
+    assert.strictEqual(matchAnswer('colors', 'colou?r', 'regex'), false, 'Patterns should match the whole answer');
+    assert.strictEqual(matchAnswer('anything', '(', 'regex'), false, 'Invalid patterns should never match');
+    assert.ok(validateExpectedAnswer('regex', '('), 'Invalid patterns should be rejected');
+    assert.strictEqual(validateExpectedAnswer('regex', 'a+'), null);
+    console.log('✅ Regex matching works correctly');
+
+    // Test 6: Numeric mode
+    console.log('\n🔢 Test 6: Numeric matching...');
+    assert.strictEqual(matchAnswer('3.14', '3.14', 'numeric'), true);
+    assert.strictEqual(matchAnswer('٣٫١٤', '3.14', 'numeric'), true, 'Arabic digits and decimal separator should be accepted');
+    assert.strictEqual(matchAnswer('3,14', '3.14', 'numeric'), true, 'Decimal comma should be accepted');
+    assert.strictEqual(matchAnswer('3.2', '3.14', 'numeric', { tolerance: 0.1 }), true);
+    assert.strictEqual(matchAnswer('3.3', '3.14', 'numeric', { tolerance: 0.1 }), false);
+    assert.strictEqual(matchAnswer('0.30000000000000004', '0.3', 'numeric'), true, 'Float rounding should not fail a zero tolerance');
+    assert.strictEqual(matchAnswer('about 3', '3', 'numeric'), false, 'Answers must be numbers');
+    assert.ok(validateExpectedAnswer('numeric', 'three'), 'Non-numeric expected answers should be rejected');
+    console.log('✅ Numeric matching works correctly');
+
+    // Test 7: Mode names
+    console.log('\n📋 Test 7: Checking mode names...');
+    assert.strictEqual(isMatchMode('normalized'), true);
+    assert.strictEqual(isMatchMode('toString'), false, 'Object prototype keys are not modes');
+    assert.ok(validateExpectedAnswer('fuzzy', 'x'), 'Unknown modes should be rejected');
+    console.log('✅ Mode names checked correctly');
+
+    console.log('\n🎉 All answer matching tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,86 @@
+import assert from 'assert';
+import {
+  getDashboardStatus,
+  buildDashboard,
+  paginate,
+  formatTimeLeft
+} from '../bot/utils/assignmentDashboard.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting assignment dashboard tests...\n');
+
+  try {
+    const now = new Date('2026-11-25T12:00:00Z');
+    const closed = { assignment_id: 1, course_id: 1, deadline: '2026-11-20', course_timezone: 'UTC', reveal_policy: 'after_deadline' };
+    const soon = { assignment_id: 2, course_id: 1, deadline: '2026-11-26 09:00', course_timezone: 'UTC', reveal_policy: 'after_deadline' };
+    const later = { assignment_id: 3, course_id: 2, deadline: '2026-12-20', course_timezone: 'UTC', reveal_policy: 'after_deadline' };
+    const graceful = { ...closed, assignment_id: 4, late_policy: 'grace', grace_hours: 240 };
+
+    // Test 1: Status of one assignment
+    console.log('🚦 Test 1: Working out statuses...');
+    assert.strictEqual(getDashboardStatus(later, null, now), 'pending');
+    assert.strictEqual(getDashboardStatus(closed, null, now), 'overdue');
+    assert.strictEqual(getDashboardStatus(graceful, null, now), 'overdue', 'Late submissions being accepted does not hide that the deadline passed');
+    assert.strictEqual(getDashboardStatus(later, { score: null, status: 'pending' }, now), 'submitted', 'Answers waiting for an instructor are submitted');
+    assert.strictEqual(getDashboardStatus(later, { score: 1, max_score: 1, status: 'graded' }, now), 'submitted', 'Hidden scores are not shown as graded');
+    assert.strictEqual(getDashboardStatus(closed, { score: 1, max_score: 1, status: 'graded' }, now), 'graded');
+    assert.strictEqual(getDashboardStatus(later, { score: 2, max_score: 5, status: 'graded', graded_by: 99 }, now), 'graded');
+    console.log('✅ Statuses worked out correctly');
+
+    // Test 2: Building, sorting and filtering
+    console.log('\n📋 Test 2: Building the dashboard...');
+    const data = {
+      assignments: [closed, soon, later, graceful],
+      submissions: [{ assignment_id: 1, user_id: 5, score: 1, max_score: 1, status: 'graded' }]
+    };
+    const all = buildDashboard(data, {}, now);
+    assert.deepStrictEqual(all.entries.map(entry => entry.assignment.assignment_id), [2, 3, 4, 1], 'To-do work comes first, nearest deadline first');
+    assert.deepStrictEqual(all.counts, { pending: 2, overdue: 1, submitted: 0, graded: 1 });
+    assert.strictEqual(all.entries[0].blocker, null);
+    assert.strictEqual(all.entries[2].blocker, null, 'An overdue assignment in its grace period can still be submitted');
+    assert.ok(all.entries[3].blocker, 'A closed assignment cannot be submitted');
+
+    const course = buildDashboard(data, { courseId: 1 }, now);
+    assert.deepStrictEqual(course.entries.map(entry => entry.assignment.assignment_id), [2, 4, 1]);
+    assert.deepStrictEqual(course.counts, { pending: 1, overdue: 1, submitted: 0, graded: 1 });
+
+    const overdue = buildDashboard(data, { courseId: 1, status: 'overdue' }, now);
+    assert.deepStrictEqual(overdue.entries.map(entry => entry.assignment.assignment_id), [4]);
+    assert.deepStrictEqual(overdue.counts, course.counts, 'Counts ignore the status filter');
+    console.log('✅ Dashboard built correctly');
+
+    // Test 3: Pages
+    console.log('\n📄 Test 3: Paging...');
+    const items = [1, 2, 3, 4, 5, 6, 7];
+    assert.deepStrictEqual(paginate(items, 0, 3), { items: [1, 2, 3], page: 0, pageCount: 3 });
+    assert.deepStrictEqual(paginate(items, 2, 3), { items: [7], page: 2, pageCount: 3 });
+    assert.strictEqual(paginate(items, 9, 3).page, 2, 'Pages past the end show the last page');
+    assert.strictEqual(paginate(items, -1, 3).page, 0);
+    assert.deepStrictEqual(paginate([], 0, 3), { items: [], page: 0, pageCount: 1 });
+    console.log('✅ Paging works correctly');
+
+    // Test 4: Time left
+    console.log('\n⏳ Test 4: Time left...');
+    assert.strictEqual(formatTimeLeft(new Date('2026-11-26T09:00:00Z'), now), '21 ساعة');
+    assert.strictEqual(formatTimeLeft(new Date('2026-11-28T12:00:00Z'), now), '3 يوم');
+    assert.strictEqual(formatTimeLeft(new Date('2026-11-20T00:00:00Z'), now), null);
+    console.log('✅ Time left formatted correctly');
+
+    console.log('\n🎉 All assignment dashboard tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,155 @@
+import assert from 'assert';
+import {
+  getDeadlineInstant,
+  isPastDeadline,
+  isResubmittable,
+  getSubmissionBlocker,
+  shouldShowResult,
+  getSubmissionsCloseInstant,
+  getLateStatus,
+  applyLatePenalty,
+  getMaxAttempts,
+  combineAttemptScores
+} from '../bot/utils/assignmentPolicy.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting assignment policy tests...\n');
+
+  try {
+    // Test 1: Deadline instants
+    console.log('📅 Test 1: Resolving deadlines...');
+    assert.strictEqual(
+      getDeadlineInstant({ deadline: '2026-11-20', course_timezone: 'Africa/Algiers' }).toISOString(),
+      '2026-11-20T23:00:00.000Z',
+      'A date-only deadline should last until midnight in the course timezone'
+    );
+    assert.strictEqual(
+      getDeadlineInstant({ deadline: '2026-11-20 18:30' }, 'Africa/Algiers').toISOString(),
+      '2026-11-20T17:30:00.000Z',
+      'The fallback timezone should be used when the course has none'
+    );
+    assert.strictEqual(
+      getDeadlineInstant({ deadline: '2026-12-31' }).toISOString(),
+      '2027-01-01T00:00:00.000Z',
+      'Deadlines on the last day of the year should roll over'
+    );
+    assert.strictEqual(getDeadlineInstant({ due_date: '2026-11-20' }).toISOString(), '2026-11-21T00:00:00.000Z');
+    assert.strictEqual(getDeadlineInstant({ deadline: 'soon' }), null);
+    assert.strictEqual(getDeadlineInstant({}), null);
+    console.log('✅ Deadlines resolved correctly');
+
+    // Test 2: Past deadlines
+    console.log('\n⏰ Test 2: Checking past deadlines...');
+    const assignment = { deadline: '2026-11-20', course_timezone: 'UTC' };
+    assert.strictEqual(isPastDeadline(assignment, new Date('2026-11-20T23:59:00Z')), false);
+    assert.strictEqual(isPastDeadline(assignment, new Date('2026-11-21T00:00:00Z')), true);
+    assert.strictEqual(isPastDeadline({ deadline: 'soon' }, new Date()), false, 'Invalid deadlines never pass');
+    console.log('✅ Past deadlines checked correctly');
+
+    // Test 3: Resubmission and result visibility
+    console.log('\n🔁 Test 3: Resubmission rules...');
+    const before = new Date('2026-11-20T12:00:00Z');
+    const after = new Date('2026-11-21T12:00:00Z');
+    const hidden = { ...assignment, reveal_policy: 'after_deadline', allow_resubmit: 1 };
+    assert.strictEqual(isResubmittable(hidden, before), true);
+    assert.strictEqual(isResubmittable(hidden, after), false);
+    assert.strictEqual(isResubmittable({ ...hidden, allow_resubmit: 0 }, before), false);
+    assert.strictEqual(isResubmittable({ ...hidden, reveal_policy: 'immediate' }, before), false);
+    assert.strictEqual(isResubmittable({ ...hidden, results_released_at: '2026-11-20 10:00:00' }, before), false);
+    assert.strictEqual(shouldShowResult(hidden, before), false, 'Results stay hidden while answers can change');
+    assert.strictEqual(shouldShowResult({ ...hidden, allow_resubmit: 0 }, before), true);
+    assert.strictEqual(shouldShowResult({ ...hidden, reveal_policy: 'immediate' }, before), true);
+    console.log('✅ Resubmission rules work correctly');
+
+    // Test 4: Submission blockers
+    console.log('\n🔒 Test 4: Submission blockers...');
+    assert.strictEqual(getSubmissionBlocker(hidden, null, before), null);
+    assert.strictEqual(getSubmissionBlocker(hidden, { score: 0 }, before), null);
+    assert.ok(getSubmissionBlocker(hidden, { score: 0 }, after), 'Resubmitting after the deadline should be refused');
+    assert.ok(getSubmissionBlocker(hidden, { graded_by: 99 }, before), 'Graded submissions should be final');
+    assert.ok(getSubmissionBlocker({ ...hidden, reveal_policy: 'immediate' }, { score: 1 }, before));
+    assert.ok(
+      getSubmissionBlocker({ ...hidden, results_released_at: '2026-11-21 00:00:00' }, null, after),
+      'Nobody may submit once the answer was sent out'
+    );
+    assert.ok(getSubmissionBlocker(hidden, null, after), 'Late first submissions are rejected by default');
+    assert.strictEqual(
+      getSubmissionBlocker(
+        { ...hidden, reveal_policy: 'never', late_policy: 'grace', grace_hours: 24, results_released_at: '2026-11-21 00:00:00' },
+        null,
+        after
+      ),
+      null,
+      'Late submissions stay open when the answer is never revealed'
+    );
+    console.log('✅ Submission blockers work correctly');
+
+    // Test 5: Late submission policies
+    console.log('\n⏳ Test 5: Late submission policies...');
+    const penalty = { ...assignment, late_policy: 'penalty', late_penalty: 30 };
+    const grace = { ...assignment, late_policy: 'grace', grace_hours: 6 };
+    assert.deepStrictEqual(
+      getLateStatus(penalty, before),
+      { accepted: true, isLate: false, daysLate: 0, penaltyPercent: 0 }
+    );
+    assert.deepStrictEqual(
+      getLateStatus(penalty, new Date('2026-11-21T00:00:01Z')),
+      { accepted: true, isLate: true, daysLate: 1, penaltyPercent: 30 },
+      'Any part of a day counts as a day late'
+    );
+    assert.strictEqual(getLateStatus(penalty, new Date('2026-11-23T12:00:00Z')).penaltyPercent, 90);
+    assert.strictEqual(
+      getLateStatus(penalty, new Date('2026-11-24T12:00:00Z')).accepted,
+      false,
+      'Submissions close once the penalty reaches 100%'
+    );
+    assert.strictEqual(getSubmissionsCloseInstant(penalty).toISOString(), '2026-11-24T00:00:00.000Z');
+    assert.strictEqual(getLateStatus(grace, new Date('2026-11-21T05:00:00Z')).accepted, true);
+    assert.strictEqual(getLateStatus(grace, new Date('2026-11-21T05:00:00Z')).penaltyPercent, 0);
+    assert.strictEqual(getLateStatus(grace, new Date('2026-11-21T06:00:00Z')).accepted, false);
+    assert.strictEqual(getLateStatus(assignment, new Date('2026-11-21T00:00:01Z')).accepted, false, 'Reject is the default');
+    assert.strictEqual(getSubmissionsCloseInstant({ deadline: 'soon' }), null);
+    assert.strictEqual(applyLatePenalty(10, 30), 7);
+    assert.strictEqual(applyLatePenalty(1, 15), 0.85);
+    assert.strictEqual(applyLatePenalty(3, 0), 3);
+    console.log('✅ Late submission policies work correctly');
+
+    // Test 6: Attempts and scoring rules
+    console.log('\n🔁 Test 6: Attempts and scoring rules...');
+    assert.strictEqual(getMaxAttempts({ reveal_policy: 'immediate' }), 1, 'Immediate assignments default to one attempt');
+    assert.strictEqual(getMaxAttempts({ reveal_policy: 'after_deadline' }), Infinity);
+    assert.strictEqual(getMaxAttempts({ reveal_policy: 'immediate', max_attempts: 3 }), 3);
+    assert.strictEqual(getMaxAttempts({ reveal_policy: 'immediate', max_attempts: 0 }), Infinity, '0 means unlimited');
+    const limited = { ...hidden, max_attempts: 3 };
+    assert.strictEqual(isResubmittable(limited, before, 'UTC', 2), true);
+    assert.strictEqual(isResubmittable(limited, before, 'UTC', 3), false);
+    assert.match(getSubmissionBlocker(limited, { attempt_count: 3 }, before), /3 من 3/);
+    assert.strictEqual(getSubmissionBlocker(limited, { attempt_count: 2 }, before), null);
+    const retries = { ...assignment, reveal_policy: 'immediate', max_attempts: 2 };
+    assert.strictEqual(getSubmissionBlocker(retries, { attempt_count: 1 }, before), null);
+    assert.strictEqual(shouldShowResult(retries, before, 'UTC', 1), true, 'Immediate scores are shown on every attempt');
+    assert.strictEqual(combineAttemptScores([0.5, 1, 0], 'best'), 1);
+    assert.strictEqual(combineAttemptScores([0.5, 1, 0], 'last'), 0);
+    assert.strictEqual(combineAttemptScores([1, 0, 0], 'average'), 0.33);
+    assert.strictEqual(combineAttemptScores([1, null], 'last'), 1, 'Ungraded attempts are skipped');
+    assert.strictEqual(combineAttemptScores([], 'best'), null);
+    console.log('✅ Attempts and scoring rules work correctly');
+
+    console.log('\n🎉 All assignment policy tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
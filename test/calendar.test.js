@@ -0,0 +1,71 @@
+import assert from 'assert';
+import { escapeIcsText, foldIcsLine, formatIcsDateTime, buildLessonsCalendar } from '../bot/utils/calendar.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting calendar (ICS) tests...\n');
+
+  try {
+    // Test 1: Text escaping
+    console.log('🔤 Test 1: Escaping text values...');
+    assert.strictEqual(escapeIcsText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+    console.log('✅ Text escaped correctly');
+
+    // Test 2: Folding never splits a multi-byte character
+    console.log('\n📏 Test 2: Folding long lines...');
+    const longLine = `SUMMARY:${'مقدمة في البرمجة '.repeat(10)}`;
+    const folded = foldIcsLine(longLine);
+    const parts = folded.split('\r\n');
+    assert.ok(parts.length > 1, 'Long line should be folded');
+    parts.forEach(part => assert.ok(Buffer.byteLength(part, 'utf8') <= 75, 'Each folded part should be at most 75 octets'));
+    assert.strictEqual(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), longLine);
+    console.log('✅ Long lines folded correctly');
+
+    // Test 3: UTC date-time format
+    console.log('\n🕐 Test 3: Formatting date-times...');
+    assert.strictEqual(formatIcsDateTime(new Date(Date.UTC(2026, 10, 1, 16, 5, 0))), '20261101T160500Z');
+    console.log('✅ Date-times formatted correctly');
+
+    // Test 4: Calendar document
+    console.log('\n📅 Test 4: Building a lessons calendar...');
+    const ics = buildLessonsCalendar(
+      [
+        { lesson_id: 7, title: 'الدرس الأول', date: '2026-11-01', time: '19:00', timezone: 'America/New_York', zoom_link: 'https://zoom.us/j/1' },
+        { lesson_id: 8, title: 'الدرس الثاني', date: '2026-11-03', time: '19:00', zoom_link: null }
+      ],
+      {
+        name: 'Test',
+        durationMinutes: 90,
+        defaultLink: 'https://zoom.us/j/default',
+        defaultTimezone: 'Africa/Algiers',
+        now: new Date(Date.UTC(2026, 9, 1))
+      }
+    );
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'), 'Calendar should start with VCALENDAR');
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'), 'Calendar should end with CRLF');
+    assert.strictEqual(ics.match(/BEGIN:VEVENT/g).length, 2);
+    assert.ok(ics.includes('UID:lesson-7@mouin-almojtahidin'), 'UID should be stable per lesson');
+    assert.ok(ics.includes('URL:https://zoom.us/j/1'), 'Lesson link should be included');
+    assert.ok(ics.includes('URL:https://zoom.us/j/default'), 'Default link should be used when missing');
+    const starts = [...ics.matchAll(/DTSTART:(\S+)/g)].map(match => match[1]);
+    assert.deepStrictEqual(starts, ['20261102T000000Z', '20261103T180000Z'], 'Start times should be converted from the lesson timezone');
+    assert.ok(ics.includes('DTEND:20261102T013000Z'), 'End time should add the lesson duration');
+    console.log('✅ Calendar built correctly');
+
+    console.log('\n🎉 All calendar tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,58 @@
+import assert from 'assert';
+import { parseDurationMinutes, generateCheckinCode, normalizeCheckinCode, getCheckinStatus } from '../bot/utils/checkinWindow.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting check-in window tests...\n');
+
+  try {
+    // Test 1: Duration parsing
+    console.log('⏱️ Test 1: Parsing durations...');
+    assert.strictEqual(parseDurationMinutes('15'), 15);
+    assert.strictEqual(parseDurationMinutes('15m'), 15);
+    assert.strictEqual(parseDurationMinutes('1h'), 60);
+    assert.strictEqual(parseDurationMinutes('1h30m'), 90);
+    assert.strictEqual(parseDurationMinutes('0m'), null, 'Zero duration should be rejected');
+    assert.strictEqual(parseDurationMinutes('abc'), null, 'Invalid text should be rejected');
+    assert.strictEqual(parseDurationMinutes('h'), null, 'Unit without a number should be rejected');
+    console.log('✅ Durations parsed correctly');
+
+    // Test 2: Code generation and normalization
+    console.log('\n🔑 Test 2: Generating and normalizing codes...');
+    const code = generateCheckinCode();
+    assert.match(code, /^[A-HJ-NP-Z2-9]{6}$/, 'Code should avoid ambiguous characters');
+    assert.strictEqual(normalizeCheckinCode(' k7m-2qx '), 'K7M2QX');
+    assert.strictEqual(normalizeCheckinCode('checkin_K7M2QX'), 'K7M2QX', 'Deep link prefix should be stripped');
+    console.log('✅ Codes generated and normalized correctly');
+
+    // Test 3: On-time, late and closed windows
+    console.log('\n🕐 Test 3: Working out check-in status...');
+    const window = {
+      opened_at: '2026-11-01T18:00:00.000Z',
+      late_at: '2026-11-01T18:05:00.000Z',
+      closes_at: '2026-11-01T18:15:00.000Z',
+      closed_at: null
+    };
+    assert.strictEqual(getCheckinStatus(window, new Date('2026-11-01T18:02:00Z')), 'on_time');
+    assert.strictEqual(getCheckinStatus(window, new Date('2026-11-01T18:05:00Z')), 'late');
+    assert.strictEqual(getCheckinStatus(window, new Date('2026-11-01T18:15:00Z')), null, 'Check-ins after the window should be rejected');
+    assert.strictEqual(getCheckinStatus({ ...window, closed_at: '2026-11-01T18:10:00.000Z' }, new Date('2026-11-01T18:02:00Z')), null, 'Closed windows should reject check-ins');
+    console.log('✅ Check-in status worked out correctly');
+
+    console.log('\n🎉 All check-in window tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,115 @@
+import assert from 'assert';
+import {
+  parseTestSpec,
+  checkTestSyntax,
+  scoreCodeResults,
+  runCodeTests
+} from '../bot/utils/codeSandbox.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting code sandbox tests...\n');
+
+  try {
+    // Test 1: Reading tests written by instructors
+    console.log('📝 Test 1: Parsing test specs...');
+    assert.deepStrictEqual(parseTestSpec('sum(2, 3) => 5'), { expression: 'sum(2, 3)', expected: '5' });
+    assert.deepStrictEqual(
+      parseTestSpec('[1, 2].map(x => double(x)) => [2, 4]'),
+      { expression: '[1, 2].map(x => double(x))', expected: '[2, 4]' },
+      'Arrow functions in the expression are kept'
+    );
+    assert.strictEqual(parseTestSpec('sum(2, 3)'), null);
+    assert.strictEqual(parseTestSpec(' => 5'), null);
+    assert.strictEqual(checkTestSyntax({ expression: 'sum(2, 3)', expected: '{ a: 1 }' }), null, 'Object literals are expressions');
+    assert.ok(checkTestSyntax({ expression: 'sum(2,', expected: '5' }));
+    assert.ok(checkTestSyntax({ expression: 'sum()', expected: '5; process.exit()' }), 'Each side must be a single expression');
+    console.log('✅ Test specs parsed correctly');
+
+    // Test 2: Scoring
+    console.log('\n📊 Test 2: Scoring results...');
+    const tests = [{ points: 1 }, { points: 2 }, { points: 3 }];
+    assert.deepStrictEqual(
+      scoreCodeResults(tests, [{ status: 'passed' }, { status: 'failed' }, { status: 'passed' }]),
+      { passed: 2, total: 3, earned: 4, totalPoints: 6 }
+    );
+    assert.deepStrictEqual(scoreCodeResults(tests, []), { passed: 0, total: 3, earned: 0, totalPoints: 6 });
+    console.log('✅ Results scored correctly');
+
+    // Test 3: Running code
+    console.log('\n▶️ Test 3: Running code in the sandbox...');
+    const sumTests = [
+      { expression: 'sum(2, 3)', expected: '5' },
+      { expression: 'sum(-1, 1)', expected: '0' },
+      { expression: 'pair(1)', expected: '{ b: 2, a: 1 }' }
+    ];
+    const solved = await runCodeTests('function sum(a, b) { return a + b; }\nconst pair = a => ({ a, b: a + 1 });', sumTests);
+    assert.strictEqual(solved.syntaxError, null);
+    assert.deepStrictEqual(solved.results.map(result => result.status), ['passed', 'passed', 'passed'], 'Objects compare by value, whatever the key order');
+
+    const wrong = await runCodeTests('function sum(a, b) { return a * b; }', sumTests);
+    assert.deepStrictEqual(wrong.results[0], { status: 'failed', actual: '6' });
+    assert.strictEqual(wrong.results[2].status, 'error');
+    assert.match(wrong.results[2].error, /ReferenceError/);
+
+    const broken = await runCodeTests('function sum(a, b { return a + b; }', sumTests);
+    assert.match(broken.syntaxError, /SyntaxError/);
+    assert.deepStrictEqual(broken.results, []);
+
+    // Each test starts from a fresh context
+    const counter = await runCodeTests('let calls = 0; function sum() { return ++calls; }', [
+      { expression: 'sum()', expected: '1' },
+      { expression: 'sum()', expected: '1' }
+    ]);
+    assert.deepStrictEqual(counter.results.map(result => result.status), ['passed', 'passed']);
+    console.log('✅ Code run correctly');
+
+    // Test 4: Limits
+    console.log('\n🔒 Test 4: Sandbox limits...');
+    const escape = await runCodeTests(
+      'function probe() { return [typeof process, typeof require, (() => { try { return this.constructor.constructor("return process")(); } catch (error) { return "blocked"; } })()]; }',
+      [{ expression: 'probe()', expected: '["undefined", "undefined", "blocked"]' }]
+    );
+    assert.strictEqual(escape.results[0].status, 'passed', 'The host process cannot be reached');
+
+    // Patched builtins cannot make a wrong answer compare equal
+    const patched = await runCodeTests(
+      'String = () => "5"; Array.prototype.sort = function () { return []; }; function sum() { return 0; }\nconst pair = a => ({ a: 0 });',
+      [sumTests[0], { expression: 'pair(1)', expected: '{ a: 1 }' }]
+    );
+    assert.deepStrictEqual(patched.results.map(result => result.status), ['failed', 'failed']);
+
+    const loop = await runCodeTests('function sum() { while (true) {} }', [sumTests[0]], { testTimeoutMs: 200 });
+    assert.strictEqual(loop.results[0].status, 'timeout');
+
+    const hungry = await runCodeTests('const kept = []; while (true) kept.push(new Array(100000).fill(1));', [sumTests[0]], { memoryMb: 32 });
+    assert.strictEqual(hungry.results[0].status, 'memory');
+
+    // Typed arrays live outside the V8 heap, the process memory limit still applies to them
+    const offHeap = await runCodeTests(
+      'const kept = []; for (let i = 0; i < 4; i++) kept.push(new Uint8Array(128 * 1024 * 1024).fill(1));\nfunction sum(a, b) { return a + b; }',
+      [sumTests[0]]
+    );
+    assert.strictEqual(offHeap.results[0].status, 'memory');
+
+    const badTest = await runCodeTests('function sum(a, b) { return a + b; }', [{ expression: 'sum(1, 1)', expected: 'undefinedName' }]);
+    assert.strictEqual(badTest.results[0].status, 'invalid_test');
+    console.log('✅ Limits enforced correctly');
+
+    console.log('\n🎉 All code sandbox tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
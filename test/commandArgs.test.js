@@ -0,0 +1,152 @@
+import assert from 'assert';
+import { tokenizeArgs, coerceArg, parseCommandArgs, formatUsage, formatArgsReply } from '../bot/utils/commandArgs.js';
+
+const ADD_ASSIGNMENT = {
+  command: 'addassignment',
+  args: [
+    { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+    { name: 'title', label: { ar: 'العنوان', en: 'title' }, min: 3, max: 100 },
+    { name: 'question', label: { ar: 'السؤال', en: 'question' }, min: 10, max: 500 },
+    { name: 'deadline', label: { ar: 'الموعد_النهائي', en: 'deadline' }, type: 'date' },
+    { name: 'matchMode', label: { ar: 'طريقة_التصحيح', en: 'match_mode' }, type: 'enum', values: ['exact', 'normalized'], required: false, default: 'exact' }
+  ],
+  flags: [{ name: 'points', label: { ar: 'الدرجة', en: 'points' }, type: 'int', min: 1, default: 1 }],
+  examples: ['/addassignment 1 "اختبار الوحدة الأولى" "ما هو تعريف البرمجة؟" 2030-01-20']
+};
+
+const REMINDER = {
+  command: 'addreminder',
+  args: [
+    { name: 'remindAt', type: 'datetime' },
+    { name: 'message', type: 'text' }
+  ]
+};
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting command argument tests...\n');
+
+  try {
+    // Test 1: Tokenizing
+    console.log('✂️ Test 1: Splitting arguments...');
+    const values = text => tokenizeArgs(text).tokens.map(token => token.value);
+    assert.deepStrictEqual(values('1  "two words"   three'), ['1', 'two words', 'three']);
+    assert.deepStrictEqual(values('“curly quotes” «guillemets»'), ['curly quotes', 'guillemets']);
+    assert.deepStrictEqual(values('title="a b" x'), ['title=a b', 'x'], 'Quotes may start inside a word');
+    assert.deepStrictEqual(values('"say \\"hi\\""'), ['say "hi"'], 'Escaped quotes are kept');
+    assert.deepStrictEqual(values('"" x'), ['', 'x'], 'Empty quotes are an empty word');
+    const unclosed = tokenizeArgs('a "b c');
+    assert.strictEqual(unclosed.error, 'unclosed_quote');
+    assert.strictEqual(unclosed.tokens[1].unclosed, true);
+    console.log('✅ Arguments split correctly');
+
+    // Test 2: Types
+    console.log('\n🔢 Test 2: Checking types...');
+    assert.deepStrictEqual(coerceArg({ name: 'n', type: 'int' }, '42'), { value: 42 });
+    assert.ok(coerceArg({ name: 'n', type: 'int' }, '4.2').error);
+    assert.deepStrictEqual(coerceArg({ name: 'n', type: 'number', min: 0 }, '0.5'), { value: 0.5 });
+    assert.ok(coerceArg({ name: 'n', type: 'number', min: 0 }, '-1').error);
+    assert.deepStrictEqual(coerceArg({ name: 'd', type: 'date' }, '2030-01-20'), { value: '2030-01-20' });
+    assert.ok(coerceArg({ name: 'd', type: 'date' }, '2030-02-30').error, 'Impossible dates are rejected');
+    assert.ok(coerceArg({ name: 't', type: 'time' }, '24:00').error);
+    assert.deepStrictEqual(coerceArg({ name: 'dt', type: 'datetime' }, '2030-01-20T09:30'), { value: '2030-01-20 09:30' });
+    assert.deepStrictEqual(coerceArg({ name: 'e', type: 'enum', values: ['group', 'users'] }, 'USERS'), { value: 'users' });
+    assert.strictEqual(
+      coerceArg({ name: 's', label: { ar: 'العنوان', en: 'title' }, min: 3, max: 100 }, 'ab', 'en').error,
+      '"title" must be between 3 and 100 characters (currently 2)'
+    );
+    console.log('✅ Types checked correctly');
+
+    // Test 3: Parsing a command
+    console.log('\n📝 Test 3: Parsing commands...');
+    const parsed = parseCommandArgs(
+      '/addassignment@MoeenBot 1 "اختبار الوحدة الأولى" "ما هو تعريف البرمجة؟" 2030-01-20 points=5',
+      ADD_ASSIGNMENT
+    );
+    assert.deepStrictEqual(parsed, {
+      ok: true,
+      values: {
+        courseId: 1,
+        title: 'اختبار الوحدة الأولى',
+        question: 'ما هو تعريف البرمجة؟',
+        deadline: '2030-01-20',
+        matchMode: 'exact',
+        points: 5
+      }
+    });
+    assert.strictEqual(parseCommandArgs('/addassignment 1 abc "long question here" 2030-01-20 Normalized', ADD_ASSIGNMENT).values.matchMode, 'normalized');
+    assert.strictEqual(parseCommandArgs('/addassignment 1 abc "long question here" 2030-01-20 --points=3', ADD_ASSIGNMENT).values.points, 3);
+    console.log('✅ Commands parsed correctly');
+
+    // Test 4: Errors
+    console.log('\n❌ Test 4: Reporting errors...');
+    const empty = parseCommandArgs('/addassignment', ADD_ASSIGNMENT);
+    assert.strictEqual(empty.ok, false);
+    assert.strictEqual(empty.empty, true);
+    assert.strictEqual(parseCommandArgs('/addassignment x', ADD_ASSIGNMENT, 'en').error, '"course_id" must be a whole number');
+    assert.strictEqual(parseCommandArgs('/addassignment 1 abc', ADD_ASSIGNMENT, 'en').error, '"question" is required');
+    assert.strictEqual(parseCommandArgs('/addassignment 1 "abc', ADD_ASSIGNMENT, 'en').error, 'Unclosed quotation mark');
+    assert.strictEqual(
+      parseCommandArgs('/addassignment 1 abc "long question here" 2030-01-20 exact extra words', ADD_ASSIGNMENT, 'en').error,
+      'Unexpected extra values: extra words'
+    );
+    assert.strictEqual(
+      parseCommandArgs('/addassignment 1 abc "long question here" 2030-01-20 points=0', ADD_ASSIGNMENT, 'en').error,
+      '"points" must be at least 1'
+    );
+    assert.ok(parseCommandArgs('/addassignment 1 ab "long question here" 2030-01-20', ADD_ASSIGNMENT).error.includes('العنوان'));
+    console.log('✅ Errors reported correctly');
+
+    // Test 5: Free text and date-times
+    console.log('\n💬 Test 5: Free text...');
+    assert.deepStrictEqual(
+      parseCommandArgs('/addreminder 2030-01-20 19:00  مراجعة   الدرس\nغداً', REMINDER).values,
+      { remindAt: '2030-01-20 19:00', message: 'مراجعة   الدرس\nغداً' },
+      'Free text keeps its spacing and line breaks'
+    );
+    assert.strictEqual(parseCommandArgs('/addreminder "2030-01-20 19:00" "مراجعة الدرس"', REMINDER).values.message, 'مراجعة الدرس');
+    assert.strictEqual(
+      parseCommandArgs('/addreminder 2030-01-20 19:00 he said "hi', REMINDER).values.message,
+      'he said "hi',
+      'A stray quote in free text is kept as typed'
+    );
+    const lesson = {
+      command: 'addlesson',
+      args: [
+        { name: 'link', required: false, pattern: /^https?:\/\/\S+$/ },
+        { name: 'title', type: 'text' }
+      ]
+    };
+    assert.deepStrictEqual(parseCommandArgs('/addlesson مقدمة في البرمجة', lesson).values, { link: null, title: 'مقدمة في البرمجة' });
+    assert.strictEqual(parseCommandArgs('/addlesson https://zoom.us/j/1 مقدمة', lesson).values.link, 'https://zoom.us/j/1');
+    console.log('✅ Free text parsed correctly');
+
+    // Test 6: Usage help
+    console.log('\n📖 Test 6: Usage help...');
+    const usage = formatUsage(ADD_ASSIGNMENT, 'en');
+    assert.ok(usage.includes('/addassignment <course_id> <title> <question> <deadline> [match_mode] [points=points]'));
+    assert.ok(usage.includes('• match_mode: one of: exact, normalized, default exact'));
+    assert.ok(usage.includes(ADD_ASSIGNMENT.examples[0]));
+    assert.ok(formatUsage(ADD_ASSIGNMENT).includes('/addassignment <رقم_الكورس>'));
+    assert.ok(formatArgsReply(empty, 'إضافة واجب').startsWith('📝 *إضافة واجب*'));
+    const reply = formatArgsReply(parseCommandArgs('/addassignment x', ADD_ASSIGNMENT, 'en'));
+    assert.ok(reply.startsWith('❌ *"course\\_id" must be a whole number*'), 'Replies are escaped for MarkdownV2');
+    console.log('✅ Usage help generated correctly');
+
+    console.log('\n🎉 All command argument tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
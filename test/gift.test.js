@@ -0,0 +1,112 @@
+import assert from 'assert';
+import { splitGiftBlocks, parseGiftQuestion, parseGift, GIFT_BLANK } from '../bot/utils/gift.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting GIFT import tests...\n');
+
+  try {
+    // Test 1: Splitting the file
+    console.log('📄 Test 1: Splitting question blocks...');
+    const blocks = splitGiftBlocks('\uFEFF// header comment\r\n$CATEGORY: $course$/Unit 1\r\n\r\nQ1 {T}\r\n\r\n\r\nQ2 {\r\n=a\r\n~b\r\n}\r\n');
+    assert.deepStrictEqual(blocks, [
+      { line: 4, source: 'Q1 {T}' },
+      { line: 7, source: 'Q2 {\n=a\n~b\n}' }
+    ]);
+    console.log('✅ Blocks split correctly');
+
+    // Test 2: Question types
+    console.log('\n🔤 Test 2: Parsing question types...');
+    const mcq = parseGiftQuestion('::Sum:: What is 2+2? {\n  ~3 # too small\n  =4 # right\n  ~5\n}');
+    assert.deepStrictEqual(mcq, {
+      title: 'Sum',
+      type: 'mcq',
+      text: 'What is 2+2?',
+      options: ['3', '4', '5'],
+      correctAnswer: '1',
+      acceptedAnswers: [],
+      tolerance: null
+    });
+    assert.strictEqual(parseGiftQuestion('Pick {~%100%yes ~%0%no}').correctAnswer, '0', 'A 100% option is the correct one');
+
+    assert.strictEqual(parseGiftQuestion('Grass is green {T}').correctAnswer, 'true');
+    assert.strictEqual(parseGiftQuestion('The sun is cold {FALSE#Wrong#Right}').correctAnswer, 'false');
+
+    const short = parseGiftQuestion('Capital of Algeria? {=Algiers =الجزائر}');
+    assert.strictEqual(short.type, 'short_answer');
+    assert.strictEqual(short.correctAnswer, 'Algiers');
+    assert.deepStrictEqual(short.acceptedAnswers, ['الجزائر']);
+
+    assert.deepStrictEqual(
+      ['{#3.14:0.01}', '{#1..5}', '{#=42#right =%0%41}'].map(answers => {
+        const { type, correctAnswer, tolerance } = parseGiftQuestion(`Number ${answers}`);
+        return { type, correctAnswer, tolerance };
+      }),
+      [
+        { type: 'numeric', correctAnswer: '3.14', tolerance: 0.01 },
+        { type: 'numeric', correctAnswer: '3', tolerance: 2 },
+        { type: 'numeric', correctAnswer: '42', tolerance: 0 }
+      ]
+    );
+    console.log('✅ Question types parsed correctly');
+
+    // Test 3: Text details
+    console.log('\n✏️ Test 3: Text, escapes and formats...');
+    assert.strictEqual(parseGiftQuestion('The {=cat ~dog} sat on the mat.').text, `The ${GIFT_BLANK} sat on the mat.`);
+    assert.strictEqual(parseGiftQuestion('Paris is in {=France}.').text, `Paris is in ${GIFT_BLANK}.`);
+    const escaped = parseGiftQuestion('Is a\\=b \\{really\\}? {=yes\\: sure ~no\\~}');
+    assert.strictEqual(escaped.text, 'Is a=b {really}?');
+    assert.deepStrictEqual(escaped.options, ['yes: sure', 'no~']);
+    assert.strictEqual(parseGiftQuestion('[html]<p>Line one<br>line&nbsp;two</p> {T}').text, 'Line one\nline two');
+    assert.strictEqual(parseGiftQuestion('A question\nover two lines {T}').text, 'A question over two lines');
+    console.log('✅ Text handled correctly');
+
+    // Test 4: Unsupported questions
+    console.log('\n🚫 Test 4: Reporting unsupported questions...');
+    for (const source of [
+      'Write an essay {}',
+      'Match {=a -> 1 =b -> 2}',
+      'Pick two {~%50%a ~%50%b ~%-100%c}',
+      'Two right {=a =b ~c}',
+      'Just a description',
+      'Unclosed {=a ~b',
+      'Bad number {#abc}',
+      'Too many {=1 ~2 ~3 ~4 ~5 ~6 ~7 ~8 ~9}'
+    ]) {
+      assert.ok(parseGiftQuestion(source).error, `Should be rejected: ${source}`);
+    }
+    console.log('✅ Unsupported questions reported correctly');
+
+    // Test 5: Whole file
+    console.log('\n📦 Test 5: Parsing a file...');
+    const file = [
+      '// Unit 1',
+      '::Q1:: 2+2? {=4 ~5}',
+      '',
+      '::Q2:: Explain {}',
+      '',
+      'Earth is round {T}'
+    ].join('\n');
+    const result = parseGift(file);
+    assert.deepStrictEqual(result.questions.map(question => [question.line, question.type]), [[2, 'mcq'], [6, 'true_false']]);
+    assert.deepStrictEqual(result.errors.map(error => [error.line, error.source]), [[4, '::Q2:: Explain {}']]);
+    assert.deepStrictEqual(parseGift(''), { questions: [], errors: [] });
+    console.log('✅ File parsed correctly');
+
+    console.log('\n🎉 All GIFT import tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,113 @@
+import assert from 'assert';
+import {
+  getCourseWeights,
+  getAssignmentGrade,
+  getAttendanceGrade,
+  combineCategoryGrades,
+  computeCourseGrade,
+  DEFAULT_GRADE_WEIGHTS
+} from '../bot/utils/gradebook.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting gradebook tests...\n');
+
+  try {
+    const now = new Date('2026-11-25T12:00:00Z');
+    const closed = { assignment_id: 1, deadline: '2026-11-20', course_timezone: 'UTC', reveal_policy: 'after_deadline' };
+    const open = { assignment_id: 2, deadline: '2026-12-20', course_timezone: 'UTC', reveal_policy: 'after_deadline' };
+
+    // Test 1: Course weights
+    console.log('⚖️ Test 1: Reading course weights...');
+    assert.deepStrictEqual(getCourseWeights({}), DEFAULT_GRADE_WEIGHTS);
+    assert.deepStrictEqual(
+      getCourseWeights({ weight_assignments: 50, weight_quizzes: 0, weight_attendance: '50' }),
+      { assignments: 50, quizzes: 0, attendance: 50 }
+    );
+    console.log('✅ Course weights read correctly');
+
+    // Test 2: Assignment grades
+    console.log('\n📝 Test 2: Grading assignments...');
+    assert.deepStrictEqual(getAssignmentGrade(closed, { score: 3, max_score: 4 }, now), { status: 'graded', percent: 75 });
+    assert.deepStrictEqual(getAssignmentGrade(closed, null, now), { status: 'missing', percent: 0 }, 'Unanswered closed assignments count as 0');
+    assert.deepStrictEqual(getAssignmentGrade(open, null, now), { status: 'open', percent: null });
+    assert.strictEqual(getAssignmentGrade(open, { score: 1, max_score: 1 }, now).status, 'hidden', 'Hidden results do not count yet');
+    assert.strictEqual(getAssignmentGrade({ ...open, reveal_policy: 'immediate' }, { score: 1, max_score: 1 }, now).percent, 100);
+    assert.strictEqual(getAssignmentGrade(open, { score: 1, max_score: 2, graded_by: 99 }, now).percent, 50);
+    assert.strictEqual(getAssignmentGrade(closed, { score: null, status: 'pending' }, now).status, 'pending');
+    assert.strictEqual(
+      getAssignmentGrade({ ...closed, late_policy: 'grace', grace_hours: 240 }, null, now).status,
+      'open',
+      'Assignments still accepting late submissions are not counted as missing'
+    );
+    console.log('✅ Assignments graded correctly');
+
+    // Test 3: Attendance
+    console.log('\n🙋 Test 3: Attendance percentage...');
+    const lessons = [
+      { lesson_id: 1, date: '2026-11-01', time: '19:00' },
+      { lesson_id: 2, date: '2026-11-08', time: '19:00' },
+      { lesson_id: 3, date: '2026-11-15', time: '19:00', status: 'cancelled' },
+      { lesson_id: 4, date: '2026-11-22', time: '19:00' },
+      { lesson_id: 5, date: '2026-12-01', time: '19:00' }
+    ];
+    const attendance = [
+      { lesson_id: 1, status: 'on_time' },
+      { lesson_id: 2, status: 'late' },
+      { lesson_id: 4, status: 'absent' }
+    ];
+    assert.deepStrictEqual(getAttendanceGrade(lessons, attendance, now), { held: 3, attended: 2, percent: 66.67 });
+    assert.deepStrictEqual(getAttendanceGrade([], [], now), { held: 0, attended: 0, percent: null });
+    console.log('✅ Attendance percentage works correctly');
+
+    // Test 4: Weighted totals
+    console.log('\n🎯 Test 4: Combining categories...');
+    assert.strictEqual(combineCategoryGrades({ assignments: 80, quizzes: 50, attendance: 100 }, DEFAULT_GRADE_WEIGHTS), 78);
+    assert.strictEqual(
+      combineCategoryGrades({ assignments: 80, quizzes: null, attendance: 100 }, DEFAULT_GRADE_WEIGHTS),
+      85,
+      'Categories without grades are left out'
+    );
+    assert.strictEqual(combineCategoryGrades({ assignments: 80, quizzes: 0, attendance: 100 }, { assignments: 1, quizzes: 0, attendance: 1 }), 90);
+    assert.strictEqual(combineCategoryGrades({ assignments: null, quizzes: null, attendance: null }, DEFAULT_GRADE_WEIGHTS), null);
+    console.log('✅ Categories combined correctly');
+
+    // Test 5: Full course grade
+    console.log('\n📊 Test 5: Course grade...');
+    const grade = computeCourseGrade({
+      assignments: [
+        { ...closed, question_count: 0 },
+        { ...closed, assignment_id: 3, question_count: 0 },
+        { ...closed, assignment_id: 4, question_count: 5 },
+        { ...open, question_count: 0 }
+      ],
+      submissions: [
+        { assignment_id: 1, score: 1, max_score: 1 },
+        { assignment_id: 4, score: 4, max_score: 5 }
+      ],
+      lessons,
+      attendance
+    }, DEFAULT_GRADE_WEIGHTS, now);
+    assert.deepStrictEqual(grade.categories, { assignments: 50, quizzes: 80, attendance: 66.67 });
+    assert.deepStrictEqual(grade.items.map(item => item.status), ['graded', 'missing', 'graded', 'open']);
+    assert.strictEqual(grade.items[2].category, 'quizzes');
+    assert.strictEqual(grade.total, 59.33);
+    console.log('✅ Course grade computed correctly');
+
+    console.log('\n🎉 All gradebook tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
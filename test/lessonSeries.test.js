@@ -0,0 +1,64 @@
+import assert from 'assert';
+import { parseWeekdays, parseDateList, generateSeriesDates } from '../bot/utils/lessonSeries.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting lesson series tests...\n');
+
+  try {
+    // Test 1: Weekday parsing
+    console.log('📆 Test 1: Parsing weekdays...');
+    assert.deepStrictEqual(parseWeekdays('tue,sun'), [0, 2]);
+    assert.deepStrictEqual(parseWeekdays('الأحد،الثلاثاء'), [0, 2]);
+    assert.deepStrictEqual(parseWeekdays('Monday/mon'), [1]);
+    assert.strictEqual(parseWeekdays('funday'), null);
+    assert.strictEqual(parseWeekdays(''), null);
+    console.log('✅ Weekdays parsed correctly');
+
+    // Test 2: Skip date parsing
+    console.log('\n🏖️ Test 2: Parsing skip dates...');
+    assert.deepStrictEqual(parseDateList('2026-11-15, 2026-12-01'), ['2026-11-15', '2026-12-01']);
+    assert.deepStrictEqual(parseDateList(''), []);
+    assert.strictEqual(parseDateList('15/11/2026'), null);
+    console.log('✅ Skip dates parsed correctly');
+
+    // Test 3: Sun/Tue for 2 weeks starting on a Sunday
+    console.log('\n🔁 Test 3: Generating series dates...');
+    const dates = generateSeriesDates({ weekdays: [0, 2], startDate: '2026-11-01', weeks: 2 });
+    assert.deepStrictEqual(dates, ['2026-11-01', '2026-11-03', '2026-11-08', '2026-11-10']);
+    console.log('✅ Series dates generated correctly');
+
+    // Test 4: Holidays are skipped
+    console.log('\n🚫 Test 4: Skipping holidays...');
+    const withHoliday = generateSeriesDates({
+      weekdays: [0, 2],
+      startDate: '2026-11-01',
+      weeks: 2,
+      skipDates: ['2026-11-03']
+    });
+    assert.deepStrictEqual(withHoliday, ['2026-11-01', '2026-11-08', '2026-11-10']);
+    console.log('✅ Holidays skipped');
+
+    // Test 5: A DST change inside the range does not shift dates
+    console.log('\n🕐 Test 5: Crossing a DST change...');
+    const acrossDst = generateSeriesDates({ weekdays: [6], startDate: '2026-10-24', weeks: 2 });
+    assert.deepStrictEqual(acrossDst, ['2026-10-24', '2026-10-31']);
+    console.log('✅ DST change handled');
+
+    console.log('\n🎉 All lesson series tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,87 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  initDatabase,
+  closeDatabase,
+  addUser,
+  addCourse,
+  addAssignment,
+  updateAssignment,
+  addQuestion,
+  addLivePoll,
+  getAssignmentSubmissions
+} from '../bot/utils/database.js';
+import { handlePollAnswer } from '../bot/commands/livepoll.js';
+
+const STUDENT_IDS = [880001, 880002, 880003, 880004, 880005, 880006];
+
+// Minimal Telegraf context of a poll_answer update
+function pollAnswerContext(pollId, userId, optionId) {
+  return { pollAnswer: { poll_id: pollId, user: { id: userId }, option_ids: [optionId] } };
+}
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting live poll tests...\n');
+
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'livepoll-test-'));
+  try {
+    // A database of its own, removed afterwards, so the bot's data is not touched
+    await initDatabase(path.join(testDir, 'livePoll.db'));
+
+    const { courseId } = await addCourse('كورس الاستطلاعات', 'اختبار');
+    const assignmentId = await addAssignment(courseId, 'سؤال مباشر', 'ما ناتج 2+2؟', '', '2099-12-31');
+    await updateAssignment(assignmentId, 'reveal_policy', 'immediate');
+    const questionId = await addQuestion(assignmentId, 'mcq', 'ما ناتج 2+2؟', ['3', '4', '5'], '1');
+    const pollId = `test-poll-${Date.now()}`;
+    await addLivePoll(pollId, assignmentId, questionId, -100, 1, 1);
+    for (const userId of STUDENT_IDS) {
+      await addUser(userId, `student${userId}`, 'طالب');
+    }
+
+    // Test 1: Votes arriving together
+    console.log('📊 Test 1: Recording concurrent votes...');
+    // Telegraf handles a batch of updates at the same time, so the votes are saved concurrently
+    await Promise.all(STUDENT_IDS.map((userId, index) =>
+      handlePollAnswer(pollAnswerContext(pollId, userId, index % 2 === 0 ? 1 : 2))
+    ));
+
+    const submissions = await getAssignmentSubmissions(assignmentId);
+    assert.strictEqual(submissions.length, STUDENT_IDS.length, 'Every vote should be recorded');
+    for (const [index, userId] of STUDENT_IDS.entries()) {
+      const submission = submissions.find(row => row.user_id === userId);
+      assert.ok(submission, `Vote of ${userId} should be recorded`);
+      assert.strictEqual(submission.score, index % 2 === 0 ? 1 : 0, `Vote of ${userId} should be graded`);
+    }
+    console.log('✅ All concurrent votes recorded');
+
+    // Test 2: A repeated vote is not counted twice
+    console.log('\n🔁 Test 2: Ignoring a second vote...');
+    await handlePollAnswer(pollAnswerContext(pollId, STUDENT_IDS[1], 1));
+    const after = await getAssignmentSubmissions(assignmentId);
+    assert.strictEqual(after.length, STUDENT_IDS.length);
+    assert.strictEqual(after.find(row => row.user_id === STUDENT_IDS[1]).score, 0, 'The first vote is final');
+    console.log('✅ Second vote ignored');
+
+    console.log('\n🎉 All live poll tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,68 @@
+import assert from 'assert';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../bot/utils/migrations.js';
+
+async function openMemoryDb() {
+  return open({ filename: ':memory:', driver: sqlite3.Database });
+}
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting schema migration tests...\n');
+
+  try {
+    // Test 1: Fresh database gets every migration
+    console.log('📝 Test 1: Migrating a fresh database...');
+    const freshDb = await openMemoryDb();
+    const freshResult = await runMigrations(freshDb);
+    assert.strictEqual(freshResult.from, 0, 'Fresh database should start at version 0');
+    assert.strictEqual(freshResult.to, LATEST_SCHEMA_VERSION, 'Fresh database should reach the latest version');
+    const coursesTable = await freshDb.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='courses'`);
+    assert.ok(coursesTable, 'courses table should exist after migrating');
+    console.log('✅ Fresh database migrated to latest version');
+
+    // Test 2: Running again is a no-op
+    console.log('\n🔁 Test 2: Re-running migrations...');
+    const secondResult = await runMigrations(freshDb);
+    assert.strictEqual(secondResult.applied.length, 0, 'No migrations should be re-applied');
+    assert.strictEqual(await getSchemaVersion(freshDb), LATEST_SCHEMA_VERSION);
+    await freshDb.close();
+    console.log('✅ Migrations are applied only once');
+
+    // Test 3: Legacy database is upgraded in place
+    console.log('\n🗄️ Test 3: Upgrading a legacy database...');
+    const legacyDb = await openMemoryDb();
+    await legacyDb.exec(`
+      CREATE TABLE users (user_id INTEGER PRIMARY KEY, username TEXT, first_name TEXT, is_verified BOOLEAN DEFAULT 0);
+      CREATE TABLE lessons (lesson_id INTEGER PRIMARY KEY AUTOINCREMENT, course_id INTEGER NOT NULL, title TEXT NOT NULL, date TEXT NOT NULL, time TEXT NOT NULL, zoom_link TEXT);
+      INSERT INTO users (user_id, username, first_name, is_verified) VALUES (1, 'legacy', 'Legacy', 1);
+      INSERT INTO lessons (course_id, title, date, time) VALUES (2, 'درس قديم', '2024-01-15', '19:00');
+    `);
+    await runMigrations(legacyDb);
+    const userColumns = (await legacyDb.all('PRAGMA table_info(users)')).map(col => col.name);
+    assert.ok(userColumns.includes('notification_frequency'), 'notification_frequency should be added');
+    const legacyUser = await legacyDb.get('SELECT * FROM users WHERE user_id = 1');
+    assert.strictEqual(legacyUser.username, 'legacy', 'Existing rows should be preserved');
+    const legacyCourse = await legacyDb.get('SELECT * FROM courses WHERE course_id = 2');
+    assert.ok(legacyCourse, 'Courses referenced by old lessons should be backfilled');
+    await legacyDb.close();
+    console.log('✅ Legacy database upgraded without data loss');
+
+    console.log('\n🎉 All migration tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
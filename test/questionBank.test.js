@@ -0,0 +1,143 @@
+import assert from 'assert';
+import {
+  parseTags,
+  parseBankOptions,
+  parseParameters,
+  evaluateFormula,
+  validateBankQuestion,
+  filterBankQuestions,
+  drawQuestions,
+  instantiateQuestion,
+  describeDraw
+} from '../bot/utils/questionBank.js';
+
+// Returns the given numbers in turn, so draws are predictable
+function sequence(...values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting question bank tests...\n');
+
+  try {
+    // Test 1: Tags and bank options
+    console.log('🏷️ Test 1: Parsing tags and options...');
+    assert.deepStrictEqual(parseTags('Algebra, fractions،algebra , unit 1'), ['algebra', 'fractions', 'unit_1']);
+    assert.deepStrictEqual(parseTags(null), []);
+    assert.deepStrictEqual(
+      parseBankOptions('difficulty=EASY tags=a,b points=3 What is 2+2? | 4'),
+      { points: 3, tags: ['a', 'b'], difficulty: 'easy', rest: 'What is 2+2? | 4' }
+    );
+    assert.deepStrictEqual(
+      parseBankOptions('What is x=2? | 2'),
+      { points: 1, tags: [], difficulty: 'medium', rest: 'What is x=2? | 2' },
+      'Options are only read before the text'
+    );
+    assert.ok(parseBankOptions('difficulty=extreme Q | A').error);
+    assert.ok(parseBankOptions('points=0 Q | A').error);
+    console.log('✅ Tags and options parsed correctly');
+
+    // Test 2: Parameters and formulas
+    console.log('\n🔢 Test 2: Parameters and formulas...');
+    assert.deepStrictEqual(parseParameters('{a:1..10} + {b:0.5..2:0.5} = ?').params, [
+      { name: 'a', min: 1, max: 10, step: 1 },
+      { name: 'b', min: 0.5, max: 2, step: 0.5 }
+    ]);
+    assert.ok(parseParameters('{a:1..2} {a:3..4}').error, 'Parameters are declared once');
+    assert.ok(parseParameters('{a:5..1}').error);
+    assert.ok(parseParameters('{a:1..1000000:0.001}').error, 'Huge ranges are rejected');
+
+    assert.strictEqual(evaluateFormula('2 + 3 * 4'), 14);
+    assert.strictEqual(evaluateFormula('(2 + 3) * 4'), 20);
+    assert.strictEqual(evaluateFormula('2 ^ 3 ^ 2'), 512, 'Powers group from the right');
+    assert.strictEqual(evaluateFormula('-2 * 3 + 7 % 4'), -3);
+    assert.strictEqual(evaluateFormula('{a} * ({b} - 1)', { a: 3, b: -2 }), -9);
+    assert.strictEqual(evaluateFormula('1 / 0'), null, 'Division by zero has no answer');
+    assert.strictEqual(evaluateFormula('2 +'), null);
+    assert.strictEqual(evaluateFormula('(2 + 3'), null);
+    assert.strictEqual(evaluateFormula('process.exit()'), null, 'Only arithmetic is accepted');
+    assert.strictEqual(evaluateFormula('{c} + 1', { a: 1 }), null);
+    console.log('✅ Parameters and formulas evaluated correctly');
+
+    // Test 3: Validating bank questions
+    console.log('\n📝 Test 3: Validating bank questions...');
+    assert.strictEqual(validateBankQuestion('numeric', 'What is {a:1..9} × {b:1..9}?', '{a} * {b}'), null);
+    assert.strictEqual(validateBankQuestion('numeric', 'What is half of one?', '0.5'), null);
+    assert.ok(validateBankQuestion('numeric', 'What is {a:1..9} + 1?', '{a} + {b}'), 'Undefined parameters are rejected');
+    assert.ok(validateBankQuestion('numeric', 'Divide 1 by {a:0..5}', '1 / {a}'), 'The answer must work for the smallest value');
+    assert.ok(validateBankQuestion('short_answer', 'Name {a:1..3}', 'x'), 'Only numeric questions take parameters');
+    assert.strictEqual(validateBankQuestion('mcq', 'Pick one', '1'), null);
+    console.log('✅ Bank questions validated correctly');
+
+    // Test 4: Filtering and drawing
+    console.log('\n🎲 Test 4: Filtering and drawing...');
+    const bank = [
+      { bank_question_id: 1, tags: 'algebra,unit_1', difficulty: 'easy' },
+      { bank_question_id: 2, tags: 'geometry', difficulty: 'easy' },
+      { bank_question_id: 3, tags: 'algebra', difficulty: 'hard' },
+      { bank_question_id: 4, tags: '', difficulty: 'medium' }
+    ];
+    const ids = questions => questions.map(question => question.bank_question_id);
+    assert.deepStrictEqual(ids(filterBankQuestions(bank)), [1, 2, 3, 4]);
+    assert.deepStrictEqual(ids(filterBankQuestions(bank, { tags: ['algebra', 'geometry'] })), [1, 2, 3], 'Any of the tags matches');
+    assert.deepStrictEqual(ids(filterBankQuestions(bank, { tags: ['algebra'], difficulty: 'easy' })), [1]);
+
+    assert.deepStrictEqual(ids(drawQuestions(bank, 2, sequence(0.99, 0))), [4, 1]);
+    assert.strictEqual(drawQuestions(bank, 10).length, 4, 'At most the whole pool is drawn');
+    assert.strictEqual(new Set(ids(drawQuestions(bank, 4))).size, 4, 'Questions are not repeated');
+    console.log('✅ Questions filtered and drawn correctly');
+
+    // Test 5: Student copies
+    console.log('\n👤 Test 5: Building student copies...');
+    const mcq = { type: 'mcq', text: 'What is 2+2?', options: JSON.stringify(['3', '4', '5']), correct_answer: '1', points: 2 };
+    const shuffled = instantiateQuestion(mcq, sequence(0.99, 0));
+    assert.deepStrictEqual(shuffled.options, ['5', '3', '4']);
+    assert.strictEqual(shuffled.correctAnswer, '2', 'The correct option follows the shuffle');
+    assert.strictEqual(shuffled.points, 2);
+
+    const numeric = { type: 'numeric', text: 'What is {a:2..9} × {b:0.5..1.5:0.5}?', options: null, correct_answer: '{a} * {b}', points: 1 };
+    const copy = instantiateQuestion(numeric, sequence(0, 0.99));
+    assert.deepStrictEqual(copy.params, { a: 2, b: 1.5 });
+    assert.strictEqual(copy.text, 'What is 2 × 1.5?');
+    assert.strictEqual(copy.correctAnswer, '3');
+
+    const noisy = { type: 'numeric', text: '{a:0.1..0.1} + 0.2 = ?', options: null, correct_answer: '{a} + 0.2', points: 1 };
+    assert.strictEqual(instantiateQuestion(noisy).correctAnswer, '0.3', 'Floating point noise is trimmed');
+
+    const impossible = { type: 'numeric', text: '1 / {a:0..0}', options: null, correct_answer: '1 / {a}', points: 1 };
+    assert.strictEqual(instantiateQuestion(impossible), null);
+
+    const plain = { type: 'short_answer', text: 'Capital of Algeria?', options: null, correct_answer: 'Algiers', points: 1 };
+    assert.deepStrictEqual(instantiateQuestion(plain), {
+      type: 'short_answer', text: 'Capital of Algeria?', options: null, correctAnswer: 'Algiers', points: 1, params: null
+    });
+    console.log('✅ Student copies built correctly');
+
+    // Test 6: Describing draw rules
+    console.log('\n📋 Test 6: Describing draw rules...');
+    assert.strictEqual(describeDraw({ draw_count: 0 }), null);
+    assert.strictEqual(
+      describeDraw({ draw_count: 3, draw_tags: 'algebra', draw_difficulty: 'easy' }),
+      '3 أسئلة عشوائية من بنك الأسئلة (الوسوم: algebra، الصعوبة: سهل)'
+    );
+    console.log('✅ Draw rules described correctly');
+
+    console.log('\n🎉 All question bank tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
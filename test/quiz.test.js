@@ -0,0 +1,82 @@
+import assert from 'assert';
+import { resolveQuestionType, parseQuestionSpec, gradeQuestion, formatQuizAnswer, formatExpectedAnswer, summarizeQuiz } from '../bot/utils/quiz.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting quiz tests...\n');
+
+  try {
+    // Test 1: Question type aliases
+    console.log('🔤 Test 1: Resolving question types...');
+    assert.strictEqual(resolveQuestionType('mcq'), 'mcq');
+    assert.strictEqual(resolveQuestionType('TF'), 'true_false');
+    assert.strictEqual(resolveQuestionType('short'), 'short_answer');
+    assert.strictEqual(resolveQuestionType('num'), 'numeric');
+    assert.strictEqual(resolveQuestionType('essay'), null, 'Unknown types should be rejected');
+    console.log('✅ Question types resolved correctly');
+
+    // Test 2: Parsing question specs
+    console.log('\n📝 Test 2: Parsing questions...');
+    assert.deepStrictEqual(parseQuestionSpec('mcq', 'What is 2+2? | 3 | *4 | 5'), {
+      text: 'What is 2+2?',
+      options: ['3', '4', '5'],
+      correctAnswer: '1'
+    });
+    assert.ok(parseQuestionSpec('mcq', 'Pick one | a | b').error, 'MCQ without a correct option should be rejected');
+    assert.ok(parseQuestionSpec('mcq', 'Pick one | *a | *b').error, 'MCQ with two correct options should be rejected');
+    assert.ok(parseQuestionSpec('mcq', 'Pick one | *a').error, 'MCQ with a single option should be rejected');
+    assert.strictEqual(parseQuestionSpec('true_false', 'الأرض مسطحة | خطأ').correctAnswer, 'false');
+    assert.strictEqual(parseQuestionSpec('true_false', 'Water is wet | TRUE').correctAnswer, 'true');
+    assert.ok(parseQuestionSpec('true_false', 'Water is wet | maybe').error, 'Invalid true/false answers should be rejected');
+    assert.strictEqual(parseQuestionSpec('short_answer', 'Capital of Algeria? | Algiers').correctAnswer, 'Algiers');
+    assert.ok(parseQuestionSpec('short_answer', 'Capital of Algeria?').error, 'Short answers need an expected answer');
+    assert.ok(parseQuestionSpec('short_answer', ' | Algiers').error, 'Question text is required');
+    console.log('✅ Questions parsed correctly');
+
+    // Test 3: Grading and display
+    console.log('\n✅ Test 3: Grading answers...');
+    const mcq = { question_id: 1, type: 'mcq', options: JSON.stringify(['3', '4', '5']), correct_answer: '1', points: 2 };
+    const short = { question_id: 2, type: 'short_answer', options: null, correct_answer: 'Algiers', points: 1 };
+    assert.deepStrictEqual(gradeQuestion(mcq, '1'), { isCorrect: true, points: 2 });
+    assert.deepStrictEqual(gradeQuestion(mcq, '0'), { isCorrect: false, points: 0 });
+    assert.deepStrictEqual(gradeQuestion(short, '  algiers '), { isCorrect: true, points: 1 }, 'Short answers should ignore case and spacing');
+    const numeric = { question_id: 3, type: 'numeric', options: null, correct_answer: '0.5', points: 1 };
+    assert.deepStrictEqual(gradeQuestion(numeric, '.50'), { isCorrect: true, points: 1 }, 'Numeric answers compare as numbers');
+    assert.deepStrictEqual(gradeQuestion(numeric, 'half'), { isCorrect: false, points: 0 });
+    const alternatives = { ...short, accepted_answers: JSON.stringify(['الجزائر']) };
+    assert.strictEqual(gradeQuestion(alternatives, 'الجزائر').isCorrect, true, 'Any accepted answer is correct');
+    assert.strictEqual(gradeQuestion({ ...numeric, correct_answer: '3.14', tolerance: 0.01 }, '3.145').isCorrect, true, 'The question tolerance applies');
+    assert.strictEqual(gradeQuestion({ ...numeric, correct_answer: '3.14', tolerance: 0 }, '3.145', { tolerance: 1 }).isCorrect, false, 'The question tolerance overrides the quiz');
+    assert.strictEqual(formatExpectedAnswer(alternatives), 'Algiers أو الجزائر');
+    assert.strictEqual(formatExpectedAnswer({ ...numeric, correct_answer: '3.14', tolerance: 0.01 }), '3.14 ± 0.01');
+    assert.strictEqual(formatQuizAnswer(mcq, '1'), 'B) 4');
+    assert.strictEqual(formatQuizAnswer({ type: 'true_false' }, 'true'), 'صح');
+    console.log('✅ Answers graded correctly');
+
+    // Test 4: Quiz totals
+    console.log('\n📊 Test 4: Summarizing a quiz...');
+    const summary = summarizeQuiz([mcq, short], [
+      { question_id: 1, is_correct: 1, points: 2 },
+      { question_id: 2, is_correct: 0, points: 0 }
+    ]);
+    assert.deepStrictEqual(summary, { score: 2, maxScore: 3, correctCount: 1 });
+    assert.deepStrictEqual(summarizeQuiz([mcq, short], []), { score: 0, maxScore: 3, correctCount: 0 }, 'Unanswered questions should count towards the maximum');
+    console.log('✅ Quiz summarized correctly');
+
+    console.log('\n🎉 All quiz tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,75 @@
+import assert from 'assert';
+import { parseRubricSpec, rubricMaxPoints, parseRubricScores, scoreRubric, MAX_CRITERIA } from '../bot/utils/rubric.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting rubric tests...\n');
+
+  try {
+    // Test 1: Parsing a rubric
+    console.log('📋 Test 1: Parsing rubric specs...');
+    const rubric = parseRubricSpec('Essay | Content: 4 Complete, 0 Missing, 2 Partial | Style: 0، 1 Fair، 2 Clear |');
+    assert.deepStrictEqual(rubric, {
+      name: 'Essay',
+      criteria: [
+        { name: 'Content', levels: [{ points: 0, label: 'Missing' }, { points: 2, label: 'Partial' }, { points: 4, label: 'Complete' }] },
+        { name: 'Style', levels: [{ points: 0, label: '' }, { points: 1, label: 'Fair' }, { points: 2, label: 'Clear' }] }
+      ]
+    });
+    assert.strictEqual(parseRubricSpec('Lab | Result: 0.5 close, 1.5 exact').criteria[0].levels[1].points, 1.5);
+    console.log('✅ Rubric parsed correctly');
+
+    // Test 2: Invalid rubrics
+    console.log('\n🚫 Test 2: Rejecting invalid rubrics...');
+    for (const spec of [
+      '',
+      '| Content: 0, 1',
+      'Essay',
+      'Essay | 0 Poor, 1 Good',
+      'Essay | Content: 2',
+      'Essay | Content: 0 Poor, Good',
+      'Essay | Content: 0, 1 | content: 0, 1',
+      'Essay | Content: 1 Fair, 1 Good',
+      'Essay | Content: 0, 1, 2, 3, 4, 5, 6',
+      `Essay | ${Array.from({ length: MAX_CRITERIA + 1 }, (_, index) => `C${index}: 0, 1`).join(' | ')}`
+    ]) {
+      assert.ok(parseRubricSpec(spec).error, `Should be rejected: ${spec}`);
+    }
+    console.log('✅ Invalid rubrics rejected correctly');
+
+    // Test 3: Scoring
+    console.log('\n📊 Test 3: Reading points and scoring...');
+    assert.strictEqual(rubricMaxPoints(rubric.criteria), 6);
+    assert.deepStrictEqual(parseRubricScores('4, 1', rubric.criteria), { levels: [2, 1] });
+    assert.deepStrictEqual(parseRubricScores('2،0', rubric.criteria), { levels: [1, 0] });
+    assert.ok(parseRubricScores('4', rubric.criteria).error, 'Every criterion needs points');
+    assert.ok(parseRubricScores('3,1', rubric.criteria).error, 'Points must be one of the levels');
+    assert.ok(parseRubricScores('4,1,2', rubric.criteria).error, 'Extra points are rejected');
+
+    assert.deepStrictEqual(scoreRubric(rubric.criteria, [2, 1]), {
+      total: 5,
+      maxTotal: 6,
+      items: [
+        { name: 'Content', points: 4, maxPoints: 4, label: 'Complete' },
+        { name: 'Style', points: 1, maxPoints: 2, label: 'Fair' }
+      ]
+    });
+    console.log('✅ Scoring works correctly');
+
+    console.log('\n🎉 All rubric tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
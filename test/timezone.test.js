@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { isValidTimezone, zonedTimeToUtc, formatInTimezone, formatSqliteTimestamp, getLessonStart, getReminderTime } from '../bot/utils/timezone.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting timezone tests...\n');
+
+  try {
+    // Test 1: Timezone validation
+    console.log('🌍 Test 1: Validating timezone names...');
+    assert.strictEqual(isValidTimezone('Africa/Algiers'), true);
+    assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+    assert.strictEqual(isValidTimezone(''), false);
+    console.log('✅ Timezone names validated correctly');
+
+    // Test 2: Same wall-clock time on both sides of a DST change
+    console.log('\n🕐 Test 2: Converting across a DST change...');
+    assert.strictEqual(zonedTimeToUtc('2026-10-31', '19:00', 'America/New_York').toISOString(), '2026-10-31T23:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-11-01', '19:00', 'America/New_York').toISOString(), '2026-11-02T00:00:00.000Z');
+    console.log('✅ DST offsets applied correctly');
+
+    // Test 3: Skipped and repeated wall-clock times
+    console.log('\n⏭️ Test 3: Handling skipped and repeated times...');
+    const skipped = zonedTimeToUtc('2026-03-29', '02:30', 'Europe/Paris');
+    assert.strictEqual(formatInTimezone(skipped, 'Europe/Paris').time, '03:30', 'Skipped time should move forward');
+    const repeated = zonedTimeToUtc('2026-10-25', '02:30', 'Europe/Paris');
+    assert.strictEqual(repeated.toISOString(), '2026-10-25T00:30:00.000Z', 'Repeated time should use the earlier instant');
+    console.log('✅ DST edge cases handled');
+
+    // Test 4: Displaying a lesson in another timezone
+    console.log('\n📅 Test 4: Displaying lessons in a user timezone...');
+    const start = getLessonStart({ date: '2026-11-01', time: '19:00', timezone: 'Africa/Algiers' });
+    assert.deepStrictEqual(formatInTimezone(start, 'Asia/Riyadh'), { date: '2026-11-01', time: '21:00' });
+    assert.deepStrictEqual(formatInTimezone(start, 'America/Los_Angeles'), { date: '2026-11-01', time: '10:00' });
+    const fallback = getLessonStart({ date: '2026-11-01', time: '19:00' }, 'Asia/Riyadh');
+    assert.strictEqual(fallback.toISOString(), '2026-11-01T16:00:00.000Z', 'Fallback timezone should be used');
+    console.log('✅ Lessons displayed correctly');
+
+    // Test 5: Stored SQLite timestamps
+    console.log('\n🗄️ Test 5: Displaying stored timestamps...');
+    assert.strictEqual(formatSqliteTimestamp('2026-11-01 22:30:00', 'Asia/Riyadh'), '2026-11-02 01:30');
+    assert.strictEqual(formatSqliteTimestamp(null, 'Asia/Riyadh'), '');
+    console.log('✅ Stored timestamps displayed correctly');
+
+    // Test 6: Custom reminder times
+    console.log('\n🔔 Test 6: Reading custom reminder times...');
+    const reminderTime = getReminderTime({ reminder_datetime: '2026-11-01 19:00', timezone: 'Asia/Riyadh' }, 'Africa/Algiers');
+    assert.strictEqual(reminderTime.toISOString(), '2026-11-01T16:00:00.000Z', 'Reminder timezone should be used');
+    assert.strictEqual(getReminderTime({ reminder_datetime: '2026-11-01 19:00' }, 'Africa/Algiers').toISOString(), '2026-11-01T18:00:00.000Z');
+    assert.ok(isNaN(getReminderTime({ reminder_datetime: 'garbage' }).getTime()), 'Malformed times should be invalid');
+    console.log('✅ Reminder times read correctly');
+
+    console.log('\n🎉 All timezone tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
@@ -0,0 +1,108 @@
+import assert from 'assert';
+import {
+  getWizardSteps,
+  getCurrentStep,
+  readStepAnswer,
+  setStepAnswer,
+  removeLastAnswer,
+  summarizeWizard,
+  isWizardExpired
+} from '../bot/utils/wizards.js';
+
+const LESSON = {
+  schema: {
+    command: 'addlesson',
+    args: [
+      { name: 'courseId', label: { ar: 'رقم_الكورس', en: 'course_id' }, type: 'int', min: 1 },
+      { name: 'date', label: { ar: 'التاريخ', en: 'date' }, type: 'date' },
+      { name: 'zoomLink', label: { ar: 'الرابط', en: 'link' }, required: false, pattern: /^https?:\/\/\S+$/ },
+      { name: 'title', label: { ar: 'العنوان', en: 'title' }, type: 'text', min: 3 }
+    ]
+  },
+  steps: {
+    courseId: { validate: async value => (value === 7 ? null : 'الكورس غير موجود') },
+    zoomLink: { patternError: 'الرابط يجب أن يبدأ بـ http' },
+    title: { validate: (value, data) => (value.includes(String(data.courseId)) ? 'العنوان لا يحتوي رقم الكورس' : null) }
+  }
+};
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting wizard tests...\n');
+
+  try {
+    // Test 1: Steps follow the command's arguments
+    console.log('🪜 Test 1: Building steps...');
+    const steps = getWizardSteps(LESSON);
+    assert.deepStrictEqual(steps.map(step => step.name), ['courseId', 'date', 'zoomLink', 'title']);
+    assert.strictEqual(steps[2].patternError, 'الرابط يجب أن يبدأ بـ http', 'Step options are merged into the argument');
+    assert.strictEqual(steps[2].required, false);
+    console.log('✅ Steps built correctly');
+
+    // Test 2: Current step
+    console.log('\n📍 Test 2: Finding the current step...');
+    assert.strictEqual(getCurrentStep(LESSON, {}).step.name, 'courseId');
+    const current = getCurrentStep(LESSON, { courseId: 7 });
+    assert.deepStrictEqual({ name: current.step.name, index: current.index, total: current.total }, { name: 'date', index: 1, total: 4 });
+    assert.strictEqual(getCurrentStep(LESSON, { courseId: 7, date: '2030-01-20', zoomLink: null }).index, 3, 'A skipped step counts as answered');
+    assert.strictEqual(getCurrentStep(LESSON, { courseId: 7, date: '2030-01-20', zoomLink: null, title: 'مقدمة' }), null);
+    console.log('✅ Current step found correctly');
+
+    // Test 3: Checking answers
+    console.log('\n🔎 Test 3: Checking answers...');
+    assert.deepStrictEqual(await readStepAnswer(steps[0], ' 7 ', {}), { value: 7 });
+    assert.strictEqual((await readStepAnswer(steps[0], 'x', {}, 'en')).error, '"course_id" must be a whole number');
+    assert.strictEqual((await readStepAnswer(steps[0], '8', {})).error, 'الكورس غير موجود', 'The step check runs after the type check');
+    assert.ok((await readStepAnswer(steps[1], '2030-02-30', {})).error);
+    assert.strictEqual((await readStepAnswer(steps[2], 'zoom.us/j/1', {})).error, 'الرابط يجب أن يبدأ بـ http');
+    assert.deepStrictEqual(await readStepAnswer(steps[2], 'https://zoom.us/j/1', {}), { value: 'https://zoom.us/j/1' });
+    assert.strictEqual((await readStepAnswer(steps[3], 'درس 7', { courseId: 7 })).error, 'العنوان لا يحتوي رقم الكورس', 'Checks can use earlier answers');
+    assert.deepStrictEqual(await readStepAnswer(steps[3], 'مقدمة\nفي البرمجة', { courseId: 7 }), { value: 'مقدمة\nفي البرمجة' });
+    console.log('✅ Answers checked correctly');
+
+    // Test 4: Recording and going back
+    console.log('\n↩️ Test 4: Going back...');
+    let data = setStepAnswer({}, 'courseId', 7);
+    data = setStepAnswer(data, 'date', '2030-01-20');
+    data = setStepAnswer(data, 'zoomLink', null);
+    assert.deepStrictEqual(removeLastAnswer(LESSON, data), { courseId: 7, date: '2030-01-20' }, 'A skipped step is asked again');
+    assert.deepStrictEqual(data, { courseId: 7, date: '2030-01-20', zoomLink: null }, 'Data is not changed in place');
+    assert.deepStrictEqual(removeLastAnswer(LESSON, {}), {});
+    console.log('✅ Going back works correctly');
+
+    // Test 5: Confirmation summary
+    console.log('\n📋 Test 5: Summarizing answers...');
+    assert.deepStrictEqual(summarizeWizard(LESSON, { ...data, title: 'مقدمة' }, 'en'), [
+      { label: 'course id', value: '7' },
+      { label: 'date', value: '2030-01-20' },
+      { label: 'link', value: '—' },
+      { label: 'title', value: 'مقدمة' }
+    ]);
+    assert.strictEqual(summarizeWizard(LESSON, data)[0].label, 'رقم الكورس');
+    console.log('✅ Answers summarized correctly');
+
+    // Test 6: Expiry
+    console.log('\n⌛ Test 6: Session expiry...');
+    const now = new Date('2030-01-20T12:00:00Z');
+    assert.strictEqual(isWizardExpired({ updated_at: '2030-01-19 13:00:00' }, now), false);
+    assert.strictEqual(isWizardExpired({ updated_at: '2030-01-19 11:59:00' }, now), true);
+    assert.strictEqual(isWizardExpired({ updated_at: null }, now), false, 'An unreadable time does not drop the session');
+    console.log('✅ Expiry checked correctly');
+
+    console.log('\n🎉 All wizard tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };
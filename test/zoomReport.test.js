@@ -0,0 +1,77 @@
+import assert from 'assert';
+import { parseCsv, normalizeParticipantName, splitZoomName, parseZoomParticipants, matchParticipant } from '../bot/utils/zoomReport.js';
+
+// Test suite
+async function runTests() {
+  console.log('🧪 Starting Zoom report tests...\n');
+
+  try {
+    // Test 1: CSV parsing
+    console.log('📄 Test 1: Parsing CSV...');
+    assert.deepStrictEqual(
+      parseCsv('\uFEFFa,"b, c","d ""e"""\r\n\r\n1,2,3\n'),
+      [['a', 'b, c', 'd "e"'], ['1', '2', '3']]
+    );
+    console.log('✅ CSV parsed correctly');
+
+    // Test 2: Name normalization
+    console.log('\n🔤 Test 2: Normalizing names...');
+    assert.strictEqual(normalizeParticipantName('  مُحَمَّـد   Ali '), 'محمد ali');
+    assert.strictEqual(normalizeParticipantName('@Student_1'), 'student_1');
+    assert.deepStrictEqual(splitZoomName('Sara (Sara iPhone)'), ['Sara', 'Sara iPhone']);
+    console.log('✅ Names normalized correctly');
+
+    // Test 3: Report with meeting data and rejoins
+    console.log('\n📊 Test 3: Extracting participants...');
+    const report = [
+      'Meeting ID,Topic,Start Time,End Time,User Email,Duration (Minutes),Participants',
+      '123 456 789,Lesson,11/01/2026 07:00:00 PM,11/01/2026 08:30:00 PM,host@example.com,90,3',
+      '',
+      'Name (Original Name),User Email,Join Time,Leave Time,Duration (Minutes),Guest',
+      'Ahmed,AHMED@example.com,11/01/2026 07:01:00 PM,11/01/2026 07:30:00 PM,29,Yes',
+      'Ahmed,ahmed@example.com,11/01/2026 07:35:00 PM,11/01/2026 08:30:00 PM,55,Yes',
+      'Sara (Sara iPhone),,11/01/2026 07:00:00 PM,11/01/2026 07:20:00 PM,20,Yes'
+    ].join('\n');
+    const participants = parseZoomParticipants(report);
+    assert.strictEqual(participants.length, 2, 'Rejoins of the same email should be merged');
+    assert.strictEqual(participants[0].email, 'ahmed@example.com');
+    assert.strictEqual(participants[0].durationMinutes, 84);
+    assert.deepStrictEqual(participants[1].names, ['Sara', 'Sara iPhone']);
+    assert.strictEqual(parseZoomParticipants('a,b\n1,2'), null, 'Files without a participant table should be rejected');
+    console.log('✅ Participants extracted correctly');
+
+    // Test 4: Matching participants to users
+    console.log('\n🔗 Test 4: Matching participants...');
+    const users = [
+      { user_id: 1, username: '@ahmed_k', first_name: 'Ahmed' },
+      { user_id: 2, username: '@sara', first_name: 'سارة' },
+      { user_id: 3, username: 'غير متوفر', first_name: 'Omar' },
+      { user_id: 4, username: 'غير متوفر', first_name: 'Omar' }
+    ];
+    assert.strictEqual(matchParticipant(participants[0], users, new Map()), 1, 'First name should match');
+    assert.strictEqual(matchParticipant(participants[1], users, new Map()), 2, 'Username should match');
+    assert.strictEqual(matchParticipant({ names: ['Omar'], email: null }, users, new Map()), null, 'Ambiguous names should not match');
+    assert.strictEqual(
+      matchParticipant({ names: ['Omar'], email: 'omar@example.com' }, users, new Map([['omar@example.com', 4]])),
+      4,
+      'Saved email aliases should win'
+    );
+    console.log('✅ Participants matched correctly');
+
+    console.log('\n🎉 All Zoom report tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch((error) => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests };